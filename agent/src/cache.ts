@@ -0,0 +1,114 @@
+// agent/src/cache.ts
+// In-memory LRU with per-entry TTL, optionally persisted to one JSON file so a
+// warmed-up cache survives restarts (and demos keep working offline).
+import fs from "fs";
+import path from "path";
+
+export type CacheHit<T> = { value: T; storedAt: number; expiresAt: number };
+
+/** What responses report about a cache lookup */
+export type CacheMeta = { hit: boolean; key: string; storedAt?: string; age_s?: number };
+
+type Entry = { value: unknown; storedAt: number; expiresAt: number };
+
+// ---------- config ----------
+const MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 500;
+// CACHE_FILE=./.cache/agent-cache.json enables the disk store (off by default)
+const CACHE_FILE = process.env.CACHE_FILE ? path.resolve(process.env.CACHE_FILE) : null;
+const FLUSH_DELAY_MS = 1000;
+
+// ---------- store ----------
+// One LRU for every namespace; keys are "<namespace>:<key>". Map order = recency.
+const entries = new Map<string, Entry>();
+let flushTimer: NodeJS.Timeout | null = null;
+
+function loadFromDisk() {
+  if (!CACHE_FILE || !fs.existsSync(CACHE_FILE)) return;
+  try {
+    const raw = JSON.parse(fs.readFileSync(CACHE_FILE, "utf8")) as Record<string, Entry>;
+    const now = Date.now();
+    for (const [k, e] of Object.entries(raw)) {
+      if (e?.expiresAt > now) entries.set(k, e);
+    }
+    console.log(`[cache] ${entries.size} entries restored from ${CACHE_FILE}`);
+  } catch (e) {
+    console.warn("[cache] ignoring unreadable cache file:", (e as any)?.message || e);
+  }
+}
+loadFromDisk();
+
+function scheduleFlush() {
+  if (!CACHE_FILE || flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+      // Write-then-rename so a crash never leaves half a file behind
+      const tmp = `${CACHE_FILE}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(entries)), "utf8");
+      fs.renameSync(tmp, CACHE_FILE);
+    } catch (e) {
+      console.warn("[cache] could not write cache file:", (e as any)?.message || e);
+    }
+  }, FLUSH_DELAY_MS);
+  flushTimer.unref();
+}
+
+// ---------- public ----------
+export function createCache<T>(namespace: string, ttlMs: number) {
+  const full = (key: string) => `${namespace}:${key}`;
+  return {
+    ttlMs,
+    get(key: string): CacheHit<T> | undefined {
+      const k = full(key);
+      const e = entries.get(k);
+      if (!e) return undefined;
+      if (e.expiresAt <= Date.now()) {
+        entries.delete(k);
+        scheduleFlush();
+        return undefined;
+      }
+      // Touch for LRU order
+      entries.delete(k);
+      entries.set(k, e);
+      return e as CacheHit<T>;
+    },
+    set(key: string, value: T) {
+      const k = full(key);
+      const now = Date.now();
+      entries.delete(k);
+      entries.set(k, { value, storedAt: now, expiresAt: now + ttlMs });
+      while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value!);
+      scheduleFlush();
+    },
+  };
+}
+
+export function cacheMeta(key: string, hit?: { storedAt: number }): CacheMeta {
+  if (!hit) return { hit: false, key };
+  return {
+    hit: true,
+    key,
+    storedAt: new Date(hit.storedAt).toISOString(),
+    age_s: Math.round((Date.now() - hit.storedAt) / 1000),
+  };
+}
+
+/** Drop every entry, or only one namespace's; returns how many were removed */
+export function purgeCache(namespace?: string): number {
+  let n = 0;
+  for (const k of [...entries.keys()]) {
+    if (!namespace || k.startsWith(`${namespace}:`)) { entries.delete(k); n++; }
+  }
+  scheduleFlush();
+  return n;
+}
+
+export function cacheStats() {
+  const byNamespace: Record<string, number> = {};
+  for (const k of entries.keys()) {
+    const ns = k.slice(0, k.indexOf(":"));
+    byNamespace[ns] = (byNamespace[ns] ?? 0) + 1;
+  }
+  return { entries: entries.size, max: MAX_ENTRIES, file: CACHE_FILE, byNamespace };
+}
@@ -0,0 +1,261 @@
+// agent/src/explanation.ts
+// Turning raw LLM output into a trusted explanation: pull the JSON out of
+// whatever the model wrapped it in, validate it against a schema, check every
+// count and distance it cites against the scoreResult, and ask once for a
+// repair before giving up on the model.
+import { z } from "zod";
+import { generateText, type LlmProvider } from "./llm.js";
+import { enrichmentTotals } from "./fallback.js";
+import { LANG_NAMES, type Lang } from "./i18n.js";
+
+// ---------- schema ----------
+export const ExplanationSchema = z.object({
+  en: z.string().trim().min(1),
+  ja: z.string().trim().min(1),
+  /** Short bullet points: what raised or lowered the score */
+  factors: z.array(z.string().trim().min(1)).max(10),
+  /** Data limitations worth knowing (missing capacity data, OSM gaps, ...) */
+  caveats: z.array(z.string().trim().min(1)).max(10),
+  /** The explanation in the requested language; asked for when that is neither en nor ja */
+  text: z.string().trim().min(1).optional(),
+});
+
+/** A checked reply, tagged with the language it was asked in; text is always set */
+export type Explanation = z.infer<typeof ExplanationSchema> & { lang: Lang; text: string };
+
+/** Which path produced the text; "cache" answers passed validation when stored */
+export type ExplanationPath = "llm" | "repaired" | "fallback" | "cache";
+
+export type Checked = { ok: true; value: Explanation } | { ok: false; errors: string[] };
+
+// ---------- prompt ----------
+// en and ja are always asked for; any other language comes as an extra "text"
+const needsText = (lang: Lang) => lang !== "en" && lang !== "ja";
+
+function answerShape(lang: Lang): string {
+  return `{
+  "en": "...",
+  "ja": "...",${needsText(lang) ? `\n  "text": "...",` : ""}
+  "factors": ["...", "..."],
+  "caveats": ["..."]
+}`;
+}
+
+export function explainPrompt(scoreResult: any, lang: Lang): string {
+  const score01  = Math.max(0, Math.min(1, Number(scoreResult?.score) || 0));
+  const score100 = Math.round(score01 * 100);
+  const language = LANG_NAMES[lang];
+  const fields = needsText(lang) ? `five fields: "en", "ja", "text", "factors" and "caveats"` : `four fields: "en", "ja", "factors" and "caveats"`;
+  return `
+Return ONLY valid JSON (no markdown, no extra text) with ${fields}.
+"en" must be an English explanation. "ja" must be a natural Japanese explanation.${
+  needsText(lang) ? `\n"text" must be the same explanation in ${language}.` : ""}
+"factors" lists up to 6 short bullet points in ${language} on what raised or lowered the score.
+"caveats" lists up to 3 short notes in ${language} on data limitations (may be empty).
+Use the normalized 0–1 score (you may include the 0–100 in parentheses).
+
+${answerShape(lang)}
+
+Normalized score (0–1): ${score01.toFixed(2)} (≈ ${score100}/100)
+
+JSON data to base your explanation on:
+${JSON.stringify(scoreResult, (k, v) => (k === "coordinates" || k === "steps" ? undefined : v), 2)}
+
+Guidelines:
+- Concise, factual, non-alarmist.
+- Only cite counts and distances that appear in the JSON above; distances are in meters (you may round them or give km).
+- Include bullet-style factors that raised/lowered the score (counts & nearest distances).
+- If a category is 0 within the radius, mention the nearest (with distance in meters).
+- If "shelters.route" is present, use its walking distance (walk_m) and minutes (walk_min) rather than the straight-line distance.
+- If "area" is present, name the area once by its label (prefecture, city, ward; keep it in Japanese).
+- If "hazards.zones" is non-empty, state that the point is inside those hazard zones and that the score was reduced.
+- If "shelters.hazardFilter" is present, say only shelters designated for that hazard were counted.
+- If "time" is present, the counts are for that moment (time.scenario, or time.weekday and time.time): name the facilities in time.excluded as closed and not counted, and those in time.discounted as school shelters that may be unstaffed and were counted at half.
+- If "shelters.capacity.per_resident" is present, mention shelter capacity per resident.
+- If "population" is present, mention the estimated residents in the radius, shelters per 1,000 residents (shelters_per_1000) and the population-adjusted score next to the overall score; the overall score stays the main one.
+- If "enrichment" is present, OpenStreetMap POIs were merged into the counts (enrichment.added new ones; duplicates were counted once).
+- Interpretation for 0–1: 0–0.30 low, 0.30–0.70 moderate, 0.70–1.00 high.
+`;
+}
+
+// The llm.ts mock provider recognizes repair prompts by this sentence
+function repairPrompt(prompt: string, raw: string, errors: string[], lang: Lang): string {
+  return `${prompt}
+Your previous answer was rejected for these reasons:
+${errors.map((e) => `- ${e}`).join("\n")}
+
+Previous answer:
+${raw.slice(0, 4000)}
+
+Return ONLY the corrected JSON in this shape, citing only numbers from the JSON data:
+${answerShape(lang)}
+`;
+}
+
+// ---------- extraction ----------
+/**
+ * The JSON object in a model reply: the whole reply, the body of a ``` fence,
+ * or the first balanced {...} in surrounding prose. Throws when there is none.
+ */
+export function extractJson(raw: string): unknown {
+  const text = raw.trim();
+  const candidates = [text];
+  const fence = text.match(/```(?:json|JSON)?\s*\n?([\s\S]*?)```/);
+  if (fence) candidates.push(fence[1].trim());
+  const braced = firstObject(text);
+  if (braced) candidates.push(braced);
+
+  for (const c of candidates) {
+    try { return JSON.parse(c); } catch { /* next candidate */ }
+  }
+  throw new Error(text ? "no JSON object found in the reply" : "empty reply");
+}
+
+// First {...} whose braces balance, ignoring braces inside strings
+function firstObject(text: string): string | null {
+  const start = text.indexOf("{");
+  if (start < 0) return null;
+  let depth = 0, inString = false, escaped = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') inString = true;
+    else if (ch === "{") depth++;
+    else if (ch === "}" && --depth === 0) return text.slice(start, i + 1);
+  }
+  return null;
+}
+
+// ---------- fact check ----------
+// Keys whose numbers an explanation may cite as counts / as distances (meters)
+const COUNT_KEYS = new Set(["count", "total", "known", "unknown", "excluded", "unrated", "residents"]);
+const COUNT_PARENTS = new Set(["added", "matched"]);
+const DISTANCE_KEYS = new Set(["distance_m", "walk_m", "radiusMeters", "max_walk_m"]);
+
+function factsOf(scoreResult: any): { counts: Set<number>; distances: number[] } {
+  const counts = new Set<number>();
+  const distances: number[] = [];
+  const walk = (node: any, key: string, parent: string) => {
+    if (typeof node === "number" && Number.isFinite(node)) {
+      if (COUNT_KEYS.has(key) || COUNT_PARENTS.has(parent)) counts.add(node);
+      if (DISTANCE_KEYS.has(key)) distances.push(node);
+    } else if (Array.isArray(node)) {
+      // steps are not in the prompt, so their landmark distances are not citable
+      if (key !== "coordinates" && key !== "steps") node.forEach((v) => walk(v, key, parent));
+    } else if (node && typeof node === "object") {
+      for (const [k, v] of Object.entries(node)) walk(v, k, key);
+    }
+  };
+  walk(scoreResult, "", "");
+  // The fallback text (and so the models) cite merged OSM POIs summed over layers
+  const osm = enrichmentTotals(scoreResult);
+  if (osm) counts.add(osm.added).add(osm.matched);
+  // "per 1,000 residents" / "千人あたり" figures name the reference population
+  if (scoreResult?.population) counts.add(1000);
+  // Closed and unstaffed facilities are cited by how many there are
+  const time = scoreResult?.time;
+  if (time) counts.add(time.excluded?.length ?? 0).add(time.discounted?.length ?? 0);
+  return { counts, distances };
+}
+
+// "3 shelters", "2 health facilities", "避難所3件", "120人", "3 处", "3곳", "120 người";
+// the number is group 1
+const COUNT_RE =
+  /(\d[\d,]*)\s*(?:(?:designated |evacuation |nearby |medical |health )?(?:shelters?|schools?|facilities|hospitals?|clinics?|places|POIs?|people|residents)\b|件|か所|箇所|施設|人(?!あたり|当たり|均)|处|處|所|个|個|家|名|곳|개|명|(?:người|nơi|địa điểm|trường|cơ sở)(?![\p{L}]))/giu;
+// "301 m", "1.2 km", "300メートル", "1.2 公里", "300미터"; not "4 km/h" or "5 min"
+const DISTANCE_RE =
+  /(\d[\d,]*(?:\.\d+)?)\s*(km|kilometers?|kilometres?|キロメートル|キロ|公里|킬로미터|m|meters?|metres?|メートル|米|미터)(?![a-zA-Z/])/g;
+
+/** Problems with the counts and distances cited in the text; empty = consistent with scoreResult */
+export function factCheck(e: z.infer<typeof ExplanationSchema>, scoreResult: any): string[] {
+  const { counts, distances } = factsOf(scoreResult);
+  const text = [e.en, e.ja, e.text ?? "", ...e.factors, ...e.caveats].join("\n");
+  const errors: string[] = [];
+
+  for (const m of text.matchAll(COUNT_RE)) {
+    const n = Number(m[1].replace(/,/g, ""));
+    if (!counts.has(n)) errors.push(`cites "${m[0].trim()}", but no count of ${n} is in the data`);
+  }
+  for (const m of text.matchAll(DISTANCE_RE)) {
+    const km = /^(km|kilomet|キロ|公里|킬로)/i.test(m[2]);
+    const meters = Number(m[1].replace(/,/g, "")) * (km ? 1000 : 1);
+    // Allow rounding: 5% either way, at least 15 m (50 m when given in km)
+    const ok = distances.some((d) => Math.abs(d - meters) <= Math.max(km ? 50 : 15, d * 0.05));
+    if (!ok) errors.push(`cites "${m[0].trim()}", but no such distance is in the data`);
+  }
+  return [...new Set(errors)];
+}
+
+// ---------- public ----------
+/** Extract, validate and fact-check one reply asked for in lang */
+export function checkExplanation(raw: string, scoreResult: any, lang: Lang): Checked {
+  let json: unknown;
+  try {
+    json = extractJson(raw);
+  } catch (e: any) {
+    return { ok: false, errors: [e.message] };
+  }
+  const parsed = ExplanationSchema.safeParse(json);
+  if (!parsed.success) {
+    return { ok: false, errors: parsed.error.issues.map((i) => `${i.path.join(".") || "reply"}: ${i.message}`) };
+  }
+  const e = parsed.data;
+  if (needsText(lang) && !e.text) return { ok: false, errors: [`text: required (the explanation in ${LANG_NAMES[lang]})`] };
+  const errors = factCheck(e, scoreResult);
+  if (errors.length) return { ok: false, errors };
+  return { ok: true, value: { ...e, lang, text: needsText(lang) ? e.text! : e[lang as "en" | "ja"] } };
+}
+
+export type ExplainOutcome = {
+  explanation: Explanation | null;
+  path: Exclude<ExplanationPath, "cache">;
+  /** Why earlier attempts were rejected */
+  rejected: string[];
+};
+
+/**
+ * Ask the provider, and once more with the rejection reasons if the reply
+ * does not check out. explanation = null means use the fallback text.
+ * onToken / onRepair let streaming callers forward progress.
+ */
+export async function explainWithLlm(
+  llm: LlmProvider,
+  scoreResult: any,
+  lang: Lang,
+  opts: { signal?: AbortSignal; onToken?: (text: string) => void; onRepair?: (errors: string[]) => void } = {}
+): Promise<ExplainOutcome> {
+  const prompt = explainPrompt(scoreResult, lang);
+  const rejected: string[] = [];
+
+  const attempt = async (p: string): Promise<{ raw: string; checked: Checked }> => {
+    let raw = "";
+    try {
+      if (opts.onToken) {
+        for await (const text of llm.stream({ prompt: p, scoreResult, lang }, opts.signal)) {
+          raw += text;
+          if (text) opts.onToken(text);
+        }
+      } else {
+        raw = await generateText(llm, { prompt: p, scoreResult, lang }, opts.signal);
+      }
+    } catch (e: any) {
+      return { raw, checked: { ok: false, errors: [`${llm.id} failed: ${e?.message ?? e}`] } };
+    }
+    return { raw, checked: checkExplanation(raw, scoreResult, lang) };
+  };
+
+  const first = await attempt(prompt);
+  if (first.checked.ok) return { explanation: first.checked.value, path: "llm", rejected };
+  rejected.push(...first.checked.errors);
+  if (opts.signal?.aborted) return { explanation: null, path: "fallback", rejected };
+
+  // One bounded repair round; a provider that failed outright gets the same second chance
+  opts.onRepair?.(first.checked.errors);
+  const second = await attempt(repairPrompt(prompt, first.raw, first.checked.errors, lang));
+  if (second.checked.ok) return { explanation: second.checked.value, path: "repaired", rejected };
+  rejected.push(...second.checked.errors);
+  return { explanation: null, path: "fallback", rejected };
+}
@@ -0,0 +1,129 @@
+// agent/src/fallback.ts
+// Deterministic explanations built from a ScoreResult, in any catalog language
+// (i18n.ts). Shown whenever no LLM answer is available, and served as-is by the
+// "template" LLM provider.
+import type { Explanation } from "./explanation.js";
+import { t, hazardName, whenLabel, type Lang } from "./i18n.js";
+
+// ---------- utils ----------
+function fmtDist(m: number | null | undefined, lang: Lang) {
+  if (m == null || !Number.isFinite(m)) return t(lang, "unknown");
+  return m < 1000 ? `${Math.round(m)} m` : `${(m / 1000).toFixed(2)} km`;
+}
+
+// First few names of a list, "…" for the rest (counts are cited separately)
+function names(pois: any[], lang: Lang, max = 5) {
+  const shown = pois.slice(0, max).map((p) => p.name).join(t(lang, "listSep"));
+  return pois.length > max ? `${shown}…` : shown;
+}
+
+// Manifest layers beyond shelters/schools/health that actually carry weight
+function weightedLayers(sr: any): [string, any][] {
+  const w = sr?.params?.weights ?? {};
+  return Object.entries(sr?.layers ?? {}).filter(([id]) => Number(w[id]) > 0) as [string, any][];
+}
+
+// Manifest label of an extra layer (ja for ja / ja-easy, else en), the id if the result has none
+function layerLabel(id: string, b: any, lang: Lang): string {
+  const label = b?.label ?? {};
+  return (lang === "ja" || lang === "ja-easy" ? label.ja : label.en) || id;
+}
+
+// Merged supplemental (OSM) POIs over all layers: new ones and duplicates of MLIT POIs
+export function enrichmentTotals(sr: any): { added: number; matched: number } | null {
+  const e = sr?.enrichment;
+  if (!e) return null;
+  const sum = (r: any) => Object.values(r ?? {}).reduce((a: number, b: any) => a + (Number(b) || 0), 0);
+  return { added: sum(e.added), matched: sum(e.matched) };
+}
+
+// ---------- fallback text ----------
+export function fallbackText(sr: any, lang: Lang): string {
+  const shelters = sr?.shelters ?? {};
+  const schools  = sr?.schools ?? {};
+  const healths  = sr?.health ?? sr?.healths ?? {};
+  const dist = (m?: number | null) => fmtDist(m, lang);
+
+  const s01  = Math.max(0, Math.min(1, Number(sr?.score) || 0));
+  const lines: string[] = [t(lang, "overall", { score: s01.toFixed(2), score100: Math.round(s01 * 100) })];
+  if (sr?.area?.label) lines.push(t(lang, "area", { label: sr.area.label }));
+
+  const noShelters = (shelters.count ?? 0) === 0;
+  const noHealth = (healths.count ?? 0) === 0;
+  if (noShelters && noHealth) lines.push(t(lang, "noneBoth"));
+  else if (noShelters) lines.push(t(lang, "noneShelters"));
+  else if (noHealth) lines.push(t(lang, "noneHealth"));
+
+  if ((schools.count ?? 0) > 0) {
+    lines.push(t(lang, "schools", { count: schools.count, dist: dist(schools.nearest?.distance_m) }));
+  }
+  const sOut = shelters.nearestOutside ?? shelters.nearest;
+  const hOut = healths.nearestOutside ?? healths.nearest;
+  if (noShelters && sOut) lines.push(t(lang, "shelterOutside", { dist: dist(sOut.distance_m) }));
+  if (noHealth && hOut) lines.push(t(lang, "healthOutside", { dist: dist(hOut.distance_m) }));
+
+  const route = shelters.route;
+  if (route) {
+    lines.push(t(lang, "route", { name: route.name, dist: dist(route.walk_m), min: Math.ceil(route.walk_min) }));
+  } else if (sr?.routing?.available && !noShelters) {
+    lines.push(t(lang, "noRoute", { dist: dist(sr.routing.max_walk_m) }));
+  }
+  const cap = shelters.capacity;
+  if (cap?.known) lines.push(t(lang, "capacity", { total: cap.total, unknown: cap.unknown }));
+  if (cap?.per_resident != null) {
+    lines.push(t(lang, "perResident", { value: Number(cap.per_resident).toFixed(2), residents: cap.residents }));
+  }
+  const pop = sr?.population;
+  if (pop) {
+    lines.push(t(lang, "population", {
+      residents: pop.residents,
+      shelters: pop.shelters_per_1000 != null ? Number(pop.shelters_per_1000).toFixed(2) : t(lang, "unknown"),
+      score: Number(pop.score).toFixed(2),
+    }));
+  }
+  const hf = shelters.hazardFilter;
+  if (hf) {
+    lines.push(t(lang, "hazardFilter", { hazard: hazardName(lang, hf.type), excluded: hf.excluded, unrated: hf.unrated }));
+  }
+  const time = sr?.time;
+  if (time) {
+    const when = whenLabel(lang, time);
+    const closed: any[] = time.excluded ?? [], unstaffed: any[] = time.discounted ?? [];
+    if (closed.length) lines.push(t(lang, "timeClosed", { when, count: closed.length, list: names(closed, lang) }));
+    else lines.push(t(lang, "timeAt", { when }));
+    if (unstaffed.length) lines.push(t(lang, "timeUnstaffed", { count: unstaffed.length, list: names(unstaffed, lang) }));
+  }
+  const zones: any[] = sr?.hazards?.zones ?? [];
+  if (zones.length) {
+    const list = zones
+      .map((z) => t(lang, "zoneItem", { hazard: hazardName(lang, z.type), class: z.class, label: z.label }))
+      .join(t(lang, "listSep"));
+    lines.push(t(lang, "zones", { list, penalty: Number(sr.hazards.penalty).toFixed(2) }));
+  }
+  const osm = enrichmentTotals(sr);
+  if (osm) lines.push(t(lang, "osm", osm));
+
+  const extra = weightedLayers(sr);
+  if (extra.length) {
+    const list = extra.map(([id, b]) => t(lang, "extraItem", { label: layerLabel(id, b, lang), count: b.count ?? 0 })).join(t(lang, "listSep"));
+    lines.push(t(lang, "extra", { list }));
+  }
+  const profile = sr?.params?.profile;
+  if (profile && (profile.id !== "default" || profile.custom)) {
+    lines.push(t(lang, profile.custom ? "profileCustom" : "profile", { id: profile.id }));
+  }
+  lines.push(t(lang, "scale"));
+  return lines.join("\n");
+}
+
+/** EN and JA as always, plus the requested language in text */
+export function fallbackExplanation(sr: any, lang: Lang): Explanation {
+  return {
+    en: fallbackText(sr, "en"),
+    ja: fallbackText(sr, "ja"),
+    factors: [],
+    caveats: [],
+    lang,
+    text: fallbackText(sr, lang),
+  };
+}
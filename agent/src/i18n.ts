@@ -0,0 +1,374 @@
+// agent/src/i18n.ts
+// Message catalog for the text the agent writes itself: fallback explanations
+// and error messages. Language ids match mcp-servers/safety/src/lib/i18n.ts,
+// which localizes the MCP's ScoreResult.explain.
+import type express from "express";
+
+export type Lang = "en" | "ja" | "zh" | "ko" | "vi" | "ja-easy";
+
+// ---------- config ----------
+export const LANGS: readonly Lang[] = ["en", "ja", "zh", "ko", "vi", "ja-easy"];
+export const DEFAULT_LANG: Lang = "en";
+
+/** How the LLM prompt names each language */
+export const LANG_NAMES: Record<Lang, string> = {
+  en: "English",
+  ja: "Japanese",
+  zh: "Simplified Chinese",
+  ko: "Korean",
+  vi: "Vietnamese",
+  "ja-easy": "Easy Japanese (やさしい日本語: short sentences, mostly hiragana, no difficult kanji or loanwords)",
+};
+
+const ALIASES: Record<string, Lang> = {
+  "ja-x-easy": "ja-easy", "easy-ja": "ja-easy", "easy": "ja-easy", "yasashii": "ja-easy",
+  "zh-hans": "zh", "zh-cn": "zh", "zh-sg": "zh",
+};
+
+export type HazardId = "flood" | "earthquake" | "tsunami" | "fire" | "landslide" | "volcano";
+// DISASTER_TYPES of mcp-servers/safety/src/lib/poi-index.ts
+export const HAZARD_IDS: readonly HazardId[] = ["flood", "earthquake", "tsunami", "fire", "landslide", "volcano"];
+// Scenario ids of score_point (mcp-servers/safety/src/lib/opening-hours.ts)
+export type ScenarioId = "day" | "night" | "school-hours" | "weekend";
+export const SCENARIO_IDS: readonly ScenarioId[] = ["day", "night", "school-hours", "weekend"];
+
+// ---------- catalog ----------
+// {name} placeholders are filled by t(). Counts in the fallback text go through
+// the explanation fact check, so every number a message cites must come from
+// the ScoreResult (hence no "counted as 1" style wording).
+const en = {
+  overall: "Overall score: {score} (≈ {score100}/100).",
+  area: "Location: {label}.",
+  noneShelters: "No shelters found within the search radius.",
+  noneHealth: "No health facilities found within the search radius.",
+  noneBoth: "No shelters and health facilities found within the search radius.",
+  schools: "Schools: {count}; nearest {dist}.",
+  shelterOutside: "Nearest shelter (outside radius): {dist}.",
+  healthOutside: "Nearest health facility (outside radius): {dist}.",
+  route: "Quickest shelter on foot: {name}, {dist} (about {min} min).",
+  noRoute: "No walking route to a shelter found within {dist}.",
+  capacity: "Shelter capacity in radius: {total} people ({unknown} shelters without capacity data).",
+  perResident: "Capacity per resident: {value} for {residents} residents.",
+  population: "Estimated residents within the radius: {residents}; shelters per 1,000 residents: {shelters}; population-adjusted score: {score}.",
+  hazardFilter: "Only shelters usable for {hazard} were counted ({excluded} excluded, {unrated} without a rating).",
+  zoneItem: "{hazard} (class {class}/4)",
+  zones: "Inside hazard zone: {list}; score reduced ×{penalty}.",
+  osm: "Includes OpenStreetMap data: {added} places not in the MLIT data ({matched} duplicates counted once).",
+  timeAt: "Opening hours checked for {when}; no facility in the radius was closed.",
+  timeClosed: "As of {when}, facilities closed and not counted: {count} ({list}).",
+  timeUnstaffed: "School-based shelters that may be unstaffed then, counted at half: {count} ({list}).",
+  extraItem: "{label} {count}",
+  extra: "Also scored: {list}.",
+  profile: "Scoring profile: {id}.",
+  profileCustom: "Scoring profile: {id} (custom weights).",
+  scale: "Scale (0–1): 0–0.30 low, 0.30–0.70 moderate, 0.70–1.00 high.",
+  unknown: "unknown",
+  listSep: ", ",
+  hazard: { flood: "flood", earthquake: "earthquake", tsunami: "tsunami", fire: "large fire", landslide: "landslide", volcano: "volcano" } as Record<HazardId, string>,
+  weekday: ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"],
+  scenario: { day: "weekday noon", night: "weekday 3 a.m.", "school-hours": "weekday school hours (10 a.m.)", weekend: "Sunday noon" } as Record<ScenarioId, string>,
+  errLonLat: "lon and lat are required numbers",
+  errRadius: "radius must be a number of meters above 0 and at most {max}",
+  errAlgorithm: "algorithm must be one of: {list}",
+  errWeight: "{key} must be a weight of 0 or more",
+  errHazard: "hazard_type must be one of: {list}",
+  errScenario: "scenario must be one of: {list}",
+  errQuery: "q (an address, station or place name) is required",
+  errNoPlace: 'No place found for "{q}"',
+  errBatchBody: "body must be an array of points, { points: [...] } or a GeoJSON FeatureCollection",
+  errCompare: "body must be { locations: [...] } with {min}–{max} entries of { name?, lon, lat } or { name?, q }",
+  errLocation: "locations[{i}]: lon must be within -180..180 and lat within -90..90",
+  errBbox: "bbox=minLon,minLat,maxLon,maxLat is required",
+  errAdmin: "admin access denied",
+  errScope: 'scope must be "osm", "llm" or "geocode"',
+};
+
+type Messages = typeof en;
+export type MessageKey = Exclude<keyof Messages, "hazard" | "weekday" | "scenario">;
+
+const CATALOG: Record<Lang, Messages> = {
+  en,
+  ja: {
+    overall: "総合スコア: {score}（約 {score100}/100）。",
+    area: "所在地: {label}。",
+    noneShelters: "検索半径内に避難所は見つかりませんでした。",
+    noneHealth: "検索半径内に医療・保健施設は見つかりませんでした。",
+    noneBoth: "検索半径内に避難所・医療・保健施設は見つかりませんでした。",
+    schools: "学校は{count}件、最寄りは {dist}。",
+    shelterOutside: "（半径外）最寄りの避難所: {dist}。",
+    healthOutside: "（半径外）最寄りの医療・保健: {dist}。",
+    route: "徒歩で最も早い避難所: {name}、{dist}（徒歩約{min}分）。",
+    noRoute: "{dist} 以内に避難所への徒歩経路が見つかりませんでした。",
+    capacity: "半径内の避難所収容人数: {total}人（収容人数不明 {unknown}件）。",
+    perResident: "住民{residents}人に対する1人あたり収容: {value}。",
+    population: "半径内の推定人口: {residents}人、千人あたりの避難所: {shelters}、人口補正スコア: {score}。",
+    hazardFilter: "{hazard}に対応する避難所のみ計上（対象外 {excluded}件、指定情報なし {unrated}件）。",
+    zoneItem: "{label}",
+    zones: "ハザード区域内: {list}（スコア ×{penalty}）。",
+    osm: "OpenStreetMapのデータを統合: MLITにない施設 {added}件（重複 {matched}件は重ねて数えていません）。",
+    timeAt: "{when}時点の営業時間で確認しました。半径内に時間外の施設はありません。",
+    timeClosed: "{when}は時間外の施設 {count}件を除外しました: {list}。",
+    timeUnstaffed: "学校の避難所 {count}件はこの時間に職員がいない可能性があり、半分として数えました: {list}。",
+    extraItem: "{label} {count}件",
+    extra: "その他の評価対象: {list}。",
+    profile: "評価プロファイル: {id}。",
+    profileCustom: "評価プロファイル: {id}（重みを個別指定）。",
+    scale: "指標（0–1）: 0–0.30 低い / 0.30–0.70 中程度 / 0.70–1.00 高い。",
+    unknown: "不明",
+    listSep: "・",
+    hazard: { flood: "洪水", earthquake: "地震", tsunami: "津波", fire: "大規模火災", landslide: "土砂災害", volcano: "火山" },
+    weekday: ["月曜", "火曜", "水曜", "木曜", "金曜", "土曜", "日曜"],
+    scenario: { day: "平日の昼（12時）", night: "平日の夜中（3時）", "school-hours": "平日の授業時間（10時）", weekend: "日曜日の昼（12時）" },
+    errLonLat: "lon と lat は数値で指定してください",
+    errRadius: "radius は 0 より大きく {max} 以下のメートル数で指定してください",
+    errAlgorithm: "algorithm は次のいずれかを指定してください: {list}",
+    errWeight: "{key} は 0 以上の重みを指定してください",
+    errHazard: "hazard_type は次のいずれかを指定してください: {list}",
+    errScenario: "scenario は次のいずれかを指定してください: {list}",
+    errQuery: "q（住所・駅名・施設名）を指定してください",
+    errNoPlace: "「{q}」に一致する場所が見つかりません",
+    errBatchBody: "本文は地点の配列、{ points: [...] }、または GeoJSON FeatureCollection にしてください",
+    errCompare: "本文は { locations: [...] } とし、{ name?, lon, lat } または { name?, q } を{min}〜{max}件指定してください",
+    errLocation: "locations[{i}]: lon は -180〜180、lat は -90〜90 の範囲で指定してください",
+    errBbox: "bbox=minLon,minLat,maxLon,maxLat を指定してください",
+    errAdmin: "管理者としてのアクセスが拒否されました",
+    errScope: 'scope は "osm"・"llm"・"geocode" のいずれかを指定してください',
+  },
+  zh: {
+    overall: "综合评分：{score}（约 {score100}/100）。",
+    area: "位置：{label}。",
+    noneShelters: "搜索半径内未找到避难所。",
+    noneHealth: "搜索半径内未找到医疗卫生设施。",
+    noneBoth: "搜索半径内未找到避难所和医疗卫生设施。",
+    schools: "学校：{count} 所；最近的距离 {dist}。",
+    shelterOutside: "最近的避难所（半径外）：{dist}。",
+    healthOutside: "最近的医疗卫生设施（半径外）：{dist}。",
+    route: "步行最快到达的避难所：{name}，{dist}（步行约 {min} 分钟）。",
+    noRoute: "在 {dist} 以内未找到通往避难所的步行路线。",
+    capacity: "半径内避难所可容纳 {total} 人（{unknown} 处避难所无容量数据）。",
+    perResident: "按 {residents} 人计算，人均容量 {value}。",
+    population: "半径内估计居民：{residents} 人；每千名居民避难所：{shelters}；人口调整评分：{score}。",
+    hazardFilter: "仅计入适用于{hazard}的避难所（排除 {excluded} 处，{unrated} 处无指定信息）。",
+    zoneItem: "{hazard}（等级 {class}/4）",
+    zones: "位于灾害风险区内：{list}；评分乘以 ×{penalty}。",
+    osm: "已合并 OpenStreetMap 数据：MLIT 数据中没有的地点 {added} 处（{matched} 处重复未重复计算）。",
+    timeAt: "已按{when}的开放时间核对；半径内没有关闭的设施。",
+    timeClosed: "{when}有 {count} 处设施关闭，未计入：{list}。",
+    timeUnstaffed: "{count} 处学校避难所该时间可能无人值守，按一半计算：{list}。",
+    extraItem: "{label} {count}",
+    extra: "其他评分项目：{list}。",
+    profile: "评分方案：{id}。",
+    profileCustom: "评分方案：{id}（自定义权重）。",
+    scale: "评分（0–1）：0–0.30 低，0.30–0.70 中，0.70–1.00 高。",
+    unknown: "未知",
+    listSep: "、",
+    hazard: { flood: "洪水", earthquake: "地震", tsunami: "海啸", fire: "大规模火灾", landslide: "山体滑坡", volcano: "火山" },
+    weekday: ["星期一", "星期二", "星期三", "星期四", "星期五", "星期六", "星期日"],
+    scenario: { day: "工作日中午（12点）", night: "工作日凌晨（3点）", "school-hours": "工作日上课时间（10点）", weekend: "星期日中午（12点）" },
+    errLonLat: "lon 和 lat 必须是数字",
+    errRadius: "radius 必须是大于 0、不超过 {max} 的米数",
+    errAlgorithm: "algorithm 必须是以下之一：{list}",
+    errWeight: "{key} 必须是不小于 0 的权重",
+    errHazard: "hazard_type 必须是以下之一：{list}",
+    errScenario: "scenario 必须是以下之一：{list}",
+    errQuery: "必须提供 q（地址、车站或地点名称）",
+    errNoPlace: "找不到与“{q}”匹配的地点",
+    errBatchBody: "请求体必须是点数组、{ points: [...] } 或 GeoJSON FeatureCollection",
+    errCompare: "请求体必须是 { locations: [...] }，包含 {min}–{max} 个 { name?, lon, lat } 或 { name?, q }",
+    errLocation: "locations[{i}]：lon 必须在 -180..180 之间，lat 必须在 -90..90 之间",
+    errBbox: "需要 bbox=minLon,minLat,maxLon,maxLat",
+    errAdmin: "拒绝管理员访问",
+    errScope: 'scope 必须是 "osm"、"llm" 或 "geocode"',
+  },
+  ko: {
+    overall: "종합 점수: {score} (약 {score100}/100).",
+    area: "위치: {label}.",
+    noneShelters: "검색 반경 내에 대피소가 없습니다.",
+    noneHealth: "검색 반경 내에 의료·보건 시설이 없습니다.",
+    noneBoth: "검색 반경 내에 대피소와 의료·보건 시설이 없습니다.",
+    schools: "학교: {count}곳, 가장 가까운 곳 {dist}.",
+    shelterOutside: "가장 가까운 대피소(반경 밖): {dist}.",
+    healthOutside: "가장 가까운 의료·보건 시설(반경 밖): {dist}.",
+    route: "걸어서 가장 빠른 대피소: {name}, {dist} (도보 약 {min}분).",
+    noRoute: "{dist} 이내에 대피소까지 가는 도보 경로가 없습니다.",
+    capacity: "반경 내 대피소 수용 인원: {total}명 (수용 정보 없는 대피소 {unknown}곳).",
+    perResident: "주민 {residents}명 기준 1인당 수용: {value}.",
+    population: "반경 내 추정 주민: {residents}명; 주민 1,000명당 대피소: {shelters}; 인구 보정 점수: {score}.",
+    hazardFilter: "{hazard}에 대응하는 대피소만 집계했습니다 (제외 {excluded}곳, 지정 정보 없음 {unrated}곳).",
+    zoneItem: "{hazard} (등급 {class}/4)",
+    zones: "재해 위험 구역 안: {list}; 점수 ×{penalty} 감소.",
+    osm: "OpenStreetMap 데이터 포함: MLIT 데이터에 없는 장소 {added}곳 (중복 {matched}곳은 한 번만 집계).",
+    timeAt: "{when} 기준 운영 시간을 확인했습니다. 반경 내에 문을 닫은 시설은 없습니다.",
+    timeClosed: "{when}에는 시설 {count}곳이 문을 닫아 집계하지 않았습니다: {list}.",
+    timeUnstaffed: "학교 대피소 {count}곳은 이 시간에 직원이 없을 수 있어 절반으로 집계했습니다: {list}.",
+    extraItem: "{label} {count}곳",
+    extra: "기타 평가 항목: {list}.",
+    profile: "평가 프로필: {id}.",
+    profileCustom: "평가 프로필: {id} (가중치 직접 지정).",
+    scale: "점수(0–1): 0–0.30 낮음, 0.30–0.70 보통, 0.70–1.00 높음.",
+    unknown: "알 수 없음",
+    listSep: ", ",
+    hazard: { flood: "홍수", earthquake: "지진", tsunami: "쓰나미", fire: "대규모 화재", landslide: "토사 재해", volcano: "화산" },
+    weekday: ["월요일", "화요일", "수요일", "목요일", "금요일", "토요일", "일요일"],
+    scenario: { day: "평일 정오(12시)", night: "평일 새벽(3시)", "school-hours": "평일 수업 시간(10시)", weekend: "일요일 정오(12시)" },
+    errLonLat: "lon과 lat는 숫자여야 합니다",
+    errRadius: "radius는 0보다 크고 {max} 이하인 미터 값이어야 합니다",
+    errAlgorithm: "algorithm은 다음 중 하나여야 합니다: {list}",
+    errWeight: "{key}는 0 이상의 가중치여야 합니다",
+    errHazard: "hazard_type은 다음 중 하나여야 합니다: {list}",
+    errScenario: "scenario는 다음 중 하나여야 합니다: {list}",
+    errQuery: "q(주소, 역 이름 또는 장소 이름)가 필요합니다",
+    errNoPlace: '"{q}"에 해당하는 장소를 찾을 수 없습니다',
+    errBatchBody: "본문은 지점 배열, { points: [...] } 또는 GeoJSON FeatureCollection이어야 합니다",
+    errCompare: "본문은 { name?, lon, lat } 또는 { name?, q } 항목 {min}–{max}개를 담은 { locations: [...] }이어야 합니다",
+    errLocation: "locations[{i}]: lon은 -180..180, lat은 -90..90 범위여야 합니다",
+    errBbox: "bbox=minLon,minLat,maxLon,maxLat 가 필요합니다",
+    errAdmin: "관리자 접근이 거부되었습니다",
+    errScope: 'scope는 "osm", "llm" 또는 "geocode"여야 합니다',
+  },
+  vi: {
+    overall: "Điểm tổng hợp: {score} (≈ {score100}/100).",
+    area: "Vị trí: {label}.",
+    noneShelters: "Không tìm thấy nơi lánh nạn nào trong bán kính tìm kiếm.",
+    noneHealth: "Không tìm thấy cơ sở y tế nào trong bán kính tìm kiếm.",
+    noneBoth: "Không tìm thấy nơi lánh nạn và cơ sở y tế nào trong bán kính tìm kiếm.",
+    schools: "Trường học: {count}; gần nhất {dist}.",
+    shelterOutside: "Nơi lánh nạn gần nhất (ngoài bán kính): {dist}.",
+    healthOutside: "Cơ sở y tế gần nhất (ngoài bán kính): {dist}.",
+    route: "Nơi lánh nạn đi bộ nhanh nhất: {name}, {dist} (khoảng {min} phút).",
+    noRoute: "Không có đường đi bộ đến nơi lánh nạn trong phạm vi {dist}.",
+    capacity: "Sức chứa nơi lánh nạn trong bán kính: {total} người ({unknown} nơi không có dữ liệu sức chứa).",
+    perResident: "Sức chứa mỗi người dân: {value} cho {residents} người.",
+    population: "Dân số ước tính trong bán kính: {residents} người; nơi lánh nạn trên 1.000 dân: {shelters}; điểm theo dân số: {score}.",
+    hazardFilter: "Chỉ tính các nơi lánh nạn dùng được khi {hazard} (loại {excluded} nơi, {unrated} nơi chưa được xếp loại).",
+    zoneItem: "{hazard} (cấp {class}/4)",
+    zones: "Nằm trong vùng nguy cơ: {list}; điểm giảm ×{penalty}.",
+    osm: "Có dùng dữ liệu OpenStreetMap: {added} địa điểm không có trong dữ liệu MLIT ({matched} địa điểm trùng chỉ tính một lần).",
+    timeAt: "Đã kiểm tra giờ mở cửa vào {when}; không có cơ sở nào trong bán kính đóng cửa.",
+    timeClosed: "Vào {when}, {count} cơ sở đóng cửa và không được tính: {list}.",
+    timeUnstaffed: "{count} nơi lánh nạn tại trường học có thể không có nhân viên lúc đó và được tính một nửa: {list}.",
+    extraItem: "{label} {count}",
+    extra: "Cũng được chấm điểm: {list}.",
+    profile: "Cấu hình chấm điểm: {id}.",
+    profileCustom: "Cấu hình chấm điểm: {id} (trọng số tùy chỉnh).",
+    scale: "Thang điểm (0–1): 0–0.30 thấp, 0.30–0.70 trung bình, 0.70–1.00 cao.",
+    unknown: "không rõ",
+    listSep: ", ",
+    hazard: { flood: "lũ lụt", earthquake: "động đất", tsunami: "sóng thần", fire: "hỏa hoạn lớn", landslide: "sạt lở đất", volcano: "núi lửa" },
+    weekday: ["Thứ Hai", "Thứ Ba", "Thứ Tư", "Thứ Năm", "Thứ Sáu", "Thứ Bảy", "Chủ Nhật"],
+    scenario: { day: "trưa ngày thường (12 giờ)", night: "3 giờ sáng ngày thường", "school-hours": "giờ học ngày thường (10 giờ)", weekend: "trưa Chủ Nhật (12 giờ)" },
+    errLonLat: "lon và lat phải là số",
+    errRadius: "radius phải là số mét lớn hơn 0 và không quá {max}",
+    errAlgorithm: "algorithm phải là một trong: {list}",
+    errWeight: "{key} phải là trọng số từ 0 trở lên",
+    errHazard: "hazard_type phải là một trong: {list}",
+    errScenario: "scenario phải là một trong: {list}",
+    errQuery: "cần có q (địa chỉ, tên ga hoặc tên địa điểm)",
+    errNoPlace: 'Không tìm thấy địa điểm nào cho "{q}"',
+    errBatchBody: "nội dung phải là mảng điểm, { points: [...] } hoặc GeoJSON FeatureCollection",
+    errCompare: "nội dung phải là { locations: [...] } gồm {min}–{max} mục { name?, lon, lat } hoặc { name?, q }",
+    errLocation: "locations[{i}]: lon phải trong khoảng -180..180 và lat trong khoảng -90..90",
+    errBbox: "cần có bbox=minLon,minLat,maxLon,maxLat",
+    errAdmin: "từ chối quyền quản trị",
+    errScope: 'scope phải là "osm", "llm" hoặc "geocode"',
+  },
+  "ja-easy": {
+    overall: "てんすう: {score}（100てん で {score100}てん）。",
+    area: "ばしょ: {label}。",
+    noneShelters: "ちかくに ひなんじょは ありません。",
+    noneHealth: "ちかくに びょういんは ありません。",
+    noneBoth: "ちかくに ひなんじょと びょういんは ありません。",
+    schools: "がっこうは {count}か所 あります。いちばん ちかい がっこうまで {dist}。",
+    shelterOutside: "いちばん ちかい ひなんじょまで {dist}。",
+    healthOutside: "いちばん ちかい びょういんまで {dist}。",
+    route: "あるいて いちばん はやく いける ひなんじょ: {name}。{dist}、あるいて {min}ふん ぐらい。",
+    noRoute: "{dist} の なかに、ひなんじょまで あるいて いく みちが ありません。",
+    capacity: "ひなんじょには {total}人 はいれます（はいれる 人数が わからない ひなんじょ {unknown}か所）。",
+    perResident: "すんでいる 人 {residents}人で わると、ひとり あたり {value}。",
+    population: "この まるの なかに すんでいる ひと: {residents}人。1000人 あたりの ひなんじょ: {shelters}。ひとの かずで みた てんすう: {score}。",
+    hazardFilter: "{hazard}の ときに つかえる ひなんじょだけを かぞえました（つかえない {excluded}か所、わからない {unrated}か所）。",
+    zoneItem: "{hazard}（レベル {class}/4）",
+    zones: "ここは きけんな ばしょです: {list}。てんすうを ×{penalty} に しました。",
+    osm: "OpenStreetMapの じょうほうも つかいました: あたらしい ばしょ {added}か所（おなじ ばしょ {matched}か所は かさねて かぞえません）。",
+    timeAt: "{when} に あいて いるか しらべました。しまって いる ばしょは ありません。",
+    timeClosed: "{when} は しまって いる ばしょ {count}か所を かぞえませんでした: {list}。",
+    timeUnstaffed: "がっこう の ひなんじょ {count}か所は この じかん ひとが いない かもしれないので、はんぶん で かぞえました: {list}。",
+    extraItem: "{label} {count}か所",
+    extra: "ほかに みた もの: {list}。",
+    profile: "けいさんの しかた: {id}。",
+    profileCustom: "けいさんの しかた: {id}（じぶんで きめた おもさ）。",
+    scale: "てんすう（0–1）: 0–0.30 ひくい、0.30–0.70 ふつう、0.70–1.00 たかい。",
+    unknown: "わかりません",
+    listSep: "・",
+    hazard: { flood: "おおあめ・こうずい", earthquake: "じしん", tsunami: "つなみ", fire: "おおきな かじ", landslide: "がけくずれ", volcano: "かざん" },
+    weekday: ["げつようび", "かようび", "すいようび", "もくようび", "きんようび", "どようび", "にちようび"],
+    scenario: { day: "へいじつ の ひる（12じ）", night: "へいじつ の よなか（3じ）", "school-hours": "へいじつ の じゅぎょう の じかん（10じ）", weekend: "にちようび の ひる（12じ）" },
+    errLonLat: "lon と lat に すうじを いれて ください",
+    errRadius: "radius には 0 より おおきく {max} までの メートルの すうじを いれて ください",
+    errAlgorithm: "algorithm には つぎの どれかを いれて ください: {list}",
+    errWeight: "{key} には 0 いじょうの すうじを いれて ください",
+    errHazard: "hazard_type には つぎの どれかを いれて ください: {list}",
+    errScenario: "scenario には つぎの どれかを いれて ください: {list}",
+    errQuery: "q に じゅうしょ や えき の なまえ を いれて ください",
+    errNoPlace: "「{q}」の ばしょが みつかりません",
+    errBatchBody: "ばしょの リスト、{ points: [...] }、GeoJSON FeatureCollection の どれかを おくって ください",
+    errCompare: "{ locations: [...] } に { name?, lon, lat } か { name?, q } を {min}〜{max}こ いれて ください",
+    errLocation: "locations[{i}]: lon は -180〜180、lat は -90〜90 の あいだの すうじを いれて ください",
+    errBbox: "bbox=minLon,minLat,maxLon,maxLat を いれて ください",
+    errAdmin: "かんりしゃ だけが つかえます",
+    errScope: 'scope は "osm" か "llm" か "geocode" に して ください',
+  },
+};
+
+// ---------- public ----------
+/** Catalog id for a language tag ("ko-KR" → "ko"), or null when there is no catalog for it */
+export function normalizeLang(tag: unknown): Lang | null {
+  const s = String(tag ?? "").trim().toLowerCase().replace(/_/g, "-");
+  if (!s) return null;
+  if ((LANGS as readonly string[]).includes(s)) return s as Lang;
+  if (ALIASES[s]) return ALIASES[s];
+  const primary = s.split("-")[0];
+  return (LANGS as readonly string[]).includes(primary) ? (primary as Lang) : null;
+}
+
+/** ?lang= (or body.lang) first, then Accept-Language by q-value, then en */
+export function negotiateLang(req: express.Request): Lang {
+  const explicit = normalizeLang(req.query.lang ?? req.body?.lang);
+  if (explicit) return explicit;
+  const ranked = String(req.get("accept-language") ?? "")
+    .split(",")
+    .map((part, i) => {
+      const [tag, ...opts] = part.trim().split(";");
+      const q = Number(opts.find((o) => o.trim().startsWith("q="))?.trim().slice(2) ?? 1);
+      return { tag: tag.trim(), q: Number.isFinite(q) ? q : 0, i };
+    })
+    .filter((x) => x.tag && x.tag !== "*" && x.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  for (const { tag } of ranked) {
+    const lang = normalizeLang(tag);
+    if (lang) return lang;
+  }
+  return DEFAULT_LANG;
+}
+
+/** Catalog message with {name} placeholders filled; unknown ones are left as they are */
+export function t(lang: Lang, key: MessageKey, vars: Record<string, string | number> = {}): string {
+  return CATALOG[lang][key].replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m));
+}
+
+/** Hazard name, or the raw id for one the catalog does not know */
+export function hazardName(lang: Lang, id: string): string {
+  return (CATALOG[lang].hazard as Record<string, string>)[id] ?? id;
+}
+
+/**
+ * The moment a ScoreResult's time filter is for: the scenario's name, or the
+ * weekday ("Mo".."Su") and local time of an explicit datetime
+ */
+export function whenLabel(lang: Lang, time: { weekday: string; time: string; scenario?: string | null; datetime?: string | null }): string {
+  const m = CATALOG[lang];
+  const scenario = time.scenario && !time.datetime ? (m.scenario as Record<string, string>)[time.scenario] : undefined;
+  if (scenario) return scenario;
+  const day = m.weekday[["Mo", "Tu", "We", "Th", "Fr", "Sa", "Su"].indexOf(time.weekday)] ?? time.weekday;
+  return `${day} ${time.time}`;
+}
@@ -0,0 +1,166 @@
+// agent/src/llm.ts
+// Explanation providers behind one small interface, picked with LLM_PROVIDER:
+//   gemini    Google Gemini (GEMINI_API_KEY or GOOGLE_API_KEY, GEMINI_MODEL)
+//   openai    any OpenAI-compatible /chat/completions endpoint: OpenAI itself,
+//             llama.cpp server, Ollama, vLLM, ... (LLM_BASE_URL, LLM_MODEL, LLM_API_KEY)
+//   template  the deterministic catalog text from fallback.ts, no model at all
+//   mock      canned answer streamed in chunks, for tests and offline work
+//             (MOCK_LLM_MODE, MOCK_LLM_DELAY_MS between chunks)
+// Unset: gemini when a Gemini key is present, otherwise none (fallback text only).
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { fallbackExplanation, fallbackText } from "./fallback.js";
+import type { Lang } from "./i18n.js";
+
+export type ProviderId = "gemini" | "openai" | "template" | "mock";
+
+/** What an explanation is asked for; the prompt alone is enough for real models */
+export type LlmRequest = { prompt: string; scoreResult: any; lang: Lang };
+
+export type LlmProvider = {
+  id: ProviderId;
+  model: string;
+  /** Remote answers are worth caching; local ones are cheaper to recompute */
+  cacheable: boolean;
+  /** Raw model output in chunks; callers join and validate it */
+  stream(req: LlmRequest, signal?: AbortSignal): AsyncIterable<string>;
+};
+
+// ---------- config ----------
+const PROVIDERS: readonly ProviderId[] = ["gemini", "openai", "template", "mock"];
+const TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 60000;
+
+// ---------- providers ----------
+function geminiProvider(apiKey: string): LlmProvider {
+  const model = process.env.GEMINI_MODEL || "gemini-1.5-pro";
+  return {
+    id: "gemini",
+    model,
+    cacheable: true,
+    async *stream({ prompt }, signal) {
+      const m = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+      const result = await m.generateContentStream(prompt, { signal, timeout: TIMEOUT_MS });
+      for await (const chunk of result.stream) yield chunk.text();
+    },
+  };
+}
+
+function openaiProvider(): LlmProvider {
+  // e.g. http://localhost:11434/v1 (Ollama) or http://localhost:8080/v1 (llama.cpp)
+  const baseUrl = (process.env.LLM_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, "");
+  const model = process.env.LLM_MODEL || "gpt-4o-mini";
+  const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY;
+  return {
+    id: "openai",
+    model,
+    cacheable: true,
+    async *stream({ prompt }, signal) {
+      const timeout = AbortSignal.timeout(TIMEOUT_MS);
+      const res = await fetch(`${baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+        body: JSON.stringify({ model, stream: true, messages: [{ role: "user", content: prompt }] }),
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+      });
+      if (!res.ok || !res.body) throw new Error(`${baseUrl} ${res.status}: ${(await res.text()).slice(0, 200)}`);
+
+      // Server-sent events: "data: {chunk}" lines, ending with "data: [DONE]"
+      const decoder = new TextDecoder();
+      let buf = "";
+      for await (const bytes of res.body as unknown as AsyncIterable<Uint8Array>) {
+        buf += decoder.decode(bytes, { stream: true });
+        let nl: number;
+        while ((nl = buf.indexOf("\n")) >= 0) {
+          const line = buf.slice(0, nl).trim();
+          buf = buf.slice(nl + 1);
+          if (!line.startsWith("data:")) continue;
+          const data = line.slice(5).trim();
+          if (data === "[DONE]") return;
+          const text = JSON.parse(data)?.choices?.[0]?.delta?.content;
+          if (text) yield String(text);
+        }
+      }
+    },
+  };
+}
+
+function templateProvider(): LlmProvider {
+  return {
+    id: "template",
+    model: "fallback",
+    cacheable: false,
+    async *stream({ scoreResult, lang }) {
+      const { en, ja, factors, caveats, text } = fallbackExplanation(scoreResult, lang);
+      yield JSON.stringify({ en, ja, text, factors, caveats });
+    },
+  };
+}
+
+// MOCK_LLM_MODE exercises each path of explanation.ts:
+//   ok       valid JSON
+//   fenced   valid JSON inside a ```json fence, after a line of chatter
+//   invalid  prose only, even when asked to repair (fallback)
+//   wrong    cites a school count that is not in the data, corrected when asked to repair
+//   error    throws after the first chunk
+// Tests pass the mode directly (agent/test/*.test.ts).
+export function mockProvider(mode = process.env.MOCK_LLM_MODE || "ok"): LlmProvider {
+  mode = mode.toLowerCase();
+  const delayMs = Number(process.env.MOCK_LLM_DELAY_MS) || 0;
+  const pause = () => new Promise((r) => setTimeout(r, delayMs));
+  return {
+    id: "mock",
+    model: `mock-${mode}`,
+    cacheable: false,
+    async *stream({ prompt, scoreResult: sr, lang }, signal) {
+      const repairing = /previous answer was rejected/.test(prompt);
+      const score = (Number(sr?.score) || 0).toFixed(2);
+      const radius = sr?.params?.radiusMeters ?? 0;
+      const schools = (sr?.schools?.count ?? 0) + (mode === "wrong" && !repairing ? 7 : 0);
+      const json = JSON.stringify({
+        en: `[mock] Score ${score}: ${sr?.shelters?.count ?? 0} shelters, ${schools} schools and ${sr?.healths?.count ?? 0} health facilities within ${radius} m.`,
+        ja: `[mock] スコア ${score}：半径${radius}m以内に避難所${sr?.shelters?.count ?? 0}件、学校${schools}件、医療・保健${sr?.healths?.count ?? 0}件。`,
+        factors: [`${schools} schools within ${radius} m`],
+        caveats: ["Generated by the mock provider."],
+        ...(lang !== "en" && lang !== "ja" ? { text: `[mock] ${fallbackText(sr, lang)}` } : {}),
+      });
+      const answer = mode === "fenced" ? `Here is the JSON you asked for:\n\`\`\`json\n${json}\n\`\`\``
+        : mode === "invalid" ? `Sure! The score is ${score}.`
+        : json;
+      for (let i = 0; i < answer.length; i += 16) {
+        if (signal?.aborted) return;
+        if (mode === "error" && i > 0) throw new Error("mock provider failure");
+        if (delayMs) await pause();
+        yield answer.slice(i, i + 16);
+      }
+    },
+  };
+}
+
+// ---------- public ----------
+let selected: { provider: LlmProvider | null } | null = null;
+
+/** The configured provider (null = none, use the fallback text); throws on a bad LLM_PROVIDER */
+export function llmProvider(): LlmProvider | null {
+  if (selected) return selected.provider;
+  const geminiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
+  const id = (process.env.LLM_PROVIDER || (geminiKey ? "gemini" : "none")).toLowerCase();
+
+  let provider: LlmProvider | null;
+  if (id === "none") provider = null;
+  else if (id === "gemini") {
+    if (!geminiKey) throw new Error("LLM_PROVIDER=gemini needs GEMINI_API_KEY or GOOGLE_API_KEY");
+    provider = geminiProvider(geminiKey);
+  } else if (id === "openai") provider = openaiProvider();
+  else if (id === "template") provider = templateProvider();
+  else if (id === "mock") provider = mockProvider();
+  else throw new Error(`unknown LLM_PROVIDER "${id}" (available: ${PROVIDERS.join(", ")}, none)`);
+
+  selected = { provider };
+  return provider;
+}
+
+/** Whole answer of a provider, for callers that do not stream */
+export async function generateText(p: LlmProvider, req: LlmRequest, signal?: AbortSignal): Promise<string> {
+  let raw = "";
+  for await (const chunk of p.stream(req, signal)) raw += chunk;
+  return raw;
+}
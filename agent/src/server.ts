@@ -1,16 +1,21 @@
 // agent/src/server.ts
 import express from "express";
 import cors from "cors";
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { createHash } from "crypto";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
 import { ensureMcp } from "./mcpClient.js";
+import { createCache, cacheMeta, purgeCache, cacheStats, type CacheMeta } from "./cache.js";
+import { fallbackExplanation } from "./fallback.js";
+import { llmProvider, type LlmProvider } from "./llm.js";
+import { explainWithLlm, type Explanation, type ExplanationPath } from "./explanation.js";
+import { negotiateLang, t, HAZARD_IDS, SCENARIO_IDS, type Lang } from "./i18n.js";
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: "2mb" })); // batch bodies can carry ~1000 features
 app.use(express.static("public"));
 
 const PORT = process.env.PORT ? Number(process.env.PORT) : 5173;
-const GEMINI_MODEL = process.env.GEMINI_MODEL || "gemini-1.5-pro";
 
 // ---------- tiny utils ----------
 const num = (v: unknown) => {
@@ -18,284 +23,622 @@ const num = (v: unknown) => {
   return Number.isFinite(n) ? n : null;
 };
 
-function fmtDist(m?: number | null) {
-  if (m == null || !Number.isFinite(m)) return "不明";
-  return m < 1000 ? `${Math.round(m)} m` : `${(m / 1000).toFixed(2)} km`;
+// ?radius= (or body.radius) in meters: 1500 when absent, a 400 outside (0, MAX_RADIUS_M]
+const MAX_RADIUS_M = 20000; // MAX_RADIUS_METERS of the MCP tools
+function radiusArg(v: unknown, lang: Lang): number {
+  if (v == null || v === "") return 1500;
+  const r = num(v);
+  if (r == null || r <= 0 || r > MAX_RADIUS_M) throw httpError(400, t(lang, "errRadius", { max: MAX_RADIUS_M }));
+  return r;
 }
 
-function haversineMeters(lon1:number, lat1:number, lon2:number, lat2:number) {
-  const toRad = (d:number)=>d*Math.PI/180;
-  const R = 6371_000;
-  const dLat = toRad(lat2-lat1);
-  const dLon = toRad(lon2-lon1);
-  const a = Math.sin(dLat/2)**2 + Math.cos(toRad(lat1))*Math.cos(toRad(lat2))*Math.sin(dLon/2)**2;
-  return 2*R*Math.asin(Math.sqrt(a));
+// Scoring profile args shared by every scoring route:
+// ?profile=<id>&algorithm=<saturating|soft-cap>&w_<layer id>= (w_shelter, w_school, w_civic, ...)
+// (or the same keys in a JSON body, or body.weights = { <layer id>: n }).
+// An unknown algorithm or a negative weight is a 400; unknown profiles are the MCP's call.
+const ALGORITHMS = ["saturating", "soft-cap"]; // ALGORITHMS of mcp-servers/safety/src/lib/profiles.ts
+function profileArgs(src: any, lang: Lang): { profile?: string; weights?: Record<string, number>; algorithm?: string } {
+  const profile = typeof src?.profile === "string" && src.profile ? src.profile : undefined;
+  const algorithm = typeof src?.algorithm === "string" && src.algorithm ? src.algorithm : undefined;
+  if (algorithm && !ALGORITHMS.includes(algorithm)) {
+    throw httpError(400, t(lang, "errAlgorithm", { list: ALGORITHMS.join(", ") }));
+  }
+  const weights: Record<string, number> = {};
+  const weight = (key: string, v: number) => {
+    if (v < 0) throw httpError(400, t(lang, "errWeight", { key }));
+    return v;
+  };
+  for (const [k, raw] of Object.entries(src ?? {})) {
+    const v = num(raw);
+    if (k.startsWith("w_") && v != null) weights[k.slice(2)] = weight(k, v);
+  }
+  for (const [k, raw] of Object.entries(src?.weights ?? {})) {
+    const v = num(raw);
+    if (v != null) weights[k] = weight(`weights.${k}`, v);
+  }
+  return { profile, algorithm, ...(Object.keys(weights).length ? { weights } : {}) };
 }
 
-// ---------- fallbacks (EN / JA) ----------
-function fallbackExplain(sr: any): string {
-  const shelters = sr?.shelters ?? {};
-  const schools  = sr?.schools ?? {};
-  const healths  = sr?.health ?? sr?.healths ?? {};
-
-  const s01  = Math.max(0, Math.min(1, Number(sr?.score) || 0));
-  const s100 = Math.round(s01 * 100);
+// ?hazard_type= (or body.hazard_type): one of HAZARD_IDS, anything else is a 400
+function hazardArg(v: unknown, lang: Lang): string | undefined {
+  if (v == null || v === "") return undefined;
+  if (!HAZARD_IDS.some((id) => id === v)) throw httpError(400, t(lang, "errHazard", { list: HAZARD_IDS.join(", ") }));
+  return v as string;
+}
 
-  const lines: string[] = [];
-  lines.push(`Overall score: ${s01.toFixed(2)} (≈ ${s100}/100).`);
+// ?scenario=: one of SCENARIO_IDS, anything else is a 400
+function scenarioArg(v: unknown, lang: Lang): string | undefined {
+  if (v == null || v === "") return undefined;
+  if (!SCENARIO_IDS.some((id) => id === v)) throw httpError(400, t(lang, "errScenario", { list: SCENARIO_IDS.join(", ") }));
+  return v as string;
+}
 
-  const missing: string[] = [];
-  if ((shelters.count ?? 0) === 0) missing.push("shelters");
-  if ((healths.count  ?? 0) === 0) missing.push("health facilities");
-  if (missing.length) lines.push(`No ${missing.join(" and ")} found within the search radius.`);
+// ward=横浜市西区 | 西区 | 横浜市 | 新宿区 limits batch and grid scoring to one area (MCP admin boundaries)
+function wardArg(src: any): { ward?: string } {
+  const ward = typeof src?.ward === "string" ? src.ward.trim() : "";
+  return ward ? { ward } : {};
+}
 
-  if ((schools.count ?? 0) > 0) {
-    lines.push(`Schools: ${schools.count}; nearest ${fmtDist(schools.nearest?.distance_m)}.`);
+// ---------- caches ----------
+// Keys: coordinates rounded to CACHE_COORD_DECIMALS (4 ≈ 11 m), radius, and the
+// MCP's dataVersion, so a data reload never serves answers built on old layers.
+const CACHE_COORD_DECIMALS = num(process.env.CACHE_COORD_DECIMALS) ?? 4;
+const osmCache = createCache<any>("osm", (num(process.env.OVERPASS_CACHE_TTL_S) ?? 86400) * 1000);
+const llmCache = createCache<Explanation>("llm", (num(process.env.LLM_CACHE_TTL_S) ?? 7 * 86400) * 1000);
+const geocodeCache = createCache<any>("geocode", (num(process.env.GEOCODE_CACHE_TTL_S) ?? 86400) * 1000);
+
+const spotKey = (lon: number, lat: number, radius: number) =>
+  `${lon.toFixed(CACHE_COORD_DECIMALS)},${lat.toFixed(CACHE_COORD_DECIMALS)}:${radius}`;
+const shortHash = (v: unknown) => createHash("sha1").update(JSON.stringify(v)).digest("hex").slice(0, 10);
+
+// ---------- MCP ----------
+async function callToolJson(name: string, args: Record<string, unknown>): Promise<any> {
+  const { mcp } = await ensureMcp();
+  let toolRes;
+  try {
+    toolRes = await mcp.callTool({ name, arguments: args });
+  } catch (e) {
+    // Arguments the tool's schema rejects never reach it: a 400 as well, minus the schema dump
+    if (e instanceof McpError && e.code === ErrorCode.InvalidParams) {
+      throw Object.assign(new Error(`[MCP ${name}] ${invalidParamsText(e.message)}`), { status: 400 });
+    }
+    throw e;
   }
-  if ((shelters.count ?? 0) === 0 && shelters.nearest) {
-    lines.push(`Nearest shelter (outside radius): ${fmtDist(shelters.nearest.distance_m)}.`);
+
+  // Normalize tool content -> JSON
+  const content: any[] = (toolRes as any)?.content ?? [];
+  const first = Array.isArray(content) ? content[0] : null;
+  // Tool errors: the MCP marks argument problems (bad bbox, batch too large, ...) as
+  // InvalidParams -> 400; anything else (unreadable data, a missing walk graph,
+  // a misconfigured geocoder) is the MCP's own failure -> 502
+  if ((toolRes as any)?.isError) {
+    const text = String(first?.text ?? "tool error");
+    const code = Number(text.match(/^MCP error (-?\d+):/)?.[1]);
+    if (code === ErrorCode.InvalidParams) {
+      throw Object.assign(new Error(`[MCP ${name}] ${invalidParamsText(text)}`), { status: 400 });
+    }
+    throw Object.assign(new Error(`[MCP ${name}] ${text}`), { status: 502 });
   }
-  if ((healths.count ?? 0) === 0 && healths.nearest) {
-    lines.push(`Nearest health facility (outside radius): ${fmtDist(healths.nearest.distance_m)}.`);
+  return first?.type === "json" ? (first as any).json : JSON.parse(first?.text ?? "{}");
+}
+
+// "MCP error -32602: Invalid arguments for tool x: [zod issues as JSON]" -> "path: message; ...",
+// "MCP error -32602: <message>" -> "<message>"
+function invalidParamsText(message: string): string {
+  const m = message.match(/Invalid arguments for tool [^:]*: (\[[\s\S]*\])\s*$/);
+  try {
+    const issues: any[] = JSON.parse(m?.[1] ?? "");
+    return issues.map((i) => `${(i.path ?? []).join(".") || "arguments"}: ${i.message}`).join("; ");
+  } catch {
+    return message.replace(/^MCP error -?\d+: /, "");
   }
-  lines.push("Scale (0–1): 0–0.30 low, 0.30–0.70 moderate, 0.70–1.00 high.");
-  return lines.join("\n");
 }
 
-function fallbackExplainJa(sr: any): string {
-  const shelters = sr?.shelters ?? {};
-  const schools  = sr?.schools ?? {};
-  const healths  = sr?.health ?? sr?.healths ?? {};
+// ---------- geocoding ----------
+// The MCP's geocode tool: the local gazetteer (layer POI names plus the addresses
+// and stations from scripts/import-gazetteer.mjs) first, the GEOCODER remote only
+// when nothing local matches well. Only answers that reached the remote are
+// cached; a layer reload drops them, since the local half may have changed.
+
+type Near = { lon: number; lat: number } | null;
+
+async function geocodeCached(query: string, limit: number, near: Near, cache: Record<string, CacheMeta>): Promise<any> {
+  const at = near ? `${near.lon.toFixed(CACHE_COORD_DECIMALS)},${near.lat.toFixed(CACHE_COORD_DECIMALS)}` : "-";
+  const key = `${query.normalize("NFKC")}:${limit}:${at}`;
+  const hit = geocodeCache.get(key);
+  const result = hit?.value ?? await callToolJson("geocode", { query, limit, ...(near ?? {}) });
+  if (!hit && result?.remote?.used && !result.remote.error) geocodeCache.set(key, result);
+  cache.geocode = cacheMeta(key, hit);
+  return result;
+}
 
-  const s01  = Math.max(0, Math.min(1, Number(sr?.score) || 0));
-  const s100 = Math.round(s01 * 100);
+// ---------- OSM enrichment ----------
+// OSM POIs come from the MCP's osm_nearby tool: the locally imported extract
+// (scripts/import-osm.mjs) first, Overpass only where that does not reach and
+// only unless OSM_REMOTE=off. Tag rules live in mcp-servers/safety/src/lib/osm-tags.ts.
+// They go back to score_point as supplemental POIs, which merges them into the
+// MLIT layers (duplicates count once) and rescores with the usual algorithm.
 
-  const lines: string[] = [];
-  lines.push(`総合スコア: ${s01.toFixed(2)}（約 ${s100}/100）。`);
+function osmSupplemental(osm: any) {
+  return { source: "OSM", pois: { shelter: osm.shelters ?? [], school: osm.schools ?? [], health: osm.healths ?? [] } };
+}
 
-  const none: string[] = [];
-  if ((shelters.count ?? 0) === 0) none.push("避難所");
-  if ((healths.count  ?? 0) === 0) none.push("医療・保健施設");
-  if (none.length) lines.push(`検索半径内に${none.join("・")}は見つかりませんでした。`);
+// ---------- explain pipeline ----------
+// Shared by GET /ai/explain (one JSON answer) and GET /ai/explain/stream (SSE).
+
+type ExplainRequest = {
+  lon: number;
+  lat: number;
+  radiusMeters: number;
+  noOSM: boolean;
+  routing: boolean;
+  /** Ask the MCP for scoreResult.steps (plain-language, screen-reader friendly) */
+  steps: boolean;
+  hazardType?: string;
+  residents?: number;
+  /** Only POIs open then: an ISO datetime, or a scenario (day, night, school-hours, weekend) */
+  datetime?: string;
+  scenario?: string;
+  profile: ReturnType<typeof profileArgs>;
+  lang: Lang;
+  /** The geocode match scored in place of lon/lat (?q=), else null */
+  geocoded: any | null;
+};
 
-  if ((schools.count ?? 0) > 0) {
-    lines.push(`学校は${schools.count}件、最寄りは ${fmtDist(schools.nearest?.distance_m)}。`);
+const httpError = (status: number, message: string) => Object.assign(new Error(message), { status });
+
+// ?q=<address | station | place name> stands in for lon/lat: the best geocode
+// match is scored. Throws 400 without either, 404 when nothing matches q.
+async function explainRequest(q: any, lang: Lang, cache: Record<string, CacheMeta>): Promise<ExplainRequest> {
+  let lon = num(q.lon);
+  let lat = num(q.lat);
+  let geocoded = null;
+  const text = typeof q.q === "string" ? q.q.trim() : "";
+  if ((lon == null || lat == null) && text) {
+    geocoded = (await geocodeCached(text, 1, null, cache)).results?.[0] ?? null;
+    if (!geocoded) throw httpError(404, t(lang, "errNoPlace", { q: text }));
+    ({ lon, lat } = geocoded);
   }
-  if ((shelters.count ?? 0) === 0 && shelters.nearest) {
-    lines.push(`（半径外）最寄りの避難所: ${fmtDist(shelters.nearest.distance_m)}。`);
-  }
-  if ((healths.count ?? 0) === 0 && healths.nearest) {
-    lines.push(`（半径外）最寄りの医療・保健: ${fmtDist(healths.nearest.distance_m)}。`);
-  }
-  lines.push("指標（0–1）: 0–0.30 低い / 0.30–0.70 中程度 / 0.70–1.00 高い。");
-  return lines.join("\n");
+  if (lon == null || lat == null) throw httpError(400, t(lang, "errLonLat"));
+  return {
+    lon,
+    lat,
+    radiusMeters: radiusArg(q.radius, lang),
+    noOSM: String(q.no_osm || "").toLowerCase() === "1",
+    routing: String(q.routing || "").toLowerCase() === "1",
+    steps: String(q.steps || "").toLowerCase() === "1",
+    // ?hazard_type=flood|earthquake|tsunami|fire|landslide|volcano  ?residents=<n>
+    hazardType: hazardArg(q.hazard_type, lang),
+    residents: num(q.residents) ?? undefined,
+    // ?datetime=2024-04-01T03:00 (local time, or with an offset)  ?scenario=day|night|school-hours|weekend
+    datetime: typeof q.datetime === "string" && q.datetime ? q.datetime : undefined,
+    scenario: scenarioArg(q.scenario, lang),
+    profile: profileArgs(q, lang),
+    lang,
+    geocoded,
+  };
 }
 
-// ---------- OSM fallback (Overpass API) ----------
-type OSMEl = {
-  type: "node"|"way"|"relation";
-  id: number;
-  lat?: number; lon?: number;
-  center?: { lat:number; lon:number };
-  tags?: Record<string,string>;
-};
-type OverpassResponse = { elements?: OSMEl[] };
-
-async function fetchOSM(lon:number, lat:number, radiusMeters:number) {
-  const query = `
-[out:json][timeout:25];
-(
-  nwr["amenity"="school"](around:${radiusMeters},${lat},${lon});
-  nwr["amenity"="kindergarten"](around:${radiusMeters},${lat},${lon});
-  nwr["amenity"="college"](around:${radiusMeters},${lat},${lon});
-  nwr["amenity"="university"](around:${radiusMeters},${lat},${lon});
-
-  nwr["amenity"="hospital"](around:${radiusMeters},${lat},${lon});
-  nwr["amenity"="clinic"](around:${radiusMeters},${lat},${lon});
-  nwr["amenity"="doctors"](around:${radiusMeters},${lat},${lon});
-
-  nwr["amenity"="shelter"](around:${radiusMeters},${lat},${lon});
-  nwr["emergency"="assembly_point"](around:${radiusMeters},${lat},${lon});
-);
-out center tags;`;
-
-  const res = await fetch("https://overpass-api.de/api/interpreter", {
-    method: "POST",
-    headers: { "Content-Type": "text/plain;charset=UTF-8" },
-    body: query
-  });
-  if (!res.ok) throw new Error(`Overpass ${res.status}`);
-  const json = (await res.json()) as OverpassResponse;
-  return json.elements ?? [];
-}
+// 1) MCP score (MLIT-derived), 2) merged with OSM POIs and rescored unless no_osm
+async function scoreForExplain(r: ExplainRequest, cache: Record<string, CacheMeta>): Promise<any> {
+  const { lon, lat, radiusMeters } = r;
+  const scoreArgs = {
+    lon, lat, radiusMeters, includeDiagnostics: false, routing: r.routing, steps: r.steps, hazardType: r.hazardType, residents: r.residents,
+    datetime: r.datetime, scenario: r.scenario, lang: r.lang, ...r.profile,
+  };
+  let scoreResult = await callToolJson("score_point", scoreArgs);
+  if (r.noOSM) return scoreResult;
 
-function classifyOSM(els: OSMEl[], lon:number, lat:number) {
-  const out = { schools: [] as any[], healths: [] as any[], shelters: [] as any[] };
-  for (const e of els) {
-    const c = e.center || (e.lat != null && e.lon != null ? { lat:e.lat, lon:e.lon } : null);
-    if (!c) continue;
-    const name = e.tags?.name ?? e.tags?.["name:ja"] ?? e.tags?.["name:en"] ?? "(unnamed)";
-    const d = haversineMeters(lon, lat, c.lon, c.lat);
-    const feat = { name, lon: c.lon, lat: c.lat, distance_m: d };
-
-    const amenity = e.tags?.amenity;
-    const emergency = e.tags?.emergency;
-
-    if (["school","kindergarten","college","university"].includes(amenity || "")) out.schools.push(feat);
-    else if (["hospital","clinic","doctors"].includes(amenity || "")) out.healths.push(feat);
-    else if (amenity === "shelter" || emergency === "assembly_point") out.shelters.push(feat);
+  try {
+    // Only Overpass answers are cached; the local extract is already instant
+    const key = `${spotKey(lon, lat, radiusMeters)}:${scoreResult?.params?.dataVersion ?? "-"}`;
+    const hit = osmCache.get(key);
+    const osm = hit?.value ?? await callToolJson("osm_nearby", { lon, lat, radiusMeters });
+    if (!hit && osm?.source === "overpass") osmCache.set(key, osm);
+    cache.osm = cacheMeta(key, hit);
+    if (osm?.source && (osm.shelters?.length || osm.schools?.length || osm.healths?.length)) {
+      scoreResult = await callToolJson("score_point", { ...scoreArgs, supplemental: osmSupplemental(osm) });
+      scoreResult.enrichment.origin = osm.source; // "local" | "overpass"
+    }
+  } catch (e) {
+    console.warn("[OSM enrichment] skipped:", (e as any)?.message || e);
   }
-  for (const k of ["schools","healths","shelters"] as const) out[k].sort((a,b)=>a.distance_m-b.distance_m);
-  return out;
+  return scoreResult;
+}
+
+// Everything besides the spot that changes the scored facts goes into the key
+function llmKeyFor(llm: LlmProvider, r: ExplainRequest, scoreResult: any): string {
+  return [
+    `${llm.id}/${llm.model}`,
+    r.lang,
+    spotKey(r.lon, r.lat, r.radiusMeters),
+    scoreResult?.params?.dataVersion ?? "-",
+    shortHash({
+      routing: r.routing, hazardType: r.hazardType, residents: r.residents, noOSM: r.noOSM, ...r.profile,
+      enrichment: scoreResult?.enrichment ?? null,
+      // The resolved moment, so every ?datetime= within the same minute shares an answer
+      time: scoreResult?.time ? [scoreResult.time.scenario, scoreResult.time.weekday, scoreResult.time.time] : null,
+    }),
+  ].join(":");
 }
 
-function enrichWithOSM(scoreResult:any, osm:any, weights?:{shelter:number;school:number;health:number}) {
-  const used:string[] = [];
-  const ensureBucket = (b:any) => b ?? { count:0, nearest:null };
+// What answered, for clients and logs; null = no provider configured
+const llmInfo = (llm: LlmProvider | null) => (llm ? { provider: llm.id, model: llm.model } : null);
 
-  scoreResult.shelters = ensureBucket(scoreResult.shelters);
-  scoreResult.schools  = ensureBucket(scoreResult.schools);
-  scoreResult.healths  = scoreResult.healths ?? ensureBucket(scoreResult.health ?? null);
+// ---------- routes ----------
+// ?lang=en|ja|zh|ko|vi|ja-easy, else Accept-Language (i18n.ts); the answer
+// always carries en and ja, and explanation.text in the negotiated language.
+app.get("/ai/explain", async (req, res) => {
+  const lang = negotiateLang(req);
+  try {
+    const cache: Record<string, CacheMeta> = {};
+    const r = await explainRequest(req.query, lang, cache);
+    const scoreResult = await scoreForExplain(r, cache);
+
+    // 3) Prepare the explanation
+    let explanation: Explanation = fallbackExplanation(scoreResult, lang);
+    let path: ExplanationPath = "fallback";
+    let rejected: string[] = [];
+
+    const llm = llmProvider();
+    const llmKey = llm?.cacheable ? llmKeyFor(llm, r, scoreResult) : null;
+    const llmHit = llmKey ? llmCache.get(llmKey) : undefined;
+    if (llmKey) cache.explanation = cacheMeta(llmKey, llmHit);
+
+    if (llmHit) {
+      explanation = llmHit.value;
+      path = "cache";
+    } else if (llm) {
+      const out = await explainWithLlm(llm, scoreResult, lang);
+      rejected = out.rejected;
+      if (out.explanation) {
+        explanation = out.explanation;
+        if (llmKey) llmCache.set(llmKey, explanation); // fallbacks are never cached
+      } else {
+        console.warn(`[${llm.id}] Falling back:`, rejected.join("; "));
+      }
+      path = out.path;
+    }
 
-  if ((scoreResult.shelters.count ?? 0) === 0 && osm.shelters.length) {
-    scoreResult.shelters.count = osm.shelters.length;
-    scoreResult.shelters.nearest = { ...osm.shelters[0], kind:"shelter" };
-    used.push("shelters");
+    res.json({ scoreResult, explanation, path, rejected, cache, llm: llmInfo(llm), lang, geocoded: r.geocoded });
+  } catch (err: any) {
+    console.error(err);
+    res.status(err?.status ?? 500).json({ error: String(err?.message || err) });
   }
-  if ((scoreResult.schools.count ?? 0) === 0 && osm.schools.length) {
-    scoreResult.schools.count = osm.schools.length;
-    scoreResult.schools.nearest = { ...osm.schools[0], kind:"school" };
-    used.push("schools");
+});
+
+// Same query as /ai/explain, answered as Server-Sent Events so the UI can
+// render before the LLM is done:
+//   score    { scoreResult, cache, lang, geocoded }
+//                                          as soon as the MCP has scored
+//   fallback { en, ja, factors, caveats, lang, text }
+//                                          local text, shown until replaced
+//   token    { text }                      raw LLM output chunks as they arrive
+//   repair   { errors }                    the reply was rejected; tokens of the retry follow
+//   final    { explanation, path, rejected, cache, llm, lang }
+//                                          path = "llm" | "repaired" | "cache" | "fallback"
+//   error    { error, status }             then the stream ends
+app.get("/ai/explain/stream", async (req, res) => {
+  const lang = negotiateLang(req);
+  const cache: Record<string, CacheMeta> = {};
+  let r: ExplainRequest;
+  try {
+    r = await explainRequest(req.query, lang, cache);
+  } catch (err: any) {
+    return res.status(err?.status ?? 500).json({ error: String(err?.message || err) });
   }
-  const hKey = scoreResult.healths ? "healths":"health";
-  if ((scoreResult[hKey]?.count ?? 0) === 0 && osm.healths.length) {
-    scoreResult[hKey] = ensureBucket(scoreResult[hKey]);
-    scoreResult[hKey].count = osm.healths.length;
-    scoreResult[hKey].nearest = { ...osm.healths[0], kind:"health" };
-    used.push("health");
+
+  res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+  res.flushHeaders();
+  // Aborted when the client goes away, so the provider stops generating
+  const gone = new AbortController();
+  res.on("close", () => gone.abort());
+  const send = (event: string, data: unknown) => {
+    if (!gone.signal.aborted) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const scoreResult = await scoreForExplain(r, cache);
+    send("score", { scoreResult, cache, lang, geocoded: r.geocoded });
+
+    const fallback = fallbackExplanation(scoreResult, lang);
+    send("fallback", fallback);
+
+    const llm = llmProvider();
+    if (!llm) {
+      send("final", { explanation: fallback, path: "fallback", rejected: [], cache, llm: null, lang });
+      return;
+    }
+    const llmKey = llm.cacheable ? llmKeyFor(llm, r, scoreResult) : null;
+    const llmHit = llmKey ? llmCache.get(llmKey) : undefined;
+    if (llmKey) cache.explanation = cacheMeta(llmKey, llmHit);
+    if (llmHit) {
+      send("final", { explanation: llmHit.value, path: "cache", rejected: [], cache, llm: llmInfo(llm), lang });
+      return;
+    }
+
+    const out = await explainWithLlm(llm, scoreResult, lang, {
+      signal: gone.signal,
+      onToken: (text) => send("token", { text }),
+      onRepair: (errors) => send("repair", { errors }),
+    });
+    if (gone.signal.aborted) return;
+    if (out.explanation && llmKey) llmCache.set(llmKey, out.explanation); // fallbacks are never cached
+    if (!out.explanation) console.warn(`[${llm.id}] Falling back:`, out.rejected.join("; "));
+    send("final", { explanation: out.explanation ?? fallback, path: out.path, rejected: out.rejected, cache, llm: llmInfo(llm), lang });
+  } catch (err: any) {
+    console.error(err);
+    send("error", { error: String(err?.message || err), status: err?.status ?? 500 });
+  } finally {
+    res.end();
   }
+});
 
-  if (used.length && weights) {
-    let s = 0;
-    if ((scoreResult.shelters.count ?? 0) > 0) s += weights.shelter;
-    if ((scoreResult.schools.count  ?? 0) > 0) s += weights.school;
-    const hc = (scoreResult.healths?.count ?? scoreResult.health?.count ?? 0);
-    if (hc > 0) s += weights.health;
-    scoreResult.score = Math.max(Number(scoreResult.score ?? 0), Math.min(1, s));
-    scoreResult.explain = String(scoreResult.explain || "").concat(` (+ OSM fallback used for: ${used.join(", ")})`);
-    scoreResult._enrichment = { source: "OSM", used };
+// Batch scoring. Body: [{lon,lat,id?}, ...] | { points: [...] } | FeatureCollection
+// | { featureCollection }. Optional radius via body.radius or ?radius=.
+// Bad items come back as { ok:false, error } entries; only a malformed body is a 400.
+// body.ward or ?ward= leaves out the points outside that ward; summary.byWard groups the rest.
+app.post("/ai/score-batch", async (req, res) => {
+  const lang = negotiateLang(req);
+  try {
+    const body = req.body ?? {};
+    const radiusMeters = radiusArg(body.radius ?? body.radiusMeters ?? req.query.radius, lang);
+
+    let args: Record<string, unknown>;
+    if (Array.isArray(body)) args = { points: body };
+    else if (body.type === "FeatureCollection") args = { featureCollection: body };
+    else if (Array.isArray(body.points)) args = { points: body.points };
+    else if (body.featureCollection?.type === "FeatureCollection") args = { featureCollection: body.featureCollection };
+    else {
+      return res.status(400).json({ error: t(lang, "errBatchBody") });
+    }
+
+    const opts = Array.isArray(body) ? req.query : { ...req.query, ...body };
+    const batch = await callToolJson("score_points", { ...args, radiusMeters, lang, ...profileArgs(opts, lang), ...wardArg(opts) });
+    res.json(batch);
+  } catch (err: any) {
+    console.error(err);
+    res.status(err?.status ?? 500).json({ error: String(err?.message || err) });
   }
-  return scoreResult;
-}
+});
 
-// ---------- routes ----------
-app.get("/ai/explain", async (req, res) => {
+// Score surface for the heatmap layer.
+// GET /ai/score-grid?bbox=minLon,minLat,maxLon,maxLat&cell=<meters>&radius=<meters>[&ward=<name>]
+app.get("/ai/score-grid", async (req, res) => {
+  const lang = negotiateLang(req);
   try {
-    const lon = num(req.query.lon);
-    const lat = num(req.query.lat);
-    const radiusMeters = num(req.query.radius) ?? 1500;
-    const noOSM = String(req.query.no_osm || "").toLowerCase() === "1";
+    const bbox = String(req.query.bbox ?? "").split(",").map(num);
+    if (bbox.length !== 4 || bbox.some((v) => v == null)) {
+      return res.status(400).json({ error: t(lang, "errBbox") });
+    }
+    const cellMeters = num(req.query.cell) ?? undefined;
+    const radiusMeters = radiusArg(req.query.radius, lang);
 
-    if (lon == null || lat == null) {
-      return res.status(400).json({ error: "lon and lat are required numbers" });
+    const grid = await callToolJson("score_grid", { bbox, cellMeters, radiusMeters, ...profileArgs(req.query, lang), ...wardArg(req.query) });
+    res.json(grid);
+  } catch (err: any) {
+    console.error(err);
+    res.status(err?.status ?? 500).json({ error: String(err?.message || err) });
+  }
+});
+
+// Shelter coverage layer: covered / uncovered MultiPolygons plus a summary.
+// GET /ai/coverage?bbox=minLon,minLat,maxLon,maxLat[&max_m=<meters> | &walk_min=<minutes>][&cell=<meters>][&hazard_type=..][&ward=<name>]
+// walk_min takes precedence and needs the walk graph (502 without it: a server-side gap, not a bad request).
+app.get("/ai/coverage", async (req, res) => {
+  const lang = negotiateLang(req);
+  try {
+    const bbox = String(req.query.bbox ?? "").split(",").map(num);
+    if (bbox.length !== 4 || bbox.some((v) => v == null)) {
+      return res.status(400).json({ error: t(lang, "errBbox") });
     }
+    const hazardType = hazardArg(req.query.hazard_type, lang);
+    const coverage = await callToolJson("shelter_coverage", {
+      bbox,
+      cellMeters: num(req.query.cell) ?? undefined,
+      maxMeters: num(req.query.max_m) ?? undefined,
+      maxWalkMinutes: num(req.query.walk_min) ?? undefined,
+      hazardType,
+      ...wardArg(req.query),
+    });
+    res.json(coverage);
+  } catch (err: any) {
+    console.error(err);
+    res.status(err?.status ?? 500).json({ error: String(err?.message || err) });
+  }
+});
 
-    // 1) Call the MCP tool (MLIT-derived)
-    const { mcp } = await ensureMcp();
-    const toolRes = await mcp.callTool({
-      name: "score_point",
-      arguments: { lon, lat, radiusMeters, includeDiagnostics: false },
+// Shelter catchments layer: one MultiPolygon per shelter with residents, demand and load.
+// GET /ai/catchments?bbox=minLon,minLat,maxLon,maxLat[&mode=voronoi|walk][&max_m=<meters>][&cell=<meters>][&rate=<0..1>][&hazard_type=..][&ward=<name>]
+// mode=walk needs the walk graph (502 without it).
+app.get("/ai/catchments", async (req, res) => {
+  const lang = negotiateLang(req);
+  try {
+    const bbox = String(req.query.bbox ?? "").split(",").map(num);
+    if (bbox.length !== 4 || bbox.some((v) => v == null)) {
+      return res.status(400).json({ error: t(lang, "errBbox") });
+    }
+    const str = (v: unknown) => (typeof v === "string" && v ? v : undefined);
+    const catchments = await callToolJson("shelter_catchments", {
+      bbox,
+      cellMeters: num(req.query.cell) ?? undefined,
+      mode: str(req.query.mode),
+      maxMeters: num(req.query.max_m) ?? undefined,
+      evacuationRate: num(req.query.rate) ?? undefined,
+      hazardType: hazardArg(req.query.hazard_type, lang),
+      ...wardArg(req.query),
     });
+    res.json(catchments);
+  } catch (err: any) {
+    console.error(err);
+    res.status(err?.status ?? 500).json({ error: String(err?.message || err) });
+  }
+});
+
+// Side-by-side comparison of candidate locations, all scored with the same profile.
+// Body: { locations: [{ name?, lon, lat } | { name?, q }, ...], radius?, hazard_type?, profile?, w_<layer id>?, lang? }
+// q entries are geocoded first (best match; 404 when nothing matches). The MCP's
+// compare_locations ranks them, adds deltas against the best one and a comparative
+// explanation { en, ja, lang, text }; geocoded[i] is the match used for input i.
+const COMPARE_MIN = 2;
+const COMPARE_MAX = 10; // same limits as compare_locations
 
-    // Normalize tool content -> JSON
-    const content: any[] = (toolRes as any)?.content ?? [];
-    const first = Array.isArray(content) ? content[0] : null;
-    const scoreResult =
-      first?.type === "json" ? (first as any).json : JSON.parse(first?.text ?? "{}");
-
-    // 2) OSM enrichment when MLIT buckets are empty
-    if (!noOSM) {
-      const needsShelter = (scoreResult?.shelters?.count ?? 0) === 0;
-      const needsSchool  = (scoreResult?.schools?.count  ?? 0) === 0;
-      const healthB = scoreResult?.healths ?? scoreResult?.health;
-      const needsHealth  = (healthB?.count ?? 0) === 0;
-
-      if (needsShelter || needsSchool || needsHealth) {
-        try {
-          const els = await fetchOSM(lon!, lat!, radiusMeters);
-          const osm = classifyOSM(els, lon!, lat!);
-          const weights = scoreResult?.params?.weights ?? { shelter:0.5, school:0.3, health:0.2 };
-          enrichWithOSM(scoreResult, osm, weights);
-        } catch (e) {
-          console.warn("[OSM fallback] skipped:", (e as any)?.message || e);
-        }
+app.post("/ai/compare", async (req, res) => {
+  const lang = negotiateLang(req);
+  try {
+    const body = req.body ?? {};
+    const badBody = () => httpError(400, t(lang, "errCompare", { min: COMPARE_MIN, max: COMPARE_MAX }));
+    const raw = body.locations;
+    if (!Array.isArray(raw) || raw.length < COMPARE_MIN || raw.length > COMPARE_MAX) throw badBody();
+
+    const cache: Record<string, CacheMeta> = {};
+    const geocoded: any[] = [];
+    const locations: { name?: string; lon: number; lat: number }[] = [];
+    for (const [i, item] of raw.entries()) {
+      const text = typeof item?.q === "string" ? item.q.trim() : "";
+      // names are capped at compare_locations' 100 characters
+      const name = (typeof item?.name === "string" && item.name.trim() ? item.name.trim() : text).slice(0, 100) || undefined;
+      let lon = num(item?.lon);
+      let lat = num(item?.lat);
+      let match = null;
+      if ((lon == null || lat == null) && text) {
+        match = (await geocodeCached(text, 1, null, cache)).results?.[0] ?? null;
+        if (!match) throw httpError(404, t(lang, "errNoPlace", { q: text }));
+        ({ lon, lat } = match);
       }
+      if (lon == null || lat == null) throw badBody();
+      // compare_locations would reject it too, but only with a schema dump
+      if (Math.abs(lon) > 180 || Math.abs(lat) > 90) throw httpError(400, t(lang, "errLocation", { i }));
+      locations.push({ ...(name ? { name } : {}), lon, lat });
+      geocoded.push(match);
     }
 
-    // 3) Prepare bilingual explanation
-    const score01  = Math.max(0, Math.min(1, Number(scoreResult?.score) || 0));
-    const score100 = Math.round(score01 * 100);
-
-    let explanation = {
-      en: fallbackExplain(scoreResult),
-      ja: fallbackExplainJa(scoreResult),
-    };
-
-    const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY;
-    if (apiKey) {
-      try {
-        const genAI = new GoogleGenerativeAI(apiKey);
-        const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
-
-        const prompt = `
-Return ONLY valid JSON (no markdown, no extra text) with two fields: "en" and "ja".
-"en" must be an English explanation. "ja" must be a natural Japanese explanation.
-Use the normalized 0–1 score (you may include the 0–100 in parentheses).
-
-{
-  "en": "...",
-  "ja": "..."
-}
+    const radiusMeters = radiusArg(body.radius ?? body.radiusMeters ?? req.query.radius, lang);
+    const opts = { ...req.query, ...body };
+    const hazardType = hazardArg(opts.hazard_type, lang);
+    const comparison = await callToolJson("compare_locations", { locations, radiusMeters, hazardType, lang, ...profileArgs(opts, lang) });
+    res.json({ ...comparison, geocoded, cache });
+  } catch (err: any) {
+    console.error(err);
+    res.status(err?.status ?? 500).json({ error: String(err?.message || err) });
+  }
+});
 
-Normalized score (0–1): ${score01.toFixed(2)} (≈ ${score100}/100)
-
-JSON data to base your explanation on:
-${JSON.stringify(scoreResult, null, 2)}
-
-Guidelines:
-- Concise, factual, non-alarmist.
-- Include bullet-style factors that raised/lowered the score (counts & nearest distances).
-- If a category is 0 within the radius, mention the nearest (with distance in meters).
-- Interpretation for 0–1: 0–0.30 low, 0.30–0.70 moderate, 0.70–1.00 high.
-`;
-
-        const resp = await model.generateContent(prompt);
-        const raw = resp?.response?.text?.() || "";
-        try {
-          const j = JSON.parse(raw);
-          explanation = {
-            en: (j?.en ?? explanation.en).toString().trim(),
-            ja: (j?.ja ?? explanation.ja).toString().trim(),
-          };
-        } catch {
-          // keep fallbacks
-        }
-      } catch (e) {
-        console.warn("[Gemini] Falling back:", (e as any)?.message || e);
-      }
+// Search box: address, station or place name -> candidates, best first.
+// GET /geocode?q=<text>&limit=<1..20>[&lon=&lat=]  (lon/lat only bias the ranking;
+// limit defaults to 5 and is clamped into range, as the gazetteer does)
+const GEOCODE_MAX_LIMIT = 20; // MAX_LIMIT of mcp-servers/safety/src/lib/gazetteer.ts
+app.get("/geocode", async (req, res) => {
+  const lang = negotiateLang(req);
+  try {
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (!q) {
+      return res.status(400).json({ error: t(lang, "errQuery") });
     }
+    const lon = num(req.query.lon);
+    const lat = num(req.query.lat);
+    const cache: Record<string, CacheMeta> = {};
+    const limit = Math.min(GEOCODE_MAX_LIMIT, Math.max(1, Math.floor(num(req.query.limit) ?? 5)));
+    const result = await geocodeCached(q, limit, lon != null && lat != null ? { lon, lat } : null, cache);
+    res.json({ ...result, cache });
+  } catch (err: any) {
+    console.error(err);
+    res.status(err?.status ?? 500).json({ error: String(err?.message || err) });
+  }
+});
 
-    res.json({ scoreResult, explanation });
+// Administrative area of a point: { lon, lat, area } (area null outside the boundary layers).
+// GET /reverse-geocode?lon=..&lat=..
+app.get("/reverse-geocode", async (req, res) => {
+  try {
+    const lon = num(req.query.lon);
+    const lat = num(req.query.lat);
+    if (lon == null || lat == null) {
+      return res.status(400).json({ error: t(negotiateLang(req), "errLonLat") });
+    }
+    res.json(await callToolJson("reverse_geocode", { lon, lat }));
+  } catch (err: any) {
+    console.error(err);
+    res.status(err?.status ?? 500).json({ error: String(err?.message || err) });
+  }
+});
+
+// POI layers of the layer manifest (id, labels, default weight, icon, color);
+// the UI labels its extra "Nearby places" rows with them
+app.get("/ai/layers", async (_req, res) => {
+  try {
+    res.json(await callToolJson("list_layers", {}));
+  } catch (err: any) {
+    console.error(err);
+    res.status(err?.status ?? 500).json({ error: String(err?.message || err) });
+  }
+});
+
+// Named scoring profiles for the UI picker
+app.get("/ai/profiles", async (_req, res) => {
+  try {
+    res.json(await callToolJson("list_profiles", {}));
+  } catch (err: any) {
+    console.error(err);
+    res.status(err?.status ?? 500).json({ error: String(err?.message || err) });
+  }
+});
+
+// ---------- admin ----------
+// With ADMIN_TOKEN set, admin routes need "Authorization: Bearer <token>";
+// without it they only answer requests from this machine.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+const LOOPBACK = new Set(["127.0.0.1", "::1", "::ffff:127.0.0.1"]);
+
+function requireAdmin(req: express.Request, res: express.Response, next: express.NextFunction) {
+  const ok = ADMIN_TOKEN
+    ? req.get("authorization") === `Bearer ${ADMIN_TOKEN}`
+    : LOOPBACK.has(req.socket.remoteAddress ?? "");
+  if (!ok) return res.status(403).json({ error: t(negotiateLang(req), "errAdmin") });
+  next();
+}
+
+// Re-read data/*.geojson in the running MCP process (no restart needed after build-poi-layers.mjs)
+app.post("/admin/reload-layers", requireAdmin, async (_req, res) => {
+  try {
+    const result = await callToolJson("reload_layers", {});
+    purgeCache("geocode"); // cached answers carry local matches from the old layers
+    res.json(result);
   } catch (err: any) {
+    // A bad layer file is a server-side problem; the previous layers stay live
     console.error(err);
     res.status(500).json({ error: String(err?.message || err) });
   }
 });
 
+// Cached Overpass / LLM / remote geocoder answers. ?scope=osm|llm|geocode limits the purge to one cache.
+app.get("/admin/cache", requireAdmin, (_req, res) => res.json(cacheStats()));
+
+app.delete("/admin/cache", requireAdmin, (req, res) => {
+  const scope = typeof req.query.scope === "string" && req.query.scope ? req.query.scope : undefined;
+  if (scope && scope !== "osm" && scope !== "llm" && scope !== "geocode") {
+    return res.status(400).json({ error: t(negotiateLang(req), "errScope") });
+  }
+  res.json({ purged: purgeCache(scope), ...cacheStats() });
+});
+
+app.get("/admin/layers", requireAdmin, async (_req, res) => {
+  try {
+    res.json(await callToolJson("layer_status", {}));
+  } catch (err: any) {
+    console.error(err);
+    res.status(err?.status ?? 500).json({ error: String(err?.message || err) });
+  }
+});
+
 // health check
 app.get("/healthz", (_req, res) => res.json({ ok: true }));
 
+// Fail at startup, not on the first click, when LLM_PROVIDER is misconfigured
+const llm = llmProvider();
+
 app.listen(PORT, () => {
   console.log(`Agent server listening on http://localhost:${PORT}`);
+  console.log(`LLM: ${llm ? `${llm.id} (${llm.model})` : "none, local fallback text only"}`);
   console.log(`GET /ai/explain?lon=139.59954&lat=35.432684&radius=1500`);
 });
@@ -0,0 +1,94 @@
+// test/cache.test.ts
+// The shared LRU: eviction of the least recently used entry, TTL expiry, purging
+// one namespace or all, and the disk store (CACHE_FILE) read back at startup.
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// cache.ts reads its config and the disk store at import time
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cache-test-"));
+const file = path.join(dir, "agent-cache.json");
+const now = Date.now();
+fs.writeFileSync(file, JSON.stringify({
+  "osm:kept": { value: { pois: 3 }, storedAt: now - 1000, expiresAt: now + 60_000 },
+  "osm:stale": { value: { pois: 1 }, storedAt: now - 120_000, expiresAt: now - 60_000 },
+}));
+process.env.CACHE_FILE = file;
+process.env.CACHE_MAX_ENTRIES = "3";
+const { createCache, cacheMeta, cacheStats, purgeCache } = await import("../src/cache.ts");
+
+const sleep = (ms: number) => new Promise((r) => setTimeout(r, ms));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("disk store: unexpired entries are read back at startup, expired ones dropped", () => {
+  assert.deepEqual(cacheStats(), { entries: 1, max: 3, file, byNamespace: { osm: 1 } });
+  const osm = createCache<{ pois: number }>("osm", 60_000);
+  const hit = osm.get("kept")!;
+  assert.deepEqual(hit.value, { pois: 3 });
+  assert.equal(hit.storedAt, now - 1000);
+  assert.equal(osm.get("stale"), undefined);
+});
+
+test("LRU: the least recently used entry goes first, reads count as use", () => {
+  purgeCache();
+  const c = createCache<number>("lru", 60_000);
+  c.set("a", 1);
+  c.set("b", 2);
+  c.set("c", 3);
+  assert.equal(c.get("a")!.value, 1);
+  c.set("d", 4);
+  assert.equal(c.get("b"), undefined, "b was the least recently used");
+  assert.deepEqual(["a", "c", "d"].map((k) => c.get(k)?.value), [1, 3, 4]);
+  // setting an existing key replaces it without evicting another
+  c.set("c", 30);
+  assert.deepEqual(["a", "c", "d"].map((k) => c.get(k)?.value), [1, 30, 4]);
+  assert.equal(cacheStats().entries, 3);
+});
+
+test("TTL: entries expire after ttlMs and are removed on read", async () => {
+  purgeCache();
+  const c = createCache<string>("ttl", 30);
+  c.set("k", "v");
+  const hit = c.get("k")!;
+  assert.equal(hit.value, "v");
+  assert.equal(hit.expiresAt - hit.storedAt, 30);
+  await sleep(50);
+  assert.equal(c.get("k"), undefined);
+  assert.equal(cacheStats().entries, 0);
+});
+
+test("purgeCache: one namespace, or everything", () => {
+  purgeCache();
+  const geocode = createCache<number>("geocode", 60_000);
+  const geocodeX = createCache<number>("geocodex", 60_000);
+  geocode.set("a", 1);
+  geocode.set("b", 2);
+  geocodeX.set("a", 3);
+  assert.equal(purgeCache("geocode"), 2);
+  assert.equal(geocode.get("a"), undefined);
+  assert.equal(geocodeX.get("a")!.value, 3, "a namespace that only starts with the same letters stays");
+  assert.deepEqual(cacheStats().byNamespace, { geocodex: 1 });
+  assert.equal(purgeCache(), 1);
+  assert.equal(cacheStats().entries, 0);
+});
+
+test("disk store: writes are flushed to CACHE_FILE in the stored format", async () => {
+  purgeCache();
+  const c = createCache<{ text: string }>("explain", 60_000);
+  c.set("k", { text: "ok" });
+  await sleep(1200);
+  const stored = JSON.parse(fs.readFileSync(file, "utf8"));
+  assert.deepEqual(Object.keys(stored), ["explain:k"]);
+  assert.deepEqual(stored["explain:k"].value, { text: "ok" });
+  assert.equal(stored["explain:k"].expiresAt - stored["explain:k"].storedAt, 60_000);
+  assert.equal(fs.existsSync(`${file}.tmp`), false, "written via a temp file and renamed");
+});
+
+test("cacheMeta: miss, and hit with the stored time and age", () => {
+  assert.deepEqual(cacheMeta("k"), { hit: false, key: "k" });
+  const storedAt = Date.now() - 90_000;
+  assert.deepEqual(cacheMeta("k", { storedAt }), { hit: true, key: "k", storedAt: new Date(storedAt).toISOString(), age_s: 90 });
+});
@@ -0,0 +1,84 @@
+// test/explanation.test.ts
+// Extraction, schema and fact check of model replies: the mock's fenced,
+// wrong and invalid modes end in the llm, repaired and fallback paths, and
+// the count / distance patterns accept what the data says and nothing else.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mockProvider } from "../src/llm.ts";
+import { checkExplanation, explainWithLlm, extractJson, factCheck } from "../src/explanation.ts";
+import { scoreResult } from "./fixtures.ts";
+
+// An otherwise valid explanation whose en text is the one under test
+const saying = (en: string) => ({ en, ja: "テスト", factors: [], caveats: [] });
+const flagged = (en: string, sr: any = scoreResult) => factCheck(saying(en), sr);
+
+test("fenced: the JSON inside a ``` fence is extracted", async () => {
+  const out = await explainWithLlm(mockProvider("fenced"), scoreResult, "en");
+  assert.equal(out.path, "llm");
+  assert.deepEqual(out.rejected, []);
+  assert.match(out.explanation!.en, /^\[mock\] Score 0\.62/);
+});
+
+test("wrong: a count not in the data is rejected and repaired", async () => {
+  const repairs: string[][] = [];
+  const out = await explainWithLlm(mockProvider("wrong"), scoreResult, "en", { onRepair: (e) => repairs.push(e) });
+  assert.equal(out.path, "repaired");
+  assert.ok(out.rejected.includes('cites "9 schools", but no count of 9 is in the data'));
+  assert.deepEqual(repairs, [out.rejected]);
+  assert.match(out.explanation!.en, /2 schools/);
+});
+
+test("invalid: prose twice falls back", async () => {
+  const out = await explainWithLlm(mockProvider("invalid"), scoreResult, "en");
+  assert.equal(out.path, "fallback");
+  assert.equal(out.explanation, null);
+  assert.deepEqual(out.rejected, ["no JSON object found in the reply", "no JSON object found in the reply"]);
+});
+
+test("extractJson: whole reply, fence, first balanced object", () => {
+  assert.deepEqual(extractJson(' {"a":1} '), { a: 1 });
+  assert.deepEqual(extractJson('Sure:\n```JSON\n{"a":2}\n```\nanything else?'), { a: 2 });
+  assert.deepEqual(extractJson('Answer: {"a":"}{","b":{"c":3}} Hope it helps {x}'), { a: "}{", b: { c: 3 } });
+  assert.throws(() => extractJson("   "), /empty reply/);
+  assert.throws(() => extractJson("no braces here"), /no JSON object found/);
+});
+
+test("schema: missing fields and the text for other languages", () => {
+  const missing = checkExplanation('{"en":"ok","ja":"ok"}', scoreResult, "en");
+  assert.deepEqual(missing, { ok: false, errors: ["factors: Required", "caveats: Required"] });
+  const noText = checkExplanation(JSON.stringify(saying("ok")), scoreResult, "ko");
+  assert.equal(noText.ok, false);
+  assert.match((noText as { errors: string[] }).errors[0], /^text: required/);
+});
+
+test("COUNT_RE: counts must appear in the data, in every language", () => {
+  assert.deepEqual(flagged("3 shelters, 2 schools and 1 health facilities; 3 evacuation shelters"), []);
+  assert.deepEqual(flagged("避難所3件、学校2か所、医療1施設。避難所 3 处、학교 2곳, 3 nơi trú ẩn"), []);
+  assert.deepEqual(flagged("4 shelters"), ['cites "4 shelters", but no count of 4 is in the data']);
+  assert.deepEqual(flagged("学校5件"), ['cites "5件", but no count of 5 is in the data']);
+  assert.deepEqual(flagged("12 người"), ['cites "12 người", but no count of 12 is in the data']);
+  // Scores, years and per-capita rates are not counts
+  assert.deepEqual(flagged("Score 0.62 (62/100) in 2024; 3人あたり"), []);
+});
+
+test("COUNT_RE: residents, per 1,000 and OSM totals come from the data", () => {
+  const withPopulation = { ...scoreResult, population: { residents: 12400, shelters_per_1000: 0.24 } };
+  assert.deepEqual(flagged("12,400 residents; 1,000 people", withPopulation), []);
+  assert.deepEqual(flagged("1,000 people"), ['cites "1,000 people", but no count of 1000 is in the data']);
+  const withOsm = { ...scoreResult, enrichment: { added: { shelter: 2, school: 1 }, matched: { shelter: 4 } } };
+  assert.deepEqual(flagged("3 places added from OpenStreetMap, 4 places counted once", withOsm), []);
+});
+
+test("DISTANCE_RE: distances within rounding of the data", () => {
+  // 420 m shelter, 418 m school, 1250 m clinic, 1500 m radius
+  assert.deepEqual(flagged("nearest shelter 420 m, school 410 meters, clinic 1.2 km, radius 1,500 m"), []);
+  assert.deepEqual(flagged("最寄りの避難所まで430メートル、診療所まで1.3キロ、1.2 公里、420미터"), []);
+  assert.deepEqual(flagged("a shelter 900 m away"), ['cites "900 m", but no such distance is in the data']);
+  assert.deepEqual(flagged("a clinic 2 km away"), ['cites "2 km", but no such distance is in the data']);
+  // Speeds and durations are not distances
+  assert.deepEqual(flagged("walking at 4 km/h for 5 min"), []);
+});
+
+test("duplicate problems are reported once", () => {
+  assert.deepEqual(flagged("4 shelters here, 4 shelters there"), ['cites "4 shelters", but no count of 4 is in the data']);
+});
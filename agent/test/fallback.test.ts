@@ -0,0 +1,29 @@
+// test/fallback.test.ts
+// The deterministic fallback text: weighted extra layers are named by their
+// manifest label in the requested language, never by the raw layer id.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fallbackText } from "../src/fallback.ts";
+import { scoreResult } from "./fixtures.ts";
+
+const withCivic = {
+  ...scoreResult,
+  layers: {
+    civic: { count: 3, nearest: null, label: { en: "Civic facilities", ja: "公共施設" } },
+    shop: { count: 5, nearest: null, label: { en: "Shops", ja: "商店" } },
+  },
+  params: { ...scoreResult.params, weights: { shelter: 0.5, school: 0.2, health: 0.1, civic: 0.2, shop: 0 } },
+};
+
+test("extra layers use the manifest label: en, ja and ja-easy", () => {
+  assert.match(fallbackText(withCivic, "en"), /Also scored: Civic facilities 3\./);
+  assert.match(fallbackText(withCivic, "ja"), /その他の評価対象: 公共施設 3件。/);
+  assert.match(fallbackText(withCivic, "ja-easy"), /公共施設 3か所/);
+  assert.match(fallbackText(withCivic, "ko"), /Civic facilities 3곳/);
+  assert.doesNotMatch(fallbackText(withCivic, "en"), /civic|Shops/, "no raw id, unweighted layers left out");
+});
+
+test("a result without labels still names the layer by its id", () => {
+  const noLabel = { ...withCivic, layers: { civic: { count: 3, nearest: null } } };
+  assert.match(fallbackText(noLabel, "en"), /Also scored: civic 3\./);
+});
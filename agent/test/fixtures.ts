@@ -0,0 +1,10 @@
+// test/fixtures.ts
+// A small score_point result: enough for the fallback text, the prompt and the fact check.
+export const scoreResult = {
+  schemaVersion: 1,
+  score: 0.62,
+  shelters: { count: 3, nearest: { name: "中央小学校", distance_m: 420 } },
+  schools: { count: 2, nearest: { name: "中央小学校", distance_m: 418 } },
+  healths: { count: 1, nearest: { name: "みなと診療所", distance_m: 1250 } },
+  params: { radiusMeters: 1500, profile: "default" },
+};
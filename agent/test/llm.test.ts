@@ -0,0 +1,65 @@
+// test/llm.test.ts
+// The mock provider through explainWithLlm: the streamed answer, a provider
+// that fails (fallback after one repair round) and selection by LLM_PROVIDER.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateText, llmProvider, mockProvider } from "../src/llm.ts";
+import { explainPrompt, explainWithLlm } from "../src/explanation.ts";
+import { scoreResult } from "./fixtures.ts";
+
+const request = { prompt: explainPrompt(scoreResult, "en"), scoreResult, lang: "en" as const };
+
+test("mock streams its answer in 16-character chunks", async () => {
+  const chunks: string[] = [];
+  for await (const c of mockProvider("ok").stream(request)) chunks.push(c);
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.slice(0, -1).every((c) => c.length === 16));
+  assert.equal(chunks.join(""), await generateText(mockProvider("ok"), request));
+});
+
+test("ok: the first reply is used as is", async () => {
+  const out = await explainWithLlm(mockProvider("ok"), scoreResult, "en");
+  assert.equal(out.path, "llm");
+  assert.deepEqual(out.rejected, []);
+  assert.equal(out.explanation?.lang, "en");
+  assert.equal(out.explanation?.text, out.explanation?.en);
+  assert.match(out.explanation!.en, /3 shelters, 2 schools and 1 health facilities within 1500 m/);
+});
+
+test("ok in a language besides en and ja: text carries it", async () => {
+  const out = await explainWithLlm(mockProvider("ok"), scoreResult, "vi");
+  assert.equal(out.path, "llm");
+  assert.equal(out.explanation?.lang, "vi");
+  assert.match(out.explanation!.text, /^\[mock\] /);
+});
+
+test("error: a failing provider gets one repair round, then the fallback", async () => {
+  const repairs: string[][] = [];
+  const tokens: string[] = [];
+  const out = await explainWithLlm(mockProvider("error"), scoreResult, "en", {
+    onRepair: (errors) => repairs.push(errors),
+    onToken: (t) => tokens.push(t),
+  });
+  assert.equal(out.path, "fallback");
+  assert.equal(out.explanation, null);
+  assert.deepEqual(out.rejected, ["mock failed: mock provider failure", "mock failed: mock provider failure"]);
+  assert.deepEqual(repairs, [["mock failed: mock provider failure"]]);
+  assert.equal(tokens.length, 2, "the first chunk of each attempt is forwarded");
+});
+
+test("an aborted request skips the repair round", async () => {
+  const ctl = new AbortController();
+  ctl.abort();
+  const out = await explainWithLlm(mockProvider("ok"), scoreResult, "en", { signal: ctl.signal });
+  assert.equal(out.path, "fallback");
+  assert.deepEqual(out.rejected, ["empty reply"]);
+});
+
+test("LLM_PROVIDER=mock selects the mock in MOCK_LLM_MODE", () => {
+  process.env.LLM_PROVIDER = "mock";
+  process.env.MOCK_LLM_MODE = "fenced";
+  const p = llmProvider();
+  assert.equal(p?.id, "mock");
+  assert.equal(p?.model, "mock-fenced");
+  assert.equal(p?.cacheable, false);
+});
@@ -0,0 +1,108 @@
+// scripts/bench-poi-index.mjs
+// Compare full-scan vs grid-index latency for radius and k-nearest POI queries.
+//
+// Usage (TypeScript sources are loaded through tsx):
+//   npx tsx scripts/bench-poi-index.mjs --n=200000 --queries=200 --radius=1500 --k=5
+//
+// Points are synthetic (deterministic PRNG) and spread over a Japan-sized bbox,
+// denser around Tokyo/Osaka so some queries hit crowded cells.
+
+import { performance } from "node:perf_hooks";
+import { haversineMeters } from "../src/lib/geo.ts";
+import { buildPointIndex } from "../src/lib/spatial-index.ts";
+
+// -------- tiny arg parser --------
+const args = Object.fromEntries(
+  process.argv.slice(2).map((s) => {
+    const m = s.match(/^--([^=]+)=(.*)$/);
+    return m ? [m[1], m[2]] : [s.replace(/^--/, ""), true];
+  })
+);
+
+const N = Number(args.n ?? 200000);
+const QUERIES = Number(args.queries ?? 200);
+const RADIUS = Number(args.radius ?? 1500);
+const K = Number(args.k ?? 5);
+
+// -------- synthetic data --------
+function mulberry32(seed) {
+  return () => {
+    seed |= 0; seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+const rand = mulberry32(42);
+
+const CITIES = [
+  { lon: 139.70, lat: 35.68 }, // Tokyo
+  { lon: 139.64, lat: 35.44 }, // Yokohama
+  { lon: 135.50, lat: 34.69 }, // Osaka
+];
+
+function randomPoint() {
+  if (rand() < 0.5) {
+    const c = CITIES[Math.floor(rand() * CITIES.length)];
+    return { lon: c.lon + (rand() - 0.5) * 0.6, lat: c.lat + (rand() - 0.5) * 0.5 };
+  }
+  return { lon: 129 + rand() * 16, lat: 31 + rand() * 14 };
+}
+
+const pois = Array.from({ length: N }, (_, i) => ({ name: `poi-${i}`, ...randomPoint() }));
+const queries = Array.from({ length: QUERIES }, randomPoint);
+
+// -------- baseline: what nearbyPois() used to do --------
+function scanWithin(lon, lat, r) {
+  return pois
+    .map((p) => ({ item: p, distance_m: haversineMeters(lon, lat, p.lon, p.lat) }))
+    .sort((a, b) => a.distance_m - b.distance_m)
+    .filter((h) => h.distance_m <= r);
+}
+function scanNearest(lon, lat, k) {
+  return pois
+    .map((p) => ({ item: p, distance_m: haversineMeters(lon, lat, p.lon, p.lat) }))
+    .sort((a, b) => a.distance_m - b.distance_m)
+    .slice(0, k);
+}
+
+// -------- timing --------
+function time(fn) {
+  const ms = [];
+  const results = [];
+  for (const q of queries) {
+    const t0 = performance.now();
+    results.push(fn(q));
+    ms.push(performance.now() - t0);
+  }
+  ms.sort((a, b) => a - b);
+  const pct = (p) => ms[Math.min(ms.length - 1, Math.floor(p * ms.length))];
+  const mean = ms.reduce((a, b) => a + b, 0) / ms.length;
+  return { results, stats: { mean_ms: +mean.toFixed(3), p50_ms: +pct(0.5).toFixed(3), p95_ms: +pct(0.95).toFixed(3) } };
+}
+
+const sameHits = (a, b) =>
+  a.length === b.length && a.every((h, i) => h.item === b[i].item && h.distance_m === b[i].distance_m);
+
+const t0 = performance.now();
+const index = buildPointIndex(pois);
+const buildMs = performance.now() - t0;
+
+const scanR = time((q) => scanWithin(q.lon, q.lat, RADIUS));
+const gridR = time((q) => index.within(q.lon, q.lat, RADIUS));
+const scanK = time((q) => scanNearest(q.lon, q.lat, K));
+const gridK = time((q) => index.nearest(q.lon, q.lat, K));
+
+const mismatchR = scanR.results.filter((r, i) => !sameHits(r, gridR.results[i])).length;
+const mismatchK = scanK.results.filter((r, i) => !sameHits(r, gridK.results[i])).length;
+
+console.log(`POIs: ${N}, queries: ${QUERIES}, radius: ${RADIUS} m, k: ${K}`);
+console.log(`Index build: ${buildMs.toFixed(1)} ms (cell ${index.cellDeg}°)`);
+console.table({
+  "radius / full scan": scanR.stats,
+  "radius / grid": gridR.stats,
+  "k-nearest / full scan": scanK.stats,
+  "k-nearest / grid": gridK.stats,
+});
+console.log(`Result mismatches — radius: ${mismatchR}, k-nearest: ${mismatchK}`);
+if (mismatchR || mismatchK) process.exit(1);
@@ -1,7 +1,12 @@
 // scripts/build-poi-layers.mjs
+// Usage: npx tsx scripts/build-poi-layers.mjs                  (MLIT parsed export -> data/*.geojson)
+//        npx tsx scripts/build-poi-layers.mjs --backfill-areas (only refresh prefecture/municipality/ward
+//                                                               of the point layers already in data/)
+// Both fill each POI's administrative area from the boundary layers data/admin-*.geojson.
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { adminAreaAt, adminAreaStatus } from "../src/lib/admin-areas.ts";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -10,6 +15,8 @@ const __dirname = path.dirname(__filename);
 const INPUT_JSON = path.join(process.cwd(), "mlit-search-hinan.parsed.json");
 const INPUT_CSV  = path.join(process.cwd(), "mlit-search-hinan.parsed.csv");
 const DATA_DIR   = path.join(process.cwd(), "data");
+// Optional manual shelter attributes: [{ dataId?, name?, capacity?, disasterTypes?, shelterType?, floor? }]
+const SHELTER_ATTRS_JSON = path.join(process.cwd(), "shelter-attributes.json");
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 
 // ---- tiny utils ----
@@ -55,6 +62,8 @@ function parseCSV(text) {
       lon: toNum(pick("lon")),
       bbox: pick("bbox").trim(),
       fileUrl: pick("fileUrl").trim(),
+      capacity: pick("capacity").trim(),
+      floor: pick("floor").trim(),
     });
   }
   return rows;
@@ -141,6 +150,70 @@ function classifyTags(name) {
 }
 
 
+// ---- shelter attributes ----
+// Disaster types follow the designated emergency evacuation site (指定緊急避難場所) categories.
+const DISASTER_TYPES = ["flood", "earthquake", "tsunami", "fire", "landslide", "volcano"];
+
+function loadShelterOverrides() {
+  if (!fs.existsSync(SHELTER_ATTRS_JSON)) return new Map();
+  const arr = readJSON(SHELTER_ATTRS_JSON);
+  const byKey = new Map();
+  for (const o of Array.isArray(arr) ? arr : []) {
+    if (o?.dataId) byKey.set(`id:${o.dataId}`, o);
+    if (o?.name) byKey.set(`name:${o.name}`, o);
+  }
+  return byKey;
+}
+const SHELTER_OVERRIDES = loadShelterOverrides();
+
+// Best effort from the name; the MLIT search rows carry no capacity or ratings,
+// so most shelters end up with nulls unless shelter-attributes.json fills them in.
+function shelterAttrs(rec) {
+  const n = rec.name || "";
+
+  let shelterType = null;
+  if (/福祉避難所/.test(n)) shelterType = "welfare";
+  else if (/指定避難所/.test(n)) shelterType = "designated";
+  else if (/避難場所/.test(n)) shelterType = "emergency-site";
+
+  const types = [];
+  if (/津波/.test(n)) types.push("tsunami");
+  if (/洪水|水害|浸水/.test(n)) types.push("flood");
+  if (/地震|震災/.test(n)) types.push("earthquake");
+  if (/火災|大火/.test(n)) types.push("fire");
+  if (/土砂|がけ|崖/.test(n)) types.push("landslide");
+  if (/火山/.test(n)) types.push("volcano");
+
+  const capacity = Number(rec.capacity);
+  const floor = Number(rec.floor);
+  const attrs = {
+    capacity: rec.capacity != null && rec.capacity !== "" && Number.isFinite(capacity) ? capacity : null,
+    disasterTypes: types.length ? types : null,
+    shelterType,
+    floor: rec.floor != null && rec.floor !== "" && Number.isFinite(floor) ? floor : null,
+  };
+
+  const o = SHELTER_OVERRIDES.get(`id:${rec.dataId}`) ?? SHELTER_OVERRIDES.get(`name:${n}`);
+  if (o) {
+    if (o.capacity != null) attrs.capacity = Number(o.capacity);
+    if (Array.isArray(o.disasterTypes)) attrs.disasterTypes = o.disasterTypes.filter(t => DISASTER_TYPES.includes(t));
+    if (o.shelterType) attrs.shelterType = o.shelterType;
+    if (o.floor != null) attrs.floor = Number(o.floor);
+  }
+  return attrs;
+}
+
+// ---- administrative area ----
+// The boundary containing the point wins over the source row: MLIT rows mostly leave
+// prefecture/municipality empty, and when set they are not split into city and ward.
+function areaProps(lon, lat, fallback = {}) {
+  const area = adminAreaAt(lon, lat);
+  if (!area) {
+    return { municipality: fallback.municipality || null, prefecture: fallback.prefecture || null, ward: fallback.ward || null };
+  }
+  return { municipality: area.municipality, prefecture: area.prefecture, ward: area.ward };
+}
+
 function toFeature(rec, tags, primary) {
   return {
     type: "Feature",
@@ -150,9 +223,9 @@ function toFeature(rec, tags, primary) {
       primary,                // e.g., "shelter"
       tags,                   // e.g., ["shelter","health"]
       dataId: rec.dataId || null,
-      municipality: rec.municipality || null,
-      prefecture: rec.prefecture || null,
+      ...areaProps(rec.lon, rec.lat, rec),
       source: "MLIT",
+      ...(primary === "shelter" ? shelterAttrs(rec) : {}),
     }
   };
 }
@@ -179,6 +252,8 @@ function loadInput() {
           lon: Number(r.lon),
           bbox: r.bbox ?? "",
           fileUrl: r.fileUrl ?? "",
+          capacity: r.capacity ?? null,
+          floor: r.floor ?? null,
         });
       }
     }
@@ -262,7 +337,39 @@ function main() {
   console.log("POI layers written to ./data");
   console.table(counts);
   console.log(`Excluded (non-POI): ${excluded.length}`);
+  const rated = buckets.shelter.filter(f => f.properties.disasterTypes).length;
+  const withCap = buckets.shelter.filter(f => f.properties.capacity != null).length;
+  console.log(`Shelters with disaster types: ${rated}, with capacity: ${withCap}`);
+  const all = Object.values(buckets).flat();
+  console.log(`POIs with municipality: ${all.filter(f => f.properties.municipality).length} / ${all.length}`);
+}
+
+// ---- backfill ----
+// POI layers only: files without Point features are skipped, and so are the hazard
+// files (hazards-tokyo.geojson is a point dump of MLIT search hits, not POIs)
+function backfillAreas() {
+  const files = fs.readdirSync(DATA_DIR).filter(f => f.endsWith(".geojson") && !/^(hazard|admin-)/.test(f)).sort();
+  for (const file of files) {
+    const p = path.join(DATA_DIR, file);
+    const fc = readJSON(p);
+    const points = (fc?.features ?? []).filter(f => f?.geometry?.type === "Point");
+    if (!points.length) continue;
+    let changed = 0;
+    for (const f of points) {
+      const [lon, lat] = f.geometry.coordinates;
+      const next = areaProps(lon, lat, f.properties ?? {});
+      const props = f.properties ?? (f.properties = {});
+      if (Object.keys(next).every(k => (props[k] ?? null) === next[k])) continue;
+      Object.assign(props, next);
+      changed++;
+    }
+    if (changed) writeFC(p, fc);
+    console.log(`${file}: ${changed} / ${points.length} POIs updated`);
+  }
 }
 
 // ---- run ----
-main();
+const boundaries = Object.values(adminAreaStatus()).reduce((n, s) => n + s.polygons, 0);
+if (!boundaries) console.warn("No boundary polygons in data/admin-*.geojson; prefecture/municipality stay as in the source");
+if (process.argv.includes("--backfill-areas")) backfillAreas();
+else main();
@@ -0,0 +1,90 @@
+// scripts/build-walk-graph.mjs
+// Convert an OSM JSON extract (Overpass format) into the compact walking graph
+// read by src/lib/routing.ts.
+//
+// Usage:
+//   node scripts/build-walk-graph.mjs <extract.osm.json> [--out=./data/walk-graph.json]
+//
+// Getting an extract (only "node" and "way" elements are read):
+//   [out:json]; way["highway"](35.40,139.55,35.50,139.70); (._;>;); out body;
+// A .osm.pbf has to be converted to the same { elements: [...] } JSON first.
+//
+// Output: { version: 1, source, nodes: [lon,lat,...], edges: [a,b,meters,...] }
+
+import fs from "node:fs";
+import path from "node:path";
+
+if (process.argv.length < 3) {
+  console.error("Usage: node scripts/build-walk-graph.mjs <extract.osm.json> [--out=./data/walk-graph.json]");
+  process.exit(1);
+}
+
+const inPath = process.argv[2];
+const outArg = process.argv.find((a) => a.startsWith("--out="));
+const outPath = outArg ? outArg.replace("--out=", "") : path.join(process.cwd(), "data", "walk-graph.json");
+
+// ---- tag rules ----
+// Roads people can walk along. Motorways/trunks are fenced off in Japan.
+const WALKABLE = new Set([
+  "footway", "path", "pedestrian", "steps", "living_street", "residential",
+  "service", "unclassified", "tertiary", "tertiary_link", "secondary",
+  "secondary_link", "primary", "primary_link", "track", "cycleway", "corridor", "road",
+]);
+
+function isWalkable(tags = {}) {
+  if (!WALKABLE.has(tags.highway)) return false;
+  if (tags.foot === "no" || tags.access === "private" || tags.access === "no") return tags.foot === "yes";
+  return true;
+}
+
+// ---- geo ----
+const toRad = (d) => (d * Math.PI) / 180;
+function haversine(lon1, lat1, lon2, lat2) {
+  const R = 6371000;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// ---- main ----
+const raw = JSON.parse(fs.readFileSync(inPath, "utf8"));
+const elements = Array.isArray(raw?.elements) ? raw.elements : [];
+
+const osmNodes = new Map();
+for (const e of elements) {
+  if (e.type === "node" && Number.isFinite(e.lon) && Number.isFinite(e.lat)) osmNodes.set(e.id, [e.lon, e.lat]);
+}
+
+const ids = new Map(); // OSM node id -> compact index
+const nodes = [];
+const edges = [];
+const idOf = (osmId) => {
+  let i = ids.get(osmId);
+  if (i === undefined) {
+    const [lon, lat] = osmNodes.get(osmId);
+    i = nodes.length / 2;
+    nodes.push(Number(lon.toFixed(7)), Number(lat.toFixed(7)));
+    ids.set(osmId, i);
+  }
+  return i;
+};
+
+let ways = 0, skipped = 0;
+for (const e of elements) {
+  if (e.type !== "way" || !Array.isArray(e.nodes)) continue;
+  if (!isWalkable(e.tags)) { skipped++; continue; }
+  ways++;
+  for (let k = 1; k < e.nodes.length; k++) {
+    const a = e.nodes[k - 1], b = e.nodes[k];
+    if (!osmNodes.has(a) || !osmNodes.has(b) || a === b) continue;
+    const [lonA, latA] = osmNodes.get(a), [lonB, latB] = osmNodes.get(b);
+    edges.push(idOf(a), idOf(b), Number(haversine(lonA, latA, lonB, latB).toFixed(1)));
+  }
+}
+
+const graph = { version: 1, source: path.basename(inPath), nodes, edges };
+fs.mkdirSync(path.dirname(outPath), { recursive: true });
+fs.writeFileSync(outPath, JSON.stringify(graph), "utf8");
+console.log(`[walk-graph] ${ways} walkable ways (${skipped} skipped) → ${nodes.length / 2} nodes, ${edges.length / 3} edges`);
+console.log(`[walk-graph] written to ${outPath}`);
@@ -0,0 +1,62 @@
+// scripts/export-catchments.mjs
+// Write shelter catchments (src/lib/catchments.ts, the same as the MCP shelter_catchments
+// tool) to a GeoJSON file for planning drills, and print the load table.
+//
+// Usage:
+//   npx tsx scripts/export-catchments.mjs --bbox=<minLon,minLat,maxLon,maxLat> [--out=./catchments.geojson]
+//     [--walk] [--max=<meters>] [--cell=<meters>] [--rate=<0..1>] [--hazard=<type>] [--ward=<name>]
+//   or: npm run catchments -- --bbox=...
+//
+// --walk assigns cells by walking distance (needs data/walk-graph.json) instead of straight-line Voronoi.
+// Demand and load need data/population.geojson (scripts/import-population.mjs); load also needs shelter capacity.
+//
+// Output: GeoJSON FeatureCollection, one MultiPolygon per shelter with
+// { shelter, cells, area_km2, residents, demand, load, overloaded, maxDistance_m, clipped },
+// plus top-level { summary, params }
+
+import fs from "node:fs";
+import { shelterCatchments } from "../src/lib/catchments.ts";
+
+const arg = (name) => process.argv.find((a) => a.startsWith(`--${name}=`))?.split("=").slice(1).join("=");
+const numArg = (name) => (arg(name) != null ? Number(arg(name)) : undefined);
+
+const bbox = arg("bbox")?.split(",").map(Number);
+if (!bbox || bbox.length !== 4 || !bbox.every(Number.isFinite)) {
+  console.error("Usage: npx tsx scripts/export-catchments.mjs --bbox=<minLon,minLat,maxLon,maxLat> [--out=./catchments.geojson] [--walk] [--max=<meters>] [--cell=<meters>] [--rate=<0..1>] [--hazard=<type>] [--ward=<name>]");
+  process.exit(1);
+}
+const outFile = arg("out") ?? "catchments.geojson";
+
+let result;
+try {
+  result = shelterCatchments({
+    bbox,
+    mode: process.argv.includes("--walk") ? "walk" : "voronoi",
+    maxMeters: numArg("max"),
+    cellMeters: numArg("cell"),
+    evacuationRate: numArg("rate"),
+    hazardType: arg("hazard"),
+    ward: arg("ward"),
+  });
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+fs.writeFileSync(outFile, JSON.stringify(result));
+
+// ---- report ----
+const s = result.summary;
+console.log(`${s.shelters} catchments over ${s.cells} cells (${result.params.cellMeters} m, ${result.params.mode}) -> ${outFile}`);
+if (s.unassigned.cells) console.log(`unassigned: ${s.unassigned.cells} cells, ${s.unassigned.area_km2} km²`);
+if (s.residents == null) console.log("no population grid: residents, demand and load are empty");
+console.table(result.features.map(({ properties: p }) => ({
+  shelter: p.shelter.name,
+  capacity: p.shelter.capacity ?? "?",
+  residents: p.residents ?? "",
+  demand: p.demand ?? "",
+  load: p.load ?? "",
+  overloaded: p.overloaded ? "yes" : "",
+  km2: p.area_km2,
+  clipped: p.clipped ? "yes" : "",
+})));
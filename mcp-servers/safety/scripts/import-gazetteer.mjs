@@ -0,0 +1,152 @@
+// scripts/import-gazetteer.mjs
+// Build data/gazetteer.json, the address and station half of the local geocoder
+// (src/lib/gazetteer.ts; POI names come from the layers themselves).
+//
+// Usage:
+//   npx tsx scripts/import-gazetteer.mjs <file.csv>... [--out=./data/gazetteer.json] [--append] [--encoding=utf-8|shift_jis]
+//
+// Accepted CSVs (recognized by their header row):
+//   - MLIT 位置参照情報, 大字・町丁目 level (都道府県名, 市区町村名, 大字町丁目名, 緯度, 経度)
+//     or 街区 level (大字・丁目名, 街区符号・地番, ...): blocks are averaged into one point per 町丁目
+//   - ekidata.jp station data (station_name, station_g_cd, address, lon, lat, e_status): one point per station group
+//   - any CSV with name, lon, lat and optionally kind, address columns
+// Files are Shift_JIS or UTF-8 (detected; --encoding overrides). --append keeps the
+// places already in the output file, so addresses and stations can be imported in turn.
+//
+// Output: { importedAt, sources: [{ file, format, places }], places: [{ name, kind, lon, lat, address, source }] }
+
+import fs from "node:fs";
+import path from "node:path";
+
+const inputs = process.argv.slice(2).filter((a) => !a.startsWith("--"));
+if (!inputs.length) {
+  console.error("Usage: npx tsx scripts/import-gazetteer.mjs <file.csv>... [--out=./data/gazetteer.json] [--append] [--encoding=utf-8|shift_jis]");
+  process.exit(1);
+}
+
+const arg = (name) => process.argv.find((a) => a.startsWith(`--${name}=`))?.split("=")[1];
+const outFile = arg("out") ?? path.join(process.cwd(), "data", "gazetteer.json");
+const append = process.argv.includes("--append");
+const encodingArg = arg("encoding");
+
+// ---- reading ----
+function decode(buf) {
+  if (encodingArg) return new TextDecoder(encodingArg).decode(buf);
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buf);
+  } catch {
+    return new TextDecoder("shift_jis").decode(buf);
+  }
+}
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks
+function* csvRows(text) {
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some((f) => f !== "")) yield row;
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some((f) => f !== "")) yield row;
+}
+
+const round = (v) => Number(v.toFixed(7));
+
+// ---- formats: each turns (header index, rows) into places ----
+function mlitPlaces(col, rows) {
+  const town = col["大字町丁目名"] ?? col["大字・丁目名"];
+  // 街区 rows: average the blocks of a 町丁目
+  const groups = new Map();
+  for (const r of rows) {
+    const lat = Number(r[col["緯度"]]), lon = Number(r[col["経度"]]);
+    const name = r[town]?.trim();
+    if (!name || !Number.isFinite(lon) || !Number.isFinite(lat)) continue;
+    const address = `${r[col["都道府県名"]] ?? ""}${r[col["市区町村名"]] ?? ""}${name}`;
+    const g = groups.get(address);
+    if (g) { g.lon += lon; g.lat += lat; g.n++; }
+    else groups.set(address, { name, address, lon, lat, n: 1 });
+  }
+  return [...groups.values()].map((g) => ({
+    name: g.name, kind: "address", lon: round(g.lon / g.n), lat: round(g.lat / g.n), address: g.address, source: "MLIT 位置参照情報",
+  }));
+}
+
+function ekidataPlaces(col, rows) {
+  const groups = new Map();
+  for (const r of rows) {
+    if (col.e_status != null && r[col.e_status] !== "0") continue; // closed or planned
+    const lon = Number(r[col.lon]), lat = Number(r[col.lat]);
+    const name = r[col.station_name]?.trim();
+    if (!name || !Number.isFinite(lon) || !Number.isFinite(lat)) continue;
+    // One place per station group (the same station on several lines)
+    const key = col.station_g_cd != null ? r[col.station_g_cd] : `${name}|${lon}|${lat}`;
+    if (!groups.has(key)) {
+      groups.set(key, { name, kind: "station", lon: round(lon), lat: round(lat), address: r[col.address]?.trim() || null, source: "ekidata" });
+    }
+  }
+  return [...groups.values()];
+}
+
+function genericPlaces(col, rows, file) {
+  const out = [];
+  for (const r of rows) {
+    const lon = Number(r[col.lon]), lat = Number(r[col.lat]);
+    const name = r[col.name]?.trim();
+    if (!name || !Number.isFinite(lon) || !Number.isFinite(lat)) continue;
+    out.push({
+      name, kind: (col.kind != null && r[col.kind]?.trim()) || "address", lon: round(lon), lat: round(lat),
+      address: (col.address != null && r[col.address]?.trim()) || null, source: path.basename(file),
+    });
+  }
+  return out;
+}
+
+function readPlaces(file) {
+  const rows = csvRows(decode(fs.readFileSync(file)));
+  const header = rows.next().value ?? [];
+  const col = Object.fromEntries(header.map((h, i) => [h.trim().replace(/^\uFEFF/, ""), i]));
+  const rest = [...rows];
+  if (col["緯度"] != null && (col["大字町丁目名"] != null || col["大字・丁目名"] != null)) return { format: "mlit", places: mlitPlaces(col, rest) };
+  if (col.station_name != null && col.lon != null) return { format: "ekidata", places: ekidataPlaces(col, rest) };
+  if (col.name != null && col.lon != null && col.lat != null) return { format: "csv", places: genericPlaces(col, rest, file) };
+  return null;
+}
+
+// ---- main ----
+const previous = append && fs.existsSync(outFile) ? JSON.parse(fs.readFileSync(outFile, "utf8")) : null;
+const places = [...(previous?.places ?? [])];
+const sources = [...(previous?.sources ?? [])];
+const seen = new Set(places.map((p) => `${p.kind}|${p.name}|${p.address ?? ""}`));
+
+for (const file of inputs) {
+  const got = readPlaces(file);
+  if (!got) {
+    console.error(`[import-gazetteer] ${file}: unknown CSV header (expected MLIT 位置参照情報, ekidata or name,lon,lat)`);
+    process.exit(1);
+  }
+  let added = 0;
+  for (const p of got.places) {
+    const key = `${p.kind}|${p.name}|${p.address ?? ""}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    places.push(p);
+    added++;
+  }
+  sources.push({ file: path.basename(file), format: got.format, places: added });
+  console.log(`[import-gazetteer] ${file}: ${got.format}, ${added} places`);
+}
+
+fs.mkdirSync(path.dirname(outFile), { recursive: true });
+fs.writeFileSync(outFile, JSON.stringify({ importedAt: new Date().toISOString(), sources, places }), "utf8");
+console.log(`[import-gazetteer] ${places.length} places → ${outFile}`);
@@ -0,0 +1,140 @@
+// scripts/import-hazards.mjs
+// Build data/hazard-flood.geojson, hazard-tsunami.geojson or hazard-landslide.geojson,
+// the polygon layers behind the hazard penalty (src/lib/hazards.ts), from 国土数値情報 (KSJ) data.
+//
+// Usage:
+//   npx tsx scripts/import-hazards.mjs --type=flood|tsunami|landslide <file.geojson>...
+//     [--out=./data/hazard-<type>.geojson] [--append] [--bbox=minLon,minLat,maxLon,maxLat]
+//     [--depth=<property>] [--zone=<property>] [--name=<property>] [--source=<label>]
+//
+// Inputs are GeoJSON in WGS84. The KSJ downloads ship shapefiles (JGD2011); convert them first:
+//   ogr2ogr -f GeoJSON -t_srs EPSG:4326 A31-22_03.geojson A31-22_03.shp
+// Recognized attributes (override with --depth / --zone / --name for other sources):
+//   - flood, A31 洪水浸水想定区域: A31_001 浸水深ランク code (11–15, 21–26), kept as its lower bound in m
+//   - tsunami, A40 津波浸水想定: the first attribute holding a range like "1.0m以上2.0m未満"
+//   - landslide, A33 土砂災害警戒区域: A33_002 区域区分 (1 = 警戒区域, 2 = 特別警戒区域)
+// Any input that already has depth_m / depth / zone (e.g. a previous output) passes through.
+// --bbox keeps the polygons whose extent overlaps the box; --append keeps the features already
+// in the output file.
+//
+// Output: GeoJSON FeatureCollection of Polygon / MultiPolygon features with
+// { depth_m, depth } (flood, tsunami) or { zone: "warning" | "special" } (landslide), plus name,
+// and top-level { source, importedAt, sources: [{ file, features }] }
+
+import fs from "node:fs";
+import path from "node:path";
+
+const TYPES = ["flood", "tsunami", "landslide"];
+
+const inputs = process.argv.slice(2).filter((a) => !a.startsWith("--"));
+const arg = (name) => process.argv.find((a) => a.startsWith(`--${name}=`))?.split("=").slice(1).join("=");
+const type = arg("type");
+if (!inputs.length || !TYPES.includes(type)) {
+  console.error("Usage: npx tsx scripts/import-hazards.mjs --type=flood|tsunami|landslide <file.geojson>... [--out=./data/hazard-<type>.geojson] [--append] [--bbox=minLon,minLat,maxLon,maxLat] [--depth=<property>] [--zone=<property>] [--name=<property>] [--source=<label>]");
+  process.exit(1);
+}
+
+const outFile = arg("out") ?? path.join(process.cwd(), "data", `hazard-${type}.geojson`);
+const append = process.argv.includes("--append");
+const depthKey = arg("depth");
+const zoneKey = arg("zone");
+const nameKey = arg("name");
+const bbox = arg("bbox")?.split(",").map(Number);
+if (bbox && (bbox.length !== 4 || bbox.some((v) => !Number.isFinite(v)))) {
+  console.error("--bbox must be minLon,minLat,maxLon,maxLat");
+  process.exit(1);
+}
+
+// ---- attributes ----
+// A31_001 浸水深ランク: 11–15 is the older 5-rank scheme, 21–26 the current one. [lower bound m, label]
+const A31_RANK = {
+  11: [0, "0.5m未満"], 12: [0.5, "0.5m以上1.0m未満"], 13: [1, "1.0m以上2.0m未満"],
+  14: [2, "2.0m以上5.0m未満"], 15: [5, "5.0m以上"],
+  21: [0, "0.5m未満"], 22: [0.5, "0.5m以上3.0m未満"], 23: [3, "3.0m以上5.0m未満"],
+  24: [5, "5.0m以上10.0m未満"], 25: [10, "10.0m以上20.0m未満"], 26: [20, "20.0m以上"],
+};
+const RANGE_RE = /(\d+(?:\.\d+)?)\s*m\s*(?:以上|未満)/;
+
+function readDepth(p) {
+  const own = depthKey ? p[depthKey] : p.depth_m ?? p.depth ?? p.rank;
+  if (own != null && own !== "") {
+    const n = Number(own);
+    if (Number.isFinite(n)) return { depth_m: n, depth: null };
+    const m = String(own).match(RANGE_RE) ?? String(own).match(/(\d+(?:\.\d+)?)\s*m/);
+    return { depth_m: m ? Number(m[1]) : null, depth: String(own) };
+  }
+  const rank = A31_RANK[Number(p.A31_001)];
+  if (rank) return { depth_m: rank[0], depth: rank[1] };
+  for (const v of Object.values(p)) {
+    const m = typeof v === "string" && v.match(RANGE_RE);
+    if (m) return { depth_m: Number(m[1]), depth: v };
+  }
+  return { depth_m: null, depth: null };
+}
+
+function readZone(p) {
+  const v = String((zoneKey ? p[zoneKey] : p.zone ?? p.A33_002) ?? "").trim();
+  return v === "2" || /special|特別警戒/.test(v) ? "special" : "warning";
+}
+
+function properties(p) {
+  const name = (nameKey ? p[nameKey] : p.name)?.toString().trim() || undefined;
+  const out = type === "landslide" ? { zone: readZone(p) } : readDepth(p);
+  // an explicit class (1–4) from a previous import wins in hazards.ts; keep it
+  if ([1, 2, 3, 4].includes(Number(p.class))) out.class = Number(p.class);
+  return name ? { name, ...out } : out;
+}
+
+// ---- geometry ----
+function extent(g) {
+  let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
+  const polys = g.type === "Polygon" ? [g.coordinates] : g.coordinates;
+  for (const poly of polys) for (const ring of poly) for (const [lon, lat] of ring) {
+    if (lon < minLon) minLon = lon;
+    if (lon > maxLon) maxLon = lon;
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+  }
+  return [minLon, minLat, maxLon, maxLat];
+}
+
+function inBBox(g) {
+  if (!bbox) return true;
+  const [a, b, c, d] = extent(g);
+  return a <= bbox[2] && c >= bbox[0] && b <= bbox[3] && d >= bbox[1];
+}
+
+// ---- import ----
+const features = [];
+const sources = [];
+if (append && fs.existsSync(outFile)) {
+  const prev = JSON.parse(fs.readFileSync(outFile, "utf8"));
+  features.push(...(prev.features ?? []));
+  sources.push(...(prev.sources ?? []));
+}
+
+let skipped = 0;
+for (const file of inputs) {
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  let kept = 0;
+  for (const f of raw.features ?? []) {
+    const g = f?.geometry;
+    if (g?.type !== "Polygon" && g?.type !== "MultiPolygon") { skipped++; continue; }
+    if (!inBBox(g)) continue;
+    features.push({ type: "Feature", properties: properties(f.properties ?? {}), geometry: g });
+    kept++;
+  }
+  sources.push({ file: path.basename(file), features: kept });
+  console.log(`[hazards] ${file}: ${kept} polygons`);
+}
+
+const out = {
+  type: "FeatureCollection",
+  source: arg("source") ?? "国土数値情報",
+  importedAt: new Date().toISOString(),
+  sources,
+  features,
+};
+fs.mkdirSync(path.dirname(outFile), { recursive: true });
+fs.writeFileSync(outFile, JSON.stringify(out), "utf8");
+console.log(`[hazards] wrote ${features.length} ${type} polygons to ${outFile}${skipped ? ` (${skipped} non-polygon features skipped)` : ""}`);
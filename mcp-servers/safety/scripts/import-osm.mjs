@@ -0,0 +1,143 @@
+// scripts/import-osm.mjs
+// Convert a local OSM extract into the POI layers read by src/lib/osm.ts, so the
+// agent's OSM enrichment works offline and without hitting Overpass.
+//
+// Usage:
+//   npx tsx scripts/import-osm.mjs <extract.osm.json | extract.geojson> [--out=./data] [--bbox=minLon,minLat,maxLon,maxLat]
+//
+// Accepted inputs:
+//   - Overpass JSON ({ elements: [...] }), e.g.
+//       [out:json]; nwr["amenity"](35.40,139.55,35.50,139.70); (._;>;); out body center;
+//   - GeoJSON FeatureCollection with OSM tags as properties (flat, or under properties.tags), e.g.
+//       osmium export extract.osm.pbf -o extract.geojson      (.osm.pbf goes through this route)
+//
+// Output (same feature format as build-poi-layers.mjs, source "OSM"):
+//   osm-shelters.geojson, osm-schools.geojson, osm-health.geojson
+//   osm-meta.json { source, importedAt, bounds, counts }  (bounds = area the extract covers)
+
+import fs from "node:fs";
+import path from "node:path";
+import { classifyOsmTags, osmName } from "../src/lib/osm-tags.ts";
+
+if (process.argv.length < 3) {
+  console.error("Usage: npx tsx scripts/import-osm.mjs <extract.osm.json|extract.geojson> [--out=./data] [--bbox=minLon,minLat,maxLon,maxLat]");
+  process.exit(1);
+}
+
+const inPath = process.argv[2];
+const arg = (name) => process.argv.find((a) => a.startsWith(`--${name}=`))?.split("=")[1];
+const outDir = arg("out") ?? path.join(process.cwd(), "data");
+const bboxArg = arg("bbox")?.split(",").map(Number);
+if (bboxArg && (bboxArg.length !== 4 || bboxArg.some((n) => !Number.isFinite(n)))) {
+  console.error("--bbox must be minLon,minLat,maxLon,maxLat");
+  process.exit(1);
+}
+
+const FILE_OF = { shelter: "osm-shelters.geojson", school: "osm-schools.geojson", health: "osm-health.geojson" };
+
+// ---- bounds ----
+const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+function extend(lon, lat) {
+  if (lon < bounds[0]) bounds[0] = lon;
+  if (lat < bounds[1]) bounds[1] = lat;
+  if (lon > bounds[2]) bounds[2] = lon;
+  if (lat > bounds[3]) bounds[3] = lat;
+}
+
+// ---- readers: both yield { id, tags, lon, lat } ----
+function average(points) {
+  if (!points.length) return null;
+  const s = points.reduce((acc, [lon, lat]) => [acc[0] + lon, acc[1] + lat], [0, 0]);
+  return [s[0] / points.length, s[1] / points.length];
+}
+
+function* fromOverpass(raw) {
+  const nodes = new Map();
+  for (const e of raw.elements) {
+    if (e.type === "node" && Number.isFinite(e.lon) && Number.isFinite(e.lat)) {
+      nodes.set(e.id, [e.lon, e.lat]);
+      extend(e.lon, e.lat);
+    }
+  }
+  for (const e of raw.elements) {
+    if (!e.tags) continue;
+    let c = null;
+    if (e.center) c = [e.center.lon, e.center.lat];
+    else if (e.type === "node") c = nodes.get(e.id) ?? null;
+    else if (e.type === "way") c = average((e.nodes ?? []).map((id) => nodes.get(id)).filter(Boolean));
+    if (!c) continue; // relations without a center are skipped
+    if (e.center) extend(c[0], c[1]);
+    yield { id: `${e.type}/${e.id}`, tags: e.tags, lon: c[0], lat: c[1] };
+  }
+}
+
+function flatten(coords, out = []) {
+  if (typeof coords?.[0] === "number") out.push(coords);
+  else for (const c of coords ?? []) flatten(c, out);
+  return out;
+}
+
+function* fromGeoJSON(raw) {
+  for (const f of raw.features) {
+    const g = f?.geometry;
+    if (!g) continue;
+    // Polygons: the outer ring is enough for a representative point
+    const pts = g.type === "Point" ? [g.coordinates]
+      : g.type === "Polygon" ? flatten(g.coordinates[0])
+      : g.type === "MultiPolygon" ? flatten(g.coordinates[0]?.[0])
+      : flatten(g.coordinates);
+    pts.forEach(([lon, lat]) => extend(lon, lat));
+    const c = average(pts);
+    if (!c) continue;
+    const p = f.properties ?? {};
+    const tags = p.tags && typeof p.tags === "object" ? p.tags : p;
+    yield { id: String(f.id ?? p["@id"] ?? p.id ?? ""), tags, lon: c[0], lat: c[1] };
+  }
+}
+
+// ---- main ----
+const raw = JSON.parse(fs.readFileSync(inPath, "utf8"));
+const items = Array.isArray(raw?.elements) ? fromOverpass(raw)
+  : raw?.type === "FeatureCollection" && Array.isArray(raw.features) ? fromGeoJSON(raw)
+  : null;
+if (!items) {
+  console.error(`[import-osm] ${inPath}: expected Overpass JSON ({ elements }) or a GeoJSON FeatureCollection`);
+  process.exit(1);
+}
+
+const buckets = { shelter: [], school: [], health: [] };
+let skipped = 0;
+for (const it of items) {
+  const kind = classifyOsmTags(it.tags);
+  if (!kind) { skipped++; continue; }
+  buckets[kind].push({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [Number(it.lon.toFixed(7)), Number(it.lat.toFixed(7))] },
+    properties: {
+      name: osmName(it.tags),
+      primary: kind,
+      tags: [kind],
+      osmId: it.id || null,
+      amenity: it.tags.amenity ?? null,
+      emergency: it.tags.emergency ?? null,
+      opening_hours: it.tags.opening_hours ?? null,
+      source: "OSM",
+    },
+  });
+}
+
+const meta = {
+  source: path.basename(inPath),
+  importedAt: new Date().toISOString(),
+  bounds: bboxArg ?? (Number.isFinite(bounds[0]) ? bounds : null),
+  counts: Object.fromEntries(Object.entries(buckets).map(([k, v]) => [k, v.length])),
+};
+
+fs.mkdirSync(outDir, { recursive: true });
+for (const [kind, features] of Object.entries(buckets)) {
+  fs.writeFileSync(path.join(outDir, FILE_OF[kind]), JSON.stringify({ type: "FeatureCollection", features }, null, 2), "utf8");
+}
+fs.writeFileSync(path.join(outDir, "osm-meta.json"), JSON.stringify(meta, null, 2), "utf8");
+
+console.log(`[import-osm] ${meta.counts.shelter} shelters, ${meta.counts.school} schools, ${meta.counts.health} health (${skipped} other tagged elements skipped)`);
+console.log(`[import-osm] bounds ${JSON.stringify(meta.bounds)} → ${outDir}`);
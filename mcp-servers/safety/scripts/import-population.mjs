@@ -0,0 +1,125 @@
+// scripts/import-population.mjs
+// Build data/population.geojson, the census population grid behind population-aware
+// scoring (src/lib/population.ts), from mesh statistics keyed by mesh code.
+//
+// Usage:
+//   npx tsx scripts/import-population.mjs <file.csv>... [--out=./data/population.geojson] [--append]
+//     [--source="国勢調査 2020 500mメッシュ"] [--encoding=utf-8|shift_jis]
+//
+// Accepted CSVs (recognized by their header row):
+//   - e-Stat 地域メッシュ統計 (KEY_CODE, T001101001 ...; the second header row of labels is skipped):
+//     the 人口（総数） column, by its code or its label
+//   - any CSV with a mesh (or meshCode, mesh_code, code) and a population (or pop) column
+// Mesh codes are JIS X 0410: 8 digits = 1 km, 9 = 500 m, 10 = 250 m. Secret cells ("*") are skipped.
+// --append keeps the cells already in the output file (a re-imported mesh code replaces its old value).
+//
+// Output: GeoJSON FeatureCollection of cell Polygons with { mesh, population },
+// plus top-level { source, importedAt, sources: [{ file, cells }] }
+
+import fs from "node:fs";
+import path from "node:path";
+import { meshBBox } from "../src/lib/population.ts";
+
+const inputs = process.argv.slice(2).filter((a) => !a.startsWith("--"));
+if (!inputs.length) {
+  console.error("Usage: npx tsx scripts/import-population.mjs <file.csv>... [--out=./data/population.geojson] [--append] [--source=<label>] [--encoding=utf-8|shift_jis]");
+  process.exit(1);
+}
+
+const arg = (name) => process.argv.find((a) => a.startsWith(`--${name}=`))?.split("=").slice(1).join("=");
+const outFile = arg("out") ?? path.join(process.cwd(), "data", "population.geojson");
+const append = process.argv.includes("--append");
+const encodingArg = arg("encoding");
+
+// ---- reading ----
+function decode(buf) {
+  if (encodingArg) return new TextDecoder(encodingArg).decode(buf);
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buf);
+  } catch {
+    return new TextDecoder("shift_jis").decode(buf);
+  }
+}
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks
+function* csvRows(text) {
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some((f) => f !== "")) yield row;
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some((f) => f !== "")) yield row;
+}
+
+const MESH_COLUMNS = ["mesh", "meshCode", "mesh_code", "KEY_CODE", "code"];
+const POPULATION_COLUMNS = ["population", "pop", "人口総数", "T001101001"];
+const POPULATION_LABELS = ["人口（総数）", "人口総数", "総数"];
+
+function readCells(file) {
+  const rows = [...csvRows(decode(fs.readFileSync(file)))];
+  const header = (rows.shift() ?? []).map((h) => h.trim().replace(/^\uFEFF/, ""));
+  const meshCol = header.findIndex((h) => MESH_COLUMNS.includes(h));
+  let popCol = header.findIndex((h) => POPULATION_COLUMNS.includes(h));
+  // e-Stat: codes in the first row, labels in the second
+  const labels = rows[0] && !/^\d/.test(rows[0][meshCol] ?? "") ? rows.shift() : null;
+  if (popCol < 0 && labels) popCol = labels.findIndex((l) => POPULATION_LABELS.includes(l.trim()));
+  if (meshCol < 0 || popCol < 0) return null;
+
+  const cells = new Map();
+  for (const r of rows) {
+    const mesh = (r[meshCol] ?? "").trim();
+    const population = Number((r[popCol] ?? "").trim());
+    if (!meshBBox(mesh) || !Number.isFinite(population) || population <= 0) continue;
+    cells.set(mesh, population);
+  }
+  return cells;
+}
+
+const cellFeature = (mesh, population) => {
+  const [x0, y0, x1, y1] = meshBBox(mesh).map((v) => Number(v.toFixed(7)));
+  return {
+    type: "Feature",
+    geometry: { type: "Polygon", coordinates: [[[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]]] },
+    properties: { mesh, population },
+  };
+};
+
+// ---- main ----
+const previous = append && fs.existsSync(outFile) ? JSON.parse(fs.readFileSync(outFile, "utf8")) : null;
+const cells = new Map((previous?.features ?? []).map((f) => [String(f.properties?.mesh), Number(f.properties?.population)]));
+const sources = [...(previous?.sources ?? [])];
+
+for (const file of inputs) {
+  const got = readCells(file);
+  if (!got) {
+    console.error(`[import-population] ${file}: unknown CSV header (expected e-Stat KEY_CODE + 人口（総数）, or mesh,population)`);
+    process.exit(1);
+  }
+  for (const [mesh, population] of got) cells.set(mesh, population);
+  sources.push({ file: path.basename(file), cells: got.size });
+  console.log(`[import-population] ${file}: ${got.size} cells`);
+}
+
+const features = [...cells].filter(([mesh]) => meshBBox(mesh)).map(([mesh, population]) => cellFeature(mesh, population));
+const total = features.reduce((sum, f) => sum + f.properties.population, 0);
+fs.mkdirSync(path.dirname(outFile), { recursive: true });
+fs.writeFileSync(outFile, JSON.stringify({
+  type: "FeatureCollection",
+  source: arg("source") ?? previous?.source ?? null,
+  importedAt: new Date().toISOString(),
+  sources,
+  features,
+}), "utf8");
+console.log(`[import-population] ${features.length} cells, ${total} residents → ${outFile}`);
@@ -1,5 +1,7 @@
 // scripts/rank-geojson.mjs
 // Rank a place (lon/lat) using three GeoJSON layers: shelters, schools, shops.
+// Ad-hoc formula, not the scoring engine: to rank candidate locations use the
+// compare_locations MCP tool (src/lib/compare.ts) or POST /ai/compare on the agent.
 //
 // Usage:
 //   node scripts/rank-geojson.mjs --lon=139.767 --lat=35.681 --radius=800 \
@@ -1,4 +1,6 @@
 // scripts/rank-offline.mjs
+// Ad-hoc formula, not the scoring engine: to rank candidate locations use the
+// compare_locations MCP tool (src/lib/compare.ts) or POST /ai/compare on the agent.
 import fs from "node:fs";
 import path from "node:path";
 
@@ -0,0 +1,211 @@
+// src/lib/admin-areas.ts
+// Administrative boundaries: which prefecture / municipality / ward / 町丁目 a
+// point lies in. Polygons come from up to three files under data/, coarse to fine;
+// a point takes every field from the finest polygon that has it.
+// Recognized property schemas:
+//   国土数値情報 行政区域 (N03): N03_001 都道府県, N03_003 郡・政令市, N03_004 市区町村, N03_007 code
+//   e-Stat 小地域 (町丁・字等): PREF_NAME, CITY_NAME ("横浜市西区"), S_NAME, KEY_CODE
+//   generic: prefecture, municipality (or city), ward, chome (or name), code
+import path from "path";
+import { readJsonFile, readJsonFileAsync, combineVersions, type FileVersion, type JsonFile } from "./data-files.js";
+import { pointInPolygon, polygonsBBox, type BBox, type PolygonCoords } from "./geo.js";
+import { normalizeName } from "./merge.js";
+import { buildBoxIndex, type BoxIndex } from "./spatial-index.js";
+
+/** ---------- Types ---------- */
+
+export type AdminLevel = "prefecture" | "municipality" | "chome";
+
+export type AdminArea = {
+  prefecture: string | null;
+  /** City, town or village; a Tokyo special ward is its own municipality ("新宿区") */
+  municipality: string | null;
+  /** Ward of a designated city ("西区" in 横浜市), otherwise null */
+  ward: string | null;
+  /** 町丁目 / 字, when the chōme layer is loaded */
+  chome: string | null;
+  /** Code of the finest polygon found (N03_007, KEY_CODE or properties.code) */
+  code: string | null;
+  /** Municipality plus ward, the unit results are grouped by: "横浜市西区", "新宿区" */
+  district: string | null;
+  /** Everything above in one string, e.g. "神奈川県横浜市西区北幸一丁目" */
+  label: string;
+};
+
+/** Only the names a filter or group needs; a POI's properties qualify too */
+export type AreaNames = Pick<AdminArea, "prefecture" | "municipality" | "ward">;
+
+type AreaFields = Omit<AdminArea, "district" | "label">;
+type AdminPolygon = AreaFields & { level: AdminLevel; polygons: PolygonCoords[]; bbox: BBox };
+
+/** ---------- Config ---------- */
+
+const DATA_DIR = path.join(process.cwd(), "data");
+
+export const ADMIN_LEVELS: readonly AdminLevel[] = ["prefecture", "municipality", "chome"];
+
+// Coarse to fine. Each file is optional; a municipality file alone already names the
+// prefecture, so the prefecture file only matters where municipalities are missing.
+export const ADMIN_FILES: Record<AdminLevel, string> = {
+  prefecture: path.join(DATA_DIR, "admin-prefectures.geojson"),
+  municipality: path.join(DATA_DIR, "admin-municipalities.geojson"),
+  chome: path.join(DATA_DIR, "admin-chome.geojson"),
+};
+
+/** ---------- Parsing ---------- */
+
+const str = (v: unknown): string | null => {
+  const s = v == null ? "" : String(v).trim();
+  return s || null;
+};
+
+// "横浜市西区" -> 横浜市 + 西区; "新宿区" and "八王子市" stay whole
+function splitCity(city: string | null): { municipality: string | null; ward: string | null } {
+  const m = city?.match(/^(.+?市)(.+区)$/);
+  return m ? { municipality: m[1], ward: m[2] } : { municipality: city, ward: null };
+}
+
+function readFields(p: any): AreaFields {
+  if (p?.N03_001 != null) {
+    // Designated cities carry the city in N03_003 and the ward in N03_004; elsewhere N03_003 is the 郡
+    const city = str(p.N03_003), name = str(p.N03_004);
+    const designated = !!city?.endsWith("市") && !!name?.endsWith("区");
+    return {
+      prefecture: str(p.N03_001),
+      municipality: designated ? city : name,
+      ward: designated ? name : null,
+      chome: null,
+      code: str(p.N03_007),
+    };
+  }
+  if (p?.PREF_NAME != null || p?.KEY_CODE != null) {
+    return { prefecture: str(p.PREF_NAME), ...splitCity(str(p.CITY_NAME)), chome: str(p.S_NAME), code: str(p.KEY_CODE) };
+  }
+  const city = splitCity(str(p?.municipality ?? p?.city));
+  return {
+    prefecture: str(p?.prefecture),
+    municipality: city.municipality,
+    ward: str(p?.ward) ?? city.ward,
+    chome: str(p?.chome ?? p?.name),
+    code: str(p?.code),
+  };
+}
+
+function readAdminPolygons(level: AdminLevel, file: JsonFile | null): AdminPolygon[] {
+  if (!file) return [];
+  const feats = Array.isArray(file.json?.features) ? file.json.features : [];
+  const out: AdminPolygon[] = [];
+  for (const f of feats) {
+    const g = f?.geometry;
+    const polygons: PolygonCoords[] =
+      g?.type === "Polygon" ? [g.coordinates] :
+      g?.type === "MultiPolygon" ? g.coordinates :
+      [];
+    if (polygons.length === 0) continue;
+    const fields = readFields(f?.properties);
+    // Finer fields than the level are noise (a generic file's "name" on a municipality polygon)
+    if (level !== "chome") fields.chome = null;
+    if (level === "prefecture") fields.municipality = fields.ward = null;
+    out.push({ level, ...fields, polygons, bbox: polygonsBBox(polygons) });
+  }
+  return out;
+}
+
+/** ---------- Lazy loading ---------- */
+
+type Loaded = {
+  index: Record<AdminLevel, BoxIndex<AdminPolygon>>;
+  counts: Record<AdminLevel, number>;
+  versions: Record<AdminLevel, FileVersion | null>;
+};
+type AdminFiles = Record<AdminLevel, JsonFile | null>;
+
+/** Polygon count and source file version of each boundary level */
+export type AdminLayerStatus = Record<AdminLevel, { polygons: number; file: FileVersion | null }>;
+
+let AREAS: Loaded | null = null;
+
+function buildAreas(files: AdminFiles): Loaded {
+  const polygons = Object.fromEntries(ADMIN_LEVELS.map((l) => [l, readAdminPolygons(l, files[l])])) as Record<AdminLevel, AdminPolygon[]>;
+  return {
+    index: Object.fromEntries(ADMIN_LEVELS.map((l) => [l, buildBoxIndex(polygons[l])])) as Loaded["index"],
+    counts: Object.fromEntries(ADMIN_LEVELS.map((l) => [l, polygons[l].length])) as Record<AdminLevel, number>,
+    versions: Object.fromEntries(ADMIN_LEVELS.map((l) => [l, files[l]?.version ?? null])) as Loaded["versions"],
+  };
+}
+
+function ensureAreas(): Loaded {
+  if (AREAS) return AREAS;
+  AREAS = buildAreas({
+    prefecture: readJsonFile(ADMIN_FILES.prefecture),
+    municipality: readJsonFile(ADMIN_FILES.municipality),
+    chome: readJsonFile(ADMIN_FILES.chome),
+  });
+  return AREAS;
+}
+
+function statusOf(A: Loaded): AdminLayerStatus {
+  return Object.fromEntries(ADMIN_LEVELS.map((l) => [l, { polygons: A.counts[l], file: A.versions[l] }])) as AdminLayerStatus;
+}
+
+/** ---------- Public ---------- */
+
+/** "横浜市西区", "新宿区"; null when the municipality is unknown */
+export function districtOf(a: AreaNames): string | null {
+  return a.municipality ? `${a.municipality}${a.ward ?? ""}` : null;
+}
+
+/** Administrative area containing the point, or null outside every loaded boundary */
+export function adminAreaAt(lon: number, lat: number): AdminArea | null {
+  const A = ensureAreas();
+  const found: AreaFields[] = [];
+  // Finest first: the first polygon per level that contains the point
+  for (const level of [...ADMIN_LEVELS].reverse()) {
+    const hit = A.index[level].at(lon, lat).find((a) => a.polygons.some((poly) => pointInPolygon(lon, lat, poly)));
+    if (hit) found.push(hit);
+  }
+  if (!found.length) return null;
+
+  const pick = <K extends keyof AreaFields>(k: K) => found.find((a) => a[k] != null)?.[k] ?? null;
+  const fields: AreaFields = {
+    prefecture: pick("prefecture"),
+    municipality: pick("municipality"),
+    ward: pick("ward"),
+    chome: pick("chome"),
+    code: found[0].code,
+  };
+  const district = districtOf(fields);
+  return { ...fields, district, label: [fields.prefecture, district, fields.chome].filter(Boolean).join("") };
+}
+
+/**
+ * Whether an area lies in the named ward or municipality. "横浜市西区", "西区"
+ * (any city's 西区), "横浜市" (all its wards) and "神奈川県横浜市西区" all match
+ * 横浜市西区; names are compared after normalizeName().
+ */
+export function inWard(area: AreaNames | null, name: string): boolean {
+  const q = normalizeName(name);
+  if (!area || !q) return false;
+  const district = districtOf(area);
+  return [district, area.ward, area.municipality, district && area.prefecture ? `${area.prefecture}${district}` : null]
+    .some((n) => n != null && normalizeName(n) === q);
+}
+
+/** Same contract as preparePoiLayers(): nothing is swapped until commit() */
+export async function prepareAdminAreas(): Promise<{ status: AdminLayerStatus; commit: () => void }> {
+  const [prefecture, municipality, chome] = await Promise.all(
+    [ADMIN_FILES.prefecture, ADMIN_FILES.municipality, ADMIN_FILES.chome].map(readJsonFileAsync)
+  );
+  const next = buildAreas({ prefecture, municipality, chome });
+  return { status: statusOf(next), commit: () => { AREAS = next; } };
+}
+
+export function adminAreaStatus(): AdminLayerStatus {
+  return statusOf(ensureAreas());
+}
+
+/** Short id of the boundary files in use */
+export function adminDataVersion(): string {
+  const v = ensureAreas().versions;
+  return combineVersions([v.prefecture, v.municipality, v.chome]);
+}
@@ -0,0 +1,169 @@
+// src/lib/batch.ts
+import { z } from "zod";
+import { adminAreaAt, inWard } from "./admin-areas.js";
+import { scorePoint, layerDefs, checkRadius, type ScoreResult } from "./poi-index.js";
+import type { Lang } from "./i18n.js";
+import { resolveProfile, type Algorithm, type ResolvedProfile, type Weights } from "./profiles.js";
+import { argumentError } from "./errors.js";
+
+/** ---------- Types ---------- */
+
+export type BatchInput = {
+  /** Plain items: { lon, lat, id? } */
+  points?: unknown[];
+  /** GeoJSON FeatureCollection of Point features */
+  featureCollection?: unknown;
+  radiusMeters?: number;
+  topN?: number;
+  profile?: string;
+  weights?: Partial<Weights>;
+  algorithm?: Algorithm;
+  /** Language of each result's explain */
+  lang?: Lang;
+  /** Only score the points in this ward or municipality (see inWard()); the rest are left out */
+  ward?: string;
+};
+
+type ItemId = string | number | null;
+
+export type BatchItem =
+  | { index: number; id: ItemId; ok: true; result: ScoreResult }
+  | { index: number; id: ItemId; ok: false; error: string };
+
+/** Scores of the results in one district ("横浜市西区") */
+export type WardSummary = { count: number; meanScore: number; minScore: number; maxScore: number };
+
+export type BatchResult = {
+  results: BatchItem[];
+  summary: {
+    total: number;
+    ok: number;
+    failed: number;
+    /** Items outside params.ward, left out of results */
+    filtered: number;
+    /** By the district each point lies in; points outside the loaded boundaries are not grouped */
+    byWard: Record<string, WardSummary>;
+  };
+  params: { radiusMeters: number; topN: number; profile: ResolvedProfile; ward: string | null };
+};
+
+/** ---------- Config ---------- */
+
+export const MAX_BATCH = 1000;
+
+/** ---------- Per-item validation ---------- */
+
+const Lon = z.number().finite().min(-180).max(180);
+const Lat = z.number().finite().min(-90).max(90);
+const Id = z.union([z.string(), z.number()]);
+
+const PointItem = z.object({ lon: Lon, lat: Lat, id: Id.optional() });
+
+const PointFeature = z.object({
+  type: z.literal("Feature"),
+  id: Id.optional(),
+  geometry: z.object({
+    type: z.literal("Point"),
+    coordinates: z.tuple([Lon, Lat]).rest(z.number()),
+  }),
+  properties: z.record(z.any()).nullish(),
+});
+
+type Located = { lon: number; lat: number; id: ItemId };
+
+function issueText(e: z.ZodError): string {
+  return e.issues.map((i) => (i.path.length ? `${i.path.join(".")}: ${i.message}` : i.message)).join("; ");
+}
+
+function parsePoint(raw: unknown): Located | string {
+  const r = PointItem.safeParse(raw);
+  if (!r.success) return issueText(r.error);
+  return { lon: r.data.lon, lat: r.data.lat, id: r.data.id ?? null };
+}
+
+function parseFeature(raw: unknown): Located | string {
+  const r = PointFeature.safeParse(raw);
+  if (!r.success) return issueText(r.error);
+  const [lon, lat] = r.data.geometry.coordinates;
+  const p = r.data.properties ?? {};
+  const id = r.data.id ?? p.id ?? p.name ?? null;
+  return { lon, lat, id: typeof id === "string" || typeof id === "number" ? id : null };
+}
+
+/** Raw id of an item, best effort, so failed entries can still be matched up by callers */
+function rawId(raw: any): ItemId {
+  const id = raw?.id ?? raw?.properties?.id ?? raw?.properties?.name ?? null;
+  return typeof id === "string" || typeof id === "number" ? id : null;
+}
+
+function groupByWard(results: BatchItem[]): Record<string, WardSummary> {
+  const groups: Record<string, number[]> = {};
+  for (const r of results) {
+    if (!r.ok || !r.result.area?.district) continue;
+    (groups[r.result.area.district] ??= []).push(r.result.score);
+  }
+  return Object.fromEntries(Object.entries(groups).map(([district, scores]) => [district, {
+    count: scores.length,
+    meanScore: scores.reduce((a, b) => a + b, 0) / scores.length,
+    minScore: Math.min(...scores),
+    maxScore: Math.max(...scores),
+  }]));
+}
+
+/** ---------- Public ---------- */
+
+/**
+ * Score many points at once. Only batch-level problems (no items, too many items,
+ * bad radius, unknown profile) throw; a bad item yields an error entry and the rest of the
+ * batch is still scored.
+ */
+export function scorePoints(input: BatchInput): BatchResult {
+  const radiusMeters = checkRadius(Number(input.radiusMeters ?? 1500));
+  const topN = Number(input.topN ?? 25);
+  // Resolved up front so an unknown profile fails the batch, not every item
+  const profile = resolveProfile(input.profile, input.weights, input.algorithm, layerDefs());
+
+  let items: { raw: unknown; parse: (raw: unknown) => Located | string }[];
+  if (input.featureCollection != null) {
+    const fc: any = input.featureCollection;
+    if (fc?.type !== "FeatureCollection" || !Array.isArray(fc.features)) {
+      throw argumentError("featureCollection must be a GeoJSON FeatureCollection");
+    }
+    items = fc.features.map((raw: unknown) => ({ raw, parse: parseFeature }));
+  } else if (Array.isArray(input.points)) {
+    items = input.points.map((raw) => ({ raw, parse: parsePoint }));
+  } else {
+    throw argumentError("points (array) or featureCollection is required");
+  }
+  if (items.length > MAX_BATCH) {
+    throw argumentError(`batch too large: ${items.length} items (max ${MAX_BATCH})`);
+  }
+
+  const ward = input.ward?.trim() || null;
+  let filtered = 0;
+  const results = items.flatMap(({ raw, parse }, index): BatchItem[] => {
+    const p = parse(raw);
+    if (typeof p === "string") return [{ index, id: rawId(raw), ok: false, error: p }];
+    // Checked before scoring, which costs far more than the boundary lookup
+    if (ward && !inWard(adminAreaAt(p.lon, p.lat), ward)) {
+      filtered++;
+      return [];
+    }
+    try {
+      const result = scorePoint({
+        lon: p.lon, lat: p.lat, radiusMeters, topN, profile: input.profile, weights: input.weights, algorithm: input.algorithm,
+        lang: input.lang,
+      });
+      return [{ index, id: p.id, ok: true, result }];
+    } catch (e: any) {
+      return [{ index, id: p.id, ok: false, error: e?.message ?? "scoring failed" }];
+    }
+  });
+
+  const ok = results.filter((r) => r.ok).length;
+  return {
+    results,
+    summary: { total: results.length, ok, failed: results.length - ok, filtered, byWard: groupByWard(results) },
+    params: { radiusMeters, topN, profile, ward },
+  };
+}
@@ -0,0 +1,227 @@
+// src/lib/catchments.ts
+// Shelter catchments over a bbox: every cell goes to its nearest shelter, by straight
+// line (a Voronoi diagram on the cell grid) or by walking distance on the walk graph.
+// With a population grid each catchment's residents are its demand, compared with the
+// shelter's capacity to flag overloaded shelters.
+import { haversineMeters, type BBox } from "./geo.js";
+import { gridLayout, cellBounds, mergeCells } from "./grid.js";
+import { nearestShelter, sheltersWithin, type DisasterType, type PoiNear } from "./poi-index.js";
+import { adminAreaAt, inWard } from "./admin-areas.js";
+import { residentsInBox } from "./population.js";
+import { walkCatchmentField } from "./routing.js";
+import { argumentError } from "./errors.js";
+
+/** ---------- Types ---------- */
+
+export type CatchmentMode = "voronoi" | "walk";
+
+export type CatchmentParams = {
+  bbox: BBox;
+  /** Cell edge in meters; picked automatically to fit MAX_CATCHMENT_CELLS when omitted */
+  cellMeters?: number;
+  /** "voronoi" (straight line, default) or "walk" (walk graph) */
+  mode?: CatchmentMode;
+  /** Cells farther than this from every shelter stay unassigned (walk default 5000 m, voronoi unlimited) */
+  maxMeters?: number;
+  /** Only shelters rated for this hazard take part */
+  hazardType?: DisasterType;
+  /** Only cells whose center lies in this ward or municipality (see inWard()) */
+  ward?: string;
+  /** Share of residents expected to come to a shelter, 0..1 (default 1) */
+  evacuationRate?: number;
+};
+
+export type CatchmentShelter = {
+  name: string;
+  lon: number;
+  lat: number;
+  id: string | null;
+  /** People the shelter holds; null = unknown */
+  capacity: number | null;
+};
+
+export type CatchmentFeature = {
+  type: "Feature";
+  geometry: { type: "MultiPolygon"; coordinates: [number, number][][][] };
+  properties: {
+    shelter: CatchmentShelter;
+    cells: number;
+    area_km2: number;
+    /** Residents in the catchment; null without a population grid */
+    residents: number | null;
+    /** residents × evacuationRate */
+    demand: number | null;
+    /** demand / capacity; null when either is unknown */
+    load: number | null;
+    overloaded: boolean | null;
+    /** Distance (walk mode: walking distance) from the shelter to its farthest cell center */
+    maxDistance_m: number;
+    /** The catchment reaches the bbox edge, so it (and its demand) may continue outside */
+    clipped: boolean;
+  };
+};
+
+export type CatchmentResult = {
+  type: "FeatureCollection";
+  /** One per shelter that has cells, highest load first (unknown load last, then by demand) */
+  features: CatchmentFeature[];
+  summary: {
+    shelters: number;
+    cells: number;
+    /** Cells with no shelter within maxMeters (or off the walk network) */
+    unassigned: { cells: number; area_km2: number; residents: number | null };
+    residents: number | null;
+    demand: number | null;
+    /** Sum of the known capacities, and how many catchments lack one */
+    capacity: number;
+    unknownCapacity: number;
+    overloaded: number;
+  };
+  params: {
+    bbox: BBox; cellMeters: number; rows: number; cols: number;
+    mode: CatchmentMode;
+    maxMeters: number | null;
+    hazardType: DisasterType | null;
+    ward: string | null;
+    evacuationRate: number;
+  };
+};
+
+/** ---------- Config ---------- */
+
+export const MAX_CATCHMENT_CELLS = 10000;
+const DEFAULT_WALK_MAX_METERS = 5000;
+
+/** ---------- Helpers ---------- */
+
+const round3 = (x: number) => Math.round(x * 1000) / 1000;
+
+const keyOf = (p: { lon: number; lat: number; name: string }) => `${p.lon},${p.lat},${p.name}`;
+
+function shelterOf(p: PoiNear): CatchmentShelter {
+  const capacity = Number(p.capacity);
+  return { name: p.name, lon: p.lon, lat: p.lat, id: p.id ?? null, capacity: Number.isFinite(capacity) && capacity > 0 ? capacity : null };
+}
+
+// Highest load first, unknown load last, then by demand and name
+function byLoad(a: CatchmentFeature, b: CatchmentFeature): number {
+  const la = a.properties.load ?? -1, lb = b.properties.load ?? -1;
+  return lb - la || (b.properties.demand ?? 0) - (a.properties.demand ?? 0) || a.properties.shelter.name.localeCompare(b.properties.shelter.name);
+}
+
+/** ---------- Public ---------- */
+
+/**
+ * Assign every cell of a bbox to its nearest shelter and total residents, demand and
+ * load per shelter. Throws on a bad bbox, a grid over MAX_CATCHMENT_CELLS, a bad
+ * evacuationRate, or walk mode without data/walk-graph.json.
+ */
+export function shelterCatchments(params: CatchmentParams): CatchmentResult {
+  const layout = gridLayout(params.bbox, params.cellMeters, MAX_CATCHMENT_CELLS);
+  const { bbox, cellMeters, rows, cols } = layout;
+  const [minLon, minLat, maxLon, maxLat] = bbox;
+  const mode: CatchmentMode = params.mode ?? "voronoi";
+  if (mode !== "voronoi" && mode !== "walk") throw argumentError('mode must be "voronoi" or "walk"');
+  const ward = params.ward?.trim() || null;
+  const hazardType = params.hazardType ?? null;
+
+  const rate = Number(params.evacuationRate ?? 1);
+  if (!Number.isFinite(rate) || rate < 0 || rate > 1) throw argumentError("evacuationRate must be between 0 and 1");
+  const maxMeters = params.maxMeters != null ? Number(params.maxMeters) : mode === "walk" ? DEFAULT_WALK_MAX_METERS : null;
+  if (maxMeters != null && !(Number.isFinite(maxMeters) && maxMeters > 0)) throw argumentError("maxMeters must be > 0");
+
+  // Nearest shelter of a cell center with its distance, null = unassigned
+  let nearest: (lon: number, lat: number) => { shelter: PoiNear; distance_m: number } | null;
+  if (mode === "walk") {
+    // Walking is never shorter than the straight line, so farther shelters cannot win a cell
+    const reach = haversineMeters(minLon, minLat, maxLon, maxLat) / 2 + maxMeters!;
+    const candidates = sheltersWithin((minLon + maxLon) / 2, (minLat + maxLat) / 2, reach, hazardType);
+    const field = walkCatchmentField(candidates, maxMeters!);
+    if (!field) throw new Error("walking catchments need data/walk-graph.json (scripts/build-walk-graph.mjs); use mode voronoi instead");
+    nearest = (lon, lat) => {
+      const hit = field(lon, lat);
+      return hit ? { shelter: candidates[hit.index], distance_m: hit.walk_m } : null;
+    };
+  } else {
+    nearest = (lon, lat) => {
+      const hit = nearestShelter(lon, lat, hazardType);
+      return hit && (maxMeters == null || hit.distance_m <= maxMeters) ? { shelter: hit, distance_m: hit.distance_m } : null;
+    };
+  }
+
+  type Acc = { shelter: CatchmentShelter; cells: number; residents: number; maxDistance_m: number; clipped: boolean };
+  const acc = new Map<string, Acc>();
+  const keys: (string | null)[] = new Array(rows * cols).fill(null);
+  const unassigned = { cells: 0, residents: 0 };
+  let hasPopulation = false;
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const { x0, y0, x1, y1, lon, lat } = cellBounds(layout, row, col);
+      if (ward && !inWard(adminAreaAt(lon, lat), ward)) continue;
+
+      const residents = residentsInBox([x0, y0, x1, y1]);
+      if (residents != null) hasPopulation = true;
+      const hit = nearest(lon, lat);
+      if (!hit) {
+        unassigned.cells++;
+        unassigned.residents += residents ?? 0;
+        continue;
+      }
+
+      const key = keyOf(hit.shelter);
+      keys[row * cols + col] = key;
+      let a = acc.get(key);
+      if (!a) acc.set(key, (a = { shelter: shelterOf(hit.shelter), cells: 0, residents: 0, maxDistance_m: 0, clipped: false }));
+      a.cells++;
+      a.residents += residents ?? 0;
+      a.maxDistance_m = Math.max(a.maxDistance_m, hit.distance_m);
+      if (row === 0 || col === 0 || row === rows - 1 || col === cols - 1) a.clipped = true;
+    }
+  }
+
+  const rects = mergeCells(layout, keys);
+  const cellKm2 = (cellMeters * cellMeters) / 1e6;
+  const features: CatchmentFeature[] = [...acc].map(([key, a]) => {
+    const demand = hasPopulation ? a.residents * rate : null;
+    const load = demand != null && a.shelter.capacity ? round3(demand / a.shelter.capacity) : null;
+    return {
+      type: "Feature",
+      geometry: { type: "MultiPolygon", coordinates: rects.get(key) ?? [] },
+      properties: {
+        shelter: a.shelter,
+        cells: a.cells,
+        area_km2: round3(a.cells * cellKm2),
+        residents: hasPopulation ? Math.round(a.residents) : null,
+        demand: demand != null ? Math.round(demand) : null,
+        load,
+        overloaded: load != null ? load > 1 : null,
+        maxDistance_m: Math.round(a.maxDistance_m),
+        clipped: a.clipped,
+      },
+    };
+  });
+  features.sort(byLoad);
+
+  const assignedResidents = [...acc.values()].reduce((s, a) => s + a.residents, 0);
+  const withCapacity = features.filter((f) => f.properties.shelter.capacity != null);
+  return {
+    type: "FeatureCollection",
+    features,
+    summary: {
+      shelters: features.length,
+      cells: unassigned.cells + features.reduce((s, f) => s + f.properties.cells, 0),
+      unassigned: {
+        cells: unassigned.cells,
+        area_km2: round3(unassigned.cells * cellKm2),
+        residents: hasPopulation ? Math.round(unassigned.residents) : null,
+      },
+      residents: hasPopulation ? Math.round(assignedResidents + unassigned.residents) : null,
+      demand: hasPopulation ? Math.round(assignedResidents * rate) : null,
+      capacity: withCapacity.reduce((s, f) => s + f.properties.shelter.capacity!, 0),
+      unknownCapacity: features.length - withCapacity.length,
+      overloaded: features.filter((f) => f.properties.overloaded).length,
+    },
+    params: { bbox, cellMeters, rows, cols, mode, maxMeters, hazardType, ward, evacuationRate: rate },
+  };
+}
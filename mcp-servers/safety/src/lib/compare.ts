@@ -0,0 +1,200 @@
+// src/lib/compare.ts
+// Side-by-side comparison of a few named candidate locations: every one is scored
+// with the same profile, radius and hazard type, ranked, and compared with the
+// best one per category ("A has a shelter 600 m closer than B").
+import { z } from "zod";
+import { scorePoint, layerDefs, type Bucket, type DisasterType, type ScoreResult } from "./poi-index.js";
+import { messages, t, zoneLabel, DEFAULT_LANG, type CompareCategory, type Lang } from "./i18n.js";
+import { resolveProfile, type Algorithm, type ResolvedProfile, type Weights } from "./profiles.js";
+import { fmtDist } from "./steps.js";
+import { argumentError } from "./errors.js";
+
+/** ---------- Types ---------- */
+
+export type CompareInput = {
+  /** { name?, lon, lat } items; unnamed ones become "A", "B", ... */
+  locations: unknown[];
+  radiusMeters?: number;
+  profile?: string;
+  weights?: Partial<Weights>;
+  algorithm?: Algorithm;
+  hazardType?: DisasterType;
+  /** Language of each result's explain and of explanation.text */
+  lang?: Lang;
+};
+
+/** Nearest POI of a category, in the radius or not */
+export type NearestPoi = { name: string; distance_m: number } | null;
+
+/** This location minus the top-ranked one; all zero for the top-ranked one itself */
+export type LocationDelta = {
+  score: number;
+  /** Per layer id, like ScoreResult.components */
+  components: Weights;
+  counts: { shelters: number; schools: number; healths: number };
+  /** Positive = farther than the top-ranked location; null when either has none */
+  nearest_m: Record<CompareCategory, number | null>;
+};
+
+export type ComparedLocation = {
+  /** Position in the input */
+  index: number;
+  name: string;
+  lon: number;
+  lat: number;
+  /** 1 = best */
+  rank: number;
+  score: number;
+  counts: { shelters: number; schools: number; healths: number };
+  nearest: Record<CompareCategory, NearestPoi>;
+  delta: LocationDelta;
+  result: ScoreResult;
+};
+
+export type CompareResult = {
+  /** Best first */
+  locations: ComparedLocation[];
+  /** Comparative sentences, one per line: EN and JA always, plus text in params.lang */
+  explanation: { en: string; ja: string; lang: Lang; text: string };
+  params: { radiusMeters: number; profile: ResolvedProfile; hazardType: DisasterType | null; lang: Lang };
+};
+
+/** ---------- Config ---------- */
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 10;
+
+// Smaller differences are not worth a sentence
+const SCORE_TIE = 0.005;
+const CLOSER_MIN_M = 100;
+
+const CATEGORIES: readonly CompareCategory[] = ["shelter", "health", "school"];
+const BUCKET = { shelter: "shelters", health: "healths", school: "schools" } as const;
+
+/** ---------- Validation ---------- */
+
+export const CompareLocation = z.object({
+  name: z.string().trim().min(1).max(100).optional(),
+  lon: z.number().finite().min(-180).max(180),
+  lat: z.number().finite().min(-90).max(90),
+});
+
+const Locations = z.array(CompareLocation).min(MIN_COMPARE).max(MAX_COMPARE);
+
+function parseLocations(raw: unknown): { name: string; lon: number; lat: number }[] {
+  const r = Locations.safeParse(raw);
+  if (!r.success) {
+    const issues = r.error.issues.map((i) => (i.path.length ? `locations.${i.path.join(".")}: ${i.message}` : i.message));
+    throw argumentError(`${MIN_COMPARE}–${MAX_COMPARE} locations of { name?, lon, lat } are required (${issues.join("; ")})`);
+  }
+  return r.data.map((l, i) => ({ name: l.name ?? String.fromCharCode(65 + i), lon: l.lon, lat: l.lat }));
+}
+
+/** ---------- Helpers ---------- */
+
+function nearestOf(b: Bucket): NearestPoi {
+  const p = b.nearest ?? b.nearestOutside ?? null;
+  return p ? { name: p.name, distance_m: Math.round(p.distance_m) } : null;
+}
+
+const countsOf = (r: ScoreResult) => ({ shelters: r.shelters.count, schools: r.schools.count, healths: r.healths.count });
+
+const round3 = (x: number) => Math.round(x * 1000) / 1000;
+
+function deltaOf(loc: Omit<ComparedLocation, "delta" | "rank">, best: Omit<ComparedLocation, "delta" | "rank">): LocationDelta {
+  const components = {} as Weights;
+  for (const id of Object.keys(loc.result.components)) {
+    components[id] = round3(loc.result.components[id] - (best.result.components[id] ?? 0));
+  }
+  const nearest_m = {} as LocationDelta["nearest_m"];
+  for (const c of CATEGORIES) {
+    const a = loc.nearest[c], b = best.nearest[c];
+    nearest_m[c] = a && b ? a.distance_m - b.distance_m : null;
+  }
+  return {
+    score: round3(loc.score - best.score),
+    components,
+    counts: {
+      shelters: loc.counts.shelters - best.counts.shelters,
+      schools: loc.counts.schools - best.counts.schools,
+      healths: loc.counts.healths - best.counts.healths,
+    },
+    nearest_m,
+  };
+}
+
+// The top-ranked location against each of the others
+function sentences(locs: ComparedLocation[], radiusMeters: number, lang: Lang): string[] {
+  const m = messages(lang);
+  const out = [t(m.cmpRanking, {
+    list: locs.map((l) => t(m.cmpRankItem, { rank: l.rank, name: l.name, score: l.score.toFixed(2) })).join(m.listSep),
+  })];
+  const [best, ...rest] = locs;
+  for (const o of rest) {
+    const diff = best.score - o.score;
+    out.push(diff < SCORE_TIE
+      ? t(m.cmpTie, { a: best.name, b: o.name, score: best.score.toFixed(2) })
+      : t(m.cmpScore, { a: best.name, b: o.name, diff: diff.toFixed(2), sa: best.score.toFixed(2), sb: o.score.toFixed(2) }));
+
+    for (const c of CATEGORIES) {
+      const a = best.nearest[c], b = o.nearest[c];
+      if (!a || !b || Math.abs(a.distance_m - b.distance_m) < CLOSER_MIN_M) continue;
+      const [near, far] = a.distance_m < b.distance_m ? [best, o] : [o, best];
+      const dn = near.nearest[c]!.distance_m, df = far.nearest[c]!.distance_m;
+      out.push(t(m.cmpCloser, {
+        a: near.name, b: far.name, category: m.category[c], diff: fmtDist(df - dn), da: fmtDist(dn), db: fmtDist(df),
+      }));
+    }
+
+    if (best.counts.shelters !== o.counts.shelters) {
+      const [more, less] = best.counts.shelters > o.counts.shelters ? [best, o] : [o, best];
+      out.push(t(m.cmpMore, {
+        a: more.name, b: less.name, categories: m.categories.shelter, radius: radiusMeters,
+        diff: more.counts.shelters - less.counts.shelters, ca: more.counts.shelters, cb: less.counts.shelters,
+      }));
+    }
+
+    const zb = best.result.hazards.zones, zo = o.result.hazards.zones;
+    if (!zb.length !== !zo.length) {
+      const [inside, outside] = zb.length ? [best, o] : [o, best];
+      const list = inside.result.hazards.zones.map((z) => zoneLabel(z, lang)).join(m.listSep);
+      out.push(t(m.cmpHazard, { inside: inside.name, outside: outside.name, list }));
+    }
+  }
+  return out;
+}
+
+/** ---------- Public ---------- */
+
+/**
+ * Score 2..MAX_COMPARE locations with one profile and rank them: by score, then
+ * the nearer shelter, then input order. Unlike scorePoints(), a bad location
+ * fails the whole call, since a comparison with a gap in it is not one.
+ */
+export function compareLocations(input: CompareInput): CompareResult {
+  const locations = parseLocations(input.locations);
+  const radiusMeters = Number(input.radiusMeters ?? 1500);
+  const lang = input.lang ?? DEFAULT_LANG;
+  // Resolved up front so an unknown profile fails before any scoring
+  const profile = resolveProfile(input.profile, input.weights, input.algorithm, layerDefs());
+
+  const scored = locations.map((l, index) => {
+    const result = scorePoint({
+      lon: l.lon, lat: l.lat, radiusMeters, profile: input.profile, weights: input.weights, algorithm: input.algorithm,
+      hazardType: input.hazardType, lang,
+    });
+    const nearest = Object.fromEntries(CATEGORIES.map((c) => [c, nearestOf(result[BUCKET[c]])])) as Record<CompareCategory, NearestPoi>;
+    return { index, ...l, score: result.score, counts: countsOf(result), nearest, result };
+  });
+
+  const farShelter = (x: (typeof scored)[number]) => x.nearest.shelter?.distance_m ?? Infinity;
+  scored.sort((a, b) => b.score - a.score || farShelter(a) - farShelter(b) || a.index - b.index);
+  const ranked: ComparedLocation[] = scored.map((s, i) => ({ ...s, rank: i + 1, delta: deltaOf(s, scored[0]) }));
+
+  const text = (l: Lang) => sentences(ranked, radiusMeters, l).join("\n");
+  return {
+    locations: ranked,
+    explanation: { en: text("en"), ja: text("ja"), lang, text: text(lang) },
+    params: { radiusMeters, profile, hazardType: input.hazardType ?? null, lang },
+  };
+}
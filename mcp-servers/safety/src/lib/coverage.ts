@@ -0,0 +1,180 @@
+// src/lib/coverage.ts
+// Shelter coverage over a bbox: which parts lie within a distance (straight line) or a
+// number of walking minutes (walk graph) of the nearest shelter. Cells of the same
+// status are merged row by row into rectangles (mergeCells()), giving one covered and
+// one uncovered MultiPolygon plus summary figures.
+import { haversineMeters, type BBox } from "./geo.js";
+import { gridLayout, cellBounds, mergeCells } from "./grid.js";
+import { nearestShelter, sheltersWithin, type DisasterType } from "./poi-index.js";
+import { adminAreaAt, inWard } from "./admin-areas.js";
+import { residentsInBox } from "./population.js";
+import { walkDistanceField, WALK_SPEED_M_PER_MIN } from "./routing.js";
+import { argumentError } from "./errors.js";
+
+/** ---------- Types ---------- */
+
+export type CoverageParams = {
+  bbox: BBox;
+  /** Cell edge in meters; picked automatically to fit MAX_COVERAGE_CELLS when omitted */
+  cellMeters?: number;
+  /** Straight-line threshold (default 1000 m); ignored when maxWalkMinutes is set */
+  maxMeters?: number;
+  /** Walking threshold in minutes, measured on the walk graph */
+  maxWalkMinutes?: number;
+  /** Only count shelters rated for this hazard */
+  hazardType?: DisasterType;
+  /** Only cells whose center lies in this ward or municipality (see inWard()) */
+  ward?: string;
+};
+
+export type CoverageStatus = "covered" | "uncovered";
+
+export type CoverageFeature = {
+  type: "Feature";
+  geometry: { type: "MultiPolygon"; coordinates: [number, number][][][] };
+  properties: {
+    status: CoverageStatus;
+    cells: number;
+    area_km2: number;
+    /** Estimated residents in these cells; null without a population grid */
+    residents: number | null;
+  };
+};
+
+export type CoverageResult = {
+  type: "FeatureCollection";
+  /** Covered first, then uncovered; a status without cells has an empty MultiPolygon */
+  features: CoverageFeature[];
+  summary: {
+    cells: number;
+    covered: number;
+    uncovered: number;
+    /** covered / cells, 0..1 (0 for an empty grid) */
+    coveredShare: number;
+    area_km2: number;
+    residents: { covered: number; uncovered: number; total: number } | null;
+    /** Cell center farthest (straight line) from any shelter; null when no cell has a shelter anywhere */
+    farthest: { lon: number; lat: number; distance_m: number; shelter: string } | null;
+    /** Cells with no shelter at all in the loaded data */
+    noShelter: number;
+  };
+  params: {
+    bbox: BBox; cellMeters: number; rows: number; cols: number;
+    mode: "distance" | "walk";
+    /** Threshold applied, in meters (walk mode: minutes × WALK_SPEED_M_PER_MIN) */
+    maxMeters: number;
+    maxWalkMinutes: number | null;
+    hazardType: DisasterType | null;
+    ward: string | null;
+  };
+};
+
+/** ---------- Config ---------- */
+
+export const MAX_COVERAGE_CELLS = 10000;
+const DEFAULT_MAX_METERS = 1000;
+
+/** ---------- Helpers ---------- */
+
+const round1 = (x: number) => Math.round(x * 10) / 10;
+const round3 = (x: number) => Math.round(x * 1000) / 1000;
+
+function feature(status: CoverageStatus, rects: [number, number][][][], cells: number, area_km2: number, residents: number | null): CoverageFeature {
+  return {
+    type: "Feature",
+    geometry: { type: "MultiPolygon", coordinates: rects },
+    properties: { status, cells, area_km2: round3(area_km2), residents: residents == null ? null : Math.round(residents) },
+  };
+}
+
+/** ---------- Public ---------- */
+
+/**
+ * Split a bbox into covered and uncovered areas. A cell is covered when its center
+ * is within maxMeters of a shelter, or within maxWalkMinutes on the walk graph (an
+ * off-network center counts as uncovered). Throws on a bad bbox, a grid over
+ * MAX_COVERAGE_CELLS, or walk mode without data/walk-graph.json.
+ */
+export function shelterCoverage(params: CoverageParams): CoverageResult {
+  const layout = gridLayout(params.bbox, params.cellMeters, MAX_COVERAGE_CELLS);
+  const { bbox, cellMeters, rows, cols } = layout;
+  const [minLon, minLat, maxLon, maxLat] = bbox;
+  const ward = params.ward?.trim() || null;
+  const hazardType = params.hazardType ?? null;
+
+  const walkMin = params.maxWalkMinutes != null ? Number(params.maxWalkMinutes) : null;
+  if (walkMin != null && !(Number.isFinite(walkMin) && walkMin > 0)) throw argumentError("maxWalkMinutes must be > 0");
+  const maxMeters = walkMin != null ? walkMin * WALK_SPEED_M_PER_MIN : Number(params.maxMeters ?? DEFAULT_MAX_METERS);
+  if (!Number.isFinite(maxMeters) || maxMeters <= 0) throw argumentError("maxMeters must be > 0");
+
+  // Walk mode: one multi-source search from every shelter that could reach the bbox.
+  // Walking is never shorter than the straight line, so farther shelters cannot matter.
+  let walk: ((lon: number, lat: number) => number | null) | null = null;
+  if (walkMin != null) {
+    const cLon = (minLon + maxLon) / 2, cLat = (minLat + maxLat) / 2;
+    const reach = haversineMeters(minLon, minLat, maxLon, maxLat) / 2 + maxMeters;
+    walk = walkDistanceField(sheltersWithin(cLon, cLat, reach, hazardType), maxMeters);
+    if (!walk) throw new Error("walking coverage needs data/walk-graph.json (scripts/build-walk-graph.mjs); use maxMeters instead");
+  }
+
+  const statuses: (CoverageStatus | null)[] = new Array(rows * cols).fill(null);
+  const count = { covered: 0, uncovered: 0 };
+  const people = { covered: 0, uncovered: 0 };
+  let hasPopulation = false;
+  let farthest: CoverageResult["summary"]["farthest"] = null;
+  let noShelter = 0;
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const { x0, y0, x1, y1, lon, lat } = cellBounds(layout, row, col);
+      if (ward && !inWard(adminAreaAt(lon, lat), ward)) continue;
+
+      const near = nearestShelter(lon, lat, hazardType);
+      if (!near) noShelter++;
+      else if (!farthest || near.distance_m > farthest.distance_m) {
+        farthest = { lon, lat, distance_m: Math.round(near.distance_m), shelter: near.name };
+      }
+      const covered = walk ? walk(lon, lat) != null : !!near && near.distance_m <= maxMeters;
+      const status: CoverageStatus = covered ? "covered" : "uncovered";
+
+      statuses[row * cols + col] = status;
+      count[status]++;
+      const residents = residentsInBox([x0, y0, x1, y1]);
+      if (residents != null) {
+        hasPopulation = true;
+        people[status] += residents;
+      }
+    }
+  }
+
+  const rects = mergeCells(layout, statuses);
+  const cellKm2 = (cellMeters * cellMeters) / 1e6;
+  const cells = count.covered + count.uncovered;
+  return {
+    type: "FeatureCollection",
+    features: [
+      feature("covered", rects.get("covered") ?? [], count.covered, count.covered * cellKm2, hasPopulation ? people.covered : null),
+      feature("uncovered", rects.get("uncovered") ?? [], count.uncovered, count.uncovered * cellKm2, hasPopulation ? people.uncovered : null),
+    ],
+    summary: {
+      cells,
+      covered: count.covered,
+      uncovered: count.uncovered,
+      coveredShare: cells ? round3(count.covered / cells) : 0,
+      area_km2: round3(cells * cellKm2),
+      residents: hasPopulation
+        ? { covered: Math.round(people.covered), uncovered: Math.round(people.uncovered), total: Math.round(people.covered + people.uncovered) }
+        : null,
+      farthest,
+      noShelter,
+    },
+    params: {
+      bbox, cellMeters, rows, cols,
+      mode: walk ? "walk" : "distance",
+      maxMeters: round1(maxMeters),
+      maxWalkMinutes: walkMin,
+      hazardType,
+      ward,
+    },
+  };
+}
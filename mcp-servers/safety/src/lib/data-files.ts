@@ -0,0 +1,62 @@
+// src/lib/data-files.ts
+import fs from "fs";
+import { createHash } from "crypto";
+
+/** ---------- Types ---------- */
+
+/** Identifies the exact file contents a layer was built from */
+export type FileVersion = {
+  file: string;
+  /** First 12 hex chars of the SHA-1 of the file */
+  sha1: string;
+  bytes: number;
+  mtime: string;
+};
+
+export type JsonFile = { json: any; version: FileVersion };
+
+/** ---------- Helpers ---------- */
+
+function versionOf(file: string, text: string, mtime: Date): FileVersion {
+  return {
+    file,
+    sha1: createHash("sha1").update(text).digest("hex").slice(0, 12),
+    bytes: Buffer.byteLength(text),
+    mtime: mtime.toISOString(),
+  };
+}
+
+function parse(file: string, text: string): any {
+  try {
+    return JSON.parse(text);
+  } catch (e: any) {
+    throw new Error(`invalid JSON in ${file}: ${e?.message ?? e}`);
+  }
+}
+
+/** ---------- Public ---------- */
+
+/** Parsed JSON plus its version; null when the file does not exist */
+export function readJsonFile(file: string): JsonFile | null {
+  if (!fs.existsSync(file)) return null;
+  const text = fs.readFileSync(file, "utf8");
+  return { json: parse(file, text), version: versionOf(file, text, fs.statSync(file).mtime) };
+}
+
+/** One short id for a set of file versions or earlier combined ids (null = file missing), e.g. for cache keys */
+export function combineVersions(versions: (FileVersion | string | null)[]): string {
+  const joined = versions.map((v) => (typeof v === "string" ? v : v?.sha1 ?? "-")).join(",");
+  return createHash("sha1").update(joined).digest("hex").slice(0, 12);
+}
+
+/** Non-blocking variant used by reloads, so scoring keeps running while files are read */
+export async function readJsonFileAsync(file: string): Promise<JsonFile | null> {
+  let text: string, mtime: Date;
+  try {
+    [text, { mtime }] = await Promise.all([fs.promises.readFile(file, "utf8"), fs.promises.stat(file)]);
+  } catch (e: any) {
+    if (e?.code === "ENOENT") return null;
+    throw e;
+  }
+  return { json: parse(file, text), version: versionOf(file, text, mtime) };
+}
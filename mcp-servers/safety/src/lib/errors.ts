@@ -0,0 +1,17 @@
+// src/lib/errors.ts
+// Caller mistakes (bad bbox, unknown profile, radius out of range, ...) versus
+// server faults (unreadable data files, a bad GEOCODER setting, a missing walk
+// graph). The MCP reports the first kind as InvalidParams, the HTTP servers as 400.
+
+/** ---------- Public ---------- */
+
+export type ArgumentError = Error & { invalidArgument: true };
+
+/** An error caused by the caller's arguments */
+export function argumentError(message: string): ArgumentError {
+  return Object.assign(new Error(message), { invalidArgument: true as const });
+}
+
+export function isArgumentError(e: unknown): e is ArgumentError {
+  return e instanceof Error && (e as Partial<ArgumentError>).invalidArgument === true;
+}
@@ -0,0 +1,250 @@
+// src/lib/gazetteer.ts
+// Local place-name index for geocoding: every POI name from the layers plus the
+// addresses (町丁目) and stations imported by scripts/import-gazetteer.mjs into
+// data/gazetteer.json. Names are matched on a normalized key, so "横浜駅" finds
+// the station "横浜" and "北幸一丁目5-1" the 町丁目 "北幸1丁目".
+import path from "path";
+import { readJsonFile, readJsonFileAsync, combineVersions, type FileVersion, type JsonFile } from "./data-files.js";
+import { haversineMeters } from "./geo.js";
+import { nameSimilarity, normalizeName } from "./merge.js";
+import { poiLayerPoints } from "./poi-index.js";
+
+/** ---------- Types ---------- */
+
+export type Place = {
+  name: string;
+  /** "address", "station", a POI layer id (shelter, school, ...), or "place" for other remote hits */
+  kind: string;
+  lon: number;
+  lat: number;
+  /** Full address, when known (address entries are matched on it) */
+  address?: string | null;
+  source: string | null;
+};
+
+export type PlaceMatch = Place & {
+  /** 1 exact, 0.9 prefix, 0.8 the name contains the query, 0.7 the query contains the name, lower = fuzzy */
+  score: number;
+  /** From the bias point, when one was given */
+  distance_m?: number;
+};
+
+export type SearchOptions = {
+  limit?: number;
+  /** Ranks equally good matches by distance from here */
+  near?: { lon: number; lat: number };
+};
+
+/** Imported entries and the file they came from */
+export type GazetteerStatus = { places: number; file: FileVersion | null; importedAt: string | null };
+
+/** ---------- Config ---------- */
+
+// Written by scripts/import-gazetteer.mjs
+export const GAZETTEER_FILE = path.join(process.cwd(), "data", "gazetteer.json");
+
+export const DEFAULT_LIMIT = 5;
+export const MAX_LIMIT = 20;
+// Fuzzy matches are Dice similarity scaled by this, and dropped below MIN_SCORE
+const FUZZY_WEIGHT = 0.75;
+const MIN_SCORE = 0.45;
+// Bigrams in more places than this (丁目, 学校, ...) barely narrow the candidates
+const COMMON_GRAM_MIN = 1000;
+const COMMON_GRAM_SHARE = 0.1;
+// Same key this close = the same place listed twice (e.g. a school that is also a shelter)
+const DUPLICATE_M = 100;
+
+/** ---------- Keys ---------- */
+
+const KANJI_DIGITS = "〇一二三四五六七八九";
+
+// 一..九十九, which covers every 丁目 in use
+function kanjiNumber(k: string): number {
+  if (!k.includes("十")) return Number([...k].map((c) => KANJI_DIGITS.indexOf(c)).join(""));
+  const [tens, ones] = k.split("十");
+  return (tens ? KANJI_DIGITS.indexOf(tens) : 1) * 10 + (ones ? KANJI_DIGITS.indexOf(ones) : 0);
+}
+
+/**
+ * Comparable form of a place name or query: postal code, house numbers below
+ * the 町丁目 and a trailing 駅 are dropped, 丁目 numbers become digits, then
+ * normalizeName() (NFKC, lower case, no spaces or punctuation).
+ */
+export function placeKey(name: string): string {
+  const s = name
+    .normalize("NFKC")
+    .trim()
+    .replace(/^〒?\s*\d{3}-?\d{4}\s*/, "")
+    .replace(/([〇一二三四五六七八九十]+)丁目/g, (_, k: string) => `${kanjiNumber(k)}丁目`)
+    // 1丁目2番3号 / 1丁目2-3 -> 1丁目; 1-2-3 -> 1丁目; 123番地 -> (dropped)
+    .replace(/(\d+)丁目.*$/, "$1丁目")
+    .replace(/(\d+)(?:\s*[-‐−]\s*\d+)+\s*号?$/, "$1丁目")
+    .replace(/\d+番地?(?:の?\d+号?)?$/, "")
+    .replace(/駅$/, "");
+  return normalizeName(s);
+}
+
+function gramsOf(key: string): string[] {
+  if (key.length < 2) return [key];
+  return [...new Set(Array.from({ length: key.length - 1 }, (_, i) => key.slice(i, i + 2)))];
+}
+
+/** ---------- Lazy loading ---------- */
+
+type Index = {
+  version: string;
+  places: Place[];
+  keys: string[];
+  /** Places by every bigram of their key */
+  grams: Map<string, number[]>;
+  gramCounts: number[];
+  exact: Map<string, number[]>;
+};
+
+// undefined = not read yet; null = no gazetteer.json
+let FILE: JsonFile | null | undefined;
+let INDEX: Index | null = null;
+
+function readPlaces(file: JsonFile | null): Place[] {
+  const list = Array.isArray(file?.json?.places) ? file!.json.places : [];
+  const out: Place[] = [];
+  for (const p of list) {
+    const lon = Number(p?.lon), lat = Number(p?.lat);
+    const name = String(p?.name ?? "").trim();
+    if (!name || !Number.isFinite(lon) || !Number.isFinite(lat)) continue;
+    out.push({ name, kind: String(p.kind ?? "address"), lon, lat, address: p.address ?? null, source: p.source ?? null });
+  }
+  return out;
+}
+
+// Addresses are found by the full address, so "西区北幸" and "横浜市西区北幸" both hit
+const keyOf = (p: Place) => placeKey(p.kind === "address" && p.address ? p.address : p.name);
+
+function buildIndex(version: string, places: Place[]): Index {
+  const keys = places.map(keyOf);
+  const grams = new Map<string, number[]>();
+  const exact = new Map<string, number[]>();
+  const gramCounts: number[] = [];
+  keys.forEach((key, i) => {
+    if (!key) return;
+    const gs = gramsOf(key);
+    gramCounts[i] = gs.length;
+    for (const g of gs) {
+      const list = grams.get(g);
+      if (list) list.push(i);
+      else grams.set(g, [i]);
+    }
+    const same = exact.get(key);
+    if (same) same.push(i);
+    else exact.set(key, [i]);
+  });
+  return { version, places, keys, grams, gramCounts, exact };
+}
+
+function ensureFile(): JsonFile | null {
+  if (FILE === undefined) FILE = readJsonFile(GAZETTEER_FILE);
+  return FILE;
+}
+
+// Rebuilt whenever the POI layers or the gazetteer file changed (reload_layers)
+function ensureIndex(): Index {
+  const pois = poiLayerPoints();
+  const file = ensureFile();
+  const version = combineVersions([pois.version, file?.version ?? null]);
+  if (INDEX?.version === version) return INDEX;
+
+  const places: Place[] = readPlaces(file);
+  for (const { id, points } of pois.layers) {
+    for (const p of points) places.push({ name: p.name, kind: id, lon: p.lon, lat: p.lat, source: p.source ?? null });
+  }
+  INDEX = buildIndex(version, places);
+  return INDEX;
+}
+
+function statusOf(file: JsonFile | null): GazetteerStatus {
+  return { places: readPlaces(file).length, file: file?.version ?? null, importedAt: file?.json?.importedAt ?? null };
+}
+
+/** ---------- Matching ---------- */
+
+function matchScore(key: string, q: string): number {
+  if (key === q) return 1;
+  if (key.startsWith(q)) return 0.9;
+  if (key.includes(q)) return 0.8;
+  // The query is the place plus something we could not strip (a building, a room)
+  if (key.length >= 3 && q.includes(key)) return 0.7;
+  return FUZZY_WEIGHT * nameSimilarity(key, q);
+}
+
+// Places sharing at least half of the query's (or their own) informative bigrams
+function candidates(I: Index, q: string): number[] {
+  const lists = gramsOf(q).map((g) => I.grams.get(g) ?? []).sort((a, b) => a.length - b.length);
+  const common = Math.max(COMMON_GRAM_MIN, I.places.length * COMMON_GRAM_SHARE);
+  const used = lists.filter((l, i) => i === 0 || l.length <= common);
+  const hits = new Map<number, number>();
+  for (const list of used) for (const id of list) hits.set(id, (hits.get(id) ?? 0) + 1);
+  const out: number[] = [];
+  for (const [id, n] of hits) {
+    if (n >= Math.ceil(Math.min(used.length, I.gramCounts[id]) / 2)) out.push(id);
+  }
+  return out;
+}
+
+/** ---------- Public ---------- */
+
+/**
+ * Places matching a name, address or station, best first: by score, then
+ * stations when the query ends in 駅, then distance from opts.near, then the
+ * shorter (more specific) name.
+ */
+export function searchPlaces(query: string, opts: SearchOptions = {}): PlaceMatch[] {
+  const q = placeKey(query);
+  if (!q) return [];
+  const I = ensureIndex();
+  const limit = Math.min(MAX_LIMIT, Math.max(1, opts.limit ?? DEFAULT_LIMIT));
+  const wantStation = /駅$/.test(query.normalize("NFKC").trim());
+
+  const scored = new Map<number, number>();
+  for (const id of I.exact.get(q) ?? []) scored.set(id, 1);
+  if (q.length >= 2) {
+    for (const id of candidates(I, q)) {
+      if (scored.has(id)) continue;
+      const s = matchScore(I.keys[id], q);
+      if (s >= MIN_SCORE) scored.set(id, s);
+    }
+  }
+
+  const near = opts.near;
+  const matches = [...scored].map(([id, score]) => {
+    const p = I.places[id];
+    const m: PlaceMatch & { key: string } = { ...p, score: Math.round(score * 100) / 100, key: I.keys[id] };
+    if (near) m.distance_m = Math.round(haversineMeters(near.lon, near.lat, p.lon, p.lat));
+    return m;
+  });
+  matches.sort((a, b) =>
+    b.score - a.score
+    || (wantStation ? Number(b.kind === "station") - Number(a.kind === "station") : 0)
+    || (a.distance_m ?? 0) - (b.distance_m ?? 0)
+    || a.key.length - b.key.length);
+
+  const out: PlaceMatch[] = [];
+  const kept: (PlaceMatch & { key: string })[] = [];
+  for (const m of matches) {
+    if (kept.some((k) => k.key === m.key && haversineMeters(k.lon, k.lat, m.lon, m.lat) <= DUPLICATE_M)) continue;
+    kept.push(m);
+    const { key, ...match } = m;
+    out.push(match);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+/** Same contract as preparePoiLayers(): nothing is swapped until commit() */
+export async function prepareGazetteer(): Promise<{ status: GazetteerStatus; commit: () => void }> {
+  const next = await readJsonFileAsync(GAZETTEER_FILE);
+  return { status: statusOf(next), commit: () => { FILE = next; } };
+}
+
+export function gazetteerStatus(): GazetteerStatus {
+  return statusOf(ensureFile());
+}
@@ -0,0 +1,72 @@
+// src/lib/geo.ts
+/** ---------- Shared geo helpers ---------- */
+
+export const R_EARTH = 6371000; // meters
+export const METERS_PER_DEG_LAT = 111320;
+
+export function toRad(d: number) { return (d * Math.PI) / 180; }
+
+export function haversineMeters(lon1: number, lat1: number, lon2: number, lat2: number): number {
+  const φ1 = toRad(lat1), φ2 = toRad(lat2);
+  const dφ = toRad(lat2 - lat1);
+  const dλ = toRad(lon2 - lon1);
+  const a = Math.sin(dφ / 2) ** 2 + Math.cos(φ1) * Math.cos(φ2) * Math.sin(dλ / 2) ** 2;
+  return 2 * R_EARTH * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/** Initial bearing from point 1 to point 2 in degrees, clockwise from north (0–360) */
+export function bearingDegrees(lon1: number, lat1: number, lon2: number, lat2: number): number {
+  const φ1 = toRad(lat1), φ2 = toRad(lat2);
+  const dλ = toRad(lon2 - lon1);
+  const y = Math.sin(dλ) * Math.cos(φ2);
+  const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(dλ);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+export type Compass = "N" | "NE" | "E" | "SE" | "S" | "SW" | "W" | "NW";
+const COMPASS: readonly Compass[] = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+/** 8-point compass direction for a bearing */
+export function compassPoint(bearing: number): Compass {
+  return COMPASS[Math.round((((bearing % 360) + 360) % 360) / 45) % 8];
+}
+
+/** Meters per degree of longitude at a latitude (floored so it never reaches 0 near the poles) */
+export function metersPerDegLon(lat: number): number {
+  return METERS_PER_DEG_LAT * Math.max(0.01, Math.cos(toRad(lat)));
+}
+
+/** ---------- Polygons (GeoJSON coordinate order: [lon, lat]) ---------- */
+
+export type Ring = number[][];
+export type PolygonCoords = Ring[];               // outer ring + holes
+export type BBox = [minLon: number, minLat: number, maxLon: number, maxLat: number];
+
+/** Ray casting; points exactly on an edge may land on either side */
+export function pointInRing(lon: number, lat: number, ring: Ring): boolean {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i], [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+export function pointInPolygon(lon: number, lat: number, polygon: PolygonCoords): boolean {
+  const [outer, ...holes] = polygon;
+  if (!outer || !pointInRing(lon, lat, outer)) return false;
+  return !holes.some((h) => pointInRing(lon, lat, h));
+}
+
+export function polygonsBBox(polygons: PolygonCoords[]): BBox {
+  let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
+  for (const poly of polygons) {
+    for (const [x, y] of poly[0] ?? []) {
+      if (x < minLon) minLon = x;
+      if (x > maxLon) maxLon = x;
+      if (y < minLat) minLat = y;
+      if (y > maxLat) maxLat = y;
+    }
+  }
+  return [minLon, minLat, maxLon, maxLat];
+}
@@ -0,0 +1,136 @@
+// src/lib/geocode.ts
+// Address / station / POI name -> coordinates. The local gazetteer answers
+// first; a remote geocoder, picked with GEOCODER, is only asked when nothing
+// local matches exactly or by prefix:
+//   gsi        国土地理院 address search (Japanese addresses, no key)
+//   nominatim  OSM Nominatim or a compatible server; mind the public one's usage policy
+//   none       local only (default)
+// GEOCODER_URL overrides the endpoint, GEOCODER_TIMEOUT_MS the wait.
+import { haversineMeters } from "./geo.js";
+import { searchPlaces, DEFAULT_LIMIT, MAX_LIMIT, type Place, type PlaceMatch, type SearchOptions } from "./gazetteer.js";
+import { argumentError } from "./errors.js";
+
+/** ---------- Types ---------- */
+
+export type GeocoderId = "gsi" | "nominatim";
+
+export type GeocodeMatch = PlaceMatch & { provider: "local" | GeocoderId };
+
+export type GeocodeResult = {
+  query: string;
+  /** Best first; remote hits already found locally are left out */
+  results: GeocodeMatch[];
+  /** null = no remote geocoder configured; error = it failed, the local results still stand */
+  remote: { provider: GeocoderId; used: boolean; error?: string } | null;
+};
+
+type Geocoder = { id: GeocoderId; search(query: string, limit: number): Promise<Place[]> };
+
+/** ---------- Config ---------- */
+
+const GEOCODERS: readonly GeocoderId[] = ["gsi", "nominatim"];
+const TIMEOUT_MS = Number(process.env.GEOCODER_TIMEOUT_MS) || 8000;
+export const MAX_QUERY_LENGTH = 200;
+// Local matches at least this good (prefix or exact) make the remote call pointless
+const LOCAL_GOOD = 0.9;
+// Remote hits come without a match quality; rank them below local prefix matches
+const REMOTE_SCORE = 0.75;
+// A remote hit this close to a local one of the same name is that place
+const SAME_PLACE_M = 150;
+
+/** ---------- Remote geocoders ---------- */
+
+async function getJson(url: string, headers: Record<string, string> = {}): Promise<any> {
+  const res = await fetch(url, { headers, signal: AbortSignal.timeout(TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`geocoder ${res.status}`);
+  return res.json();
+}
+
+function gsiGeocoder(): Geocoder {
+  const base = process.env.GEOCODER_URL || "https://msearch.gsi.go.jp/address-search/AddressSearch";
+  return {
+    id: "gsi",
+    async search(query, limit) {
+      const json = await getJson(`${base}?q=${encodeURIComponent(query)}`);
+      const out: Place[] = [];
+      for (const f of Array.isArray(json) ? json : []) {
+        const [lon, lat] = f?.geometry?.coordinates ?? [];
+        const title = String(f?.properties?.title ?? "");
+        if (!title || !Number.isFinite(lon) || !Number.isFinite(lat)) continue;
+        out.push({ name: title, kind: "address", lon, lat, address: title, source: "GSI" });
+      }
+      return out.slice(0, limit);
+    },
+  };
+}
+
+function nominatimGeocoder(): Geocoder {
+  const base = (process.env.GEOCODER_URL || "https://nominatim.openstreetmap.org").replace(/\/+$/, "");
+  return {
+    id: "nominatim",
+    async search(query, limit) {
+      const params = new URLSearchParams({ q: query, format: "jsonv2", limit: String(limit), countrycodes: "jp" });
+      const json = await getJson(`${base}/search?${params}`, { "User-Agent": "evac-proto geocoder", "Accept-Language": "ja" });
+      const out: Place[] = [];
+      for (const r of Array.isArray(json) ? json : []) {
+        const lon = Number(r?.lon), lat = Number(r?.lat);
+        if (!Number.isFinite(lon) || !Number.isFinite(lat)) continue;
+        const display = String(r?.display_name ?? "");
+        out.push({
+          name: String(r?.name || display.split(",")[0] || query),
+          kind: r?.type === "station" ? "station" : "place",
+          lon, lat, address: display || null, source: "OSM",
+        });
+      }
+      return out;
+    },
+  };
+}
+
+let selected: { geocoder: Geocoder | null } | null = null;
+
+/** The configured remote geocoder (null = local only); throws on a bad GEOCODER */
+function remoteGeocoder(): Geocoder | null {
+  if (selected) return selected.geocoder;
+  const id = (process.env.GEOCODER || "none").toLowerCase();
+  let geocoder: Geocoder | null;
+  if (id === "none") geocoder = null;
+  else if (id === "gsi") geocoder = gsiGeocoder();
+  else if (id === "nominatim") geocoder = nominatimGeocoder();
+  else throw new Error(`unknown GEOCODER "${id}" (available: ${GEOCODERS.join(", ")}, none)`);
+  selected = { geocoder };
+  return geocoder;
+}
+
+function isListed(list: GeocodeMatch[], p: Place): boolean {
+  return list.some((m) => m.name === p.name && haversineMeters(m.lon, m.lat, p.lon, p.lat) <= SAME_PLACE_M);
+}
+
+/** ---------- Public ---------- */
+
+/** Throws on an empty or overlong query; remote failures only show up in result.remote.error */
+export async function geocode(query: string, opts: SearchOptions = {}): Promise<GeocodeResult> {
+  const q = query.trim();
+  if (!q) throw argumentError("query is required");
+  if (q.length > MAX_QUERY_LENGTH) throw argumentError(`query is longer than ${MAX_QUERY_LENGTH} characters`);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, opts.limit ?? DEFAULT_LIMIT));
+
+  const results: GeocodeMatch[] = searchPlaces(q, { ...opts, limit }).map((m) => ({ ...m, provider: "local" }));
+  const geocoder = remoteGeocoder();
+  if (!geocoder) return { query: q, results, remote: null };
+  if (results.some((m) => m.score >= LOCAL_GOOD)) return { query: q, results, remote: { provider: geocoder.id, used: false } };
+
+  try {
+    for (const p of await geocoder.search(q, limit)) {
+      if (isListed(results, p)) continue;
+      const m: GeocodeMatch = { ...p, score: REMOTE_SCORE, provider: geocoder.id };
+      if (opts.near) m.distance_m = Math.round(haversineMeters(opts.near.lon, opts.near.lat, p.lon, p.lat));
+      results.push(m);
+    }
+    // Stable: remote hits keep their own order, below local contains-matches and above fuzzy ones
+    results.sort((a, b) => b.score - a.score);
+    return { query: q, results: results.slice(0, limit), remote: { provider: geocoder.id, used: true } };
+  } catch (e: any) {
+    return { query: q, results, remote: { provider: geocoder.id, used: true, error: String(e?.message ?? e) } };
+  }
+}
@@ -0,0 +1,196 @@
+// src/lib/grid.ts
+import { metersPerDegLon, METERS_PER_DEG_LAT, type BBox } from "./geo.js";
+import { scorePoint, layerDefs, checkRadius } from "./poi-index.js";
+import { adminAreaAt, inWard } from "./admin-areas.js";
+import { resolveProfile, type Algorithm, type ResolvedProfile, type Weights } from "./profiles.js";
+import { argumentError } from "./errors.js";
+
+/** ---------- Types ---------- */
+
+export type { BBox };
+
+export type GridParams = {
+  bbox: BBox;
+  /** Cell edge in meters; picked automatically to fit MAX_CELLS when omitted */
+  cellMeters?: number;
+  radiusMeters?: number;
+  profile?: string;
+  weights?: Partial<Weights>;
+  algorithm?: Algorithm;
+  /** Only cells whose center lies in this ward or municipality (see inWard()) */
+  ward?: string;
+};
+
+export type GridCell = {
+  type: "Feature";
+  geometry: { type: "Polygon"; coordinates: [number, number][][] };
+  properties: {
+    row: number;
+    col: number;
+    /** Cell center that was scored */
+    lon: number;
+    lat: number;
+    score: number;
+    shelters: number;
+    schools: number;
+    healths: number;
+    /** District of the cell center ("横浜市西区"); null outside the loaded boundaries */
+    district: string | null;
+    /** Residents within the radius and the population-normalized score; null without a population grid */
+    residents: number | null;
+    populationScore: number | null;
+  };
+};
+
+export type GridResult = {
+  type: "FeatureCollection";
+  features: GridCell[];
+  params: {
+    bbox: BBox; cellMeters: number; radiusMeters: number; rows: number; cols: number; profile: ResolvedProfile; ward: string | null;
+  };
+};
+
+/** Rows and columns of square cells over a bbox, shared with the coverage analysis */
+export type GridLayout = {
+  bbox: BBox;
+  cellMeters: number;
+  rows: number;
+  cols: number;
+  /** Cell edge in degrees */
+  dLon: number;
+  dLat: number;
+};
+
+/** ---------- Config ---------- */
+
+export const MAX_CELLS = 2500;
+const MIN_CELL_METERS = 50;
+
+/** ---------- Public ---------- */
+
+/**
+ * Validate bbox and fit square cells over it: cellMeters as given, else the
+ * smallest size that keeps the grid within maxCells. Throws on a bad bbox or
+ * a grid larger than maxCells.
+ */
+export function gridLayout(bbox: BBox, cellMetersParam: number | undefined, maxCells: number): GridLayout {
+  const [minLon, minLat, maxLon, maxLat] = bbox.map(Number) as BBox;
+  if (![minLon, minLat, maxLon, maxLat].every(Number.isFinite) || minLon >= maxLon || minLat >= maxLat) {
+    throw argumentError("bbox must be [minLon, minLat, maxLon, maxLat] with min < max");
+  }
+  if (minLon < -180 || maxLon > 180 || minLat < -90 || maxLat > 90) {
+    throw argumentError("bbox is outside lon/lat range");
+  }
+
+  // Cell size in degrees is fixed at the bbox's mid latitude so cells line up in rows
+  const midLat = (minLat + maxLat) / 2;
+  const widthM = (maxLon - minLon) * metersPerDegLon(midLat);
+  const heightM = (maxLat - minLat) * METERS_PER_DEG_LAT;
+
+  const dims = (cell: number) => ({
+    cols: Math.max(1, Math.ceil(widthM / cell)),
+    rows: Math.max(1, Math.ceil(heightM / cell)),
+  });
+
+  let cellMeters: number;
+  if (cellMetersParam != null) {
+    cellMeters = Number(cellMetersParam);
+    if (!Number.isFinite(cellMeters) || cellMeters < MIN_CELL_METERS) {
+      throw argumentError(`cellMeters must be >= ${MIN_CELL_METERS}`);
+    }
+  } else {
+    // Start from the ideal square size, then grow until rounding up rows/cols still fits
+    cellMeters = Math.max(MIN_CELL_METERS, Math.ceil(Math.sqrt((widthM * heightM) / maxCells)));
+    while (dims(cellMeters).rows * dims(cellMeters).cols > maxCells) cellMeters = Math.ceil(cellMeters * 1.05);
+  }
+
+  const { rows, cols } = dims(cellMeters);
+  if (rows * cols > maxCells) {
+    throw argumentError(`grid too large: ${rows}x${cols} cells (max ${maxCells}); use a larger cellMeters or smaller bbox`);
+  }
+  return {
+    bbox: [minLon, minLat, maxLon, maxLat],
+    cellMeters,
+    rows,
+    cols,
+    dLon: cellMeters / metersPerDegLon(midLat),
+    dLat: cellMeters / METERS_PER_DEG_LAT,
+  };
+}
+
+/** West, south, east, north edge and center of one cell of a layout */
+export function cellBounds(layout: GridLayout, row: number, col: number) {
+  const x0 = layout.bbox[0] + col * layout.dLon, y0 = layout.bbox[1] + row * layout.dLat;
+  const x1 = x0 + layout.dLon, y1 = y0 + layout.dLat;
+  return { x0, y0, x1, y1, lon: (x0 + x1) / 2, lat: (y0 + y1) / 2 };
+}
+
+/**
+ * MultiPolygon coordinates per key from one key per cell (keys[row * cols + col],
+ * null = no area): cells with the same key next to each other in a row become one rectangle.
+ */
+export function mergeCells<K>(layout: GridLayout, keys: readonly (K | null)[]): Map<K, [number, number][][][]> {
+  const out = new Map<K, [number, number][][][]>();
+  const { rows, cols } = layout;
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols;) {
+      const key = keys[row * cols + col];
+      let end = col + 1;
+      while (end < cols && keys[row * cols + end] === key) end++;
+      if (key != null) {
+        const { x0, y0, y1 } = cellBounds(layout, row, col);
+        const x1 = cellBounds(layout, row, end - 1).x1;
+        if (!out.has(key)) out.set(key, []);
+        out.get(key)!.push([[[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]]]);
+      }
+      col = end;
+    }
+  }
+  return out;
+}
+
+/** Evaluate scorePoint() at the center of every square cell covering bbox (cells outside params.ward are left out) */
+export function scoreGrid(params: GridParams): GridResult {
+  const { bbox, cellMeters, rows, cols, dLon, dLat } = gridLayout(params.bbox, params.cellMeters, MAX_CELLS);
+  const [minLon, minLat] = bbox;
+  const radiusMeters = checkRadius(Number(params.radiusMeters ?? 1500));
+  const ward = params.ward?.trim() || null;
+  const profile = resolveProfile(params.profile, params.weights, params.algorithm, layerDefs());
+
+  const features: GridCell[] = [];
+  for (let row = 0; row < rows; row++) {
+    const y0 = minLat + row * dLat, y1 = y0 + dLat;
+    for (let col = 0; col < cols; col++) {
+      const x0 = minLon + col * dLon, x1 = x0 + dLon;
+      const lon = (x0 + x1) / 2, lat = (y0 + y1) / 2;
+      const area = adminAreaAt(lon, lat);
+      if (ward && !inWard(area, ward)) continue;
+      const r = scorePoint({
+        lon, lat, radiusMeters, profile: params.profile, weights: params.weights, algorithm: params.algorithm,
+      });
+      features.push({
+        type: "Feature",
+        geometry: {
+          type: "Polygon",
+          coordinates: [[[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]]],
+        },
+        properties: {
+          row, col, lon, lat,
+          score: r.score,
+          shelters: r.shelters.count,
+          schools: r.schools.count,
+          healths: r.healths.count,
+          district: area?.district ?? null,
+          residents: r.population?.residents ?? null,
+          populationScore: r.population?.score ?? null,
+        },
+      });
+    }
+  }
+
+  return {
+    type: "FeatureCollection",
+    features,
+    params: { bbox, cellMeters, radiusMeters, rows, cols, profile, ward },
+  };
+}
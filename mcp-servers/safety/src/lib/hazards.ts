@@ -0,0 +1,198 @@
+// src/lib/hazards.ts
+import path from "path";
+import { readJsonFile, readJsonFileAsync, combineVersions, type FileVersion, type JsonFile } from "./data-files.js";
+import { pointInPolygon, polygonsBBox, type BBox, type PolygonCoords } from "./geo.js";
+import { buildBoxIndex, type BoxIndex } from "./spatial-index.js";
+
+/** ---------- Types ---------- */
+
+export type HazardType = "flood" | "tsunami" | "landslide";
+
+/** 1 = minor … 4 = extreme */
+export type HazardClass = 1 | 2 | 3 | 4;
+
+export type HazardZone = {
+  type: HazardType;
+  class: HazardClass;
+  /** Short label, e.g. "津波 浸水3–5m" or "土砂災害特別警戒区域" */
+  label: string;
+  name: string | null;
+  depth_m: number | null;
+};
+
+export type HazardAssessment = {
+  /** Worst zone per hazard type that contains the point */
+  zones: HazardZone[];
+  /** Multiplier applied to the amenity score (1 = no hazard) */
+  penalty: number;
+};
+
+type HazardPolygon = HazardZone & { polygons: PolygonCoords[]; bbox: BBox };
+
+/** ---------- Config ---------- */
+
+const DATA_DIR = path.join(process.cwd(), "data");
+
+// Polygon layers (Polygon / MultiPolygon). Point features are ignored, so the
+// MLIT search dump in hazards-tokyo.geojson does not count as a hazard layer.
+export const HAZARD_FILES: Record<HazardType, string> = {
+  flood: path.join(DATA_DIR, "hazard-flood.geojson"),
+  tsunami: path.join(DATA_DIR, "hazard-tsunami.geojson"),
+  landslide: path.join(DATA_DIR, "hazard-landslide.geojson"),
+};
+
+// Score multiplier by hazard type and class. Tsunami zones are capped hard:
+// even the mildest class keeps a point out of the "high" (>= 0.70) band.
+const PENALTY: Record<HazardType, Record<HazardClass, number>> = {
+  flood:     { 1: 0.9, 2: 0.7, 3: 0.5, 4: 0.3 },
+  tsunami:   { 1: 0.6, 2: 0.5, 3: 0.35, 4: 0.2 },
+  landslide: { 1: 0.8, 2: 0.6, 3: 0.45, 4: 0.3 },
+};
+
+const TYPE_JA: Record<HazardType, string> = { flood: "洪水", tsunami: "津波", landslide: "土砂災害" };
+
+/** ---------- Classification ---------- */
+
+// Inundation depth bands follow the MLIT hazard-map ranks (0.5 / 3 / 5 m).
+function depthClass(depth: number): HazardClass {
+  if (depth >= 5) return 4;
+  if (depth >= 3) return 3;
+  if (depth >= 0.5) return 2;
+  return 1;
+}
+
+export const DEPTH_LABEL: Record<HazardClass, string> = { 1: "<0.5m", 2: "0.5–3m", 3: "3–5m", 4: "5m+" };
+
+/** Numeric depth from depth_m, or the lower bound of a range string like "3.0m以上5.0m未満" */
+function readDepth(p: any): number | null {
+  const d = Number(p?.depth_m);
+  if (p?.depth_m != null && Number.isFinite(d)) return d;
+  const m = String(p?.depth ?? p?.rank ?? "").match(/(\d+(?:\.\d+)?)\s*m/);
+  return m ? Number(m[1]) : null;
+}
+
+function classify(type: HazardType, p: any): { class: HazardClass; label: string; depth_m: number | null } {
+  const explicit = Number(p?.class);
+  const depth_m = type === "landslide" ? null : readDepth(p);
+
+  if (type === "landslide") {
+    const zone = String(p?.zone ?? p?.name ?? "");
+    const special = /special|特別警戒/.test(zone);
+    const cls = [1, 2, 3, 4].includes(explicit) ? (explicit as HazardClass) : special ? 4 : 2;
+    return { class: cls, label: special ? "土砂災害特別警戒区域" : "土砂災害警戒区域", depth_m };
+  }
+
+  const cls = [1, 2, 3, 4].includes(explicit)
+    ? (explicit as HazardClass)
+    : depth_m != null ? depthClass(depth_m) : 2; // unknown depth: treat as moderate
+  return { class: cls, label: `${TYPE_JA[type]} 浸水${DEPTH_LABEL[cls]}`, depth_m };
+}
+
+/** ---------- Lazy loading ---------- */
+
+type Loaded = {
+  index: BoxIndex<HazardPolygon>;
+  counts: Record<HazardType, number>;
+  versions: Record<HazardType, FileVersion | null>;
+};
+type HazardFiles = Record<HazardType, JsonFile | null>;
+
+/** Polygon count and source file version of each hazard layer */
+export type HazardLayerStatus = Record<HazardType, { polygons: number; file: FileVersion | null }>;
+
+let HAZARDS: Loaded | null = null;
+
+function readHazardPolygons(type: HazardType, file: JsonFile | null): HazardPolygon[] {
+  if (!file) return [];
+  const raw = file.json;
+  const feats = Array.isArray(raw?.features) ? raw.features : [];
+  const out: HazardPolygon[] = [];
+  for (const f of feats) {
+    const g = f?.geometry;
+    const polygons: PolygonCoords[] =
+      g?.type === "Polygon" ? [g.coordinates] :
+      g?.type === "MultiPolygon" ? g.coordinates :
+      [];
+    if (polygons.length === 0) continue;
+    const name = (f?.properties?.name ?? "").toString().trim() || null;
+    out.push({ type, name, ...classify(type, f?.properties), polygons, bbox: polygonsBBox(polygons) });
+  }
+  return out;
+}
+
+function buildHazards(files: HazardFiles): Loaded {
+  const flood = readHazardPolygons("flood", files.flood);
+  const tsunami = readHazardPolygons("tsunami", files.tsunami);
+  const landslide = readHazardPolygons("landslide", files.landslide);
+
+  return {
+    index: buildBoxIndex([...flood, ...tsunami, ...landslide]),
+    counts: { flood: flood.length, tsunami: tsunami.length, landslide: landslide.length },
+    versions: {
+      flood: files.flood?.version ?? null,
+      tsunami: files.tsunami?.version ?? null,
+      landslide: files.landslide?.version ?? null,
+    },
+  };
+}
+
+function ensureHazards(): Loaded {
+  if (HAZARDS) return HAZARDS;
+  HAZARDS = buildHazards({
+    flood: readJsonFile(HAZARD_FILES.flood),
+    tsunami: readJsonFile(HAZARD_FILES.tsunami),
+    landslide: readJsonFile(HAZARD_FILES.landslide),
+  });
+  return HAZARDS;
+}
+
+function statusOf(H: Loaded): HazardLayerStatus {
+  return {
+    flood: { polygons: H.counts.flood, file: H.versions.flood },
+    tsunami: { polygons: H.counts.tsunami, file: H.versions.tsunami },
+    landslide: { polygons: H.counts.landslide, file: H.versions.landslide },
+  };
+}
+
+/** ---------- Public ---------- */
+
+/** Hazard zones containing the point and the resulting score multiplier */
+export function hazardsAt(lon: number, lat: number): HazardAssessment {
+  const worst = new Map<HazardType, HazardPolygon>();
+  for (const h of ensureHazards().index.at(lon, lat)) {
+    const prev = worst.get(h.type);
+    if (prev && prev.class >= h.class) continue;
+    if (h.polygons.some((poly) => pointInPolygon(lon, lat, poly))) worst.set(h.type, h);
+  }
+
+  const zones: HazardZone[] = [...worst.values()].map(({ type, class: cls, label, name, depth_m }) => ({
+    type, class: cls, label, name, depth_m,
+  }));
+  // Different hazards compound; several zones of one type only count the worst
+  const penalty = zones.reduce((acc, z) => acc * PENALTY[z.type][z.class], 1);
+  return { zones, penalty };
+}
+
+/** Same contract as preparePoiLayers(): nothing is swapped until commit() */
+export async function prepareHazardLayers(): Promise<{ status: HazardLayerStatus; commit: () => void }> {
+  const [flood, tsunami, landslide] = await Promise.all(
+    [HAZARD_FILES.flood, HAZARD_FILES.tsunami, HAZARD_FILES.landslide].map(readJsonFileAsync)
+  );
+  const next = buildHazards({ flood, tsunami, landslide });
+  return { status: statusOf(next), commit: () => { HAZARDS = next; } };
+}
+
+export function hazardLayerStatus(): HazardLayerStatus {
+  return statusOf(ensureHazards());
+}
+
+/** Short id of the hazard files in use */
+export function hazardDataVersion(): string {
+  const v = ensureHazards().versions;
+  return combineVersions([v.flood, v.tsunami, v.landslide]);
+}
+
+/** Polygon counts per hazard layer (for diagnostics) */
+export function hazardCounts(): Record<HazardType, number> {
+  return { ...ensureHazards().counts };
+}
@@ -0,0 +1,532 @@
+// src/lib/i18n.ts
+// Message catalog for the text the scoring engine generates (ScoreResult.explain
+// and the /score route's errors). The agent has its own catalog for its
+// fallback explanations; both use the same language ids.
+import type { LayerDef } from "./layers.js";
+import { DEPTH_LABEL, type HazardZone } from "./hazards.js";
+import type { Compass } from "./geo.js";
+import { WEEKDAYS, type Scenario, type When } from "./opening-hours.js";
+
+/** ---------- Types ---------- */
+
+/** POI categories a comparison talks about */
+export type CompareCategory = "shelter" | "health" | "school";
+
+/** "ja-easy" is Easy Japanese (やさしい日本語): short sentences, mostly kana */
+export type Lang = "en" | "ja" | "zh" | "ko" | "vi" | "ja-easy";
+
+type Messages = {
+  /** Administrative area of the point (src/lib/admin-areas.ts) */
+  area: string;
+  radius: string;
+  shelters: string;
+  capacity: string;
+  capacityUnknown: string;
+  hazardExcluded: string;
+  perResident: string;
+  schools: string;
+  health: string;
+  layer: string;
+  enrichment: string;
+  hazards: string;
+  total: string;
+  /** Population grid figures, after the total (src/lib/population.ts) */
+  population: string;
+  /** Between the parts of explain */
+  sep: string;
+  /** Between items of a list (hazard zones) */
+  listSep: string;
+  /** Flood / tsunami zone, e.g. "tsunami inundation 3–5m" */
+  inundation: string;
+  landslideZone: string;
+  landslideSpecial: string;
+  lonLatRequired: string;
+  radiusInvalid: string;
+  hazardTypeInvalid: string;
+  queryRequired: string;
+  bboxRequired: string;
+  /** Structured steps (src/lib/steps.ts) */
+  stepScore: string;
+  stepArea: string;
+  level: Record<"low" | "moderate" | "high", string>;
+  stepHazard: string;
+  stepShelter: string;
+  stepRoute: string;
+  stepHealth: string;
+  stepSchool: string;
+  /** Filled into {walk} of the three above; left out beyond walking range */
+  stepWalk: string;
+  stepNoShelter: string;
+  stepNoHealth: string;
+  stepLandmark: string;
+  stepCapacity: string;
+  stepPopulation: string;
+  /** Opening hours at a datetime or scenario (src/lib/opening-hours.ts) */
+  timeAt: string;
+  timeClosed: string;
+  timeUnstaffed: string;
+  stepClosed: string;
+  stepUnstaffed: string;
+  /** A datetime as "{weekday} {time}"; weekdays run Monday first */
+  whenAt: string;
+  weekdays: [string, string, string, string, string, string, string];
+  scenario: Record<Scenario, string>;
+  /** Location comparison (src/lib/compare.ts) */
+  cmpRanking: string;
+  cmpRankItem: string;
+  cmpScore: string;
+  cmpTie: string;
+  cmpCloser: string;
+  cmpMore: string;
+  cmpHazard: string;
+  /** Singular, as in "a shelter 600 m closer" */
+  category: Record<CompareCategory, string>;
+  /** Plural, as in "2 more shelters" */
+  categories: Record<CompareCategory, string>;
+  compass: Record<Compass, string>;
+  hazard: Record<"flood" | "earthquake" | "tsunami" | "fire" | "landslide" | "volcano", string>;
+};
+
+/** ---------- Config ---------- */
+
+export const LANGS: readonly Lang[] = ["en", "ja", "zh", "ko", "vi", "ja-easy"];
+
+// explain has always been Japanese; callers opt into other languages
+export const DEFAULT_LANG: Lang = "ja";
+
+// Names listed before "+n" (closed facilities and the like)
+const MAX_NAMED = 5;
+
+// {name} placeholders are filled by t()
+const CATALOG: Record<Lang, Messages> = {
+  en: {
+    area: "Location: {label}",
+    radius: "Within {radius} m:",
+    shelters: "Shelters {count}",
+    capacity: " (capacity {total})",
+    capacityUnknown: " (capacity {total}, {unknown} unknown)",
+    hazardExcluded: "Not rated for {hazard}, excluded: {count}",
+    perResident: "Capacity per resident {value}",
+    schools: "Schools {count}",
+    health: "Health {count}",
+    layer: "{label} {count}",
+    enrichment: "{source} merged: {added} added, {matched} duplicates",
+    hazards: "Hazard: {list} (×{penalty})",
+    total: "→ Overall score {score}",
+    population: "Residents {residents}, shelters per 1,000 residents {shelters} → population-adjusted score {score}",
+    sep: " / ",
+    listSep: ", ",
+    inundation: "{hazard} inundation {depth}",
+    landslideZone: "landslide warning zone",
+    landslideSpecial: "landslide special warning zone",
+    lonLatRequired: "lon and lat are required numbers",
+    radiusInvalid: "radius must be a number of meters above 0 and at most {max}",
+    hazardTypeInvalid: "hazardType must be one of: {list}",
+    queryRequired: "q (an address, station or place name) is required",
+    bboxRequired: "bbox=minLon,minLat,maxLon,maxLat is required",
+    stepScore: "Safety score: {score} out of 1 ({level}).",
+    stepArea: "This spot is in {label}.",
+    level: { low: "low", moderate: "moderate", high: "high" },
+    stepHazard: "This spot is inside a hazard zone: {list}.",
+    stepShelter: "Nearest shelter: {name}, {dist} {dir}{walk}.",
+    stepRoute: "Quickest shelter on foot: {name}, {dist} {dir} along footpaths, about {min} min.",
+    stepHealth: "Nearest hospital or clinic: {name}, {dist} {dir}{walk}.",
+    stepSchool: "Nearest school: {name}, {dist} {dir}{walk}.",
+    stepWalk: ", about {min} min on foot",
+    stepNoShelter: "No shelter was found in the data.",
+    stepNoHealth: "No hospital or clinic was found in the data.",
+    stepLandmark: "Landmark: about {dist} from {landmark}.",
+    stepCapacity: "Shelters within {radius} m hold {total} people.",
+    stepPopulation: "About {residents} people live within {radius} m: {shelters} shelters per 1,000 residents.",
+    timeAt: "As of {when}",
+    timeClosed: "Closed then, not counted {count}: {list}",
+    timeUnstaffed: "School shelters likely unstaffed, counted at half {count}: {list}",
+    stepClosed: "As of {when}, nearby facilities closed and not counted ({count}): {list}.",
+    stepUnstaffed: "School-based shelters that may have no staff then, counted at half ({count}): {list}.",
+    whenAt: "{weekday} {time}",
+    weekdays: ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"],
+    scenario: { day: "weekday noon", night: "weekday 3 a.m.", "school-hours": "weekday school hours (10 a.m.)", weekend: "Sunday noon" },
+    cmpRanking: "Ranking: {list}.",
+    cmpRankItem: "{rank}. {name} ({score})",
+    cmpScore: "{a} scores {diff} higher than {b} ({sa} vs {sb}).",
+    cmpTie: "{a} and {b} score the same ({score}).",
+    cmpCloser: "{a} has a {category} {diff} closer than {b} ({da} vs {db}).",
+    cmpMore: "{a} has {diff} more {categories} within {radius} m than {b} ({ca} vs {cb}).",
+    cmpHazard: "{inside} lies in a hazard zone ({list}); {outside} does not.",
+    category: { shelter: "shelter", health: "hospital or clinic", school: "school" },
+    categories: { shelter: "shelters", health: "hospitals and clinics", school: "schools" },
+    compass: { N: "north", NE: "north-east", E: "east", SE: "south-east", S: "south", SW: "south-west", W: "west", NW: "north-west" },
+    hazard: { flood: "flood", earthquake: "earthquake", tsunami: "tsunami", fire: "large fire", landslide: "landslide", volcano: "volcano" },
+  },
+  ja: {
+    area: "所在地: {label}",
+    radius: "半径{radius}m 内:",
+    shelters: "避難所 {count}件",
+    capacity: " (収容{total}人)",
+    capacityUnknown: " (収容{total}人・不明{unknown}件)",
+    hazardExcluded: "{hazard}対応外を除外 {count}件",
+    perResident: "住民1人あたり収容 {value}",
+    schools: "学校 {count}件",
+    health: "医療/保健 {count}件",
+    layer: "{label} {count}件",
+    enrichment: "{source}統合: 追加 {added}件・重複 {matched}件",
+    hazards: "ハザード: {list} (×{penalty})",
+    total: "→ 総合スコア {score}",
+    population: "推定人口 {residents}人・千人あたり避難所 {shelters} → 人口補正スコア {score}",
+    sep: " / ",
+    listSep: "・",
+    inundation: "{hazard} 浸水{depth}",
+    landslideZone: "土砂災害警戒区域",
+    landslideSpecial: "土砂災害特別警戒区域",
+    lonLatRequired: "lon と lat は数値で指定してください",
+    radiusInvalid: "radius は 0 より大きく {max} 以下のメートル数で指定してください",
+    hazardTypeInvalid: "hazardType は次のいずれかを指定してください: {list}",
+    queryRequired: "q（住所・駅名・施設名）を指定してください",
+    bboxRequired: "bbox=minLon,minLat,maxLon,maxLat を指定してください",
+    stepScore: "安全スコア: {score}（1点満点・{level}）。",
+    stepArea: "この地点は{label}にあります。",
+    level: { low: "低い", moderate: "中程度", high: "高い" },
+    stepHazard: "この地点はハザード区域内です: {list}。",
+    stepShelter: "最寄りの避難所: {name}、{dir}へ{dist}{walk}。",
+    stepRoute: "徒歩で最も早い避難所: {name}、{dir}へ道なりに{dist}、約{min}分。",
+    stepHealth: "最寄りの医療機関: {name}、{dir}へ{dist}{walk}。",
+    stepSchool: "最寄りの学校: {name}、{dir}へ{dist}{walk}。",
+    stepWalk: "、徒歩約{min}分",
+    stepNoShelter: "データ内に避難所が見つかりません。",
+    stepNoHealth: "データ内に医療機関が見つかりません。",
+    stepLandmark: "目印: {landmark}から約{dist}。",
+    stepCapacity: "半径{radius}m内の避難所の収容人数は{total}人です。",
+    stepPopulation: "半径{radius}m内の推定人口は約{residents}人で、千人あたりの避難所は{shelters}か所です。",
+    timeAt: "{when}時点",
+    timeClosed: "時間外で除外 {count}件: {list}",
+    timeUnstaffed: "職員不在の可能性がある学校の避難所（半分で計算） {count}件: {list}",
+    stepClosed: "{when}は近くの{count}施設が時間外のため数えていません: {list}。",
+    stepUnstaffed: "学校の避難所{count}か所はこの時間に職員がいない可能性があり、半分として数えています: {list}。",
+    whenAt: "{weekday}曜日 {time}",
+    weekdays: ["月", "火", "水", "木", "金", "土", "日"],
+    scenario: { day: "平日の昼（12時）", night: "平日の夜中（3時）", "school-hours": "平日の授業時間（10時）", weekend: "日曜日の昼（12時）" },
+    cmpRanking: "順位: {list}。",
+    cmpRankItem: "{rank}位 {name}（{score}）",
+    cmpScore: "{a}は{b}よりスコアが{diff}高い（{sa} 対 {sb}）。",
+    cmpTie: "{a}と{b}のスコアは同じです（{score}）。",
+    cmpCloser: "{a}は{b}より{category}が{diff}近い（{da} 対 {db}）。",
+    cmpMore: "半径{radius}m内の{categories}は{a}が{b}より{diff}件多い（{ca} 対 {cb}）。",
+    cmpHazard: "{inside}はハザード区域内です（{list}）。{outside}は区域外です。",
+    category: { shelter: "避難所", health: "医療機関", school: "学校" },
+    categories: { shelter: "避難所", health: "医療機関", school: "学校" },
+    compass: { N: "北", NE: "北東", E: "東", SE: "南東", S: "南", SW: "南西", W: "西", NW: "北西" },
+    hazard: { flood: "洪水", earthquake: "地震", tsunami: "津波", fire: "大規模火災", landslide: "土砂災害", volcano: "火山" },
+  },
+  zh: {
+    area: "位置: {label}",
+    radius: "半径 {radius} 米内:",
+    shelters: "避难所 {count} 处",
+    capacity: "（可容纳 {total} 人）",
+    capacityUnknown: "（可容纳 {total} 人・{unknown} 处未知）",
+    hazardExcluded: "排除不适用于{hazard}的避难所 {count} 处",
+    perResident: "人均容量 {value}",
+    schools: "学校 {count} 所",
+    health: "医疗/卫生 {count} 处",
+    layer: "{label} {count} 处",
+    enrichment: "合并{source}：新增 {added} 处・重复 {matched} 处",
+    hazards: "灾害风险：{list}（×{penalty}）",
+    total: "→ 综合评分 {score}",
+    population: "居民 {residents} 人，每千人避难所 {shelters} → 人口调整评分 {score}",
+    sep: " / ",
+    listSep: "、",
+    inundation: "{hazard}淹没 {depth}",
+    landslideZone: "山体滑坡警戒区",
+    landslideSpecial: "山体滑坡特别警戒区",
+    lonLatRequired: "lon 和 lat 必须是数字",
+    radiusInvalid: "radius 必须是大于 0、不超过 {max} 的米数",
+    hazardTypeInvalid: "hazardType 必须是以下之一：{list}",
+    queryRequired: "必须提供 q（地址、车站或地点名称）",
+    bboxRequired: "需要 bbox=minLon,minLat,maxLon,maxLat",
+    stepScore: "安全评分：{score}（满分 1，{level}）。",
+    stepArea: "该地点位于{label}。",
+    level: { low: "低", moderate: "中", high: "高" },
+    stepHazard: "此地点位于灾害风险区内：{list}。",
+    stepShelter: "最近的避难所：{name}，向{dir} {dist}{walk}。",
+    stepRoute: "步行最快到达的避难所：{name}，向{dir}沿步行道 {dist}，约 {min} 分钟。",
+    stepHealth: "最近的医院或诊所：{name}，向{dir} {dist}{walk}。",
+    stepSchool: "最近的学校：{name}，向{dir} {dist}{walk}。",
+    stepWalk: "，步行约 {min} 分钟",
+    stepNoShelter: "数据中没有找到避难所。",
+    stepNoHealth: "数据中没有找到医院或诊所。",
+    stepLandmark: "地标：距{landmark}约 {dist}。",
+    stepCapacity: "半径 {radius} 米内的避难所可容纳 {total} 人。",
+    stepPopulation: "半径 {radius} 米内约有 {residents} 位居民，每千人有 {shelters} 处避难所。",
+    timeAt: "按{when}计算",
+    timeClosed: "该时间关闭、未计入 {count} 处：{list}",
+    timeUnstaffed: "可能无人值守的学校避难所（按一半计算） {count} 处：{list}",
+    stepClosed: "{when}附近有 {count} 处设施关闭，未计入：{list}。",
+    stepUnstaffed: "{count} 处学校避难所该时间可能无人值守，按一半计算：{list}。",
+    whenAt: "星期{weekday} {time}",
+    weekdays: ["一", "二", "三", "四", "五", "六", "日"],
+    scenario: { day: "工作日中午（12点）", night: "工作日凌晨（3点）", "school-hours": "工作日上课时间（10点）", weekend: "星期日中午（12点）" },
+    cmpRanking: "排名：{list}。",
+    cmpRankItem: "{rank}. {name}（{score}）",
+    cmpScore: "{a}的评分比{b}高 {diff}（{sa} 对 {sb}）。",
+    cmpTie: "{a}和{b}的评分相同（{score}）。",
+    cmpCloser: "{a}的最近{category}比{b}近 {diff}（{da} 对 {db}）。",
+    cmpMore: "半径 {radius} 米内，{a}的{categories}比{b}多 {diff} 处（{ca} 对 {cb}）。",
+    cmpHazard: "{inside}位于灾害风险区内（{list}），{outside}不在。",
+    category: { shelter: "避难所", health: "医院或诊所", school: "学校" },
+    categories: { shelter: "避难所", health: "医院或诊所", school: "学校" },
+    compass: { N: "北", NE: "东北", E: "东", SE: "东南", S: "南", SW: "西南", W: "西", NW: "西北" },
+    hazard: { flood: "洪水", earthquake: "地震", tsunami: "海啸", fire: "大规模火灾", landslide: "山体滑坡", volcano: "火山" },
+  },
+  ko: {
+    area: "위치: {label}",
+    radius: "반경 {radius}m 이내:",
+    shelters: "대피소 {count}곳",
+    capacity: " (수용 {total}명)",
+    capacityUnknown: " (수용 {total}명・미상 {unknown}곳)",
+    hazardExcluded: "{hazard} 비대응 대피소 제외 {count}곳",
+    perResident: "1인당 수용 {value}",
+    schools: "학교 {count}곳",
+    health: "의료/보건 {count}곳",
+    layer: "{label} {count}곳",
+    enrichment: "{source} 통합: 추가 {added}곳・중복 {matched}곳",
+    hazards: "재해 위험: {list} (×{penalty})",
+    total: "→ 종합 점수 {score}",
+    population: "주민 {residents}명, 주민 1,000명당 대피소 {shelters} → 인구 보정 점수 {score}",
+    sep: " / ",
+    listSep: ", ",
+    inundation: "{hazard} 침수 {depth}",
+    landslideZone: "토사 재해 경계구역",
+    landslideSpecial: "토사 재해 특별경계구역",
+    lonLatRequired: "lon과 lat는 숫자여야 합니다",
+    radiusInvalid: "radius는 0보다 크고 {max} 이하인 미터 값이어야 합니다",
+    hazardTypeInvalid: "hazardType은 다음 중 하나여야 합니다: {list}",
+    queryRequired: "q(주소, 역 이름 또는 장소 이름)가 필요합니다",
+    bboxRequired: "bbox=minLon,minLat,maxLon,maxLat 가 필요합니다",
+    stepScore: "안전 점수: {score} (1점 만점, {level}).",
+    stepArea: "이 지점은 {label}에 있습니다.",
+    level: { low: "낮음", moderate: "보통", high: "높음" },
+    stepHazard: "이 지점은 재해 위험 구역 안에 있습니다: {list}.",
+    stepShelter: "가장 가까운 대피소: {name}, {dir} 방향 {dist}{walk}.",
+    stepRoute: "걸어서 가장 빠른 대피소: {name}, {dir} 방향 길을 따라 {dist}, 약 {min}분.",
+    stepHealth: "가장 가까운 병원·의원: {name}, {dir} 방향 {dist}{walk}.",
+    stepSchool: "가장 가까운 학교: {name}, {dir} 방향 {dist}{walk}.",
+    stepWalk: ", 걸어서 약 {min}분",
+    stepNoShelter: "데이터에서 대피소를 찾지 못했습니다.",
+    stepNoHealth: "데이터에서 병원·의원을 찾지 못했습니다.",
+    stepLandmark: "랜드마크: {landmark}에서 약 {dist}.",
+    stepCapacity: "반경 {radius}m 내 대피소 수용 인원은 {total}명입니다.",
+    stepPopulation: "반경 {radius}m 안에 약 {residents}명이 살고 있으며, 주민 1,000명당 대피소는 {shelters}곳입니다.",
+    timeAt: "{when} 기준",
+    timeClosed: "운영 시간 외 제외 {count}곳: {list}",
+    timeUnstaffed: "직원이 없을 수 있는 학교 대피소(절반으로 계산) {count}곳: {list}",
+    stepClosed: "{when}에는 주변 시설 {count}곳이 문을 닫아 계산하지 않았습니다: {list}.",
+    stepUnstaffed: "학교 대피소 {count}곳은 이 시간에 직원이 없을 수 있어 절반으로 계산합니다: {list}.",
+    whenAt: "{weekday}요일 {time}",
+    weekdays: ["월", "화", "수", "목", "금", "토", "일"],
+    scenario: { day: "평일 정오(12시)", night: "평일 새벽(3시)", "school-hours": "평일 수업 시간(10시)", weekend: "일요일 정오(12시)" },
+    cmpRanking: "순위: {list}.",
+    cmpRankItem: "{rank}. {name} ({score})",
+    cmpScore: "{a}의 점수가 {b}보다 {diff} 높습니다 ({sa} 대 {sb}).",
+    cmpTie: "{a}와(과) {b}의 점수가 같습니다 ({score}).",
+    cmpCloser: "{a}의 가장 가까운 {category}이(가) {b}보다 {diff} 더 가깝습니다 ({da} 대 {db}).",
+    cmpMore: "반경 {radius}m 이내 {categories}: {a}이(가) {b}보다 {diff}곳 더 많습니다 ({ca} 대 {cb}).",
+    cmpHazard: "{inside}은(는) 재해 위험 구역 안에 있습니다 ({list}). {outside}은(는) 아닙니다.",
+    category: { shelter: "대피소", health: "병원·의원", school: "학교" },
+    categories: { shelter: "대피소", health: "병원·의원", school: "학교" },
+    compass: { N: "북", NE: "북동", E: "동", SE: "남동", S: "남", SW: "남서", W: "서", NW: "북서" },
+    hazard: { flood: "홍수", earthquake: "지진", tsunami: "쓰나미", fire: "대규모 화재", landslide: "토사 재해", volcano: "화산" },
+  },
+  vi: {
+    area: "Vị trí: {label}",
+    radius: "Trong bán kính {radius} m:",
+    shelters: "Nơi lánh nạn {count}",
+    capacity: " (sức chứa {total} người)",
+    capacityUnknown: " (sức chứa {total} người, {unknown} nơi không rõ)",
+    hazardExcluded: "Loại {count} nơi không dùng được khi {hazard}",
+    perResident: "Sức chứa mỗi người dân {value}",
+    schools: "Trường học {count}",
+    health: "Y tế {count}",
+    layer: "{label} {count}",
+    enrichment: "Gộp {source}: thêm {added}, trùng {matched}",
+    hazards: "Nguy cơ thiên tai: {list} (×{penalty})",
+    total: "→ Điểm tổng hợp {score}",
+    population: "Dân số {residents}, nơi lánh nạn trên 1.000 dân {shelters} → điểm theo dân số {score}",
+    sep: " / ",
+    listSep: ", ",
+    inundation: "ngập do {hazard} {depth}",
+    landslideZone: "vùng cảnh báo sạt lở đất",
+    landslideSpecial: "vùng cảnh báo đặc biệt sạt lở đất",
+    lonLatRequired: "lon và lat phải là số",
+    radiusInvalid: "radius phải là số mét lớn hơn 0 và không quá {max}",
+    hazardTypeInvalid: "hazardType phải là một trong: {list}",
+    queryRequired: "cần có q (địa chỉ, tên ga hoặc tên địa điểm)",
+    bboxRequired: "cần có bbox=minLon,minLat,maxLon,maxLat",
+    stepScore: "Điểm an toàn: {score} trên 1 ({level}).",
+    stepArea: "Địa điểm này thuộc {label}.",
+    level: { low: "thấp", moderate: "trung bình", high: "cao" },
+    stepHazard: "Vị trí này nằm trong vùng nguy cơ: {list}.",
+    stepShelter: "Nơi lánh nạn gần nhất: {name}, {dist} về phía {dir}{walk}.",
+    stepRoute: "Nơi lánh nạn đi bộ nhanh nhất: {name}, {dist} về phía {dir} theo đường đi bộ, khoảng {min} phút.",
+    stepHealth: "Bệnh viện hoặc phòng khám gần nhất: {name}, {dist} về phía {dir}{walk}.",
+    stepSchool: "Trường học gần nhất: {name}, {dist} về phía {dir}{walk}.",
+    stepWalk: ", đi bộ khoảng {min} phút",
+    stepNoShelter: "Không tìm thấy nơi lánh nạn trong dữ liệu.",
+    stepNoHealth: "Không tìm thấy bệnh viện hoặc phòng khám trong dữ liệu.",
+    stepLandmark: "Mốc: cách {landmark} khoảng {dist}.",
+    stepCapacity: "Các nơi lánh nạn trong bán kính {radius} m chứa được {total} người.",
+    stepPopulation: "Khoảng {residents} người sống trong bán kính {radius} m: {shelters} nơi lánh nạn trên 1.000 dân.",
+    timeAt: "Vào {when}",
+    timeClosed: "Đóng cửa lúc đó, không tính {count}: {list}",
+    timeUnstaffed: "Nơi lánh nạn tại trường có thể không có nhân viên, tính một nửa {count}: {list}",
+    stepClosed: "Vào {when}, {count} cơ sở gần đây đóng cửa và không được tính: {list}.",
+    stepUnstaffed: "{count} nơi lánh nạn tại trường học có thể không có nhân viên lúc đó và được tính một nửa: {list}.",
+    whenAt: "{weekday} {time}",
+    weekdays: ["Thứ Hai", "Thứ Ba", "Thứ Tư", "Thứ Năm", "Thứ Sáu", "Thứ Bảy", "Chủ Nhật"],
+    scenario: { day: "trưa ngày thường (12 giờ)", night: "3 giờ sáng ngày thường", "school-hours": "giờ học ngày thường (10 giờ)", weekend: "trưa Chủ Nhật (12 giờ)" },
+    cmpRanking: "Xếp hạng: {list}.",
+    cmpRankItem: "{rank}. {name} ({score})",
+    cmpScore: "{a} có điểm cao hơn {b} {diff} ({sa} so với {sb}).",
+    cmpTie: "{a} và {b} có cùng điểm ({score}).",
+    cmpCloser: "{a} có {category} gần hơn {b} {diff} ({da} so với {db}).",
+    cmpMore: "Trong bán kính {radius} m, {a} có nhiều hơn {b} {diff} {categories} ({ca} so với {cb}).",
+    cmpHazard: "{inside} nằm trong vùng nguy cơ ({list}); {outside} thì không.",
+    category: { shelter: "nơi lánh nạn", health: "bệnh viện hoặc phòng khám", school: "trường học" },
+    categories: { shelter: "nơi lánh nạn", health: "bệnh viện và phòng khám", school: "trường học" },
+    compass: { N: "bắc", NE: "đông bắc", E: "đông", SE: "đông nam", S: "nam", SW: "tây nam", W: "tây", NW: "tây bắc" },
+    hazard: { flood: "lũ lụt", earthquake: "động đất", tsunami: "sóng thần", fire: "hỏa hoạn lớn", landslide: "sạt lở đất", volcano: "núi lửa" },
+  },
+  "ja-easy": {
+    area: "ばしょ: {label}",
+    radius: "{radius}m の なか:",
+    shelters: "ひなんじょ {count}か所",
+    capacity: "（{total}人 はいれる）",
+    capacityUnknown: "（{total}人 はいれる・わからない {unknown}か所）",
+    hazardExcluded: "{hazard}の ときに つかえない ひなんじょ {count}か所を のぞきました",
+    perResident: "ひとり あたり {value}",
+    schools: "がっこう {count}か所",
+    health: "びょういん {count}か所",
+    layer: "{label} {count}か所",
+    enrichment: "{source}の じょうほう: あたらしく {added}か所・おなじ {matched}か所",
+    hazards: "きけんな ばしょ: {list}（×{penalty}）",
+    total: "→ てんすう {score}",
+    population: "すんでいる ひと {residents}人・1000人に ひなんじょ {shelters} → ひとの かずで みた てんすう {score}",
+    sep: " / ",
+    listSep: "・",
+    inundation: "{hazard}で みずが くる {depth}",
+    landslideZone: "がけくずれに ちゅうい する ばしょ",
+    landslideSpecial: "がけくずれが とても あぶない ばしょ",
+    lonLatRequired: "lon と lat に すうじを いれて ください",
+    radiusInvalid: "radius には 0 より おおきく {max} までの メートルの すうじを いれて ください",
+    hazardTypeInvalid: "hazardType には つぎの どれかを いれて ください: {list}",
+    queryRequired: "q に じゅうしょ や えき の なまえ を いれて ください",
+    bboxRequired: "bbox=minLon,minLat,maxLon,maxLat を いれて ください",
+    stepScore: "てんすう: {score}（いちばん よいのは 1）。{level}。",
+    stepArea: "ここは {label} です。",
+    level: { low: "ひくい", moderate: "ふつう", high: "たかい" },
+    stepHazard: "ここは きけんな ばしょです: {list}。",
+    stepShelter: "いちばん ちかい ひなんじょ: {name}。{dir}へ {dist}{walk}。",
+    stepRoute: "あるいて いちばん はやい ひなんじょ: {name}。{dir}へ みちを {dist}。{min}ふん ぐらい。",
+    stepHealth: "いちばん ちかい びょういん: {name}。{dir}へ {dist}{walk}。",
+    stepSchool: "いちばん ちかい がっこう: {name}。{dir}へ {dist}{walk}。",
+    stepWalk: "。あるいて {min}ふん ぐらい",
+    stepNoShelter: "ひなんじょが みつかりません。",
+    stepNoHealth: "びょういんが みつかりません。",
+    stepLandmark: "めじるし: {landmark}から {dist} ぐらい。",
+    stepCapacity: "{radius}m の なかの ひなんじょに {total}人 はいれます。",
+    stepPopulation: "{radius}m の なかに {residents}人くらい すんでいます。1000人に ひなんじょが {shelters}か所 あります。",
+    timeAt: "{when} の じかん",
+    timeClosed: "しまって いるので かぞえない {count}か所: {list}",
+    timeUnstaffed: "がっこう の ひとが いない かもしれない ひなんじょ（はんぶん で かぞえる） {count}か所: {list}",
+    stepClosed: "{when} は ちかくの {count}か所が しまって います。かぞえて いません: {list}。",
+    stepUnstaffed: "がっこう の ひなんじょ {count}か所は この じかん ひとが いない かもしれません。はんぶん で かぞえます: {list}。",
+    whenAt: "{weekday}ようび {time}",
+    weekdays: ["げつ", "か", "すい", "もく", "きん", "ど", "にち"],
+    scenario: { day: "へいじつ の ひる（12じ）", night: "へいじつ の よなか（3じ）", "school-hours": "へいじつ の じゅぎょう の じかん（10じ）", weekend: "にちようび の ひる（12じ）" },
+    cmpRanking: "じゅんばん: {list}。",
+    cmpRankItem: "{rank}ばん {name}（{score}）",
+    cmpScore: "{a}は {b}より てんすうが {diff} たかいです（{sa} と {sb}）。",
+    cmpTie: "{a}と {b}は おなじ てんすうです（{score}）。",
+    cmpCloser: "{a}は {b}より {category}が {diff} ちかいです（{da} と {db}）。",
+    cmpMore: "{radius}m の なかの {categories}は {a}が {b}より {diff}か所 おおいです（{ca} と {cb}）。",
+    cmpHazard: "{inside}は きけんな ばしょです（{list}）。{outside}は ちがいます。",
+    category: { shelter: "ひなんじょ", health: "びょういん", school: "がっこう" },
+    categories: { shelter: "ひなんじょ", health: "びょういん", school: "がっこう" },
+    compass: { N: "きた", NE: "きたひがし", E: "ひがし", SE: "みなみひがし", S: "みなみ", SW: "みなみにし", W: "にし", NW: "きたにし" },
+    hazard: { flood: "おおあめ・こうずい", earthquake: "じしん", tsunami: "つなみ", fire: "おおきな かじ", landslide: "がけくずれ", volcano: "かざん" },
+  },
+};
+
+// Tags people send (Accept-Language style) → catalog ids
+const ALIASES: Record<string, Lang> = {
+  "ja-x-easy": "ja-easy", "easy-ja": "ja-easy", "easy": "ja-easy", "yasashii": "ja-easy",
+  "zh-hans": "zh", "zh-cn": "zh", "zh-sg": "zh",
+};
+
+/** ---------- Public ---------- */
+
+/** Catalog id for a language tag ("ko-KR" → "ko"), or null when there is no catalog for it */
+export function normalizeLang(tag: string | null | undefined): Lang | null {
+  const t = String(tag ?? "").trim().toLowerCase().replace(/_/g, "-");
+  if (!t) return null;
+  if ((LANGS as readonly string[]).includes(t)) return t as Lang;
+  if (ALIASES[t]) return ALIASES[t];
+  const primary = t.split("-")[0];
+  return (LANGS as readonly string[]).includes(primary) ? (primary as Lang) : null;
+}
+
+/**
+ * Language for a request: an explicit ?lang= wins, then the Accept-Language
+ * entries by q-value, then the fallback.
+ */
+export function negotiateLang(requested: unknown, acceptLanguage: string | undefined, fallback: Lang = DEFAULT_LANG): Lang {
+  const explicit = typeof requested === "string" ? normalizeLang(requested) : null;
+  if (explicit) return explicit;
+  const ranked = String(acceptLanguage ?? "")
+    .split(",")
+    .map((part, i) => {
+      const [tag, ...opts] = part.trim().split(";");
+      const q = Number(opts.find((o) => o.trim().startsWith("q="))?.trim().slice(2) ?? 1);
+      return { tag: tag.trim(), q: Number.isFinite(q) ? q : 0, i };
+    })
+    .filter((x) => x.tag && x.tag !== "*" && x.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  for (const { tag } of ranked) {
+    const lang = normalizeLang(tag);
+    if (lang) return lang;
+  }
+  return fallback;
+}
+
+export function messages(lang: Lang): Messages {
+  return CATALOG[lang];
+}
+
+/** Fill {name} placeholders; unknown ones are left as they are */
+export function t(template: string, vars: Record<string, string | number> = {}): string {
+  return template.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m));
+}
+
+/** Layer label in a language; the manifest only has en / ja, so the rest fall back to en */
+export function layerLabel(def: LayerDef, lang: Lang): string {
+  return lang === "ja" || lang === "ja-easy" ? def.label.ja : def.label.en;
+}
+
+/** The first MAX_NAMED names joined, then "+n" for the rest */
+export function namedList(names: string[], lang: Lang): string {
+  const shown = names.slice(0, MAX_NAMED).join(CATALOG[lang].listSep);
+  return names.length > MAX_NAMED ? `${shown} +${names.length - MAX_NAMED}` : shown;
+}
+
+/** A scenario's label ("a weekday at 3 a.m."), or the weekday and time of a datetime */
+export function whenLabel(when: When, lang: Lang): string {
+  const m = CATALOG[lang];
+  if (when.scenario && !when.datetime) return m.scenario[when.scenario];
+  return t(m.whenAt, { weekday: m.weekdays[WEEKDAYS.indexOf(when.weekday)], time: when.time });
+}
+
+/** Hazard zone label; ja keeps the label the hazard data was loaded with */
+export function zoneLabel(z: HazardZone, lang: Lang): string {
+  const m = CATALOG[lang];
+  if (lang === "ja") return z.label;
+  if (z.type === "landslide") return z.class === 4 ? m.landslideSpecial : m.landslideZone;
+  return t(m.inundation, { hazard: m.hazard[z.type], depth: DEPTH_LABEL[z.class] });
+}
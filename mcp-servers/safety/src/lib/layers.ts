@@ -0,0 +1,101 @@
+// src/lib/layers.ts
+import path from "path";
+import { z } from "zod";
+import { readJsonFile, readJsonFileAsync, type FileVersion } from "./data-files.js";
+
+/** ---------- Types ---------- */
+
+/** Layer id from the manifest, e.g. "shelter", "civic", "aed" */
+export type LayerId = string;
+
+/** The three layers every ScoreResult carries under its legacy keys */
+export const CORE_LAYERS = ["shelter", "school", "health"] as const;
+export type CoreLayer = (typeof CORE_LAYERS)[number];
+
+export type LayerDef = {
+  id: LayerId;
+  /** Absolute GeoJSON paths; points from all files are merged and deduped */
+  files: string[];
+  label: { en: string; ja: string };
+  /** Weight when the scoring profile does not name this layer */
+  defaultWeight: number;
+  /** soft-cap algorithm: in-radius count that saturates this layer */
+  softCap: number;
+  icon: string | null;
+  color: string | null;
+  /** opening_hours of the layer's POIs that have none of their own; null = unknown */
+  openingHours: string | null;
+};
+
+export type LayerRegistry = { defs: LayerDef[]; version: FileVersion | null };
+
+/** ---------- Config ---------- */
+
+export const LAYERS_MANIFEST = process.env.LAYERS_MANIFEST
+  ? path.resolve(process.env.LAYERS_MANIFEST)
+  : path.join(process.cwd(), "config", "layers.json");
+
+const ROOT = process.cwd();
+
+const LayerSchema = z.object({
+  files: z.array(z.string()).min(1),
+  label: z.object({ en: z.string(), ja: z.string() }),
+  defaultWeight: z.number().min(0).default(0),
+  softCap: z.number().positive().default(2),
+  icon: z.string().nullish(),
+  color: z.string().nullish(),
+  openingHours: z.string().nullish(),
+});
+
+const ManifestSchema = z.record(z.string().regex(/^[a-z][a-z0-9_-]*$/, "layer ids are lowercase slugs"), LayerSchema);
+
+// Used when the manifest is missing, so scoring never depends on it existing
+const BUILTIN: z.input<typeof ManifestSchema> = {
+  shelter: { files: ["data/shelters.geojson"], label: { en: "Shelters", ja: "避難所" }, defaultWeight: 0.6, softCap: 1 },
+  school: {
+    files: ["data/schools.geojson"], label: { en: "Schools", ja: "学校" }, defaultWeight: 0.25, softCap: 3,
+    openingHours: "Mo-Fr 08:00-18:00",
+  },
+  health: {
+    files: ["data/health.geojson", "data/hospitals.geojson"],
+    label: { en: "Health", ja: "医療/保健" }, defaultWeight: 0.15, softCap: 2,
+  },
+};
+
+/** ---------- Parsing ---------- */
+
+function toRegistry(json: unknown | null, version: FileVersion | null): LayerRegistry {
+  const parsed = ManifestSchema.safeParse(json ?? BUILTIN);
+  if (!parsed.success) throw new Error(`invalid layer manifest ${LAYERS_MANIFEST}: ${parsed.error.message}`);
+  const missing = CORE_LAYERS.filter((id) => !parsed.data[id]);
+  if (missing.length) throw new Error(`layer manifest ${LAYERS_MANIFEST} must define ${missing.join(", ")}`);
+
+  // Core layers first, then the manifest's order
+  const ids = [...CORE_LAYERS, ...Object.keys(parsed.data).filter((id) => !(CORE_LAYERS as readonly string[]).includes(id))];
+  const defs = ids.map((id): LayerDef => {
+    const l = parsed.data[id];
+    return {
+      id,
+      files: l.files.map((f) => path.resolve(ROOT, f)),
+      label: l.label,
+      defaultWeight: l.defaultWeight,
+      softCap: l.softCap,
+      icon: l.icon ?? null,
+      color: l.color ?? null,
+      openingHours: l.openingHours ?? null,
+    };
+  });
+  return { defs, version };
+}
+
+/** ---------- Public ---------- */
+
+export function readLayerRegistry(): LayerRegistry {
+  const f = readJsonFile(LAYERS_MANIFEST);
+  return toRegistry(f?.json ?? null, f?.version ?? null);
+}
+
+export async function readLayerRegistryAsync(): Promise<LayerRegistry> {
+  const f = await readJsonFileAsync(LAYERS_MANIFEST);
+  return toRegistry(f?.json ?? null, f?.version ?? null);
+}
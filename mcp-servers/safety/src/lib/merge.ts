@@ -0,0 +1,107 @@
+// src/lib/merge.ts
+// Cross-source POI merging (e.g. MLIT + OSM): the same school mapped by both
+// sources should count once, with both sources kept as provenance.
+import { haversineMeters } from "./geo.js";
+
+/** ---------- Types ---------- */
+
+/** One source's record of a POI */
+export type Provenance = {
+  source: string;
+  name: string;
+  id?: string | null;
+  /** Distance from the record that was kept (absent on that record itself) */
+  offset_m?: number;
+};
+
+type Mergeable = { name: string; lon: number; lat: number; source?: string | null; id?: string | null; openingHours?: string | null };
+
+export type MergeResult<T> = {
+  merged: (T & { sources: Provenance[] })[];
+  /** Supplemental POIs that were new */
+  added: number;
+  /** Supplemental POIs folded into an existing one */
+  matched: number;
+};
+
+/** ---------- Config ---------- */
+
+// Same POI: names at least this similar within MAX_METERS, or one name missing within NEAR_METERS
+export const MERGE_RULES = { nameSimilarity: 0.6, maxMeters: 150, nearMeters: 30 };
+
+/** ---------- Name similarity ---------- */
+
+const UNNAMED = new Set(["", "(unnamed)"]);
+
+/** NFKC, lower case, no spaces/punctuation, so "井土ヶ谷 小学校" ≈ "井土ケ谷小学校" */
+export function normalizeName(name: string): string {
+  return name
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[ヶケ]/g, "ケ")
+    .replace(/[\s\p{P}\p{S}]/gu, "");
+}
+
+function bigrams(s: string): string[] {
+  if (s.length < 2) return [s];
+  return Array.from({ length: s.length - 1 }, (_, i) => s.slice(i, i + 2));
+}
+
+/** 0..1: Dice coefficient over character bigrams; 1 when one name contains the other */
+export function nameSimilarity(a: string, b: string): number {
+  const x = normalizeName(a), y = normalizeName(b);
+  if (!x || !y) return 0;
+  if (x === y || (Math.min(x.length, y.length) >= 3 && (x.includes(y) || y.includes(x)))) return 1;
+  const bx = bigrams(x), by = bigrams(y);
+  const pool = new Map<string, number>();
+  for (const g of by) pool.set(g, (pool.get(g) ?? 0) + 1);
+  let common = 0;
+  for (const g of bx) {
+    const n = pool.get(g) ?? 0;
+    if (n > 0) { common++; pool.set(g, n - 1); }
+  }
+  return (2 * common) / (bx.length + by.length);
+}
+
+/** ---------- Public ---------- */
+
+function isSame(a: Mergeable, b: Mergeable): { same: boolean; d: number } {
+  const d = haversineMeters(a.lon, a.lat, b.lon, b.lat);
+  if (d > MERGE_RULES.maxMeters) return { same: false, d };
+  const unnamed = UNNAMED.has(a.name.trim()) || UNNAMED.has(b.name.trim());
+  if (unnamed) return { same: d <= MERGE_RULES.nearMeters, d };
+  return { same: nameSimilarity(a.name, b.name) >= MERGE_RULES.nameSimilarity, d };
+}
+
+/**
+ * Fold supplemental POIs into the primary list. A supplemental POI that matches
+ * an existing one (primary, or an earlier supplemental) only adds provenance;
+ * the rest are appended. Order is primary first, then new ones; callers re-sort.
+ */
+export function mergePois<T extends Mergeable>(primary: T[], supplemental: T[]): MergeResult<T> {
+  const merged = primary.map((p) => ({
+    ...p,
+    sources: [{ source: p.source ?? "MLIT", name: p.name, id: p.id ?? null }] as Provenance[],
+  }));
+  let added = 0, matched = 0;
+
+  for (const s of supplemental) {
+    let best: { i: number; d: number } | null = null;
+    merged.forEach((m, i) => {
+      const r = isSame(m, s);
+      if (r.same && (!best || r.d < best.d)) best = { i, d: r.d };
+    });
+    const prov: Provenance = { source: s.source ?? "OSM", name: s.name, id: s.id ?? null };
+    if (best) {
+      const { i, d } = best as { i: number; d: number };
+      merged[i].sources.push({ ...prov, offset_m: Math.round(d) });
+      // The record kept is the primary one; opening hours are the only attribute filled in from a match
+      if (!merged[i].openingHours && s.openingHours) merged[i].openingHours = s.openingHours;
+      matched++;
+    } else {
+      merged.push({ ...s, sources: [prov] });
+      added++;
+    }
+  }
+  return { merged, added, matched };
+}
@@ -0,0 +1,227 @@
+// src/lib/opening-hours.ts
+// Opening hours of POIs: a subset of the OSM opening_hours syntax, the manual
+// override file (data/opening-hours.json) and the point in time a score is for
+// (an explicit datetime or a named scenario such as "night").
+//
+// Supported: "24/7"; rules separated by ";" (or "||"), each with optional days
+// ("Mo-Fr", "Sa,Su", "Fr-Mo") and times ("08:30-12:00,13:00-17:00", "22:00-06:00"
+// runs past midnight, "18:00+" to midnight) or "off" / "closed"; a later rule
+// replaces earlier ones for the days it names. Public / school holiday rules (PH, SH)
+// are skipped, since holidays are not known here. Months, weeks and the rest of the
+// syntax make the value unknown, and unknown hours never exclude a POI.
+import path from "path";
+import type { JsonFile } from "./data-files.js";
+import { normalizeName } from "./merge.js";
+import { argumentError } from "./errors.js";
+
+/** ---------- Types ---------- */
+
+/** Mo = 0 ... Su = 6, as in opening_hours */
+export type Weekday = "Mo" | "Tu" | "We" | "Th" | "Fr" | "Sa" | "Su";
+
+/** Minute ranges per weekday, Monday first; an end past 1440 runs into the next day */
+export type OpeningHours = [number, number][][];
+
+export type Scenario = "day" | "night" | "school-hours" | "weekend";
+
+/** The local weekday and time a score is for */
+export type When = {
+  weekday: Weekday;
+  /** "HH:MM" */
+  time: string;
+  scenario: Scenario | null;
+  datetime: string | null;
+};
+
+/** One row of data/opening-hours.json: a POI by id or name (optionally only in one layer) */
+export type HoursOverride = { layer: string | null; id: string | null; name: string | null; openingHours: string };
+
+/** ---------- Config ---------- */
+
+export const OPENING_HOURS_FILE = path.join(process.cwd(), "data", "opening-hours.json");
+
+// Wall-clock time zone of the data; a datetime with an offset is converted into it
+export const OPENING_HOURS_TZ = process.env.OPENING_HOURS_TZ || "Asia/Tokyo";
+
+export const WEEKDAYS: readonly Weekday[] = ["Mo", "Tu", "We", "Th", "Fr", "Sa", "Su"];
+
+/** Representative moments: a Wednesday for the weekday ones, a Sunday for the weekend */
+export const SCENARIOS: Record<Scenario, { weekday: Weekday; time: string }> = {
+  day: { weekday: "We", time: "12:00" },
+  night: { weekday: "We", time: "03:00" },
+  "school-hours": { weekday: "We", time: "10:00" },
+  weekend: { weekday: "Su", time: "12:00" },
+};
+export const SCENARIO_IDS = Object.keys(SCENARIOS) as Scenario[];
+
+const DAY = 24 * 60;
+
+/** ---------- Parsing ---------- */
+
+const minutesOf = (hhmm: string) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+};
+
+// "Mo-Fr,Su" -> weekday indexes; null for anything else. Holiday selectors give []
+function parseDays(sel: string): number[] | null {
+  const days = new Set<number>();
+  for (const part of sel.split(",")) {
+    if (part === "PH" || part === "SH") continue;
+    const m = part.match(/^(Mo|Tu|We|Th|Fr|Sa|Su)(?:-(Mo|Tu|We|Th|Fr|Sa|Su))?$/);
+    if (!m) return null;
+    const a = WEEKDAYS.indexOf(m[1] as Weekday), b = m[2] ? WEEKDAYS.indexOf(m[2] as Weekday) : a;
+    for (let d = a; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === b) break;
+    }
+  }
+  return [...days];
+}
+
+// "08:30-12:00,13:00-17:00" -> minute ranges; null for anything else
+function parseTimes(sel: string): [number, number][] | null {
+  const out: [number, number][] = [];
+  for (const part of sel.split(",")) {
+    const m = part.match(/^(\d{1,2}:\d{2})(?:-(\d{1,2}:\d{2})|(\+))$/);
+    if (!m) return null;
+    const start = minutesOf(m[1]);
+    let end = m[3] ? DAY : minutesOf(m[2]);
+    if (start >= DAY || end > 2 * DAY) return null;
+    if (end <= start) end += DAY; // 22:00-06:00
+    out.push([start, end]);
+  }
+  return out;
+}
+
+/** Parse an opening_hours value; null when it uses syntax outside the supported subset */
+export function parseOpeningHours(value: string | null | undefined): OpeningHours | null {
+  const s = String(value ?? "").replace(/"[^"]*"/g, "").trim();
+  if (!s) return null;
+  if (s === "24/7") return WEEKDAYS.map(() => [[0, DAY]]);
+
+  const week: OpeningHours = WEEKDAYS.map(() => []);
+  let rules = 0;
+  for (const raw of s.split(/;|\|\|/)) {
+    const rule = raw.trim().replace(/\s*([,-])\s*/g, "$1");
+    if (!rule) continue;
+    const tokens = rule.split(/\s+/);
+    let days: number[] = [0, 1, 2, 3, 4, 5, 6];
+    if (/^(Mo|Tu|We|Th|Fr|Sa|Su|PH|SH)\b/.test(tokens[0])) {
+      const d = parseDays(tokens.shift()!);
+      if (!d) return null;
+      if (!d.length) continue; // holidays only
+      days = d;
+    }
+    let times: [number, number][];
+    if (!tokens.length || (tokens.length === 1 && tokens[0] === "24/7")) times = [[0, DAY]];
+    else if (tokens.length === 1 && (tokens[0] === "off" || tokens[0] === "closed")) times = [];
+    else if (tokens.length === 1) {
+      const t = parseTimes(tokens[0]);
+      if (!t) return null;
+      times = t;
+    } else return null;
+    for (const d of days) week[d] = times;
+    rules++;
+  }
+  return rules ? week : null;
+}
+
+const PARSED = new Map<string, OpeningHours | null>();
+
+function parsedCached(value: string): OpeningHours | null {
+  if (!PARSED.has(value)) PARSED.set(value, parseOpeningHours(value));
+  return PARSED.get(value)!;
+}
+
+/** ---------- Evaluation ---------- */
+
+/**
+ * Whether hours (an opening_hours value) say open at when; null when the value is
+ * missing or not understood
+ */
+export function openAt(value: string | null | undefined, when: When): boolean | null {
+  if (!value) return null;
+  const week = parsedCached(value);
+  if (!week) return null;
+  const d = WEEKDAYS.indexOf(when.weekday), m = minutesOf(when.time);
+  const prev = week[(d + 6) % 7];
+  return week[d].some(([a, b]) => m >= a && m < b) || prev.some(([, b]) => b > DAY && m + DAY < b);
+}
+
+/** ---------- Points in time ---------- */
+
+const ISO = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * The local weekday and time for a datetime (ISO 8601; without an offset it is read
+ * as wall-clock time in OPENING_HOURS_TZ) or a scenario. datetime wins when both are
+ * given; null when neither is. Throws on an unknown scenario or a malformed datetime.
+ */
+export function resolveWhen(datetime?: string | null, scenario?: string | null): When | null {
+  if (datetime) {
+    const m = String(datetime).trim().match(ISO);
+    if (!m) throw argumentError(`datetime must be ISO 8601, e.g. 2024-04-01T03:00 or 2024-04-01T03:00+09:00 (got "${datetime}")`);
+    // Calendar check for both forms: Date would roll 2024-02-30 over into March
+    const [y, mo, d, h, mi] = m.slice(1, 6).map(Number);
+    const day = new Date(0);
+    day.setUTCFullYear(y, mo - 1, d); // not Date.UTC, which maps years 0-99 to 1900-1999
+    if (day.getUTCFullYear() !== y || day.getUTCMonth() !== mo - 1 || day.getUTCDate() !== d || h > 23 || mi > 59) {
+      throw argumentError(`invalid datetime "${datetime}"`);
+    }
+    let weekday: Weekday, time: string;
+    if (m[6]) {
+      const date = new Date(String(datetime).trim().replace(" ", "T"));
+      if (Number.isNaN(date.getTime())) throw argumentError(`invalid datetime "${datetime}"`);
+      const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+        timeZone: OPENING_HOURS_TZ, weekday: "short", hour: "2-digit", minute: "2-digit", hourCycle: "h23",
+      }).formatToParts(date).map((p) => [p.type, p.value]));
+      weekday = parts.weekday.slice(0, 2) as Weekday;
+      time = `${parts.hour}:${parts.minute}`;
+    } else {
+      weekday = WEEKDAYS[(day.getUTCDay() + 6) % 7];
+      time = `${m[4]}:${m[5]}`;
+    }
+    const known = scenario && (SCENARIO_IDS as string[]).includes(scenario) ? (scenario as Scenario) : null;
+    return { weekday, time, scenario: known, datetime: String(datetime).trim() };
+  }
+  if (scenario) {
+    if (!(SCENARIO_IDS as string[]).includes(scenario)) {
+      throw argumentError(`unknown scenario "${scenario}" (available: ${SCENARIO_IDS.join(", ")})`);
+    }
+    return { ...SCENARIOS[scenario as Scenario], scenario: scenario as Scenario, datetime: null };
+  }
+  return null;
+}
+
+/** ---------- Overrides ---------- */
+
+/**
+ * Rows of data/opening-hours.json: [{ layer?, id? | name?, opening_hours }] (or
+ * { overrides: [...] }); rows without hours or without an id / name are skipped
+ */
+export function readHoursOverrides(file: JsonFile | null): HoursOverride[] {
+  const rows = Array.isArray(file?.json) ? file!.json : Array.isArray(file?.json?.overrides) ? file!.json.overrides : [];
+  const str = (v: unknown) => (v == null || String(v).trim() === "" ? null : String(v).trim());
+  return rows.flatMap((r: any) => {
+    const openingHours = str(r?.opening_hours ?? r?.openingHours);
+    const id = str(r?.id), name = str(r?.name);
+    return openingHours && (id || name) ? [{ layer: str(r?.layer), id, name, openingHours }] : [];
+  });
+}
+
+/** Set openingHours on the points of one layer that an override names (by id first, then by normalized name) */
+export function applyHoursOverrides<T extends { name: string; id?: string | null; openingHours?: string | null }>(
+  layer: string,
+  points: T[],
+  overrides: HoursOverride[]
+): T[] {
+  const mine = overrides.filter((o) => !o.layer || o.layer === layer);
+  if (!mine.length) return points;
+  const byId = new Map(mine.filter((o) => o.id).map((o) => [o.id!, o.openingHours]));
+  const byName = new Map(mine.filter((o) => o.name).map((o) => [normalizeName(o.name!), o.openingHours]));
+  return points.map((p) => {
+    const hours = (p.id ? byId.get(p.id) : undefined) ?? byName.get(normalizeName(p.name));
+    return hours ? { ...p, openingHours: hours } : p;
+  });
+}
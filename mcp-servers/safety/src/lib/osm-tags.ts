@@ -0,0 +1,40 @@
+// src/lib/osm-tags.ts
+// OSM tag rules shared by the offline importer (scripts/import-osm.mjs) and the
+// optional live Overpass source, so both classify features the same way.
+
+/** ---------- Types ---------- */
+
+export type OsmKind = "shelter" | "school" | "health";
+
+export type OsmTags = Record<string, string>;
+
+/** ---------- Rules ---------- */
+
+// First match wins, so a school that is also tagged as a shelter stays a school
+export const OSM_TAG_RULES: { kind: OsmKind; key: string; values: string[] }[] = [
+  { kind: "school", key: "amenity", values: ["school", "kindergarten", "college", "university"] },
+  { kind: "health", key: "amenity", values: ["hospital", "clinic", "doctors"] },
+  { kind: "shelter", key: "amenity", values: ["shelter"] },
+  { kind: "shelter", key: "emergency", values: ["assembly_point"] },
+];
+
+/** ---------- Public ---------- */
+
+export function classifyOsmTags(tags: OsmTags | null | undefined): OsmKind | null {
+  if (!tags) return null;
+  for (const r of OSM_TAG_RULES) {
+    if (r.values.includes(tags[r.key])) return r.kind;
+  }
+  return null;
+}
+
+export function osmName(tags: OsmTags | null | undefined): string {
+  return tags?.name ?? tags?.["name:ja"] ?? tags?.["name:en"] ?? "(unnamed)";
+}
+
+/** Overpass QL for every rule around a point (nodes, ways and relations, with centers) */
+export function overpassQuery(lon: number, lat: number, radiusMeters: number): string {
+  const around = `(around:${radiusMeters},${lat},${lon})`;
+  const lines = OSM_TAG_RULES.flatMap((r) => r.values.map((v) => `  nwr["${r.key}"="${v}"]${around};`));
+  return `[out:json][timeout:25];\n(\n${lines.join("\n")}\n);\nout center tags;`;
+}
@@ -0,0 +1,187 @@
+// src/lib/osm.ts
+import path from "path";
+import { readJsonFile, readJsonFileAsync, combineVersions, type FileVersion, type JsonFile } from "./data-files.js";
+import { buildPointIndex, type PointIndex } from "./spatial-index.js";
+import { haversineMeters, type BBox } from "./geo.js";
+import { classifyOsmTags, osmName, overpassQuery, type OsmKind, type OsmTags } from "./osm-tags.js";
+import type { Poi, PoiNear } from "./poi-index.js";
+
+/** ---------- Types ---------- */
+
+export type OsmSource = "local" | "overpass";
+
+/** OSM POIs around a point, by category and sorted by distance */
+export type OsmNearby = {
+  /** Where the POIs came from; null when neither source applied */
+  source: OsmSource | null;
+  shelters: PoiNear[];
+  schools: PoiNear[];
+  healths: PoiNear[];
+  /** Whether the imported extract covers the point, and its bounds */
+  local: { installed: boolean; covers: boolean; bounds: BBox | null; importedAt: string | null };
+};
+
+/** Feature counts and file versions of the imported OSM layers */
+export type OsmLayerStatus = Record<OsmKind, { features: number; file: FileVersion | null }>;
+
+type Meta = { source?: string; importedAt?: string; bounds?: BBox | null };
+
+type OverpassElement = {
+  type: "node" | "way" | "relation";
+  id: number;
+  lat?: number;
+  lon?: number;
+  center?: { lat: number; lon: number };
+  tags?: OsmTags;
+};
+
+/** ---------- Config ---------- */
+
+const DATA_DIR = path.join(process.cwd(), "data");
+
+// Written by scripts/import-osm.mjs
+export const OSM_FILES: Record<OsmKind, string> = {
+  shelter: path.join(DATA_DIR, "osm-shelters.geojson"),
+  school: path.join(DATA_DIR, "osm-schools.geojson"),
+  health: path.join(DATA_DIR, "osm-health.geojson"),
+};
+const META_FILE = path.join(DATA_DIR, "osm-meta.json");
+
+// OSM_REMOTE=off never calls Overpass; otherwise it is only asked about points
+// the local extract does not cover (or when no extract is installed).
+const REMOTE_ENABLED = (process.env.OSM_REMOTE ?? "overpass").toLowerCase() !== "off";
+const OVERPASS_URL = process.env.OVERPASS_URL || "https://overpass-api.de/api/interpreter";
+const OVERPASS_TIMEOUT_MS = Number(process.env.OVERPASS_TIMEOUT_MS) || 20000;
+
+/** ---------- Lazy loading ---------- */
+
+type Loaded = {
+  index: Record<OsmKind, PointIndex<Poi>>;
+  versions: Record<OsmKind, FileVersion | null>;
+  meta: Meta | null;
+};
+type OsmFiles = Record<OsmKind, JsonFile | null> & { meta: JsonFile | null };
+
+let OSM: Loaded | null = null;
+
+function readPoints(file: JsonFile | null): Poi[] {
+  const feats = Array.isArray(file?.json?.features) ? file!.json.features : [];
+  const out: Poi[] = [];
+  for (const f of feats) {
+    const [lon, lat] = f?.geometry?.type === "Point" ? f.geometry.coordinates ?? [] : [];
+    if (!Number.isFinite(lon) || !Number.isFinite(lat)) continue;
+    const p = f?.properties ?? {};
+    out.push({ name: String(p.name ?? "(unnamed)"), lon, lat, primary: p.primary ?? null, tags: p.tags ?? null, source: "OSM", id: p.osmId ?? null,
+      ...(p.opening_hours ? { openingHours: String(p.opening_hours) } : {}) });
+  }
+  return out;
+}
+
+function buildOsm(files: OsmFiles): Loaded {
+  return {
+    index: {
+      shelter: buildPointIndex(readPoints(files.shelter)),
+      school: buildPointIndex(readPoints(files.school)),
+      health: buildPointIndex(readPoints(files.health)),
+    },
+    versions: {
+      shelter: files.shelter?.version ?? null,
+      school: files.school?.version ?? null,
+      health: files.health?.version ?? null,
+    },
+    meta: files.meta?.json ?? null,
+  };
+}
+
+function ensureOsm(): Loaded {
+  if (OSM) return OSM;
+  OSM = buildOsm({
+    shelter: readJsonFile(OSM_FILES.shelter),
+    school: readJsonFile(OSM_FILES.school),
+    health: readJsonFile(OSM_FILES.health),
+    meta: readJsonFile(META_FILE),
+  });
+  return OSM;
+}
+
+function statusOf(O: Loaded): OsmLayerStatus {
+  return {
+    shelter: { features: O.index.shelter.size, file: O.versions.shelter },
+    school: { features: O.index.school.size, file: O.versions.school },
+    health: { features: O.index.health.size, file: O.versions.health },
+  };
+}
+
+/** ---------- Sources ---------- */
+
+function inBounds(b: BBox | null | undefined, lon: number, lat: number): boolean {
+  return !!b && lon >= b[0] && lon <= b[2] && lat >= b[1] && lat <= b[3];
+}
+
+function fromLocal(O: Loaded, lon: number, lat: number, radiusMeters: number) {
+  const near = (kind: OsmKind): PoiNear[] =>
+    O.index[kind].within(lon, lat, radiusMeters).map(({ item, distance_m }) => ({ ...item, distance_m, kind }));
+  return { shelters: near("shelter"), schools: near("school"), healths: near("health") };
+}
+
+async function fromOverpass(lon: number, lat: number, radiusMeters: number) {
+  const res = await fetch(OVERPASS_URL, {
+    method: "POST",
+    headers: { "Content-Type": "text/plain;charset=UTF-8" },
+    body: overpassQuery(lon, lat, radiusMeters),
+    signal: AbortSignal.timeout(OVERPASS_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`Overpass ${res.status}`);
+  const json = (await res.json()) as { elements?: OverpassElement[] };
+
+  const out = { shelters: [] as PoiNear[], schools: [] as PoiNear[], healths: [] as PoiNear[] };
+  const key = { shelter: "shelters", school: "schools", health: "healths" } as const;
+  for (const e of json.elements ?? []) {
+    const c = e.center ?? (e.lat != null && e.lon != null ? { lat: e.lat, lon: e.lon } : null);
+    const kind = classifyOsmTags(e.tags);
+    if (!c || !kind) continue;
+    out[key[kind]].push({
+      name: osmName(e.tags), lon: c.lon, lat: c.lat, source: "OSM", id: `${e.type}/${e.id}`,
+      distance_m: haversineMeters(lon, lat, c.lon, c.lat), kind,
+      ...(e.tags?.opening_hours ? { openingHours: e.tags.opening_hours } : {}),
+    });
+  }
+  for (const list of Object.values(out)) list.sort((a, b) => a.distance_m - b.distance_m);
+  return out;
+}
+
+/** ---------- Public ---------- */
+
+/**
+ * OSM POIs within the radius: from the imported extract when it covers the
+ * point, else from Overpass (unless OSM_REMOTE=off). Overpass failures throw.
+ */
+export async function osmNearby(lon: number, lat: number, radiusMeters: number): Promise<OsmNearby> {
+  const O = ensureOsm();
+  const installed = Object.values(O.versions).some((v) => v != null);
+  const bounds = O.meta?.bounds ?? null;
+  const local = { installed, covers: installed && inBounds(bounds, lon, lat), bounds, importedAt: O.meta?.importedAt ?? null };
+
+  if (local.covers) return { source: "local", ...fromLocal(O, lon, lat, radiusMeters), local };
+  if (REMOTE_ENABLED) return { source: "overpass", ...(await fromOverpass(lon, lat, radiusMeters)), local };
+  return { source: null, shelters: [], schools: [], healths: [], local };
+}
+
+/** Same contract as preparePoiLayers(): nothing is swapped until commit() */
+export async function prepareOsmLayers(): Promise<{ status: OsmLayerStatus; commit: () => void }> {
+  const [shelter, school, health, meta] = await Promise.all(
+    [OSM_FILES.shelter, OSM_FILES.school, OSM_FILES.health, META_FILE].map(readJsonFileAsync)
+  );
+  const next = buildOsm({ shelter, school, health, meta });
+  return { status: statusOf(next), commit: () => { OSM = next; } };
+}
+
+/** Short id of the imported OSM files in use */
+export function osmDataVersion(): string {
+  const v = ensureOsm().versions;
+  return combineVersions([v.shelter, v.school, v.health]);
+}
+
+export function osmLayerStatus(): OsmLayerStatus {
+  return statusOf(ensureOsm());
+}
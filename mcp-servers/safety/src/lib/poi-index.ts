@@ -1,6 +1,21 @@
 // src/lib/poi-index.ts
-import fs from "fs";
-import path from "path";
+import { readJsonFile, readJsonFileAsync, combineVersions, type FileVersion, type JsonFile } from "./data-files.js";
+import { readLayerRegistry, readLayerRegistryAsync, CORE_LAYERS, LAYERS_MANIFEST, type LayerDef, type LayerId, type LayerRegistry } from "./layers.js";
+import { buildPointIndex, type Hit, type PointIndex } from "./spatial-index.js";
+import { haversineMeters } from "./geo.js";
+import { hazardsAt, hazardCounts, hazardDataVersion, HAZARD_FILES, type HazardZone } from "./hazards.js";
+import { osmDataVersion } from "./osm.js";
+import { residentsWithin, populationStatus, populationDataVersion, POPULATION_FILE } from "./population.js";
+import { adminAreaAt, adminAreaStatus, adminDataVersion, inWard, ADMIN_FILES, type AdminArea, type AreaNames } from "./admin-areas.js";
+import { mergePois, nameSimilarity, MERGE_RULES, type Provenance } from "./merge.js";
+import { buildSteps, LANDMARK_MAX_M, type Landmark, type Step } from "./steps.js";
+import { walkTo, routingAvailable, walkGraphDataVersion, WALK_SPEED_M_PER_MIN } from "./routing.js";
+import { DEFAULT_LANG, LANGS, layerLabel, messages, namedList, t, whenLabel, zoneLabel, type Lang } from "./i18n.js";
+import { resolveProfile, type Algorithm, type ResolvedProfile, type Weights } from "./profiles.js";
+import {
+  openAt, resolveWhen, readHoursOverrides, applyHoursOverrides, OPENING_HOURS_FILE, type HoursOverride, type Scenario, type When,
+} from "./opening-hours.js";
+import { argumentError } from "./errors.js";
 
 /** ---------- Types ---------- */
 
@@ -10,91 +25,287 @@ export type Poi = {
   lat: number;
   primary?: string | null;
   tags?: string[] | null;
+  /** Shelters only (from build-poi-layers): people the shelter holds, null = unknown */
+  capacity?: number | null;
+  /** Shelters only: hazards the site is designated for, null = not rated */
+  disasterTypes?: DisasterType[] | null;
+  shelterType?: "designated" | "welfare" | "emergency-site" | null;
+  /** Shelters only: highest usable floor (vertical evacuation) */
+  floor?: number | null;
+  /** OSM opening_hours syntax (src/lib/opening-hours.ts), from the data or data/opening-hours.json */
+  openingHours?: string | null;
+  /** Data source ("MLIT", "OSM") and its record id (dataId, OSM element), when the layer has them */
+  source?: string | null;
+  id?: string | null;
+  /** Administrative area, when the layer has it (build-poi-layers.mjs backfills it from the boundaries) */
+  prefecture?: string | null;
+  municipality?: string | null;
+  ward?: string | null;
 };
 
-export type PoiNear = Poi & { distance_m: number; kind: "shelter" | "school" | "health" };
+/** Hazard categories of designated emergency evacuation sites (指定緊急避難場所) */
+export type DisasterType = "flood" | "earthquake" | "tsunami" | "fire" | "landslide" | "volcano";
+export const DISASTER_TYPES: readonly DisasterType[] = ["flood", "earthquake", "tsunami", "fire", "landslide", "volcano"];
+
+export type PoiNear = Poi & {
+  distance_m: number;
+  /** Layer id ("shelter", "school", "health" or any manifest layer) */
+  kind: LayerId;
+  /** Routing mode only: network walking distance / minutes (null = unreachable) */
+  walk_m?: number | null;
+  walk_min?: number | null;
+  /** Supplemental scoring only: every source that has this POI, kept record first */
+  sources?: Provenance[];
+};
+
+/** Walking route to the shelter with the shortest walk (routing mode) */
+export type ShelterRoute = {
+  name: string;
+  lon: number;
+  lat: number;
+  walk_m: number;
+  walk_min: number;
+  /** [lon, lat] polyline */
+  coordinates: [number, number][];
+};
 
 export type NearbyResult = {
   shelters: PoiNear[];
   schools: PoiNear[];
   healths: PoiNear[];
+  /** Manifest layers beyond the core three, by layer id */
+  layers: Record<LayerId, PoiNear[]>;
   /** Combined list (all categories), sorted by distance */
   all: PoiNear[];
-  params: { lon: number; lat: number; radiusMeters: number; topN: number };
+  params: { lon: number; lat: number; radiusMeters: number; topN: number; ward?: string };
+};
+
+export type NearestResult = Omit<NearbyResult, "params"> & {
+  params: { lon: number; lat: number; k: number };
 };
 
 export type ScoreParams = {
   lon: number;
   lat: number;
   radiusMeters?: number;
+  /** With routing, how many of the nearest in-radius shelters get a walking route (default 25); counts are never capped */
   topN?: number;
   includeDiagnostics?: boolean;
+  /** Compute walking distances on the local footpath graph (data/walk-graph.json) */
+  routing?: boolean;
+  /** Named scoring profile from config/profiles.json (default "default") */
+  profile?: string;
+  /** Explicit weights; missing keys come from the profile, the result is normalized */
+  weights?: Partial<Weights>;
+  /** Overrides the profile's algorithm */
+  algorithm?: Algorithm;
+  /** Only credit shelters rated for this hazard (unrated shelters still count) */
+  hazardType?: DisasterType;
+  /** Residents to divide in-radius shelter capacity by */
+  residents?: number;
+  /** POIs from another source (e.g. OSM) merged into the in-radius sets before scoring */
+  supplemental?: Supplemental;
+  /** Language of explain and steps (src/lib/i18n.ts); default "ja" */
+  lang?: Lang;
+  /** Add steps: the plain-language, screen-reader friendly explanation (src/lib/steps.ts) */
+  steps?: boolean;
+  /** Only count POIs open at this time (ISO 8601; no offset = local time, see OPENING_HOURS_TZ) */
+  datetime?: string;
+  /** Same for a representative moment: "day", "night", "school-hours" or "weekend"; datetime wins */
+  scenario?: Scenario;
+};
+
+export type Supplemental = { source: string; pois: Partial<Record<LayerId, Poi[]>> };
+
+/** What merging the supplemental POIs changed, per layer */
+export type Enrichment = {
+  source: string;
+  /** New POIs (not in the layer data) inside the radius */
+  added: Record<LayerId, number>;
+  /** Supplemental POIs matched to a POI already counted */
+  matched: Record<LayerId, number>;
+};
+
+/** Per-category result. nearest is in-radius; nearestOutside is only set when count = 0 */
+export type Bucket = { count: number; nearest: PoiNear | null; nearestOutside?: PoiNear | null };
+
+/** In-radius capacity of the credited shelters */
+export type ShelterCapacity = {
+  /** Sum of known capacities */
+  total: number;
+  /** Shelters with a known capacity / without one */
+  known: number;
+  unknown: number;
+  residents: number | null;
+  /** total / residents; null without residents or without any known capacity */
+  per_resident: number | null;
+};
+
+/** Population-aware view of the same result (src/lib/population.ts) */
+export type PopulationScore = {
+  /** Estimated residents within the radius, from the population grid */
+  residents: number;
+  /** Credited in-radius shelters per 1,000 residents; null when nobody lives in the radius */
+  shelters_per_1000: number | null;
+  /** Known in-radius shelter capacity per 1,000 residents; null without residents or any known capacity */
+  capacity_per_1000: number | null;
+  /** POPULATION_REF_RESIDENTS / residents, capped at MAX_POPULATION_FACTOR: what the in-radius counts were scaled by */
+  factor: number;
+  /** Population-normalized variant of score: same profile and hazard penalty, scaled counts */
+  score: number;
+  /** Source label of the population grid (e.g. "国勢調査 2020 500mメッシュ") */
+  source: string | null;
 };
 
+/** Shelters dropped or kept by the hazardType filter */
+export type HazardFilter = {
+  type: DisasterType;
+  /** Rated, but not for this hazard (not counted) */
+  excluded: number;
+  /** No rating in the data (counted) */
+  unrated: number;
+};
+
+/** An in-radius POI left out (closed) or counted at a discount (unstaffed) at the requested time */
+export type TimedPoi = {
+  kind: LayerId;
+  name: string;
+  id: string | null;
+  distance_m: number;
+  /** The hours that decided it: the POI's own, its layer's default, or the school layer's (unstaffed) */
+  openingHours: string;
+  reason: "closed" | "unstaffed";
+};
+
+/** What the datetime / scenario changed */
+export type TimeFilter = When & {
+  excluded: TimedPoi[];
+  /** School-based shelters outside school hours, counted at UNSTAFFED_FACTOR */
+  discounted: TimedPoi[];
+  /** In-radius POIs without usable hours, counted as open */
+  unknown: number;
+};
+
+/**
+ * Stable result shape shared by the MCP tools, the standalone server and the
+ * CLI. Bump SCORE_SCHEMA_VERSION on any breaking change to it.
+ */
 export type ScoreResult = {
-  shelters: { count: number; nearest: PoiNear | null };
-  schools: { count: number; nearest: PoiNear | null };
-  healths: { count: number; nearest: PoiNear | null };
-  /** 0..1 normalized score */
+  schemaVersion: typeof SCORE_SCHEMA_VERSION;
+  shelters: Bucket & {
+    capacity: ShelterCapacity;
+    hazardFilter?: HazardFilter;
+    route?: ShelterRoute | null;
+  };
+  schools: Bucket;
+  healths: Bucket;
+  /** Buckets of the manifest layers beyond the core three (config/layers.json), with the manifest label */
+  layers: Record<LayerId, Bucket & { label: LayerDef["label"] }>;
+  /** 0..1 normalized score (after hazard penalty) */
   score: number;
+  /** Per-layer availability (0..1) before weights; always has shelter, school and health */
+  components: Weights;
+  /** Administrative area containing the point; null outside the loaded boundaries (src/lib/admin-areas.ts) */
+  area: AdminArea | null;
+  /** Residents and per-capita figures; null without a population grid (data/population.geojson) */
+  population: PopulationScore | null;
+  /** Hazard zones containing the point; score = baseScore * penalty */
+  hazards: { zones: HazardZone[]; penalty: number; baseScore: number };
   /** Short human explanation */
   explain: string;
-  params: { lon: number; lat: number; radiusMeters: number; weights: Weights; topN: number };
+  params: {
+    lon: number;
+    lat: number;
+    radiusMeters: number;
+    weights: Weights;
+    /** The routing cap in effect (ScoreParams.topN), echoed whether or not routing ran */
+    topN: number;
+    algorithm: Algorithm;
+    profile: ResolvedProfile;
+    hazardType: DisasterType | null;
+    /** Short id of every data file behind this result (POI, manifest, hazard, OSM, boundaries, population, walk graph); changes on reload */
+    dataVersion: string;
+  };
+  /** Present when supplemental POIs were merged */
+  enrichment?: Enrichment;
+  /** Present when routing was requested */
+  routing?: { available: boolean; speed_m_per_min: number; max_walk_m: number };
+  /** Present when steps were requested */
+  steps?: Step[];
+  /** Present when a datetime or scenario was given */
+  time?: TimeFilter;
   _diagnostics?: Diagnostics;
 };
 
 type Diagnostics = {
-  shelter: { file: string; features: number; samples: Poi[] };
-  school: { file: string; features: number; samples: Poi[] };
-  health: { files: string[]; features: number; samples: Poi[] };
+  manifest: { file: string; version: FileVersion | null };
+  layers: Record<LayerId, { files: string[]; features: number; samples: Poi[] }>;
+  hazards: { files: string[]; polygons: Record<string, number> };
+  admin: { files: string[]; polygons: Record<string, number> };
+  population: { file: string; cells: number };
 };
 
-type Weights = { shelter: number; school: number; health: number };
-
 /** ---------- Config ---------- */
 
-const ROOT = process.cwd();
-const DATA_DIR = path.join(ROOT, "data");
+export const SCORE_SCHEMA_VERSION = 1 as const;
 
-// Files we expect
-const FILES = {
-  shelter: path.join(DATA_DIR, "shelters.geojson"),
-  school: path.join(DATA_DIR, "schools.geojson"),
-  health: path.join(DATA_DIR, "health.geojson"),
-  hospital: path.join(DATA_DIR, "hospitals.geojson"),
-};
+// Search radius bounds of every scoring entry point (tools, routes, CLI)
+export const MAX_RADIUS_METERS = 20000;
 
-// STRICTER scoring weights / knobs
-// - Shelters weigh more
-// - Counts saturate slower (K=4)
-// - Proximity influence reduced and decays faster near the edge
-const WEIGHTS: Weights = { shelter: 0.6, school: 0.25, health: 0.15 };
-const COUNT_SAT_K = 4;   // saturation constant for n/(n+K) — larger => stricter
-const MIX_COUNTS = 0.8;  // how much counts matter inside a category
-const MIX_PROX = 1 - MIX_COUNTS;
+// Layers and their files come from the manifest (src/lib/layers.ts, config/layers.json)
 
-/** ---------- Geo helpers ---------- */
+// Result keys of the core layers (schema v1)
+const CORE_KEY = { shelter: "shelters", school: "schools", health: "healths" } as const;
 
-const R_EARTH = 6371000; // meters
-function toRad(d: number) { return (d * Math.PI) / 180; }
-function haversineMeters(lon1: number, lat1: number, lon2: number, lat2: number): number {
-  const φ1 = toRad(lat1), φ2 = toRad(lat2);
-  const dφ = toRad(lat2 - lat1);
-  const dλ = toRad(lon2 - lon1);
-  const a = Math.sin(dφ / 2) ** 2 + Math.cos(φ1) * Math.cos(φ2) * Math.sin(dλ / 2) ** 2;
-  return 2 * R_EARTH * Math.asin(Math.min(1, Math.sqrt(a)));
-}
+// Weights and count/proximity knobs come from scoring profiles (src/lib/profiles.ts)
+
+// A shelter of this capacity counts as one shelter; unknown capacity also counts as one
+export const SHELTER_REF_CAPACITY = 500;
+
+// The population-normalized score rates counts as if this many people lived in the radius
+// (roughly a suburban 1.5 km circle), so a dense ward needs more shelters for the same
+// score. The boost for sparse areas is capped: three shelters for 50 people are not 200x better.
+export const POPULATION_REF_RESIDENTS = 10000;
+export const MAX_POPULATION_FACTOR = 4;
+
+// A shelter in a school without hours of its own is opened by school staff; outside the
+// school layer's hours it counts this much (it still opens, only later)
+export const UNSTAFFED_FACTOR = 0.5;
+const SCHOOL_NAME = /学校|学園|school/i;
+
+/** ---------- Helpers ---------- */
 
 function clamp01(x: number) { return Math.max(0, Math.min(1, x)); }
 
+function isCore(id: LayerId): id is keyof typeof CORE_KEY {
+  return (CORE_LAYERS as readonly string[]).includes(id);
+}
+
+function numOrNull(v: unknown): number | null {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function disasterTypesOf(v: unknown): DisasterType[] | null {
+  if (!Array.isArray(v)) return null;
+  const types = v.filter((t): t is DisasterType => DISASTER_TYPES.includes(t));
+  return types.length ? types : null;
+}
+
 /** ---------- Lazy data loading & parsing ---------- */
 
-type Layers = { shelter: Poi[]; school: Poi[]; health: Poi[] };
-let LAYERS: Layers | null = null;
+type LoadedLayer = { def: LayerDef; points: Poi[]; index: PointIndex<Poi>; versions: (FileVersion | null)[] };
+type Loaded = { registry: LayerRegistry; layers: Map<LayerId, LoadedLayer>; version: string };
+
+/** Feature count and source file versions of each POI layer */
+export type PoiLayerStatus = Record<LayerId, { features: number; files: (FileVersion | null)[] }>;
+
+let LAYERS: Loaded | null = null;
 
-function readGeoPoints(file: string): Poi[] {
-  if (!fs.existsSync(file)) return [];
-  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+function readGeoPoints(file: JsonFile | null): Poi[] {
+  if (!file) return [];
+  const raw = file.json;
   const feats = Array.isArray(raw?.features) ? raw.features : [];
   const out: Poi[] = [];
   for (const f of feats) {
@@ -110,11 +321,49 @@ function readGeoPoints(file: string): Poi[] {
       lat: Number(lat),
       primary: f?.properties?.primary ?? null,
       tags: f?.properties?.tags ?? null,
+      ...hoursAttrs(f?.properties ?? {}),
+      ...shelterAttrs(f?.properties ?? {}),
+      ...provenanceAttrs(f?.properties ?? {}),
+      ...areaAttrs(f?.properties ?? {}),
     });
   }
   return dedupePois(out);
 }
 
+/** Shelter attributes are only copied when the layer has them, so other POIs stay lean */
+function shelterAttrs(p: any): Partial<Poi> {
+  const out: Partial<Poi> = {};
+  const capacity = numOrNull(p.capacity);
+  const floor = numOrNull(p.floor);
+  const disasterTypes = disasterTypesOf(p.disasterTypes);
+  if (capacity != null) out.capacity = capacity;
+  if (floor != null) out.floor = floor;
+  if (disasterTypes) out.disasterTypes = disasterTypes;
+  if (p.shelterType) out.shelterType = p.shelterType;
+  return out;
+}
+
+function hoursAttrs(p: any): Partial<Poi> {
+  const hours = p.opening_hours ?? p.openingHours;
+  return hours ? { openingHours: String(hours) } : {};
+}
+
+function provenanceAttrs(p: any): Partial<Poi> {
+  const out: Partial<Poi> = {};
+  const id = p.dataId ?? p.osmId;
+  if (p.source) out.source = String(p.source);
+  if (id) out.id = String(id);
+  return out;
+}
+
+function areaAttrs(p: any): Partial<Poi> {
+  const out: Partial<Poi> = {};
+  if (p.prefecture) out.prefecture = String(p.prefecture);
+  if (p.municipality) out.municipality = String(p.municipality);
+  if (p.ward) out.ward = String(p.ward);
+  return out;
+}
+
 function dedupePois(list: Poi[]): Poi[] {
   const seen = new Set<string>();
   const out: Poi[] = [];
@@ -125,90 +374,329 @@ function dedupePois(list: Poi[]): Poi[] {
   return out;
 }
 
-function ensureLoaded(): Layers {
+/** files[i] holds the parsed contents of registry.defs[i].files; hours is data/opening-hours.json */
+function buildLayers(registry: LayerRegistry, files: (JsonFile | null)[][], hours: JsonFile | null): Loaded {
+  const layers = new Map<LayerId, LoadedLayer>();
+  const overrides: HoursOverride[] = readHoursOverrides(hours);
+  registry.defs.forEach((def, i) => {
+    // Several files (e.g. health + hospitals) merge into one layer
+    const points = applyHoursOverrides(def.id, dedupePois(files[i].flatMap(readGeoPoints)), overrides);
+    // Grid indexes are built once here so queries never scan whole layers
+    layers.set(def.id, { def, points, index: buildPointIndex(points), versions: files[i].map((f) => f?.version ?? null) });
+  });
+  const version = combineVersions([registry.version, ...[...layers.values()].flatMap((l) => l.versions), hours?.version ?? null]);
+  return { registry, layers, version };
+}
+
+function ensureLoaded(): Loaded {
   if (LAYERS) return LAYERS;
+  const registry = readLayerRegistry();
+  LAYERS = buildLayers(registry, registry.defs.map((d) => d.files.map(readJsonFile)), readJsonFile(OPENING_HOURS_FILE));
+  return LAYERS;
+}
 
-  const shelter = readGeoPoints(FILES.shelter);
-  const school = readGeoPoints(FILES.school);
-  const healthA = readGeoPoints(FILES.health);
-  const healthB = readGeoPoints(FILES.hospital); // alias/merge
-  const health = dedupePois([...healthA, ...healthB]);
+function layerOf(L: Loaded, id: LayerId): LoadedLayer {
+  return L.layers.get(id)!;
+}
 
-  LAYERS = { shelter, school, health };
-  return LAYERS;
+function statusOf(L: Loaded): PoiLayerStatus {
+  return Object.fromEntries(
+    [...L.layers].map(([id, l]) => [id, { features: l.points.length, files: l.versions }])
+  );
+}
+
+/**
+ * Read and index every POI layer again without touching the live one.
+ * Nothing changes until the returned commit() runs, which swaps the whole set
+ * in a single assignment; a query holds on to the set it started with.
+ */
+export async function preparePoiLayers(): Promise<{ status: PoiLayerStatus; commit: () => void }> {
+  // The manifest is re-read too, so layers added to config/layers.json appear on reload
+  const registry = await readLayerRegistryAsync();
+  const [files, hours] = await Promise.all([
+    Promise.all(registry.defs.map((d) => Promise.all(d.files.map(readJsonFileAsync)))),
+    readJsonFileAsync(OPENING_HOURS_FILE),
+  ]);
+  const next = buildLayers(registry, files, hours);
+  return { status: statusOf(next), commit: () => { LAYERS = next; } };
+}
+
+/** Layer definitions currently in use (manifest order, core layers first) */
+export function layerDefs(): LayerDef[] {
+  return ensureLoaded().registry.defs;
+}
+
+export function poiLayerStatus(): PoiLayerStatus {
+  return statusOf(ensureLoaded());
+}
+
+/** Every POI by layer, with the id of the layer set, for indexes built on top (the gazetteer) */
+export function poiLayerPoints(): { version: string; layers: { id: LayerId; points: Poi[] }[] } {
+  const L = ensureLoaded();
+  return { version: L.version, layers: [...L.layers].map(([id, l]) => ({ id, points: l.points })) };
 }
 
 /** ---------- Core queries ---------- */
 
-function withDistances(kind: PoiNear["kind"], arr: Poi[], lon: number, lat: number): PoiNear[] {
-  return arr.map((p) => ({
-    ...p,
-    distance_m: haversineMeters(lon, lat, p.lon, p.lat),
-    kind,
-  }));
+function toNear(kind: PoiNear["kind"], hits: Hit<Poi>[]): PoiNear[] {
+  return hits.map(({ item, distance_m }) => ({ ...item, distance_m, kind }));
 }
 
-function withinRadius(sortedByDistance: PoiNear[], radiusMeters: number): PoiNear[] {
-  return sortedByDistance.filter((p) => p.distance_m <= radiusMeters);
+/** Administrative area of a POI: its own properties, else the boundary it lies in */
+export function poiArea(p: Poi): AreaNames | null {
+  return p.municipality ? { prefecture: p.prefecture ?? null, municipality: p.municipality, ward: p.ward ?? null } : adminAreaAt(p.lon, p.lat);
 }
 
-/** Public: list nearby POIs by category */
+/** Public: list nearby POIs by category, optionally only those in one ward (see inWard()) */
 export function nearbyPois(
   lon: number,
   lat: number,
   radiusMeters: number = 1500,
-  topN: number = 25
+  topN: number = 25,
+  ward?: string
 ): NearbyResult {
   const L = ensureLoaded();
-  const s = withDistances("shelter", L.shelter, lon, lat).sort((a, b) => a.distance_m - b.distance_m);
-  const c = withDistances("school", L.school, lon, lat).sort((a, b) => a.distance_m - b.distance_m);
-  const h = withDistances("health", L.health, lon, lat).sort((a, b) => a.distance_m - b.distance_m);
-
-  const shelters = withinRadius(s, radiusMeters).slice(0, topN);
-  const schools  = withinRadius(c, radiusMeters).slice(0, topN);
-  const healths  = withinRadius(h, radiusMeters).slice(0, topN);
-  const all = [...shelters, ...schools, ...healths].sort((a, b) => a.distance_m - b.distance_m);
-
-  return {
-    shelters, schools, healths, all,
-    params: { lon, lat, radiusMeters, topN }
-  };
+  const keep = (h: Hit<Poi>) => !ward || inWard(poiArea(h.item), ward);
+  const by = perLayer(L, (l) => toNear(l.def.id, l.index.within(lon, lat, radiusMeters).filter(keep).slice(0, topN)));
+  return { ...by, params: { lon, lat, radiusMeters, topN, ...(ward ? { ward } : {}) } };
+}
+
+/** Core layers under their legacy keys, the rest under layers, plus everything in one sorted list */
+function perLayer(L: Loaded, query: (l: LoadedLayer) => PoiNear[]): Omit<NearbyResult, "params"> {
+  const layers: Record<LayerId, PoiNear[]> = {};
+  for (const [id, l] of L.layers) layers[id] = query(l);
+  const { shelter: shelters, school: schools, health: healths, ...extra } = layers;
+  const all = Object.values(layers).flat().sort((a, b) => a.distance_m - b.distance_m);
+  return { shelters, schools, healths, layers: extra, all };
+}
+
+/** Public: k closest POIs per category, ignoring any radius */
+export function nearestPois(lon: number, lat: number, k: number = 1): NearestResult {
+  const L = ensureLoaded();
+  const by = perLayer(L, (l) => toNear(l.def.id, l.index.nearest(lon, lat, k)));
+  return { ...by, params: { lon, lat, k } };
+}
+
+// A shelter rated for other hazards only is no refuge from this one; unrated ones get the benefit of the doubt
+function creditedFor(hazardType: DisasterType | null): (p: Poi) => boolean {
+  return (p) => !hazardType || !p.disasterTypes || p.disasterTypes.includes(hazardType);
+}
+
+// Widen k until a credited POI turns up (the index returns them in distance order)
+function nearestCredited(L: Loaded, lon: number, lat: number, credited: (p: Poi) => boolean, kind: LayerId = "shelter"): Hit<Poi> | null {
+  for (let k = 8; ; k *= 4) {
+    const hits = layerOf(L, kind).index.nearest(lon, lat, k);
+    const hit = hits.find((h) => credited(h.item));
+    if (hit || hits.length < k) return hit ?? null;
+  }
+}
+
+/** Public: the closest shelter credited for hazardType (any shelter without one), ignoring any radius */
+export function nearestShelter(lon: number, lat: number, hazardType: DisasterType | null = null): PoiNear | null {
+  const hit = nearestCredited(ensureLoaded(), lon, lat, creditedFor(hazardType));
+  return hit ? toNear("shelter", [hit])[0] : null;
+}
+
+/** Public: every shelter within radiusMeters credited for hazardType, sorted by distance */
+export function sheltersWithin(lon: number, lat: number, radiusMeters: number, hazardType: DisasterType | null = null): PoiNear[] {
+  const credited = creditedFor(hazardType);
+  return toNear("shelter", layerOf(ensureLoaded(), "shelter").index.within(lon, lat, radiusMeters).filter((h) => credited(h.item)));
+}
+
+/** Hours that apply to a POI: its own, else its layer's default */
+function hoursOf(L: Loaded, kind: LayerId, p: Poi): string | null {
+  return p.openingHours ?? layerOf(L, kind).def.openingHours;
+}
+
+// A shelter in a school (by layer tag or name) without hours of its own is staffed in school hours
+function staffHours(L: Loaded, p: Poi): string | null {
+  if (p.openingHours) return null;
+  const atSchool = p.primary === "school" || !!p.tags?.includes("school") || SCHOOL_NAME.test(p.name);
+  return atSchool ? layerOf(L, "school").def.openingHours : null;
+}
+
+/**
+ * Drop the POIs closed at when from the in-radius sets (mutates nearby) and list
+ * them; unstaffed school-based shelters stay and are returned for the discount.
+ */
+function applyTimeFilter(L: Loaded, nearby: Record<LayerId, PoiNear[]>, when: When): { time: TimeFilter; unstaffed: Set<PoiNear> } {
+  const excluded: TimedPoi[] = [], discounted: TimedPoi[] = [];
+  const unstaffed = new Set<PoiNear>();
+  let unknown = 0;
+  const timed = (p: PoiNear, openingHours: string, reason: TimedPoi["reason"]): TimedPoi =>
+    ({ kind: p.kind, name: p.name, id: p.id ?? null, distance_m: Math.round(p.distance_m), openingHours, reason });
+
+  for (const [id, list] of Object.entries(nearby)) {
+    nearby[id] = list.filter((p) => {
+      const hours = hoursOf(L, id, p);
+      const open = openAt(hours, when);
+      if (open === false) {
+        excluded.push(timed(p, hours!, "closed"));
+        return false;
+      }
+      if (open == null) {
+        const staff = id === "shelter" ? staffHours(L, p) : null;
+        if (staff && openAt(staff, when) === false) {
+          discounted.push(timed(p, staff, "unstaffed"));
+          unstaffed.add(p);
+        } else unknown++;
+      }
+      return true;
+    });
+  }
+  return { time: { ...when, excluded, discounted, unknown }, unstaffed };
+}
+
+/**
+ * Routing mode: add walk_m / walk_min to every in-radius shelter and each
+ * category's nearest POI, and attach the route to the shelter that is quickest
+ * on foot (not always the straight-line nearest). Scoring itself is unchanged.
+ */
+function annotateWalks(
+  lon: number,
+  lat: number,
+  radiusMeters: number,
+  shelters: PoiNear[],
+  cat: Pick<ScoreResult, "shelters" | "schools" | "healths" | "layers">
+): NonNullable<ScoreResult["routing"]> {
+  const max_walk_m = radiusMeters * 3;
+  const info = { available: routingAvailable(), speed_m_per_min: WALK_SPEED_M_PER_MIN, max_walk_m };
+  if (!info.available) return info;
+
+  const others = [cat.schools, cat.healths, ...Object.values(cat.layers)].map((b) => b.nearest);
+  const targets = [...shelters, ...others].filter((p): p is PoiNear => p != null);
+  const walks = walkTo(lon, lat, targets, max_walk_m);
+
+  let best: ShelterRoute | null = null;
+  targets.forEach((p, i) => {
+    const w = walks[i];
+    p.walk_m = w?.walk_m ?? null;
+    p.walk_min = w?.walk_min ?? null;
+    if (w && p.kind === "shelter" && (!best || w.walk_m < best.walk_m)) {
+      best = { name: p.name, lon: p.lon, lat: p.lat, ...w };
+    }
+  });
+  cat.shelters.route = best;
+  return info;
+}
+
+/**
+ * Merge supplemental POIs into the in-radius lists (mutates nearby), deduplicating
+ * across sources by name similarity and distance (src/lib/merge.ts).
+ */
+function mergeSupplemental(
+  L: Loaded,
+  lon: number,
+  lat: number,
+  radiusMeters: number,
+  nearby: Record<LayerId, PoiNear[]>,
+  supplemental: Supplemental
+): Enrichment {
+  const enrichment: Enrichment = { source: supplemental.source, added: {}, matched: {} };
+  for (const [id, pois] of Object.entries(supplemental.pois)) {
+    if (!L.layers.has(id)) {
+      throw argumentError(`unknown layer "${id}" in supplemental POIs (available: ${[...L.layers.keys()].join(", ")})`);
+    }
+    const hits: PoiNear[] = (pois ?? [])
+      .filter((p) => Number.isFinite(p.lon) && Number.isFinite(p.lat))
+      .map((p) => ({ ...p, source: supplemental.source, distance_m: haversineMeters(lon, lat, p.lon, p.lat), kind: id }))
+      .filter((p) => p.distance_m <= radiusMeters);
+    const { merged, added, matched } = mergePois(nearby[id], hits);
+    nearby[id] = merged.sort((a, b) => a.distance_m - b.distance_m);
+    enrichment.added[id] = added;
+    enrichment.matched[id] = matched;
+  }
+  return enrichment;
+}
+
+/** Throws unless 0 < radiusMeters <= MAX_RADIUS_METERS */
+export function checkRadius(radiusMeters: number): number {
+  if (!(radiusMeters > 0 && radiusMeters <= MAX_RADIUS_METERS)) {
+    throw argumentError(`radiusMeters must be > 0 and <= ${MAX_RADIUS_METERS} (got ${radiusMeters})`);
+  }
+  return radiusMeters;
 }
 
 /** Public: score a point (strict) */
 export function scorePoint(params: ScoreParams): ScoreResult {
   const lon = Number(params.lon);
   const lat = Number(params.lat);
-  const radiusMeters = Number(params.radiusMeters ?? 1500);
+  const radiusMeters = checkRadius(Number(params.radiusMeters ?? 1500));
   const topN = Number(params.topN ?? 25);
+  const L = ensureLoaded();
+  const profile = resolveProfile(params.profile, params.weights, params.algorithm, L.registry.defs);
+  const { weights, countSatK, mixCounts, softCaps, fadeMeters } = profile;
+  const hazardType = params.hazardType ?? null;
+  if (hazardType != null && !DISASTER_TYPES.includes(hazardType)) {
+    throw argumentError(`unknown hazardType "${hazardType}" (available: ${DISASTER_TYPES.join(", ")})`);
+  }
+  const residents = params.residents != null && Number(params.residents) > 0 ? Number(params.residents) : null;
+
+  const credited = creditedFor(hazardType);
+
+  // count = every POI in the radius; only routing looks at the nearest topN shelters
+  const inRadius = (kind: LayerId) => toNear(kind, layerOf(L, kind).index.within(lon, lat, radiusMeters));
+  const nearby: Record<LayerId, PoiNear[]> = {};
+  for (const id of L.layers.keys()) nearby[id] = inRadius(id);
+  const enrichment = params.supplemental
+    ? mergeSupplemental(L, lon, lat, radiusMeters, nearby, params.supplemental)
+    : undefined;
+  const allShelters = nearby.shelter;
+  nearby.shelter = allShelters.filter(credited);
+  const hazardExcluded = allShelters.length - nearby.shelter.length;
+
+  // Opening hours at the requested time (src/lib/opening-hours.ts): closed POIs leave the sets
+  const when = resolveWhen(params.datetime, params.scenario);
+  const timed = when ? applyTimeFilter(L, nearby, when) : null;
+
+  // Nearest beyond the radius: only credited shelters, and only POIs open at the requested time
+  const usable = (kind: LayerId) => (p: Poi) =>
+    (kind !== "shelter" || credited(p)) && (!when || openAt(hoursOf(L, kind, p), when) !== false);
+  const outside = (kind: LayerId) => {
+    const hit = nearestCredited(L, lon, lat, usable(kind), kind);
+    return hit ? toNear(kind, [hit])[0] : null;
+  };
+
+  const bucket = (kind: LayerId): Bucket => {
+    const hits = nearby[kind];
+    if (hits.length) return { count: hits.length, nearest: hits[0] };
+    return { count: 0, nearest: null, nearestOutside: outside(kind) };
+  };
 
-  const nearby = nearbyPois(lon, lat, radiusMeters, topN);
+  const known = nearby.shelter.filter((p) => p.capacity != null);
+  const capacityTotal = known.reduce((sum, p) => sum + p.capacity!, 0);
+  const capacity: ShelterCapacity = {
+    total: capacityTotal,
+    known: known.length,
+    unknown: nearby.shelter.length - known.length,
+    residents,
+    per_resident: residents != null && known.length ? capacityTotal / residents : null,
+  };
 
   const cat = {
     shelters: {
-      count: nearby.shelters.length,
-      nearest: nearby.shelters[0] ?? null,
-    },
-    schools: {
-      count: nearby.schools.length,
-      nearest: nearby.schools[0] ?? null,
-    },
-    healths: {
-      count: nearby.healths.length,
-      nearest: nearby.healths[0] ?? null,
-    },
+      ...bucket("shelter"),
+      capacity,
+      ...(hazardType ? {
+        hazardFilter: {
+          type: hazardType,
+          excluded: hazardExcluded,
+          unrated: nearby.shelter.filter((p) => !p.disasterTypes).length,
+        },
+      } : {}),
+    } as ScoreResult["shelters"],
+    schools: bucket("school"),
+    healths: bucket("health"),
+    layers: Object.fromEntries(
+      L.registry.defs.filter((d) => !isCore(d.id)).map((d) => [d.id, { ...bucket(d.id), label: d.label }])
+    ) as ScoreResult["layers"],
   };
+  const bucketOf = (id: LayerId): Bucket => (isCore(id) ? cat[CORE_KEY[id]] : cat.layers[id]);
 
-  // Category scores = weight * ( MIX_COUNTS * countNorm + MIX_PROX * proximityBoost )
-  // countNorm = n / (n + K) with larger K => stricter (needs more places)
-  // proximityBoost = max(0, 1 - d/r)^1.3 to reduce credit for far edges
-  const sCount = cat.shelters.count, sNearest = cat.shelters.nearest?.distance_m ?? Infinity;
-  const cCount = cat.schools.count,  cNearest = cat.schools.nearest?.distance_m ?? Infinity;
-  const hCount = cat.healths.count,  hNearest = cat.healths.nearest?.distance_m ?? Infinity;
-
-  const sCountNorm = sCount / (sCount + COUNT_SAT_K);
-  const cCountNorm = cCount / (cCount + COUNT_SAT_K);
-  const hCountNorm = hCount / (hCount + COUNT_SAT_K);
+  // Shelter "count" for scoring is in capacity units: a 1000-person hall is worth two reference shelters
+  const shelterUnits = nearby.shelter.reduce(
+    (sum, p) => sum + (p.capacity != null ? p.capacity / SHELTER_REF_CAPACITY : 1) * (timed?.unstaffed.has(p) ? UNSTAFFED_FACTOR : 1), 0
+  );
 
   const prox = (d: number) => {
     if (!Number.isFinite(d)) return 0;
@@ -216,57 +704,166 @@ export function scorePoint(params: ScoreParams): ScoreResult {
     return Math.pow(raw, 1.3); // harsher near the edge
   };
 
-  const sProx = prox(sNearest);
-  const cProx = prox(cNearest);
-  const hProx = prox(hNearest);
-
-  const sScore = WEIGHTS.shelter * (MIX_COUNTS * sCountNorm + MIX_PROX * sProx);
-  const cScore = WEIGHTS.school  * (MIX_COUNTS * cCountNorm + MIX_PROX * cProx);
-  const hScore = WEIGHTS.health  * (MIX_COUNTS * hCountNorm + MIX_PROX * hProx);
+  // Per-category availability in 0..1, before weights
+  // saturating: mixCounts * n/(n+K) + (1-mixCounts) * max(0, 1 - d/r)^1.3
+  //             (larger K => stricter; the exponent reduces credit for far edges)
+  // soft-cap:   min(1, n/cap), or 1/(1 + d/fade) to the nearest POI outside the radius
+  const component = (b: Bucket, softCap: number, n: number = b.count) => {
+    if (profile.algorithm === "soft-cap") {
+      if (b.count > 0) return Math.min(1, n / softCap);
+      const d = b.nearestOutside?.distance_m;
+      return d == null ? 0 : 1 / (1 + d / fadeMeters);
+    }
+    const countNorm = n / (n + countSatK);
+    return mixCounts * countNorm + (1 - mixCounts) * prox(b.nearest?.distance_m ?? Infinity);
+  };
 
-  const score = clamp01(sScore + cScore + hScore);
+  const components = Object.fromEntries(L.registry.defs.map((d) => [
+    d.id,
+    component(bucketOf(d.id), softCaps[d.id], d.id === "shelter" ? shelterUnits : undefined),
+  ])) as Weights;
+  const sCount = cat.shelters.count, cCount = cat.schools.count, hCount = cat.healths.count;
+
+  const baseScore = clamp01(
+    L.registry.defs.reduce((sum, d) => sum + weights[d.id] * components[d.id], 0)
+  );
+
+  // Being inside a hazard zone scales the whole score down, however many amenities are near
+  const hz = hazardsAt(lon, lat);
+  const score = clamp01(baseScore * hz.penalty);
+  const area = adminAreaAt(lon, lat);
+
+  // Same components with every in-radius count rescaled to POPULATION_REF_RESIDENTS
+  const residentsNear = residentsWithin(lon, lat, radiusMeters);
+  let population: PopulationScore | null = null;
+  if (residentsNear != null) {
+    const factor = residentsNear > 0
+      ? Math.min(MAX_POPULATION_FACTOR, POPULATION_REF_RESIDENTS / residentsNear)
+      : MAX_POPULATION_FACTOR;
+    const perCapitaBase = clamp01(L.registry.defs.reduce((sum, d) => {
+      const b = bucketOf(d.id);
+      const n = (d.id === "shelter" ? shelterUnits : b.count) * factor;
+      return sum + weights[d.id] * component(b, softCaps[d.id], n);
+    }, 0));
+    population = {
+      residents: residentsNear,
+      shelters_per_1000: residentsNear > 0 ? (sCount / residentsNear) * 1000 : null,
+      capacity_per_1000: residentsNear > 0 && capacity.known ? (capacity.total / residentsNear) * 1000 : null,
+      factor,
+      score: clamp01(perCapitaBase * hz.penalty),
+      source: populationStatus().source,
+    };
+  }
 
+  const lang = params.lang ?? DEFAULT_LANG;
+  if (!LANGS.includes(lang)) throw argumentError(`unknown lang "${lang}" (available: ${LANGS.join(", ")})`);
+  const m = messages(lang);
   const explain = [
-    `半径${radiusMeters}m 内:`,
-    `避難所 ${sCount}件`,
-    `学校 ${cCount}件`,
-    `医療/保健 ${hCount}件`,
-    `→ 総合スコア ${score.toFixed(2)}`
-  ].join(" / ");
+    ...(area ? [t(m.area, { label: area.label })] : []),
+    t(m.radius, { radius: radiusMeters }),
+    t(m.shelters, { count: sCount }) +
+      (capacity.known ? t(capacity.unknown ? m.capacityUnknown : m.capacity, { total: capacity.total, unknown: capacity.unknown }) : ""),
+    ...(hazardType ? [t(m.hazardExcluded, { hazard: m.hazard[hazardType], count: cat.shelters.hazardFilter!.excluded })] : []),
+    ...(timed ? timeTexts(timed.time, lang) : []),
+    ...(capacity.per_resident != null ? [t(m.perResident, { value: capacity.per_resident.toFixed(2) })] : []),
+    t(m.schools, { count: cCount }),
+    t(m.health, { count: hCount }),
+    // Extra layers only show up in the summary once they carry weight
+    ...L.registry.defs
+      .filter((d) => !isCore(d.id) && weights[d.id] > 0)
+      .map((d) => t(m.layer, { label: layerLabel(d, lang), count: cat.layers[d.id].count })),
+    ...(enrichment ? [enrichmentText(enrichment, lang)] : []),
+    ...(hz.zones.length ? [t(m.hazards, {
+      list: hz.zones.map((z) => zoneLabel(z, lang)).join(m.listSep),
+      penalty: hz.penalty.toFixed(2),
+    })] : []),
+    t(m.total, { score: score.toFixed(2) }),
+    ...(population ? [t(m.population, {
+      residents: population.residents,
+      shelters: population.shelters_per_1000 != null ? population.shelters_per_1000.toFixed(2) : "–",
+      score: population.score.toFixed(2),
+    })] : []),
+  ].join(m.sep);
+
+  const routing = params.routing
+    ? annotateWalks(lon, lat, radiusMeters, nearby.shelter.slice(0, topN), cat)
+    : undefined;
 
   const result: ScoreResult = {
+    schemaVersion: SCORE_SCHEMA_VERSION,
     ...cat,
     score,
+    components,
+    area,
+    population,
+    hazards: { zones: hz.zones, penalty: hz.penalty, baseScore },
     explain,
-    params: { lon, lat, radiusMeters, weights: WEIGHTS, topN }
+    params: { lon, lat, radiusMeters, weights, topN, algorithm: profile.algorithm, profile, hazardType,
+      dataVersion: combineVersions([L.version, hazardDataVersion(), osmDataVersion(), adminDataVersion(), populationDataVersion(), walkGraphDataVersion()]),
+    },
+    ...(enrichment ? { enrichment } : {}),
+    ...(routing ? { routing } : {}),
+    ...(timed ? { time: timed.time } : {}),
   };
 
+  if (params.steps) result.steps = buildSteps(result, lang, (p) => landmarkNear(L, p));
+
   if (params.includeDiagnostics) {
-    const L = ensureLoaded();
     result._diagnostics = {
-      shelter: {
-        file: FILES.shelter,
-        features: L.shelter.length,
-        samples: L.shelter.slice(0, 3),
-      },
-      school: {
-        file: FILES.school,
-        features: L.school.length,
-        samples: L.school.slice(0, 3),
+      manifest: { file: LAYERS_MANIFEST, version: L.registry.version },
+      layers: Object.fromEntries([...L.layers].map(([id, l]) => [id, {
+        files: l.def.files,
+        features: l.points.length,
+        samples: l.points.slice(0, 3),
+      }])),
+      hazards: {
+        files: Object.values(HAZARD_FILES),
+        polygons: hazardCounts(),
       },
-      health: {
-        files: [FILES.health, FILES.hospital],
-        features: L.health.length,
-        samples: L.health.slice(0, 3),
+      admin: {
+        files: Object.values(ADMIN_FILES),
+        polygons: Object.fromEntries(Object.entries(adminAreaStatus()).map(([l, st]) => [l, st.polygons])),
       },
+      population: { file: POPULATION_FILE, cells: populationStatus().cells },
     };
   }
 
   return result;
 }
 
+/** "At night (Wed 03:00)" plus the closed and unstaffed POIs, for explain */
+function timeTexts(time: TimeFilter, lang: Lang): string[] {
+  const m = messages(lang);
+  return [
+    t(m.timeAt, { when: whenLabel(time, lang) }),
+    ...(time.excluded.length ? [t(m.timeClosed, { count: time.excluded.length, list: namedList(time.excluded.map((p) => p.name), lang) })] : []),
+    ...(time.discounted.length ? [t(m.timeUnstaffed, { count: time.discounted.length, list: namedList(time.discounted.map((p) => p.name), lang) })] : []),
+  ];
+}
+
+function enrichmentText(e: Enrichment, lang: Lang): string {
+  const sum = (r: Record<LayerId, number>) => Object.values(r).reduce((a, b) => a + b, 0);
+  return t(messages(lang).enrichment, { source: e.source, added: sum(e.added), matched: sum(e.matched) });
+}
+
+/**
+ * Closest POI of any layer to a destination, skipping the destination itself
+ * (and its records in other layers, which share a similar name).
+ */
+function landmarkNear(L: Loaded, target: { name: string; lon: number; lat: number }): Landmark | null {
+  let best: Landmark | null = null;
+  for (const [id, layer] of L.layers) {
+    const hit = layer.index.within(target.lon, target.lat, LANDMARK_MAX_M)
+      .find((h) => h.item.name && nameSimilarity(h.item.name, target.name) < MERGE_RULES.nameSimilarity);
+    if (hit && (!best || hit.distance_m < best.distance_m)) {
+      best = { name: hit.item.name, kind: id, distance_m: Math.round(hit.distance_m) };
+    }
+  }
+  return best;
+}
+
 /** Optional: expose counts for quick sanity checks (not used by UI/MCP) */
-export function layerCounts(): { shelter: number; school: number; health: number } {
+export function layerCounts(): Record<LayerId, number> {
   const L = ensureLoaded();
-  return { shelter: L.shelter.length, school: L.school.length, health: L.health.length };
+  return Object.fromEntries([...L.layers].map(([id, l]) => [id, l.points.length]));
 }
@@ -0,0 +1,184 @@
+// src/lib/population.ts
+// Residents around a point from a census population grid (data/population.geojson,
+// written by scripts/import-population.mjs or any GeoJSON of cells with a population).
+// Cells are JIS X 0410 standard area meshes (1 km, 500 m, 250 m, ...); a cell that
+// straddles the radius counts with the share of it that lies inside.
+import path from "path";
+import { readJsonFile, readJsonFileAsync, combineVersions, type FileVersion, type JsonFile } from "./data-files.js";
+import { haversineMeters, polygonsBBox, type BBox, type PolygonCoords } from "./geo.js";
+import { buildPointIndex, type PointIndex } from "./spatial-index.js";
+
+/** ---------- Types ---------- */
+
+type Cell = { lon: number; lat: number; bbox: BBox; halfDiagonal_m: number; population: number };
+
+/** Feature count, file version and source label of the population grid */
+export type PopulationStatus = { cells: number; file: FileVersion | null; source: string | null };
+
+/** ---------- Config ---------- */
+
+export const POPULATION_FILE = path.join(process.cwd(), "data", "population.geojson");
+
+// Property names tried in order: generic, e-Stat 地域メッシュ統計 (T001101001 = 人口（総数）, 2020)
+const MESH_KEYS = ["mesh", "meshCode", "mesh_code", "KEY_CODE", "code"];
+const POPULATION_KEYS = ["population", "pop", "人口総数", "人口（総数）", "T001101001"];
+
+// A straddling cell is sampled on an n x n lattice
+const SAMPLES = 4;
+
+/** ---------- Mesh codes ---------- */
+
+/**
+ * Bounding box of a standard area mesh code: 4 digits (1st, 80 km), 6 (2nd, 10 km),
+ * 8 (3rd, 1 km), then one quadrant digit 1..4 (SW, SE, NW, NE) per halving:
+ * 9 digits = 500 m, 10 = 250 m, 11 = 125 m. null for anything else.
+ */
+export function meshBBox(code: string): BBox | null {
+  const c = String(code).replace(/\D/g, "");
+  if (![4, 6, 8, 9, 10, 11].includes(c.length)) return null;
+  const d = (i: number) => Number(c[i]);
+  let lat = Number(c.slice(0, 2)) / 1.5, lon = Number(c.slice(2, 4)) + 100;
+  let h = 2 / 3, w = 1;
+  if (c.length >= 6) {
+    if (d(4) > 7 || d(5) > 7) return null;
+    h /= 8; w /= 8;
+    lat += d(4) * h; lon += d(5) * w;
+  }
+  if (c.length >= 8) {
+    h /= 10; w /= 10;
+    lat += d(6) * h; lon += d(7) * w;
+  }
+  for (let i = 8; i < c.length; i++) {
+    const q = d(i);
+    if (q < 1 || q > 4) return null;
+    h /= 2; w /= 2;
+    if (q >= 3) lat += h;
+    if (q % 2 === 0) lon += w;
+  }
+  return [lon, lat, lon + w, lat + h];
+}
+
+/** ---------- Lazy loading ---------- */
+
+type Loaded = { index: PointIndex<Cell>; cells: number; halfDiagonal_m: number; file: FileVersion | null; source: string | null };
+
+let POPULATION: Loaded | null = null;
+
+function firstOf(p: any, keys: string[]): unknown {
+  for (const k of keys) if (p?.[k] != null && p[k] !== "") return p[k];
+  return undefined;
+}
+
+function readCells(file: JsonFile | null): Cell[] {
+  const feats = Array.isArray(file?.json?.features) ? file!.json.features : [];
+  const out: Cell[] = [];
+  for (const f of feats) {
+    const p = f?.properties ?? {};
+    const population = Number(firstOf(p, POPULATION_KEYS));
+    // Secret (秘匿, "*") and empty cells carry no number
+    if (!Number.isFinite(population) || population <= 0) continue;
+    const code = firstOf(p, MESH_KEYS);
+    const g = f?.geometry;
+    const polygons: PolygonCoords[] =
+      g?.type === "Polygon" ? [g.coordinates] :
+      g?.type === "MultiPolygon" ? g.coordinates :
+      [];
+    // The mesh code is exact; a drawn cell is taken as its bounding box
+    const bbox = (code != null ? meshBBox(String(code)) : null) ?? (polygons.length ? polygonsBBox(polygons) : null);
+    if (!bbox) continue;
+    out.push({
+      lon: (bbox[0] + bbox[2]) / 2,
+      lat: (bbox[1] + bbox[3]) / 2,
+      bbox,
+      halfDiagonal_m: haversineMeters(bbox[0], bbox[1], bbox[2], bbox[3]) / 2,
+      population,
+    });
+  }
+  return out;
+}
+
+function buildPopulation(file: JsonFile | null): Loaded {
+  const cells = readCells(file);
+  // Largest cell, so a radius query padded by it finds every straddling cell
+  const halfDiagonal_m = cells.reduce((m, c) => Math.max(m, c.halfDiagonal_m), 0);
+  return {
+    index: buildPointIndex(cells),
+    cells: cells.length,
+    halfDiagonal_m,
+    file: file?.version ?? null,
+    source: file?.json?.source != null ? String(file.json.source) : null,
+  };
+}
+
+function ensurePopulation(): Loaded {
+  if (POPULATION) return POPULATION;
+  POPULATION = buildPopulation(readJsonFile(POPULATION_FILE));
+  return POPULATION;
+}
+
+function statusOf(P: Loaded): PopulationStatus {
+  return { cells: P.cells, file: P.file, source: P.source };
+}
+
+// Share of a cell within radiusMeters of the point: 1 or 0 when the whole cell is
+// clearly inside or outside, else the share of the sample lattice that is inside
+function insideShare(lon: number, lat: number, radiusMeters: number, c: Cell, centerDistance: number): number {
+  if (centerDistance + c.halfDiagonal_m <= radiusMeters) return 1;
+  if (centerDistance - c.halfDiagonal_m > radiusMeters) return 0;
+  const [x0, y0, x1, y1] = c.bbox;
+  let inside = 0;
+  for (let i = 0; i < SAMPLES; i++) {
+    for (let j = 0; j < SAMPLES; j++) {
+      const x = x0 + ((i + 0.5) / SAMPLES) * (x1 - x0);
+      const y = y0 + ((j + 0.5) / SAMPLES) * (y1 - y0);
+      if (haversineMeters(lon, lat, x, y) <= radiusMeters) inside++;
+    }
+  }
+  return inside / (SAMPLES * SAMPLES);
+}
+
+/** ---------- Public ---------- */
+
+/** Estimated residents within radiusMeters of the point (rounded); null without a population grid */
+export function residentsWithin(lon: number, lat: number, radiusMeters: number): number | null {
+  const P = ensurePopulation();
+  if (!P.cells) return null;
+  let total = 0;
+  for (const { item, distance_m } of P.index.within(lon, lat, radiusMeters + P.halfDiagonal_m)) {
+    total += item.population * insideShare(lon, lat, radiusMeters, item, distance_m);
+  }
+  return Math.round(total);
+}
+
+/**
+ * Estimated residents inside a lon/lat box, each mesh cell weighted by the share of it
+ * the box overlaps; not rounded, so the boxes of a grid add up. null without a population grid.
+ */
+export function residentsInBox(bbox: BBox): number | null {
+  const P = ensurePopulation();
+  if (!P.cells) return null;
+  const [x0, y0, x1, y1] = bbox;
+  const reach = haversineMeters(x0, y0, x1, y1) / 2 + P.halfDiagonal_m;
+  let total = 0;
+  for (const { item: c } of P.index.within((x0 + x1) / 2, (y0 + y1) / 2, reach)) {
+    const w = Math.min(x1, c.bbox[2]) - Math.max(x0, c.bbox[0]);
+    const h = Math.min(y1, c.bbox[3]) - Math.max(y0, c.bbox[1]);
+    if (w > 0 && h > 0) total += (c.population * w * h) / ((c.bbox[2] - c.bbox[0]) * (c.bbox[3] - c.bbox[1]));
+  }
+  return total;
+}
+
+/** Same contract as preparePoiLayers(): nothing is swapped until commit() */
+export async function preparePopulation(): Promise<{ status: PopulationStatus; commit: () => void }> {
+  const next = buildPopulation(await readJsonFileAsync(POPULATION_FILE));
+  return { status: statusOf(next), commit: () => { POPULATION = next; } };
+}
+
+export function populationStatus(): PopulationStatus {
+  return statusOf(ensurePopulation());
+}
+
+/** Short id of the population file in use */
+export function populationDataVersion(): string {
+  return combineVersions([ensurePopulation().file]);
+}
@@ -0,0 +1,158 @@
+// src/lib/profiles.ts
+import fs from "fs";
+import path from "path";
+import { z } from "zod";
+import type { CoreLayer, LayerDef } from "./layers.js";
+import { argumentError } from "./errors.js";
+
+/** ---------- Types ---------- */
+
+/** Weight per layer id; the core layers are always present */
+export type Weights = Record<CoreLayer, number> & Record<string, number>;
+
+/**
+ * "saturating": weight * (mixCounts * n/(n+K) + (1-mixCounts) * proximity in radius)
+ * "soft-cap":   weight * min(1, n/softCap), or 1/(1 + d/fadeMeters) to the nearest POI anywhere when n = 0
+ */
+export type Algorithm = "saturating" | "soft-cap";
+export const ALGORITHMS: readonly Algorithm[] = ["saturating", "soft-cap"];
+
+export type Profile = {
+  label: { en: string; ja: string };
+  description?: string;
+  weights: Weights;
+  /** Saturation constant for n/(n+K) — larger => stricter */
+  countSatK: number;
+  /** Share of counts vs proximity inside a category (0..1) */
+  mixCounts: number;
+  algorithm: Algorithm;
+  /** soft-cap: in-radius counts that saturate each category (missing layers use the manifest's softCap) */
+  softCaps?: Partial<Weights>;
+  /** soft-cap: distance at which an out-of-radius POI is worth 0.5 */
+  fadeMeters: number;
+};
+
+/** What a score actually used; echoed in ScoreResult.params.profile */
+export type ResolvedProfile = {
+  id: string;
+  /** true when explicit weights or algorithm overrode the named profile */
+  custom: boolean;
+  weights: Weights;
+  countSatK: number;
+  mixCounts: number;
+  algorithm: Algorithm;
+  softCaps: Weights;
+  fadeMeters: number;
+};
+
+/** ---------- Config ---------- */
+
+export const PROFILES_FILE = process.env.SCORING_PROFILES
+  ? path.resolve(process.env.SCORING_PROFILES)
+  : path.join(process.cwd(), "config", "profiles.json");
+
+export const DEFAULT_PROFILE = "default";
+
+// Core layers are required; any other registry layer may be named too
+const WeightsSchema = z.object({
+  shelter: z.number().min(0),
+  school: z.number().min(0),
+  health: z.number().min(0),
+}).catchall(z.number().min(0));
+
+const ProfileSchema = z.object({
+  label: z.object({ en: z.string(), ja: z.string() }),
+  description: z.string().optional(),
+  weights: WeightsSchema,
+  countSatK: z.number().positive(),
+  mixCounts: z.number().min(0).max(1),
+  algorithm: z.enum(["saturating", "soft-cap"]).default("saturating"),
+  softCaps: z.record(z.number().positive()).optional(),
+  fadeMeters: z.number().positive().default(2000),
+});
+
+const ProfilesSchema = z.record(ProfileSchema);
+
+// Used when the config file is missing, so scoring never depends on it existing
+const BUILTIN_DEFAULT: Profile = {
+  label: { en: "Default", ja: "標準" },
+  weights: { shelter: 0.6, school: 0.25, health: 0.15 },
+  countSatK: 4,
+  mixCounts: 0.8,
+  algorithm: "saturating",
+  fadeMeters: 2000,
+};
+
+/** ---------- Lazy loading ---------- */
+
+let PROFILES: Record<string, Profile> | null = null;
+
+function ensureProfiles(): Record<string, Profile> {
+  if (PROFILES) return PROFILES;
+  let loaded: Record<string, Profile> = {};
+  if (fs.existsSync(PROFILES_FILE)) {
+    const parsed = ProfilesSchema.safeParse(JSON.parse(fs.readFileSync(PROFILES_FILE, "utf8")));
+    if (!parsed.success) throw new Error(`invalid profiles file ${PROFILES_FILE}: ${parsed.error.message}`);
+    loaded = parsed.data;
+  }
+  PROFILES = { [DEFAULT_PROFILE]: BUILTIN_DEFAULT, ...loaded };
+  return PROFILES;
+}
+
+/** ---------- Public ---------- */
+
+export function listProfiles(): Record<string, Profile> {
+  return { ...ensureProfiles() };
+}
+
+/**
+ * Named profile, optionally with some weights or the algorithm overridden.
+ * Layers the profile does not name get the layer's defaultWeight. Overridden
+ * weights (or defaults that push the sum off 1) are normalized to sum to 1 so
+ * the score stays in 0..1.
+ */
+export function resolveProfile(
+  id: string | null | undefined,
+  weights: Partial<Weights> | null | undefined,
+  algorithm: Algorithm | null | undefined,
+  layers: LayerDef[]
+): ResolvedProfile {
+  const profiles = ensureProfiles();
+  const name = id || DEFAULT_PROFILE;
+  const base = profiles[name];
+  if (!base) {
+    throw argumentError(`unknown profile "${name}" (available: ${Object.keys(profiles).join(", ")})`);
+  }
+
+  const override = Object.fromEntries(
+    Object.entries(weights ?? {}).filter(([, v]) => v != null)
+  ) as Partial<Weights>;
+  const ids = layers.map((l) => l.id);
+  const unknown = Object.keys(override).filter((k) => !ids.includes(k));
+  if (unknown.length) {
+    throw argumentError(`unknown layer in weights: ${unknown.join(", ")} (available: ${ids.join(", ")})`);
+  }
+  if (algorithm != null && !ALGORITHMS.includes(algorithm)) {
+    throw argumentError(`unknown algorithm "${algorithm}" (available: ${ALGORITHMS.join(", ")})`);
+  }
+  const custom = Object.keys(override).length > 0 || (algorithm != null && algorithm !== base.algorithm);
+  const merged = WeightsSchema.parse(Object.fromEntries(
+    layers.map((l) => [l.id, override[l.id] ?? base.weights[l.id] ?? l.defaultWeight])
+  )) as Weights;
+  const sum = Object.values(merged).reduce((a, b) => a + b, 0);
+  if (!(sum > 0)) throw argumentError("weights must not all be 0");
+  const normalize = custom || Math.abs(sum - 1) > 1e-9;
+
+  return {
+    id: name,
+    custom,
+    weights: normalize
+      ? (Object.fromEntries(Object.entries(merged).map(([k, v]) => [k, v / sum])) as Weights)
+      : merged,
+    countSatK: base.countSatK,
+    mixCounts: base.mixCounts,
+    algorithm: algorithm ?? base.algorithm,
+    softCaps: Object.fromEntries(layers.map((l) => [l.id, base.softCaps?.[l.id] ?? l.softCap])) as Weights,
+    fadeMeters: base.fadeMeters,
+  };
+}
@@ -0,0 +1,172 @@
+// src/lib/reload.ts
+import fs from "fs";
+import path from "path";
+import { preparePoiLayers, poiLayerStatus, type PoiLayerStatus } from "./poi-index.js";
+import { prepareHazardLayers, hazardLayerStatus, type HazardLayerStatus } from "./hazards.js";
+import { prepareOsmLayers, osmLayerStatus, type OsmLayerStatus } from "./osm.js";
+import { preparePopulation, populationStatus, type PopulationStatus } from "./population.js";
+import { prepareAdminAreas, adminAreaStatus, type AdminLayerStatus } from "./admin-areas.js";
+import { prepareGazetteer, gazetteerStatus, GAZETTEER_FILE, type GazetteerStatus } from "./gazetteer.js";
+import { OPENING_HOURS_FILE } from "./opening-hours.js";
+import { prepareWalkGraph, walkGraphStatus, GRAPH_FILE, type WalkGraphStatus } from "./routing.js";
+
+/** ---------- Types ---------- */
+
+export type LayerStatus = {
+  /** 0 = layers as first loaded; +1 per successful reload */
+  generation: number;
+  loadedAt: string;
+  poi: PoiLayerStatus;
+  hazards: HazardLayerStatus;
+  /** Administrative boundaries (data/admin-*.geojson) */
+  admin: AdminLayerStatus;
+  /** Census population grid (data/population.geojson) */
+  population: PopulationStatus;
+  /** Layers imported by scripts/import-osm.mjs */
+  osm: OsmLayerStatus;
+  /** Addresses and stations imported by scripts/import-gazetteer.mjs */
+  gazetteer: GazetteerStatus;
+  /** Walking graph written by scripts/build-walk-graph.mjs (data/walk-graph.json) */
+  walkGraph: WalkGraphStatus;
+};
+
+export type ReloadResult = LayerStatus & {
+  durationMs: number;
+  /** Layers whose file versions differ from the previous generation */
+  changed: string[];
+};
+
+/** ---------- Config ---------- */
+
+const DATA_DIR = path.join(process.cwd(), "data");
+
+// Editors and build-poi-layers.mjs write several files in a row; wait for the burst to end
+const WATCH_DEBOUNCE_MS = 500;
+
+/** ---------- State ---------- */
+
+let generation = 0;
+let loadedAt = new Date().toISOString();
+let inFlight: Promise<ReloadResult> | null = null;
+
+function fingerprint(files: ({ sha1: string } | null)[]): string {
+  return files.map((f) => f?.sha1 ?? "-").join(",");
+}
+
+function changedLayers(
+  before: LayerStatus,
+  poi: PoiLayerStatus,
+  hazards: HazardLayerStatus,
+  admin: AdminLayerStatus,
+  population: PopulationStatus,
+  osm: OsmLayerStatus,
+  gazetteer: GazetteerStatus,
+  walkGraph: WalkGraphStatus
+): string[] {
+  const out: string[] = [];
+  // Layers added to or dropped from the manifest count as changed too
+  for (const k of new Set([...Object.keys(before.poi), ...Object.keys(poi)])) {
+    if (fingerprint(before.poi[k]?.files ?? []) !== fingerprint(poi[k]?.files ?? [])) out.push(k);
+  }
+  for (const k of Object.keys(hazards) as (keyof HazardLayerStatus)[]) {
+    if (fingerprint([before.hazards[k].file]) !== fingerprint([hazards[k].file])) out.push(`hazard-${k}`);
+  }
+  for (const k of Object.keys(admin) as (keyof AdminLayerStatus)[]) {
+    if (fingerprint([before.admin[k].file]) !== fingerprint([admin[k].file])) out.push(`admin-${k}`);
+  }
+  if (fingerprint([before.population.file]) !== fingerprint([population.file])) out.push("population");
+  for (const k of Object.keys(osm) as (keyof OsmLayerStatus)[]) {
+    if (fingerprint([before.osm[k].file]) !== fingerprint([osm[k].file])) out.push(`osm-${k}`);
+  }
+  if (fingerprint([before.gazetteer.file]) !== fingerprint([gazetteer.file])) out.push("gazetteer");
+  if (fingerprint([before.walkGraph.file]) !== fingerprint([walkGraph.file])) out.push("walk-graph");
+  return out;
+}
+
+async function doReload(): Promise<ReloadResult> {
+  const t0 = Date.now();
+  const before = layerStatus();
+  // Every set is fully built before any is swapped; a bad file rejects here
+  // and the live layers stay as they were.
+  const [poi, hazards, admin, population, osm, gazetteer, walkGraph] = await Promise.all([
+    preparePoiLayers(), prepareHazardLayers(), prepareAdminAreas(), preparePopulation(), prepareOsmLayers(), prepareGazetteer(),
+    prepareWalkGraph(),
+  ]);
+  // Same tick: a score never mixes old POIs with new hazard polygons
+  poi.commit();
+  hazards.commit();
+  admin.commit();
+  population.commit();
+  osm.commit();
+  gazetteer.commit();
+  walkGraph.commit();
+  generation++;
+  loadedAt = new Date().toISOString();
+  return {
+    generation,
+    loadedAt,
+    poi: poi.status,
+    hazards: hazards.status,
+    admin: admin.status,
+    population: population.status,
+    osm: osm.status,
+    gazetteer: gazetteer.status,
+    walkGraph: walkGraph.status,
+    durationMs: Date.now() - t0,
+    changed: changedLayers(
+      before, poi.status, hazards.status, admin.status, population.status, osm.status, gazetteer.status, walkGraph.status
+    ),
+  };
+}
+
+/** ---------- Public ---------- */
+
+export function layerStatus(): LayerStatus {
+  return {
+    generation,
+    loadedAt,
+    poi: poiLayerStatus(),
+    hazards: hazardLayerStatus(),
+    admin: adminAreaStatus(),
+    population: populationStatus(),
+    osm: osmLayerStatus(),
+    gazetteer: gazetteerStatus(),
+    walkGraph: walkGraphStatus(),
+  };
+}
+
+/**
+ * Re-read every layer under data/ (POI, hazard, boundaries, population, OSM, the gazetteer and the walk graph) and swap them in atomically.
+ * Concurrent calls share the reload already running.
+ */
+export function reloadLayers(): Promise<ReloadResult> {
+  if (!inFlight) inFlight = doReload().finally(() => { inFlight = null; });
+  return inFlight;
+}
+
+/**
+ * Reload whenever a .geojson file, the gazetteer, the opening-hours overrides or the walk graph under data/ change. Returns a function that
+ * stops watching. Failed reloads are reported through onError and keep the old layers.
+ */
+export function watchLayers(
+  onReload: (r: ReloadResult) => void,
+  onError: (e: unknown) => void
+): () => void {
+  let timer: NodeJS.Timeout | null = null;
+  const watcher = fs.watch(DATA_DIR, (_event, filename) => {
+    const name = filename?.toString();
+    const watched = [path.basename(GAZETTEER_FILE), path.basename(OPENING_HOURS_FILE), path.basename(GRAPH_FILE)];
+    if (name && !name.endsWith(".geojson") && !watched.includes(name)) return;
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      // A reload already running may have read the files before this change; queue behind it
+      const prev = inFlight ?? Promise.resolve();
+      prev.catch(() => {}).then(reloadLayers).then(onReload, onError);
+    }, WATCH_DEBOUNCE_MS);
+  });
+  return () => {
+    if (timer) clearTimeout(timer);
+    watcher.close();
+  };
+}
@@ -0,0 +1,274 @@
+// src/lib/routing.ts
+import path from "path";
+import { readJsonFile, readJsonFileAsync, combineVersions, type FileVersion, type JsonFile } from "./data-files.js";
+import { buildPointIndex, type PointIndex } from "./spatial-index.js";
+
+/** ---------- Types ---------- */
+
+/**
+ * Compact walking graph written by scripts/build-walk-graph.mjs.
+ * nodes = [lon0, lat0, lon1, lat1, ...], edges = [a0, b0, meters0, a1, b1, meters1, ...]
+ * Edges are undirected (footpaths are walkable both ways).
+ */
+export type WalkGraphFile = { version: 1; source?: string; nodes: number[]; edges: number[] };
+
+/** Node and edge counts and the file version of the walk graph */
+export type WalkGraphStatus = { nodes: number; edges: number; file: FileVersion | null };
+
+export type WalkTarget = { lon: number; lat: number };
+
+export type Walk = {
+  walk_m: number;
+  walk_min: number;
+  /** [lon, lat] polyline from the query point to the target */
+  coordinates: [number, number][];
+};
+
+type Node = { lon: number; lat: number; id: number };
+
+type Graph = {
+  nodes: Node[];
+  /** CSR adjacency: neighbors of n are adj[off[n] .. off[n+1]) */
+  off: Int32Array;
+  adj: Int32Array;
+  len: Float64Array;
+  index: PointIndex<Node>;
+};
+
+/** ---------- Config ---------- */
+
+export const GRAPH_FILE = path.join(process.cwd(), "data", "walk-graph.json");
+
+// Evacuation pace rather than commuter pace (elderly / children / crowds): ~4 km/h
+export const WALK_SPEED_M_PER_MIN = Number(process.env.WALK_SPEED_M_PER_MIN) || 67;
+// A point or POI further than this from any graph node is treated as off-network
+const MAX_SNAP_M = 500;
+
+/** ---------- Lazy loading ---------- */
+
+type Loaded = { graph: Graph | null; edges: number; file: FileVersion | null };
+
+let WALK: Loaded | undefined; // undefined = not read yet; graph null = no graph file
+
+function buildGraph(file: JsonFile | null): Loaded {
+  if (!file) return { graph: null, edges: 0, file: null };
+  const raw = file.json as WalkGraphFile;
+  const n = Math.floor((raw.nodes?.length ?? 0) / 2);
+  const nodes: Node[] = Array.from({ length: n }, (_, id) => ({ lon: raw.nodes[2 * id], lat: raw.nodes[2 * id + 1], id }));
+
+  // Count degrees, then fill both directions of each edge
+  const e = Math.floor((raw.edges?.length ?? 0) / 3);
+  const off = new Int32Array(n + 1);
+  for (let i = 0; i < e; i++) { off[raw.edges[3 * i] + 1]++; off[raw.edges[3 * i + 1] + 1]++; }
+  for (let i = 0; i < n; i++) off[i + 1] += off[i];
+  const adj = new Int32Array(off[n]);
+  const len = new Float64Array(off[n]);
+  const fill = off.slice(0, n);
+  for (let i = 0; i < e; i++) {
+    const a = raw.edges[3 * i], b = raw.edges[3 * i + 1], m = raw.edges[3 * i + 2];
+    adj[fill[a]] = b; len[fill[a]++] = m;
+    adj[fill[b]] = a; len[fill[b]++] = m;
+  }
+
+  return { graph: { nodes, off, adj, len, index: buildPointIndex(nodes) }, edges: e, file: file.version };
+}
+
+function ensureGraph(): Loaded {
+  if (WALK) return WALK;
+  WALK = buildGraph(readJsonFile(GRAPH_FILE));
+  return WALK;
+}
+
+function loadGraph(): Graph | null {
+  return ensureGraph().graph;
+}
+
+function statusOf(W: Loaded): WalkGraphStatus {
+  return { nodes: W.graph?.nodes.length ?? 0, edges: W.edges, file: W.file };
+}
+
+/** ---------- Dijkstra ---------- */
+
+// Binary min-heap of [distance, node] kept in two parallel arrays
+function makeHeap() {
+  const d: number[] = [], v: number[] = [];
+  const swap = (i: number, j: number) => {
+    [d[i], d[j]] = [d[j], d[i]];
+    [v[i], v[j]] = [v[j], v[i]];
+  };
+  return {
+    get size() { return d.length; },
+    push(dist: number, node: number) {
+      d.push(dist); v.push(node);
+      for (let i = d.length - 1; i > 0;) {
+        const p = (i - 1) >> 1;
+        if (d[p] <= d[i]) break;
+        swap(i, p); i = p;
+      }
+    },
+    pop(): [number, number] {
+      const top: [number, number] = [d[0], v[0]];
+      const ld = d.pop()!, lv = v.pop()!;
+      if (d.length) {
+        d[0] = ld; v[0] = lv;
+        for (let i = 0; ;) {
+          const l = 2 * i + 1, r = l + 1;
+          let m = i;
+          if (l < d.length && d[l] < d[m]) m = l;
+          if (r < d.length && d[r] < d[m]) m = r;
+          if (m === i) break;
+          swap(i, m); i = m;
+        }
+      }
+      return top;
+    },
+  };
+}
+
+/** Single-source shortest paths that stop once every target is settled or maxMeters is exceeded */
+function dijkstra(g: Graph, source: number, targets: Set<number>, maxMeters: number) {
+  const dist = new Map<number, number>([[source, 0]]);
+  const prev = new Map<number, number>();
+  const done = new Set<number>();
+  const heap = makeHeap();
+  heap.push(0, source);
+  let remaining = targets.size;
+
+  while (heap.size && remaining > 0) {
+    const [d, u] = heap.pop();
+    if (done.has(u)) continue;
+    if (d > maxMeters) break;
+    done.add(u);
+    if (targets.has(u)) remaining--;
+    for (let i = g.off[u]; i < g.off[u + 1]; i++) {
+      const w = g.adj[i], nd = d + g.len[i];
+      if (nd < (dist.get(w) ?? Infinity)) {
+        dist.set(w, nd);
+        prev.set(w, u);
+        heap.push(nd, w);
+      }
+    }
+  }
+  return { dist, prev, done };
+}
+
+/**
+ * Shortest distance from the nearest of several sources (each with a head start), up to
+ * maxMeters; owner[node] is the index (in sources) of that nearest source, -1 = unreached
+ */
+function multiSourceDijkstra(g: Graph, sources: { node: number; start: number; owner: number }[], maxMeters: number) {
+  const dist = new Float64Array(g.nodes.length).fill(Infinity);
+  const owner = new Int32Array(g.nodes.length).fill(-1);
+  const heap = makeHeap();
+  for (const s of sources) {
+    if (s.start < dist[s.node]) { dist[s.node] = s.start; owner[s.node] = s.owner; heap.push(s.start, s.node); }
+  }
+  while (heap.size) {
+    const [d, u] = heap.pop();
+    if (d > dist[u]) continue; // stale entry
+    if (d > maxMeters) break;
+    for (let i = g.off[u]; i < g.off[u + 1]; i++) {
+      const w = g.adj[i], nd = d + g.len[i];
+      if (nd < dist[w]) { dist[w] = nd; owner[w] = owner[u]; heap.push(nd, w); }
+    }
+  }
+  return { dist, owner };
+}
+
+/** ---------- Public ---------- */
+
+export function routingAvailable(): boolean {
+  return loadGraph() != null;
+}
+
+/** Same contract as preparePoiLayers(): nothing is swapped until commit() */
+export async function prepareWalkGraph(): Promise<{ status: WalkGraphStatus; commit: () => void }> {
+  const next = buildGraph(await readJsonFileAsync(GRAPH_FILE));
+  return { status: statusOf(next), commit: () => { WALK = next; } };
+}
+
+export function walkGraphStatus(): WalkGraphStatus {
+  return statusOf(ensureGraph());
+}
+
+/** Short id of the walk graph file in use */
+export function walkGraphDataVersion(): string {
+  return combineVersions([ensureGraph().file]);
+}
+
+/**
+ * Walking distance/time from (lon, lat) to each target along the graph.
+ * Entries are null when there is no graph, a point is off-network, or the
+ * target is further than maxMeters on foot.
+ */
+export function walkTo(lon: number, lat: number, targets: WalkTarget[], maxMeters: number): (Walk | null)[] {
+  const g = loadGraph();
+  if (!g || targets.length === 0) return targets.map(() => null);
+
+  const snap = (p: WalkTarget) => {
+    const hit = g.index.nearest(p.lon, p.lat, 1)[0];
+    return hit && hit.distance_m <= MAX_SNAP_M ? hit : null;
+  };
+
+  const from = snap({ lon, lat });
+  if (!from) return targets.map(() => null);
+  const snapped = targets.map(snap);
+  const goal = new Set(snapped.filter((s) => s != null).map((s) => s!.item.id));
+
+  const { dist, prev, done } = dijkstra(g, from.item.id, goal, maxMeters);
+
+  return targets.map((t, i) => {
+    const s = snapped[i];
+    if (!s || !done.has(s.item.id)) return null;
+    const walk_m = from.distance_m + dist.get(s.item.id)! + s.distance_m;
+
+    const path: [number, number][] = [[t.lon, t.lat]];
+    for (let n: number | undefined = s.item.id; n !== undefined; n = prev.get(n)) {
+      path.push([g.nodes[n].lon, g.nodes[n].lat]);
+    }
+    path.push([lon, lat]);
+
+    return {
+      walk_m,
+      walk_min: walk_m / WALK_SPEED_M_PER_MIN,
+      coordinates: path.reverse(),
+    };
+  });
+}
+
+/**
+ * Walking distance from any point to the nearest of the sources (e.g. every
+ * shelter) and which source that is, from one multi-source search bounded by
+ * maxMeters. The lookup returns null off-network or beyond maxMeters; the whole
+ * result is null without a graph.
+ */
+export function walkCatchmentField(
+  sources: WalkTarget[],
+  maxMeters: number
+): ((lon: number, lat: number) => { index: number; walk_m: number } | null) | null {
+  const g = loadGraph();
+  if (!g) return null;
+  const snap = (lon: number, lat: number) => {
+    const hit = g.index.nearest(lon, lat, 1)[0];
+    return hit && hit.distance_m <= MAX_SNAP_M ? hit : null;
+  };
+
+  const starts = sources.flatMap((p, owner) => {
+    const s = snap(p.lon, p.lat);
+    return s ? [{ node: s.item.id, start: s.distance_m, owner }] : [];
+  });
+  const { dist, owner } = multiSourceDijkstra(g, starts, maxMeters);
+
+  return (lon, lat) => {
+    const s = snap(lon, lat);
+    if (!s) return null;
+    const walk_m = dist[s.item.id] + s.distance_m;
+    return walk_m <= maxMeters ? { index: owner[s.item.id], walk_m } : null;
+  };
+}
+
+/** walkCatchmentField() without the source: walking distance to the nearest one */
+export function walkDistanceField(sources: WalkTarget[], maxMeters: number): ((lon: number, lat: number) => number | null) | null {
+  const field = walkCatchmentField(sources, maxMeters);
+  return field && ((lon, lat) => field(lon, lat)?.walk_m ?? null);
+}
@@ -0,0 +1,148 @@
+// src/lib/spatial-index.ts
+import { haversineMeters, toRad, METERS_PER_DEG_LAT, R_EARTH, type BBox } from "./geo.js";
+
+/** ---------- Types ---------- */
+
+export type Located = { lon: number; lat: number };
+
+export type Hit<T> = { item: T; distance_m: number };
+
+export type PointIndex<T extends Located> = {
+  size: number;
+  cellDeg: number;
+  /** All items within radiusMeters, sorted by distance (ties keep input order) */
+  within(lon: number, lat: number, radiusMeters: number): Hit<T>[];
+  /** The k closest items regardless of distance, sorted by distance */
+  nearest(lon: number, lat: number, k: number): Hit<T>[];
+};
+
+/** ---------- Config ---------- */
+
+// ~2.2 km N-S per cell; a 1.5 km radius query touches at most 3x3 cells in Japan
+export const DEFAULT_CELL_DEG = 0.02;
+
+// Meters per degree on the sphere haversineMeters() measures on; METERS_PER_DEG_LAT is
+// slightly larger, and a box sized with it would fall short of the radius
+const METERS_PER_DEG = (R_EARTH * Math.PI) / 180;
+
+/** ---------- Uniform lon/lat grid ---------- */
+
+type Candidates = { ids: number[]; full: boolean };
+
+export function buildPointIndex<T extends Located>(items: T[], cellDeg: number = DEFAULT_CELL_DEG): PointIndex<T> {
+  const cells = new Map<string, number[]>();
+  const cellOf = (v: number) => Math.floor(v / cellDeg);
+
+  items.forEach((p, i) => {
+    const key = `${cellOf(p.lon)},${cellOf(p.lat)}`;
+    const bucket = cells.get(key);
+    if (bucket) bucket.push(i);
+    else cells.set(key, [i]);
+  });
+
+  // Cells that may hold a point within radiusMeters. Falls back to every cell
+  // when the box would visit more (empty) cells than actually exist, or when it
+  // reaches a pole.
+  function candidates(lon: number, lat: number, radiusMeters: number): Candidates {
+    const all = (): Candidates => ({ ids: [...cells.values()].flat(), full: true });
+    if (!Number.isFinite(radiusMeters)) return all();
+
+    const dLat = radiusMeters / METERS_PER_DEG;
+    const edgeLat = Math.min(90, Math.abs(lat) + dLat); // widest lon span is at the poleward edge
+    const dLon = dLat / Math.cos(toRad(edgeLat));
+    if (!(dLon < 180)) return all();
+
+    // A box past ±180° continues on the other side (haversine sees 179.99 next to -179.99)
+    const spans: [number, number][] = [[cellOf(lon - dLon), cellOf(lon + dLon)]];
+    if (lon - dLon < -180) spans.push([cellOf(lon - dLon + 360), cellOf(180)]);
+    if (lon + dLon > 180) spans.push([cellOf(-180), cellOf(lon + dLon - 360)]);
+    const y0 = cellOf(lat - dLat), y1 = cellOf(lat + dLat);
+    const boxCells = spans.reduce((n, [x0, x1]) => n + (x1 - x0 + 1), 0) * (y1 - y0 + 1);
+    if (boxCells > cells.size) return all();
+
+    const ids: number[] = [];
+    for (const [x0, x1] of spans) {
+      for (let x = x0; x <= x1; x++) {
+        for (let y = y0; y <= y1; y++) {
+          const bucket = cells.get(`${x},${y}`);
+          if (bucket) ids.push(...bucket);
+        }
+      }
+    }
+    // Wrapped spans only meet in one cell when the box is nearly 360° wide
+    return { ids: spans.length > 1 ? [...new Set(ids)] : ids, full: false };
+  }
+
+  function measure(ids: number[], lon: number, lat: number, radiusMeters: number): Hit<T>[] {
+    const hits: { id: number; d: number }[] = [];
+    for (const id of ids) {
+      const p = items[id];
+      const d = haversineMeters(lon, lat, p.lon, p.lat);
+      if (d <= radiusMeters) hits.push({ id, d });
+    }
+    hits.sort((a, b) => a.d - b.d || a.id - b.id);
+    return hits.map(({ id, d }) => ({ item: items[id], distance_m: d }));
+  }
+
+  function within(lon: number, lat: number, radiusMeters: number): Hit<T>[] {
+    if (!(radiusMeters >= 0)) return [];
+    return measure(candidates(lon, lat, radiusMeters).ids, lon, lat, radiusMeters);
+  }
+
+  // Grow the search radius until it holds k items; every item inside a radius
+  // is exact, so the first k of a radius that holds >= k are the true k nearest.
+  function nearest(lon: number, lat: number, k: number): Hit<T>[] {
+    if (k <= 0 || items.length === 0) return [];
+    let r = cellDeg * METERS_PER_DEG_LAT;
+    for (;;) {
+      const c = candidates(lon, lat, r);
+      if (c.full) return measure(c.ids, lon, lat, Infinity).slice(0, k);
+      const hits = measure(c.ids, lon, lat, r);
+      if (hits.length >= k) return hits.slice(0, k);
+      r *= 2;
+    }
+  }
+
+  return { size: items.length, cellDeg, within, nearest };
+}
+
+/** ---------- Bounding-box grid (for polygons) ---------- */
+
+export type Boxed = { bbox: BBox };
+
+export type BoxIndex<T extends Boxed> = {
+  size: number;
+  /** Items whose bbox contains the point; callers still run the exact geometry test */
+  at(lon: number, lat: number): T[];
+};
+
+// Coarser than the point grid: hazard/admin polygons are large and a polygon is
+// registered in every cell its bbox overlaps.
+export const DEFAULT_BOX_CELL_DEG = 0.05;
+
+export function buildBoxIndex<T extends Boxed>(items: T[], cellDeg: number = DEFAULT_BOX_CELL_DEG): BoxIndex<T> {
+  const cells = new Map<string, number[]>();
+  const cellOf = (v: number) => Math.floor(v / cellDeg);
+
+  items.forEach((it, i) => {
+    const [minLon, minLat, maxLon, maxLat] = it.bbox;
+    if (![minLon, minLat, maxLon, maxLat].every(Number.isFinite)) return;
+    for (let x = cellOf(minLon); x <= cellOf(maxLon); x++) {
+      for (let y = cellOf(minLat); y <= cellOf(maxLat); y++) {
+        const key = `${x},${y}`;
+        const bucket = cells.get(key);
+        if (bucket) bucket.push(i);
+        else cells.set(key, [i]);
+      }
+    }
+  });
+
+  function at(lon: number, lat: number): T[] {
+    const bucket = cells.get(`${cellOf(lon)},${cellOf(lat)}`) ?? [];
+    return bucket
+      .map((i) => items[i])
+      .filter(({ bbox: [x0, y0, x1, y1] }) => lon >= x0 && lon <= x1 && lat >= y0 && lat <= y1);
+  }
+
+  return { size: items.length, at };
+}
@@ -0,0 +1,154 @@
+// src/lib/steps.ts
+// Structured plain-language explanation: a short ordered list of sentences
+// ("Nearest shelter: X, 420 m north-east, about 7 min on foot") with the
+// compass direction and a nearby landmark for each destination. Meant for
+// screen readers and for anyone who finds the paragraph explanations too dense.
+import { bearingDegrees, compassPoint, type Compass } from "./geo.js";
+import { messages, namedList, t, whenLabel, zoneLabel, type Lang } from "./i18n.js";
+import { WALK_SPEED_M_PER_MIN } from "./routing.js";
+import type { PoiNear, ScoreResult } from "./poi-index.js";
+
+/** ---------- Types ---------- */
+
+export type StepKind = "score" | "area" | "hazard" | "time" | "shelter" | "health" | "school" | "capacity" | "population";
+
+/** Another POI close to a destination, to recognize it by */
+export type Landmark = { name: string; kind: string; distance_m: number };
+
+export type Step = {
+  kind: StepKind;
+  /** One or two short sentences in the requested language */
+  text: string;
+  /** Destination of shelter / health / school steps */
+  name?: string;
+  lon?: number;
+  lat?: number;
+  /** Straight-line distance, or the walking distance when routed */
+  distance_m?: number;
+  /** From the scored point, clockwise from north */
+  bearing_deg?: number;
+  compass?: Compass;
+  /** On the footpath graph when routed, else the straight line at walking pace */
+  walk_min?: number;
+  routed?: boolean;
+  landmark?: Landmark | null;
+};
+
+/** Landmark near a destination, or null when no other POI is close enough */
+export type LandmarkLookup = (target: { name: string; lon: number; lat: number }) => Landmark | null;
+
+/** ---------- Config ---------- */
+
+// Farther than this, a POI no longer helps to find the destination
+export const LANDMARK_MAX_M = 250;
+// Walking minutes are left out for destinations this far away
+export const MAX_WALK_STEP_M = 5000;
+
+/** ---------- Helpers ---------- */
+
+/** "420 m" / "1.2 km" */
+export function fmtDist(m: number): string {
+  return m < 1000 ? `${Math.round(m)} m` : `${(m / 1000).toFixed(1)} km`;
+}
+
+function level(score: number): "low" | "moderate" | "high" {
+  return score < 0.3 ? "low" : score < 0.7 ? "moderate" : "high";
+}
+
+// Japanese and Chinese sentences run on without a space
+const sentenceSep = (lang: Lang) => (lang === "ja" || lang === "zh" ? "" : " ");
+
+function destinationStep(
+  kind: "shelter" | "health" | "school",
+  template: string,
+  sr: ScoreResult,
+  dest: { name: string; lon: number; lat: number; distance_m: number; walk_min?: number | null; routed: boolean },
+  lang: Lang,
+  landmarkOf: LandmarkLookup
+): Step {
+  const m = messages(lang);
+  const { lon, lat } = sr.params;
+  const bearing_deg = Math.round(bearingDegrees(lon, lat, dest.lon, dest.lat));
+  const compass = compassPoint(bearing_deg);
+  const walk_min = dest.routed || dest.distance_m <= MAX_WALK_STEP_M
+    ? Math.max(1, Math.ceil(dest.walk_min ?? dest.distance_m / WALK_SPEED_M_PER_MIN))
+    : undefined;
+  const landmark = landmarkOf(dest);
+
+  const walk = walk_min != null ? t(m.stepWalk, { min: walk_min }) : "";
+  let text = t(template, { name: dest.name, dist: fmtDist(dest.distance_m), dir: m.compass[compass], min: walk_min ?? "", walk });
+  if (landmark) text += sentenceSep(lang) + t(m.stepLandmark, { landmark: landmark.name, dist: fmtDist(landmark.distance_m) });
+
+  return {
+    kind, text, name: dest.name, lon: dest.lon, lat: dest.lat, distance_m: Math.round(dest.distance_m),
+    bearing_deg, compass, ...(walk_min != null ? { walk_min } : {}), routed: dest.routed, landmark,
+  };
+}
+
+// The bucket's nearest POI, in the radius or not; walking figures when routing ran
+function nearestOf(bucket: ScoreResult["schools"]): PoiNear | null {
+  return bucket.nearest ?? bucket.nearestOutside ?? null;
+}
+
+const straight = (p: PoiNear) => ({ ...p, routed: false, walk_min: p.walk_min ?? null });
+
+/** ---------- Public ---------- */
+
+/** Ordered steps: score, area, hazard zones, facilities closed at the requested time, shelter, health, school, shelter capacity, residents */
+export function buildSteps(sr: ScoreResult, lang: Lang, landmarkOf: LandmarkLookup): Step[] {
+  const m = messages(lang);
+  const steps: Step[] = [
+    { kind: "score", text: t(m.stepScore, { score: sr.score.toFixed(2), level: m.level[level(sr.score)] }) },
+  ];
+
+  if (sr.area) steps.push({ kind: "area", text: t(m.stepArea, { label: sr.area.label }) });
+
+  if (sr.hazards.zones.length) {
+    const list = sr.hazards.zones.map((z) => zoneLabel(z, lang)).join(m.listSep);
+    steps.push({ kind: "hazard", text: t(m.stepHazard, { list }) });
+  }
+
+  const time = sr.time;
+  if (time?.excluded.length) {
+    steps.push({ kind: "time", text: t(m.stepClosed, {
+      when: whenLabel(time, lang), count: time.excluded.length, list: namedList(time.excluded.map((p) => p.name), lang),
+    }) });
+  }
+  if (time?.discounted.length) {
+    steps.push({ kind: "time", text: t(m.stepUnstaffed, {
+      count: time.discounted.length, list: namedList(time.discounted.map((p) => p.name), lang),
+    }) });
+  }
+
+  // The quickest shelter on foot beats the straight-line nearest when routing found one
+  const route = sr.shelters.route;
+  const shelter = nearestOf(sr.shelters);
+  if (route) {
+    steps.push(destinationStep("shelter", m.stepRoute, sr,
+      { ...route, distance_m: route.walk_m, routed: true }, lang, landmarkOf));
+  } else if (shelter) {
+    steps.push(destinationStep("shelter", m.stepShelter, sr, straight(shelter), lang, landmarkOf));
+  } else {
+    steps.push({ kind: "shelter", text: m.stepNoShelter });
+  }
+
+  const health = nearestOf(sr.healths);
+  steps.push(health
+    ? destinationStep("health", m.stepHealth, sr, straight(health), lang, landmarkOf)
+    : { kind: "health", text: m.stepNoHealth });
+
+  const school = nearestOf(sr.schools);
+  if (school) steps.push(destinationStep("school", m.stepSchool, sr, straight(school), lang, landmarkOf));
+
+  const cap = sr.shelters.capacity;
+  if (cap.known) {
+    steps.push({ kind: "capacity", text: t(m.stepCapacity, { radius: sr.params.radiusMeters, total: cap.total }) });
+  }
+  const pop = sr.population;
+  if (pop?.shelters_per_1000 != null) {
+    steps.push({ kind: "population", text: t(m.stepPopulation, {
+      radius: sr.params.radiusMeters, residents: pop.residents, shelters: pop.shelters_per_1000.toFixed(2),
+    }) });
+  }
+  return steps;
+}
@@ -1,32 +1,260 @@
 // mcp-servers/safety/src/mcp.ts
 import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
 import { z } from "zod";
-import { scorePoint, nearbyPois } from "./lib/poi-index.js"; // <-- keep .js
+import { scorePoint, nearbyPois, layerDefs, SCORE_SCHEMA_VERSION, DISASTER_TYPES, MAX_RADIUS_METERS, type DisasterType } from "./lib/poi-index.js"; // <-- keep .js
+import { scorePoints, MAX_BATCH } from "./lib/batch.js";
+import { scoreGrid, MAX_CELLS } from "./lib/grid.js";
+import { compareLocations, CompareLocation, MIN_COMPARE, MAX_COMPARE } from "./lib/compare.js";
+import { shelterCoverage, MAX_COVERAGE_CELLS } from "./lib/coverage.js";
+import { shelterCatchments, MAX_CATCHMENT_CELLS } from "./lib/catchments.js";
+import { listProfiles } from "./lib/profiles.js";
+import { reloadLayers, layerStatus, watchLayers } from "./lib/reload.js";
+import { osmNearby } from "./lib/osm.js";
+import { geocode, MAX_QUERY_LENGTH } from "./lib/geocode.js";
+import { adminAreaAt } from "./lib/admin-areas.js";
+import { MAX_LIMIT as MAX_GEOCODE_LIMIT } from "./lib/gazetteer.js";
+import { LANGS, type Lang } from "./lib/i18n.js";
+import { SCENARIO_IDS, type Scenario } from "./lib/opening-hours.js";
+import { isArgumentError } from "./lib/errors.js";
 
 const server = new McpServer({ name: "safety-mcp", version: "1.0.0" });
 
+// Argument errors from the libs (and zod) go out as InvalidParams, which the agent
+// answers with a 400; anything else stays a plain tool error, i.e. a server fault
+function argErrors<A extends unknown[], R>(handler: (...args: A) => Promise<R>): (...args: A) => Promise<R> {
+  return async (...args) => {
+    try {
+      return await handler(...args);
+    } catch (e) {
+      if (e instanceof z.ZodError) {
+        throw new McpError(ErrorCode.InvalidParams, e.issues.map((i) => `${i.path.join(".") || "arguments"}: ${i.message}`).join("; "));
+      }
+      if (isArgumentError(e)) throw new McpError(ErrorCode.InvalidParams, e.message);
+      throw e;
+    }
+  };
+}
+
+// Shared by every scoring tool
+const ProfileShape = {
+  profile: z.string().optional().describe('Scoring profile id from config/profiles.json (default "default"; see list_profiles)'),
+  weights: z.record(z.number().min(0)).optional()
+    .describe("Explicit weights by layer id (shelter, school, health or any layer from list_layers); missing ones come from the profile, then normalized to sum 1"),
+  algorithm: z.enum(["saturating", "soft-cap"]).optional().describe("Overrides the profile's scoring algorithm"),
+} as const;
+
+// Ward filter of the batch, grid and nearby tools
+const WardShape = {
+  ward: z.string().min(1).optional()
+    .describe('Only points in this ward or municipality: "横浜市西区", "西区", "横浜市" or "新宿区" (needs the boundary layers, see reverse_geocode)'),
+} as const;
+
+// Search radius of every point tool
+const radiusField = (what = "Search radius") =>
+  z.number().positive().max(MAX_RADIUS_METERS).optional().describe(`${what} in meters, at most ${MAX_RADIUS_METERS} (default 1500)`);
+
+// Language of the explain text; "ja-easy" is Easy Japanese (やさしい日本語)
+const LangShape = {
+  lang: z.enum(LANGS as [Lang, ...Lang[]]).optional().describe(`Language of explain: ${LANGS.join(", ")} (default ja)`),
+} as const;
+
 // ---- score_point ----
+const MAX_SUPPLEMENTAL = 2000; // per layer; an Overpass answer for a 1.5 km radius is far below this
 const ScoreShape = {
   lon: z.number().describe("Longitude (EPSG:4326)"),
   lat: z.number().describe("Latitude (EPSG:4326)"),
-  radiusMeters: z.number().optional().describe("Search radius in meters (default 1500)"),
+  radiusMeters: radiusField(),
   includeDiagnostics: z.boolean().optional().describe("Include internal debug info"),
+  routing: z.boolean().optional().describe("Add walking distance/minutes and a route to the quickest shelter (needs data/walk-graph.json)"),
+  hazardType: z.enum(DISASTER_TYPES as [DisasterType, ...DisasterType[]]).optional()
+    .describe("Only credit shelters rated for this hazard; shelters without a rating still count"),
+  residents: z.number().positive().optional().describe("Residents in the area, for shelter capacity per resident"),
+  steps: z.boolean().optional()
+    .describe("Add steps: short ordered sentences with distance, compass direction, walking minutes and a landmark per destination (screen-reader friendly)"),
+  datetime: z.string().optional()
+    .describe("Only count POIs open at this time, ISO 8601 (2024-04-01T03:00, local time; or with an offset); closed ones are listed in time.excluded"),
+  scenario: z.enum(SCENARIO_IDS as [Scenario, ...Scenario[]]).optional()
+    .describe(`Same for a representative moment: ${SCENARIO_IDS.join(", ")}; school-based shelters outside school hours count at half. datetime wins`),
+  supplemental: z.object({
+    source: z.string().min(1).describe('Source label kept as provenance, e.g. "OSM"'),
+    pois: z.record(z.array(z.object({
+      name: z.string(),
+      lon: z.number(),
+      lat: z.number(),
+      id: z.string().nullish(),
+      openingHours: z.string().nullish(),
+    })).max(MAX_SUPPLEMENTAL)).describe("POIs by layer id (shelter, school, health, ...), e.g. the lists from osm_nearby"),
+  }).optional()
+    .describe("POIs from another source merged into the layers before scoring; duplicates (similar name, close by) count once"),
+  ...ProfileShape,
+  ...LangShape,
 } as const;
 
 server.tool(
   "score_point",
-  "Score safety/amenity for a coordinate (lon, lat) within a radius (m).",
+  `Score safety/amenity for a coordinate (lon, lat) within a radius (m). Returns ScoreResult schemaVersion ${SCORE_SCHEMA_VERSION}.`,
   ScoreShape, // <-- raw shape, not z.object(...)
-  async (args) => {
-    const { lon, lat, radiusMeters, includeDiagnostics } = z.object(ScoreShape).parse(args);
+  argErrors(async (args) => {
+    const {
+      lon, lat, radiusMeters, includeDiagnostics, routing, hazardType, residents, steps, datetime, scenario, supplemental, profile, weights, algorithm, lang,
+    } = z.object(ScoreShape).parse(args);
     const result = scorePoint({
       lon,
       lat,
       radiusMeters: radiusMeters ?? 1500,
       includeDiagnostics: !!includeDiagnostics,
+      routing: !!routing,
+      hazardType,
+      residents,
+      steps: !!steps,
+      datetime,
+      scenario,
+      supplemental,
+      profile,
+      weights,
+      algorithm,
+      lang,
     });
     return { content: [{ type: "text", text: JSON.stringify(result) }] }; // <-- text content
+  })
+);
+
+// ---- score_points (batch) ----
+// Items stay loosely typed here: each one is validated inside scorePoints()
+// so a single bad coordinate becomes an error entry instead of failing the call.
+const ScoreBatchShape = {
+  points: z.array(z.any()).optional().describe(`Array of { lon, lat, id? } items (max ${MAX_BATCH})`),
+  featureCollection: z.any().optional().describe("GeoJSON FeatureCollection of Point features (alternative to points)"),
+  radiusMeters: radiusField(),
+  ...ProfileShape,
+  ...LangShape,
+  ...WardShape,
+} as const;
+
+server.tool(
+  "score_points",
+  "Score many coordinates at once; returns one result or error entry per input item and score statistics per ward (summary.byWard).",
+  ScoreBatchShape,
+  argErrors(async (args) => {
+    const { points, featureCollection, radiusMeters, profile, weights, algorithm, lang, ward } = z.object(ScoreBatchShape).parse(args);
+    const result = scorePoints({ points, featureCollection, radiusMeters: radiusMeters ?? 1500, profile, weights, algorithm, lang, ward });
+    return { content: [{ type: "text", text: JSON.stringify(result) }] };
+  })
+);
+
+// ---- score_grid ----
+const GridShape = {
+  bbox: z.tuple([z.number(), z.number(), z.number(), z.number()])
+    .describe("[minLon, minLat, maxLon, maxLat] (EPSG:4326)"),
+  cellMeters: z.number().optional().describe(`Cell edge in meters (auto-sized to <= ${MAX_CELLS} cells if omitted)`),
+  radiusMeters: radiusField("Search radius per cell"),
+  ...ProfileShape,
+  ...WardShape,
+} as const;
+
+server.tool(
+  "score_grid",
+  "Score a regular grid of square cells over a bbox; returns a GeoJSON FeatureCollection with score, counts and district per cell.",
+  GridShape,
+  argErrors(async (args) => {
+    const { bbox, cellMeters, radiusMeters, profile, weights, algorithm, ward } = z.object(GridShape).parse(args);
+    const result = scoreGrid({ bbox, cellMeters, radiusMeters: radiusMeters ?? 1500, profile, weights, algorithm, ward });
+    return { content: [{ type: "text", text: JSON.stringify(result) }] };
+  })
+);
+
+// ---- shelter_coverage ----
+const CoverageShape = {
+  bbox: z.tuple([z.number(), z.number(), z.number(), z.number()])
+    .describe("[minLon, minLat, maxLon, maxLat] (EPSG:4326)"),
+  cellMeters: z.number().optional().describe(`Cell edge in meters (auto-sized to <= ${MAX_COVERAGE_CELLS} cells if omitted)`),
+  maxMeters: z.number().positive().optional().describe("Covered = a shelter within this straight-line distance (default 1000)"),
+  maxWalkMinutes: z.number().positive().optional()
+    .describe("Covered = a shelter within this many walking minutes instead (needs data/walk-graph.json)"),
+  hazardType: z.enum(DISASTER_TYPES as [DisasterType, ...DisasterType[]]).optional()
+    .describe("Only count shelters rated for this hazard"),
+  ...WardShape,
+} as const;
+
+server.tool(
+  "shelter_coverage",
+  "Which parts of a bbox are not within X meters (or X walking minutes) of any shelter; returns a GeoJSON FeatureCollection with one covered and one uncovered MultiPolygon, plus cell, area and resident totals and the farthest point.",
+  CoverageShape,
+  argErrors(async (args) => {
+    const { bbox, cellMeters, maxMeters, maxWalkMinutes, hazardType, ward } = z.object(CoverageShape).parse(args);
+    const result = shelterCoverage({ bbox, cellMeters, maxMeters, maxWalkMinutes, hazardType, ward });
+    return { content: [{ type: "text", text: JSON.stringify(result) }] };
+  })
+);
+
+// ---- shelter_catchments ----
+const CatchmentShape = {
+  bbox: z.tuple([z.number(), z.number(), z.number(), z.number()])
+    .describe("[minLon, minLat, maxLon, maxLat] (EPSG:4326)"),
+  cellMeters: z.number().optional().describe(`Cell edge in meters (auto-sized to <= ${MAX_CATCHMENT_CELLS} cells if omitted)`),
+  mode: z.enum(["voronoi", "walk"]).optional()
+    .describe('"voronoi" = nearest shelter by straight line (default); "walk" = by walking distance (needs data/walk-graph.json)'),
+  maxMeters: z.number().positive().optional()
+    .describe("Cells farther than this from every shelter stay unassigned (walk default 5000, voronoi unlimited)"),
+  hazardType: z.enum(DISASTER_TYPES as [DisasterType, ...DisasterType[]]).optional()
+    .describe("Only shelters rated for this hazard take part"),
+  evacuationRate: z.number().min(0).max(1).optional()
+    .describe("Share of residents expected at a shelter, 0..1 (default 1); demand = residents × rate"),
+  ...WardShape,
+} as const;
+
+server.tool(
+  "shelter_catchments",
+  "Assign every part of a bbox to its nearest shelter (Voronoi or walking-distance catchments); returns a GeoJSON FeatureCollection with one MultiPolygon per shelter carrying residents, demand, capacity and load (demand / capacity), highest load first.",
+  CatchmentShape,
+  argErrors(async (args) => {
+    const { bbox, cellMeters, mode, maxMeters, hazardType, evacuationRate, ward } = z.object(CatchmentShape).parse(args);
+    const result = shelterCatchments({ bbox, cellMeters, mode, maxMeters, hazardType, evacuationRate, ward });
+    return { content: [{ type: "text", text: JSON.stringify(result) }] };
+  })
+);
+
+// ---- compare_locations ----
+const CompareShape = {
+  locations: z.array(CompareLocation).min(MIN_COMPARE).max(MAX_COMPARE)
+    .describe(`${MIN_COMPARE}–${MAX_COMPARE} candidate locations { name?, lon, lat }; unnamed ones are called A, B, ...`),
+  radiusMeters: radiusField(),
+  hazardType: z.enum(DISASTER_TYPES as [DisasterType, ...DisasterType[]]).optional()
+    .describe("Only credit shelters rated for this hazard, at every location"),
+  ...ProfileShape,
+  ...LangShape,
+} as const;
+
+server.tool(
+  "compare_locations",
+  "Score candidate locations with the same profile and rank them; returns per-category deltas against the best one and a comparative explanation (EN, JA and the requested language).",
+  CompareShape,
+  argErrors(async (args) => {
+    const { locations, radiusMeters, hazardType, profile, weights, algorithm, lang } = z.object(CompareShape).parse(args);
+    const result = compareLocations({ locations, radiusMeters: radiusMeters ?? 1500, hazardType, profile, weights, algorithm, lang });
+    return { content: [{ type: "text", text: JSON.stringify(result) }] };
+  })
+);
+
+// ---- list_profiles ----
+server.tool(
+  "list_profiles",
+  "List the named scoring profiles (weights and knobs) accepted by the scoring tools.",
+  {},
+  async () => ({ content: [{ type: "text", text: JSON.stringify(listProfiles()) }] })
+);
+
+// ---- list_layers ----
+server.tool(
+  "list_layers",
+  "List the POI layers from the layer manifest (id, EN/JA labels, default weight, icon, color).",
+  {},
+  async () => {
+    // File paths are server-side details
+    const layers = layerDefs().map(({ files, ...def }) => def);
+    return { content: [{ type: "text", text: JSON.stringify(layers) }] };
   }
 );
 
@@ -34,19 +262,92 @@ server.tool(
 const NearbyShape = {
   lon: z.number(),
   lat: z.number(),
-  radiusMeters: z.number().optional(),
+  radiusMeters: radiusField(),
 } as const;
 
+const NearbyPoisShape = { ...NearbyShape, ...WardShape } as const;
+
 server.tool(
   "nearby_pois",
-  "List shelters, schools, and health POIs near a point, sorted by distance.",
+  "List POIs near a point, sorted by distance: shelters, schools and health, plus other manifest layers under layers.",
+  NearbyPoisShape,
+  argErrors(async (args) => {
+    const { lon, lat, radiusMeters, ward } = z.object(NearbyPoisShape).parse(args);
+    const items = nearbyPois(lon, lat, radiusMeters ?? 1500, undefined, ward);
+    return { content: [{ type: "text", text: JSON.stringify(items) }] }; // <-- text content
+  })
+);
+
+// ---- osm_nearby ----
+server.tool(
+  "osm_nearby",
+  "OpenStreetMap shelters, schools and health POIs near a point: from the imported extract (scripts/import-osm.mjs) when it covers the point, else from Overpass unless OSM_REMOTE=off.",
   NearbyShape,
-  async (args) => {
+  argErrors(async (args) => {
     const { lon, lat, radiusMeters } = z.object(NearbyShape).parse(args);
-    const items = nearbyPois(lon, lat, radiusMeters ?? 1500);
-    return { content: [{ type: "text", text: JSON.stringify(items) }] }; // <-- text content
-  }
+    const result = await osmNearby(lon, lat, radiusMeters ?? 1500);
+    return { content: [{ type: "text", text: JSON.stringify(result) }] };
+  })
+);
+
+// ---- geocode ----
+const GeocodeShape = {
+  query: z.string().min(1).max(MAX_QUERY_LENGTH).describe("Japanese address, station name (横浜駅) or POI name"),
+  limit: z.number().int().min(1).max(MAX_GEOCODE_LIMIT).optional().describe("Max results (default 5)"),
+  lon: z.number().optional().describe("Bias point: equally good matches closer to it come first"),
+  lat: z.number().optional(),
+} as const;
+
+server.tool(
+  "geocode",
+  "Resolve an address, station or place name to coordinates: the local gazetteer (layer POI names, data/gazetteer.json) first, then the GEOCODER remote service when nothing matches exactly or by prefix.",
+  GeocodeShape,
+  argErrors(async (args) => {
+    const { query, limit, lon, lat } = z.object(GeocodeShape).parse(args);
+    const near = lon != null && lat != null ? { lon, lat } : undefined;
+    const result = await geocode(query, { limit, near });
+    return { content: [{ type: "text", text: JSON.stringify(result) }] };
+  })
+);
+
+// ---- reverse_geocode ----
+const PointShape = {
+  lon: z.number().describe("Longitude (EPSG:4326)"),
+  lat: z.number().describe("Latitude (EPSG:4326)"),
+} as const;
+
+server.tool(
+  "reverse_geocode",
+  "Administrative area of a coordinate (prefecture, municipality, ward, 町丁目) from the boundary layers data/admin-*.geojson; area is null outside them.",
+  PointShape,
+  argErrors(async (args) => {
+    const { lon, lat } = z.object(PointShape).parse(args);
+    return { content: [{ type: "text", text: JSON.stringify({ lon, lat, area: adminAreaAt(lon, lat) }) }] };
+  })
+);
+
+// ---- reload_layers / layer_status ----
+server.tool(
+  "reload_layers",
+  "Re-read the layers under data/ (POIs, hazard zones, administrative boundaries, population grid, OSM and the gazetteer) and swap them in atomically; returns the new generation, file versions and feature counts.",
+  {},
+  async () => ({ content: [{ type: "text", text: JSON.stringify(await reloadLayers()) }] })
 );
 
+server.tool(
+  "layer_status",
+  "Current layer generation, file versions and feature counts (no reload).",
+  {},
+  async () => ({ content: [{ type: "text", text: JSON.stringify(layerStatus()) }] })
+);
+
+// WATCH_LAYERS=1: reload on any data/*.geojson or data/gazetteer.json change (stdout belongs to the MCP protocol, so log to stderr)
+if (process.env.WATCH_LAYERS === "1") {
+  watchLayers(
+    (r) => console.error(`[layers] generation ${r.generation} loaded in ${r.durationMs} ms; changed: ${r.changed.join(", ") || "none"}`),
+    (e) => console.error("[layers] reload failed, keeping previous layers:", (e as any)?.message ?? e)
+  );
+}
+
 const transport = new StdioServerTransport();
 await server.connect(transport);
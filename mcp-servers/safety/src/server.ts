@@ -3,48 +3,210 @@ import express from "express";
 import path from "path";
 import { fileURLToPath } from "url";
 // ⬇️ FIX THIS LINE
-import { scorePoint, nearbyPois } from "./lib/poi-index.js";
+import { scorePoint, nearbyPois, MAX_RADIUS_METERS, DISASTER_TYPES, type DisasterType } from "./lib/poi-index.js";
+import { geocode } from "./lib/geocode.js";
+import { adminAreaAt } from "./lib/admin-areas.js";
+import { compareLocations } from "./lib/compare.js";
+import { shelterCoverage } from "./lib/coverage.js";
+import { shelterCatchments, type CatchmentMode } from "./lib/catchments.js";
+import { type BBox } from "./lib/geo.js";
+import { messages, negotiateLang, t } from "./lib/i18n.js";
+import { isArgumentError } from "./lib/errors.js";
+import type { Scenario } from "./lib/opening-hours.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const ROOT = path.join(__dirname, "..");
 
 const app = express();
+app.use(express.json());
 const PORT = Number(process.env.PORT) || 3000;
 
+// Bad arguments are the client's fault; unreadable data files and the like are ours
+const errorStatus = (e: unknown) => (isArgumentError(e) ? 400 : 500);
+
 // static site (your map UI)
 app.use(express.static(path.join(ROOT, "public")));
 
-// /score?lon=..&lat=..&radius=..
+// /score?lon=..&lat=..&radius=..[&profile=..][&algorithm=saturating|soft-cap][&hazardType=..][&residents=..][&lang=..][&steps=1]
+// lang falls back to Accept-Language, then ja
 app.get("/score", (req, res) => {
   const lon = Number(req.query.lon);
   const lat = Number(req.query.lat);
-  const radius = Number(req.query.radius ?? 1500);
+  const lang = negotiateLang(req.query.lang, req.get("accept-language"));
   if (!Number.isFinite(lon) || !Number.isFinite(lat)) {
-    res.status(400).json({ error: "lon and lat are required numbers" });
+    res.status(400).json({ error: messages(lang).lonLatRequired });
     return;
   }
+  const radius = radiusQuery(req, res);
+  if (radius == null) return;
+  const hazardType = hazardQuery(req, res);
+  if (hazardType === null) return;
   try {
-    const result = scorePoint({ lon, lat, radiusMeters: Number.isFinite(radius) ? radius : 1500 });
+    const result = scorePoint({
+      lon,
+      lat,
+      radiusMeters: radius,
+      profile: typeof req.query.profile === "string" ? req.query.profile : undefined,
+      algorithm: req.query.algorithm === "soft-cap" || req.query.algorithm === "saturating" ? req.query.algorithm : undefined,
+      hazardType,
+      residents: req.query.residents != null ? Number(req.query.residents) : undefined,
+      lang,
+      steps: req.query.steps === "1",
+      // ?datetime=2024-04-01T03:00 or ?scenario=night: only POIs open then
+      datetime: typeof req.query.datetime === "string" ? req.query.datetime : undefined,
+      scenario: typeof req.query.scenario === "string" ? (req.query.scenario as Scenario) : undefined,
+    });
     res.json(result);
   } catch (e: any) {
-    res.status(500).json({ error: e?.message ?? "scoring failed" });
+    res.status(errorStatus(e)).json({ error: e?.message ?? "scoring failed" });
   }
 });
 
-// optional: list nearby POIs
+// optional: list nearby POIs (&ward=.. keeps those in one ward or municipality)
 app.get("/nearby", (req, res) => {
   const lon = Number(req.query.lon);
   const lat = Number(req.query.lat);
-  const radius = Number(req.query.radius ?? 1500);
   if (!Number.isFinite(lon) || !Number.isFinite(lat)) {
-    res.status(400).json({ error: "lon and lat are required numbers" });
+    res.status(400).json({ error: messages(negotiateLang(req.query.lang, req.get("accept-language"))).lonLatRequired });
     return;
   }
+  const radius = radiusQuery(req, res);
+  if (radius == null) return;
+  try {
+    const ward = typeof req.query.ward === "string" && req.query.ward.trim() ? req.query.ward : undefined;
+    res.json(nearbyPois(lon, lat, radius, undefined, ward));
+  } catch (e: any) {
+    res.status(errorStatus(e)).json({ error: e?.message ?? "nearby failed" });
+  }
+});
+
+// /geocode?q=..[&limit=..][&lon=..&lat=..] (lon/lat only bias the ranking)
+app.get("/geocode", async (req, res) => {
+  const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  if (!q) {
+    res.status(400).json({ error: messages(negotiateLang(req.query.lang, req.get("accept-language"))).queryRequired });
+    return;
+  }
+  const lon = Number(req.query.lon);
+  const lat = Number(req.query.lat);
+  const limit = Number(req.query.limit);
+  try {
+    res.json(await geocode(q, {
+      limit: Number.isFinite(limit) ? limit : undefined,
+      near: Number.isFinite(lon) && Number.isFinite(lat) ? { lon, lat } : undefined,
+    }));
+  } catch (e: any) {
+    res.status(errorStatus(e)).json({ error: e?.message ?? "geocode failed" });
+  }
+});
+
+// /reverse-geocode?lon=..&lat=.. -> { lon, lat, area } (area null outside the boundary layers)
+app.get("/reverse-geocode", (req, res) => {
+  const lon = Number(req.query.lon);
+  const lat = Number(req.query.lat);
+  if (!Number.isFinite(lon) || !Number.isFinite(lat)) {
+    res.status(400).json({ error: messages(negotiateLang(req.query.lang, req.get("accept-language"))).lonLatRequired });
+    return;
+  }
+  try {
+    res.json({ lon, lat, area: adminAreaAt(lon, lat) });
+  } catch (e: any) {
+    res.status(500).json({ error: e?.message ?? "reverse geocode failed" });
+  }
+});
+
+// POST /compare { locations: [{ name?, lon, lat }, ...], radius?, profile?, hazardType?, lang? }
+app.post("/compare", (req, res) => {
+  const body = req.body ?? {};
+  const radius = Number(body.radius ?? body.radiusMeters ?? 1500);
+  try {
+    res.json(compareLocations({
+      locations: body.locations,
+      radiusMeters: radius,
+      profile: typeof body.profile === "string" ? body.profile : undefined,
+      hazardType: typeof body.hazardType === "string" ? (body.hazardType as DisasterType) : undefined,
+      lang: negotiateLang(body.lang ?? req.query.lang, req.get("accept-language")),
+    }));
+  } catch (e: any) {
+    res.status(errorStatus(e)).json({ error: e?.message ?? "compare failed" });
+  }
+});
+
+// Optional numeric query value
+const optNum = (v: unknown) => (v != null && v !== "" && Number.isFinite(Number(v)) ? Number(v) : undefined);
+
+// ?radius= in meters: 1500 when absent, a 400 outside (0, MAX_RADIUS_METERS]
+function radiusQuery(req: express.Request, res: express.Response): number | null {
+  const radius = req.query.radius == null || req.query.radius === "" ? 1500 : Number(req.query.radius);
+  if (!(radius > 0 && radius <= MAX_RADIUS_METERS)) {
+    const lang = negotiateLang(req.query.lang, req.get("accept-language"));
+    res.status(400).json({ error: t(messages(lang).radiusInvalid, { max: MAX_RADIUS_METERS }) });
+    return null;
+  }
+  return radius;
+}
+
+// ?hazardType=: undefined when absent, a 400 (and null) unless one of DISASTER_TYPES
+function hazardQuery(req: express.Request, res: express.Response): DisasterType | undefined | null {
+  const v = req.query.hazardType;
+  if (v == null || v === "") return undefined;
+  const hazardType = DISASTER_TYPES.find((d) => d === v);
+  if (!hazardType) {
+    const lang = negotiateLang(req.query.lang, req.get("accept-language"));
+    res.status(400).json({ error: t(messages(lang).hazardTypeInvalid, { list: DISASTER_TYPES.join(", ") }) });
+    return null;
+  }
+  return hazardType;
+}
+
+function bboxQuery(req: express.Request, res: express.Response): BBox | null {
+  const bbox = String(req.query.bbox ?? "").split(",").map(Number);
+  if (bbox.length !== 4 || !bbox.every(Number.isFinite)) {
+    res.status(400).json({ error: messages(negotiateLang(req.query.lang, req.get("accept-language"))).bboxRequired });
+    return null;
+  }
+  return bbox as BBox;
+}
+
+// /coverage?bbox=minLon,minLat,maxLon,maxLat[&max_m=1000 | &walk_min=..][&cell=..][&hazardType=..][&ward=..]
+app.get("/coverage", (req, res) => {
+  const bbox = bboxQuery(req, res);
+  if (!bbox) return;
+  const hazardType = hazardQuery(req, res);
+  if (hazardType === null) return;
+  try {
+    res.json(shelterCoverage({
+      bbox,
+      cellMeters: optNum(req.query.cell),
+      maxMeters: optNum(req.query.max_m),
+      maxWalkMinutes: optNum(req.query.walk_min),
+      hazardType,
+      ward: typeof req.query.ward === "string" && req.query.ward.trim() ? req.query.ward : undefined,
+    }));
+  } catch (e: any) {
+    res.status(errorStatus(e)).json({ error: e?.message ?? "coverage failed" });
+  }
+});
+
+// /catchments?bbox=minLon,minLat,maxLon,maxLat[&mode=voronoi|walk][&max_m=..][&cell=..][&rate=0..1][&hazardType=..][&ward=..]
+app.get("/catchments", (req, res) => {
+  const bbox = bboxQuery(req, res);
+  if (!bbox) return;
+  const hazardType = hazardQuery(req, res);
+  if (hazardType === null) return;
   try {
-    res.json(nearbyPois(lon, lat, Number.isFinite(radius) ? radius : 1500));
+    res.json(shelterCatchments({
+      bbox,
+      cellMeters: optNum(req.query.cell),
+      mode: typeof req.query.mode === "string" && req.query.mode ? (req.query.mode as CatchmentMode) : undefined,
+      maxMeters: optNum(req.query.max_m),
+      evacuationRate: optNum(req.query.rate),
+      hazardType,
+      ward: typeof req.query.ward === "string" && req.query.ward.trim() ? req.query.ward : undefined,
+    }));
   } catch (e: any) {
-    res.status(500).json({ error: e?.message ?? "nearby failed" });
+    res.status(errorStatus(e)).json({ error: e?.message ?? "catchments failed" });
   }
 });
 
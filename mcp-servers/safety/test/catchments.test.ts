@@ -0,0 +1,153 @@
+// test/catchments.test.ts
+// shelterCatchments() on the coverage fixtures (test/fixtures/grid-*.geojson): every
+// cell goes to its nearest shelter, residents become demand, demand over capacity is
+// the load, and a load above 1 flags the shelter as overloaded.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { haversineMeters } from "../src/lib/geo.ts";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const FIXTURES = path.join(ROOT, "test", "fixtures");
+
+const BBOX = [139.6, 35.44, 139.64, 35.46] as const;
+const CELL = 200;
+// test/fixtures/grid-shelters.geojson: 100 and 5000 people, 北ホール unknown and unrated
+const SHELTERS = [
+  { name: "西公園", lon: 139.605, lat: 35.45, capacity: 100, flood: false },
+  { name: "中央小学校", lon: 139.635, lat: 35.45, capacity: 5000, flood: true },
+  { name: "北ホール", lon: 139.62, lat: 35.458, capacity: null, flood: true },
+];
+
+let dir = "";
+const cwd = process.cwd();
+let catchments: typeof import("../src/lib/catchments.ts");
+let grid: typeof import("../src/lib/grid.ts");
+let errors: typeof import("../src/lib/errors.ts");
+
+const bbox = () => [...BBOX] as [number, number, number, number];
+const byName = (r: import("../src/lib/catchments.ts").CatchmentResult) =>
+  Object.fromEntries(r.features.map((f) => [f.properties.shelter.name, f.properties]));
+
+// Cells per nearest shelter (straight line), from a scan of every cell center
+function scan(flood = false, maxMeters = Infinity) {
+  const layout = grid.gridLayout(bbox(), CELL, Infinity);
+  const out: Record<string, number> = { unassigned: 0 };
+  for (let row = 0; row < layout.rows; row++) {
+    for (let col = 0; col < layout.cols; col++) {
+      const { lon, lat } = grid.cellBounds(layout, row, col);
+      const [best] = SHELTERS.filter((s) => !flood || s.flood)
+        .map((s) => ({ name: s.name, d: haversineMeters(lon, lat, s.lon, s.lat) }))
+        .sort((a, b) => a.d - b.d);
+      const key = best.d <= maxMeters ? best.name : "unassigned";
+      out[key] = (out[key] ?? 0) + 1;
+    }
+  }
+  return out;
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "catchments-test-"));
+  fs.mkdirSync(path.join(dir, "data"));
+  for (const [fixture, file] of [
+    ["grid-shelters", "shelters"], ["grid-wards", "admin-municipalities"], ["grid-population", "population"],
+  ]) {
+    fs.copyFileSync(path.join(FIXTURES, `${fixture}.geojson`), path.join(dir, "data", `${file}.geojson`));
+  }
+  fs.symlinkSync(path.join(ROOT, "config"), path.join(dir, "config"));
+  // the libs resolve data/ and config/ from the working directory at import time
+  process.chdir(dir);
+  catchments = await import("../src/lib/catchments.ts");
+  grid = await import("../src/lib/grid.ts");
+  errors = await import("../src/lib/errors.ts");
+});
+
+after(() => {
+  process.chdir(cwd);
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("voronoi: every cell goes to its nearest shelter", () => {
+  const r = catchments.shelterCatchments({ bbox: bbox(), cellMeters: CELL });
+  const expected = scan();
+  const got = byName(r);
+  for (const s of SHELTERS) assert.equal(got[s.name].cells, expected[s.name], s.name);
+  assert.deepEqual(r.summary.unassigned, { cells: 0, area_km2: 0, residents: 0 });
+  assert.equal(r.summary.cells, r.params.rows * r.params.cols);
+  assert.equal(r.summary.shelters, 3);
+  assert.deepEqual(got["西公園"].shelter, { name: "西公園", lon: 139.605, lat: 35.45, id: "s-west", capacity: 100 });
+  for (const s of SHELTERS) {
+    assert.ok(got[s.name].maxDistance_m > 0 && got[s.name].clipped, `${s.name} reaches the bbox edge`);
+  }
+});
+
+test("demand, load and overloaded per shelter; the busiest first", () => {
+  const r = catchments.shelterCatchments({ bbox: bbox(), cellMeters: CELL, evacuationRate: 0.5 });
+  const got = byName(r);
+  const total = Object.values(got).reduce((s, p) => s + p.residents!, 0);
+  assert.ok(Math.abs(total - 4000) <= 2, `residents add up to the grid's 4000 (rounding only): ${total}`);
+  assert.equal(r.summary.residents, 4000);
+  assert.equal(r.summary.demand, 2000);
+
+  for (const s of SHELTERS) {
+    const p = got[s.name];
+    assert.ok(Math.abs(p.demand! - p.residents! * 0.5) <= 0.5, `${s.name}: demand = residents x 0.5`);
+  }
+  // 西公園 holds 100 people; its part of the west half sends hundreds
+  assert.equal(got["西公園"].overloaded, true);
+  assert.ok(got["西公園"].load! > 1);
+  assert.equal(got["中央小学校"].overloaded, false);
+  assert.ok(got["中央小学校"].load! < 1);
+  for (const name of ["西公園", "中央小学校"]) {
+    const { demand, load, shelter } = got[name];
+    assert.ok(Math.abs(load! - demand! / shelter.capacity!) < 0.01, `${name}: load = demand / capacity`);
+  }
+  assert.deepEqual([got["北ホール"].load, got["北ホール"].overloaded], [null, null], "no capacity, no load");
+
+  assert.deepEqual(r.features.map((f) => f.properties.shelter.name), ["西公園", "中央小学校", "北ホール"]);
+  assert.deepEqual(
+    [r.summary.overloaded, r.summary.capacity, r.summary.unknownCapacity],
+    [1, 5100, 1]
+  );
+});
+
+test("evacuationRate scales demand and can lift the overload", () => {
+  const r = catchments.shelterCatchments({ bbox: bbox(), cellMeters: CELL, evacuationRate: 0.01 });
+  const west = byName(r)["西公園"];
+  assert.ok(west.load! <= 1, `1% of the residents fit: load ${west.load}`);
+  assert.equal(west.overloaded, false);
+  assert.equal(r.summary.overloaded, 0);
+  assert.equal(r.params.evacuationRate, 0.01);
+});
+
+test("maxMeters leaves far cells unassigned; hazardType drops shelters not rated for it", () => {
+  const near = catchments.shelterCatchments({ bbox: bbox(), cellMeters: CELL, maxMeters: 600 });
+  assert.equal(near.summary.unassigned.cells, scan(false, 600).unassigned);
+  assert.ok(near.summary.unassigned.residents! > 0);
+
+  const flood = catchments.shelterCatchments({ bbox: bbox(), cellMeters: CELL, hazardType: "flood" });
+  const expected = scan(true);
+  assert.deepEqual(flood.features.map((f) => [f.properties.shelter.name, f.properties.cells]).sort(), [
+    ["中央小学校", expected["中央小学校"]], ["北ホール", expected["北ホール"]],
+  ].sort());
+});
+
+test("ward: only the ward's cells are assigned", () => {
+  const west = catchments.shelterCatchments({ bbox: bbox(), cellMeters: CELL, ward: "西区" });
+  assert.ok(west.summary.cells > 0 && west.summary.cells < west.params.rows * west.params.cols);
+  assert.ok(west.summary.residents! > 900 && west.summary.residents! <= 1000, "the 西区 population cell");
+  assert.ok(!byName(west)["中央小学校"], "the east shelter wins no 西区 cell");
+});
+
+test("bad arguments are argument errors; walking without a graph is not", () => {
+  for (const bad of [{ evacuationRate: 2 }, { evacuationRate: -0.1 }, { mode: "car" as any }, { maxMeters: 0 }]) {
+    assert.throws(() => catchments.shelterCatchments({ bbox: bbox(), ...bad }), (e) => errors.isArgumentError(e), JSON.stringify(bad));
+  }
+  assert.throws(
+    () => catchments.shelterCatchments({ bbox: bbox(), mode: "walk" }),
+    (e) => e instanceof Error && /walk-graph\.json/.test(e.message) && !errors.isArgumentError(e)
+  );
+});
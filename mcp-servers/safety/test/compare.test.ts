@@ -0,0 +1,94 @@
+// test/compare.test.ts
+// compareLocations() on the fixture shelters (test/fixtures/grid-shelters.geojson):
+// rank order and its tie-breaks, the signs of the deltas to the top-ranked location,
+// and the 2..10 locations limit.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// On 中央小学校 (5000 people) and on 西公園 (100 people); EAST and FAR have no shelter within 1000 m
+const SCHOOL = { name: "school", lon: 139.635, lat: 35.45 };
+const PARK = { name: "park", lon: 139.605, lat: 35.45 };
+const EAST = { name: "east", lon: 139.66, lat: 35.45 };
+const FAR = { name: "far", lon: 139.7, lat: 35.45 };
+// Between the two, with both shelters in the radius
+const MIDDLE = { lon: 139.625, lat: 35.45 };
+
+let dir = "";
+const cwd = process.cwd();
+let compare: typeof import("../src/lib/compare.ts");
+let errors: typeof import("../src/lib/errors.ts");
+
+const run = (locations: unknown[]) => compare.compareLocations({ locations, radiusMeters: 1000 });
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "compare-test-"));
+  fs.mkdirSync(path.join(dir, "data"));
+  fs.copyFileSync(path.join(ROOT, "test", "fixtures", "grid-shelters.geojson"), path.join(dir, "data", "shelters.geojson"));
+  fs.symlinkSync(path.join(ROOT, "config"), path.join(dir, "config"));
+  // the libs resolve data/ and config/ from the working directory at import time
+  process.chdir(dir);
+  compare = await import("../src/lib/compare.ts");
+  errors = await import("../src/lib/errors.ts");
+});
+
+after(() => {
+  process.chdir(cwd);
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("ranked by score, best first; unnamed locations are lettered by input position", () => {
+  const r = run([FAR, PARK, MIDDLE, SCHOOL]);
+  assert.deepEqual(r.locations.map((l) => [l.rank, l.name, l.index]), [[1, "school", 3], [2, "C", 2], [3, "park", 1], [4, "far", 0]]);
+  const scores = r.locations.map((l) => l.score);
+  assert.ok(scores[0] > scores[1] && scores[1] > scores[2] && scores[2] > scores[3]);
+  assert.match(r.explanation.en, /^Ranking: 1\. school \(0\.\d\d\), 2\. C/);
+});
+
+test("equal scores: the nearer shelter wins, then input order", () => {
+  const far = run([FAR, EAST]);
+  assert.equal(far.locations[0].score, far.locations[1].score, "no shelter in the radius for either");
+  assert.deepEqual(far.locations.map((l) => l.name), ["east", "far"]);
+
+  const twins = run([{ ...PARK, name: "park 1" }, { ...PARK, name: "park 2" }]);
+  assert.deepEqual(twins.locations.map((l) => l.name), ["park 1", "park 2"]);
+  assert.equal(twins.explanation.en.split("\n")[1], `park 1 and park 2 score the same (${twins.locations[0].score.toFixed(2)}).`);
+});
+
+test("deltas: zero for the top-ranked location, signed against it for the others", () => {
+  const r = run([SCHOOL, MIDDLE, EAST]);
+  const [best, middle, east] = r.locations;
+  assert.deepEqual(best.delta.counts, { shelters: 0, schools: 0, healths: 0 });
+  assert.equal(best.delta.score, 0);
+  assert.ok(Object.values(best.delta.components).every((v) => v === 0));
+  assert.equal(best.delta.nearest_m.shelter, 0);
+
+  // lower score, farther shelter, but more shelters in the radius than the best
+  assert.ok(middle.delta.score < 0);
+  assert.ok(middle.delta.nearest_m.shelter! > 0);
+  assert.equal(middle.delta.counts.shelters, middle.counts.shelters - best.counts.shelters);
+  assert.ok(middle.delta.counts.shelters > 0);
+  assert.equal(middle.delta.score, Math.round((middle.score - best.score) * 1000) / 1000);
+
+  assert.equal(east.delta.counts.shelters, -1);
+  assert.equal(east.delta.nearest_m.shelter, east.nearest.shelter!.distance_m);
+  assert.ok(east.delta.components.shelter < 0);
+  // no school or health facility in the fixture: nothing to compare
+  assert.deepEqual([east.delta.nearest_m.school, east.delta.nearest_m.health], [null, null]);
+});
+
+test("fewer than 2 or more than 10 locations are argument errors", () => {
+  const rejects = (locations: unknown, re: RegExp) =>
+    assert.throws(() => run(locations as unknown[]), (e) => errors.isArgumentError(e) && re.test((e as Error).message));
+  rejects([SCHOOL], /2–10 locations/);
+  rejects([], /2–10 locations/);
+  rejects(Array.from({ length: 11 }, (_, i) => ({ lon: 139.6 + i * 0.001, lat: 35.45 })), /2–10 locations/);
+  rejects([SCHOOL, { name: "bad", lon: 200, lat: 35.45 }], /locations\.1\.lon/);
+  rejects("school", /2–10 locations/);
+  assert.equal(run(Array.from({ length: 10 }, (_, i) => ({ lon: 139.6 + i * 0.004, lat: 35.45 }))).locations.length, 10);
+});
@@ -0,0 +1,143 @@
+// test/coverage.test.ts
+// shelterCoverage() on fixture layers (test/fixtures/grid-*.geojson: three shelters,
+// two wards, two population cells): the covered / uncovered split against a scan of
+// every cell center, the summary figures, and the hazard and ward filters.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { haversineMeters } from "../src/lib/geo.ts";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const FIXTURES = path.join(ROOT, "test", "fixtures");
+
+const BBOX = [139.6, 35.44, 139.64, 35.46] as const;
+const CELL = 200;
+// test/fixtures/grid-shelters.geojson; only 中央小学校 and the unrated 北ホール count for floods
+const SHELTERS = [
+  { name: "西公園", lon: 139.605, lat: 35.45, flood: false },
+  { name: "中央小学校", lon: 139.635, lat: 35.45, flood: true },
+  { name: "北ホール", lon: 139.62, lat: 35.458, flood: true },
+];
+// 西区 is the west half of BBOX, 中区 the east half
+const inWest = (lon: number, lat: number) => lon >= 139.6 && lon < 139.62 && lat >= 35.44 && lat <= 35.46;
+
+let dir = "";
+const cwd = process.cwd();
+let coverage: typeof import("../src/lib/coverage.ts");
+let grid: typeof import("../src/lib/grid.ts");
+let errors: typeof import("../src/lib/errors.ts");
+
+// Every cell center with its straight-line distance to the nearest shelter
+function scan(flood = false, keep = (_lon: number, _lat: number) => true) {
+  const layout = grid.gridLayout([...BBOX], CELL, Infinity);
+  const out: { lon: number; lat: number; d: number }[] = [];
+  for (let row = 0; row < layout.rows; row++) {
+    for (let col = 0; col < layout.cols; col++) {
+      const { lon, lat } = grid.cellBounds(layout, row, col);
+      if (!keep(lon, lat)) continue;
+      const d = Math.min(...SHELTERS.filter((s) => !flood || s.flood).map((s) => haversineMeters(lon, lat, s.lon, s.lat)));
+      out.push({ lon, lat, d });
+    }
+  }
+  return out;
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "coverage-test-"));
+  fs.mkdirSync(path.join(dir, "data"));
+  for (const [fixture, file] of [
+    ["grid-shelters", "shelters"], ["grid-wards", "admin-municipalities"], ["grid-population", "population"],
+  ]) {
+    fs.copyFileSync(path.join(FIXTURES, `${fixture}.geojson`), path.join(dir, "data", `${file}.geojson`));
+  }
+  fs.symlinkSync(path.join(ROOT, "config"), path.join(dir, "config"));
+  // the libs resolve data/ and config/ from the working directory at import time
+  process.chdir(dir);
+  coverage = await import("../src/lib/coverage.ts");
+  grid = await import("../src/lib/grid.ts");
+  errors = await import("../src/lib/errors.ts");
+});
+
+after(() => {
+  process.chdir(cwd);
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("a cell is covered when its center is within maxMeters of a shelter", () => {
+  const r = coverage.shelterCoverage({ bbox: [...BBOX], cellMeters: CELL, maxMeters: 800 });
+  const cells = scan();
+  const covered = cells.filter((c) => c.d <= 800).length;
+  assert.ok(covered > 0 && covered < cells.length, "the fixture has both");
+  assert.deepEqual(
+    [r.summary.cells, r.summary.covered, r.summary.uncovered],
+    [cells.length, covered, cells.length - covered]
+  );
+  assert.equal(r.summary.cells, r.params.rows * r.params.cols);
+  assert.equal(r.summary.coveredShare, Math.round((covered / cells.length) * 1000) / 1000);
+  assert.deepEqual(r.params, {
+    bbox: [...BBOX], cellMeters: CELL, rows: r.params.rows, cols: r.params.cols,
+    mode: "distance", maxMeters: 800, maxWalkMinutes: null, hazardType: null, ward: null,
+  });
+});
+
+test("features: covered then uncovered, with their cells, area and rectangles", () => {
+  const r = coverage.shelterCoverage({ bbox: [...BBOX], cellMeters: CELL, maxMeters: 800 });
+  assert.deepEqual(r.features.map((f) => f.properties.status), ["covered", "uncovered"]);
+  const [covered, uncovered] = r.features;
+  assert.equal(covered.properties.cells, r.summary.covered);
+  assert.equal(uncovered.properties.cells, r.summary.uncovered);
+  assert.equal(covered.properties.area_km2, Math.round(r.summary.covered * 0.04 * 1000) / 1000);
+  assert.equal(r.summary.area_km2, Math.round(r.summary.cells * 0.04 * 1000) / 1000);
+  // cells merged row by row: never more rectangles than cells, each one closed ring
+  assert.ok(covered.geometry.coordinates.length > 0 && covered.geometry.coordinates.length <= covered.properties.cells);
+  assert.ok(covered.geometry.coordinates.every((poly) => poly.length === 1 && poly[0].length === 5));
+});
+
+test("summary: residents split between covered and uncovered, and the farthest cell", () => {
+  const r = coverage.shelterCoverage({ bbox: [...BBOX], cellMeters: CELL, maxMeters: 800 });
+  const { residents, farthest, noShelter } = r.summary;
+  // the grid covers both population cells whole
+  assert.equal(residents!.total, 4000);
+  assert.ok(Math.abs(residents!.covered + residents!.uncovered - 4000) <= 1, "rounding only");
+  assert.deepEqual(r.features.map((f) => f.properties.residents), [residents!.covered, residents!.uncovered]);
+
+  const worst = scan().reduce((a, b) => (b.d > a.d ? b : a));
+  assert.equal(farthest!.distance_m, Math.round(worst.d));
+  assert.deepEqual([farthest!.lon, farthest!.lat], [worst.lon, worst.lat]);
+  assert.equal(noShelter, 0);
+});
+
+test("hazardType: shelters not rated for it do not cover", () => {
+  const all = coverage.shelterCoverage({ bbox: [...BBOX], cellMeters: CELL, maxMeters: 800 });
+  const flood = coverage.shelterCoverage({ bbox: [...BBOX], cellMeters: CELL, maxMeters: 800, hazardType: "flood" });
+  assert.equal(flood.summary.covered, scan(true).filter((c) => c.d <= 800).length);
+  assert.ok(flood.summary.covered < all.summary.covered, "西公園 is earthquake-only");
+  assert.equal(flood.params.hazardType, "flood");
+});
+
+test("ward: only cells whose center lies in the ward count", () => {
+  const west = coverage.shelterCoverage({ bbox: [...BBOX], cellMeters: CELL, maxMeters: 800, ward: "西区" });
+  const cells = scan(false, inWest);
+  assert.equal(west.summary.cells, cells.length);
+  assert.equal(west.summary.covered, cells.filter((c) => c.d <= 800).length);
+  assert.ok(west.summary.residents!.total > 900 && west.summary.residents!.total <= 1000, "the 西区 population cell");
+  assert.equal(west.params.ward, "西区");
+  assert.equal(coverage.shelterCoverage({ bbox: [...BBOX], cellMeters: CELL, ward: "横浜市西区" }).summary.cells, cells.length);
+
+  const none = coverage.shelterCoverage({ bbox: [...BBOX], cellMeters: CELL, ward: "港北区" });
+  assert.deepEqual([none.summary.cells, none.summary.coveredShare, none.summary.farthest], [0, 0, null]);
+  assert.deepEqual(none.features.map((f) => f.geometry.coordinates), [[], []]);
+});
+
+test("bad thresholds are argument errors; walking without a graph is not", () => {
+  const bbox = [...BBOX] as [number, number, number, number];
+  assert.throws(() => coverage.shelterCoverage({ bbox, maxMeters: 0 }), (e) => errors.isArgumentError(e));
+  assert.throws(() => coverage.shelterCoverage({ bbox, maxWalkMinutes: -5 }), (e) => errors.isArgumentError(e));
+  assert.throws(
+    () => coverage.shelterCoverage({ bbox, maxWalkMinutes: 10 }),
+    (e) => e instanceof Error && /walk-graph\.json/.test(e.message) && !errors.isArgumentError(e)
+  );
+});
@@ -0,0 +1,90 @@
+// test/gazetteer.test.ts
+// Place keys (kanji 丁目 numbers, house numbers, postal codes, a trailing 駅) and
+// searchPlaces() ranking over a small fixture gazetteer (test/fixtures/gazetteer.json).
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const YOKOHAMA = { lon: 139.6227, lat: 35.4658 };
+
+let dir = "";
+const cwd = process.cwd();
+let gazetteer: typeof import("../src/lib/gazetteer.ts");
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "gazetteer-test-"));
+  fs.mkdirSync(path.join(dir, "data"));
+  // No POI layer files: the fixture entries are the only places
+  fs.copyFileSync(path.join(ROOT, "test", "fixtures", "gazetteer.json"), path.join(dir, "data", "gazetteer.json"));
+  fs.symlinkSync(path.join(ROOT, "config"), path.join(dir, "config"));
+  // the libs resolve data/ and config/ from the working directory at import time
+  process.chdir(dir);
+  gazetteer = await import("../src/lib/gazetteer.ts");
+});
+
+after(() => {
+  process.chdir(cwd);
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("placeKey: kanji 丁目 numbers become digits", () => {
+  assert.equal(gazetteer.placeKey("北幸一丁目"), "北幸1丁目");
+  assert.equal(gazetteer.placeKey("南幸十二丁目"), "南幸12丁目");
+  assert.equal(gazetteer.placeKey("本町十丁目"), "本町10丁目");
+  assert.equal(gazetteer.placeKey("本町二十丁目"), "本町20丁目");
+  assert.equal(gazetteer.placeKey("北幸１丁目"), "北幸1丁目", "full-width digits");
+});
+
+test("placeKey: house numbers below the 丁目 are dropped", () => {
+  assert.equal(gazetteer.placeKey("北幸1-5-1"), "北幸1丁目");
+  assert.equal(gazetteer.placeKey("北幸1丁目5番1号"), "北幸1丁目");
+  assert.equal(gazetteer.placeKey("北幸一丁目5-1"), "北幸1丁目");
+  assert.equal(gazetteer.placeKey("本町123番地"), "本町");
+});
+
+test("placeKey: a leading postal code and a trailing 駅 are dropped", () => {
+  assert.equal(gazetteer.placeKey("〒220-0004 北幸1丁目"), "北幸1丁目");
+  assert.equal(gazetteer.placeKey("2200004北幸1丁目"), "北幸1丁目");
+  assert.equal(gazetteer.placeKey("横浜駅"), "横浜");
+  assert.equal(gazetteer.placeKey("駅前通り"), "駅前通り", "only a trailing 駅");
+});
+
+test("searchPlaces: addresses by their full address, with kanji numbers and house numbers", () => {
+  const [exact] = gazetteer.searchPlaces("神奈川県横浜市西区北幸一丁目5番1号");
+  assert.equal(exact.name, "北幸1丁目");
+  assert.equal(exact.score, 1);
+  const [short] = gazetteer.searchPlaces("北幸一丁目5-1");
+  assert.equal(short.name, "北幸1丁目");
+  assert.equal(short.score, 0.8, "the address contains the query");
+  assert.equal(gazetteer.searchPlaces("南幸十二丁目")[0].name, "南幸12丁目");
+});
+
+test("searchPlaces: a postal-code prefix does not get in the way", () => {
+  const hits = gazetteer.searchPlaces("〒220-0004 横浜市西区北幸1丁目");
+  assert.equal(hits[0].name, "北幸1丁目");
+  assert.ok(hits.every((h, i) => i === 0 || h.score < hits[0].score), "北幸2丁目 only as a weaker match");
+  assert.deepEqual(gazetteer.searchPlaces("〒220-0004"), [], "nothing left to search for");
+});
+
+test("searchPlaces: a trailing 駅 finds the station", () => {
+  const [hit] = gazetteer.searchPlaces("横浜駅");
+  assert.deepEqual([hit.name, hit.kind, hit.score], ["横浜", "station", 1]);
+});
+
+test("searchPlaces: stations rank first when the query ends in 駅, else distance decides", () => {
+  const plain = gazetteer.searchPlaces("本町", { near: YOKOHAMA });
+  assert.deepEqual(plain.map((p) => p.kind), ["address", "station"]);
+  assert.ok(plain[0].distance_m! < plain[1].distance_m!);
+  const station = gazetteer.searchPlaces("本町駅", { near: YOKOHAMA });
+  assert.deepEqual(station.map((p) => [p.kind, p.score]), [["station", 1], ["address", 1]]);
+});
+
+test("gazetteerStatus: entries and import time of the file", () => {
+  const status = gazetteer.gazetteerStatus();
+  assert.equal(status.places, 6);
+  assert.equal(status.importedAt, "2024-04-01T00:00:00.000Z");
+});
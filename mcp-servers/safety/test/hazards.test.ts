@@ -0,0 +1,88 @@
+// test/hazards.test.ts
+// KSJ-shaped samples (test/fixtures/ksj-*.geojson) go through scripts/import-hazards.mjs
+// into a scratch data/ directory; points inside the polygons must be penalized.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const FIXTURES = path.join(ROOT, "test", "fixtures");
+
+// Inside both flood squares (3–5 m wins over <0.5 m) and the tsunami square
+const BOTH = [140.579, 41.2208] as const;
+const FLOOD_ONLY = [140.572, 41.212] as const;
+const LANDSLIDE = [140.602, 41.232] as const;
+const OUTSIDE = [140.62, 41.25] as const;
+
+let dir = "";
+const cwd = process.cwd();
+let hazards: typeof import("../src/lib/hazards.ts");
+let poi: typeof import("../src/lib/poi-index.ts");
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "hazards-test-"));
+  fs.mkdirSync(path.join(dir, "data"));
+  // the real POI layers and config, so scorePoint runs against the repo data
+  for (const f of fs.readdirSync(path.join(ROOT, "data"))) {
+    fs.symlinkSync(path.join(ROOT, "data", f), path.join(dir, "data", f));
+  }
+  fs.symlinkSync(path.join(ROOT, "config"), path.join(dir, "config"));
+
+  for (const [type, file] of [["flood", "ksj-a31-flood"], ["tsunami", "ksj-a40-tsunami"], ["landslide", "ksj-a33-landslide"]]) {
+    execFileSync(process.execPath, [
+      "--import", "tsx", "scripts/import-hazards.mjs", `--type=${type}`,
+      path.join(FIXTURES, `${file}.geojson`), `--out=${path.join(dir, "data", `hazard-${type}.geojson`)}`,
+    ], { cwd: ROOT, stdio: "pipe" });
+  }
+
+  // the libs resolve data/ and config/ from the working directory at import time
+  process.chdir(dir);
+  hazards = await import("../src/lib/hazards.ts");
+  poi = await import("../src/lib/poi-index.ts");
+});
+
+after(() => {
+  process.chdir(cwd);
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("converter maps KSJ attributes to depth_m / zone", () => {
+  const flood = JSON.parse(fs.readFileSync(path.join(dir, "data", "hazard-flood.geojson"), "utf8"));
+  assert.deepEqual(flood.features.map((f: any) => f.properties.depth_m), [3, 0]);
+  const landslide = JSON.parse(fs.readFileSync(path.join(dir, "data", "hazard-landslide.geojson"), "utf8"));
+  assert.equal(landslide.features.length, 1, "point features are dropped");
+  assert.equal(landslide.features[0].properties.zone, "special");
+  assert.deepEqual(hazards.hazardCounts(), { flood: 2, tsunami: 1, landslide: 1 });
+});
+
+test("worst zone per type counts, different types compound", () => {
+  const hz = hazards.hazardsAt(...BOTH);
+  const byType = Object.fromEntries(hz.zones.map((z) => [z.type, z]));
+  assert.equal(byType.flood.class, 3);
+  assert.equal(byType.flood.depth_m, 3);
+  assert.equal(byType.tsunami.class, 2);
+  assert.equal(byType.tsunami.depth_m, 1);
+  assert.equal(hz.zones.length, 2);
+  assert.equal(hz.penalty, 0.5 * 0.5);
+
+  assert.equal(hazards.hazardsAt(...FLOOD_ONLY).penalty, 0.5);
+  const ls = hazards.hazardsAt(...LANDSLIDE);
+  assert.equal(ls.zones[0].label, "土砂災害特別警戒区域");
+  assert.equal(ls.penalty, 0.3);
+});
+
+test("points outside every polygon are not penalized", () => {
+  assert.deepEqual(hazards.hazardsAt(...OUTSIDE), { zones: [], penalty: 1 });
+});
+
+test("scorePoint applies the penalty to the score", () => {
+  const [lon, lat] = BOTH;
+  const r = poi.scorePoint({ lon, lat, radiusMeters: 1500 });
+  assert.equal(r.hazards.penalty, 0.25);
+  assert.ok(r.hazards.baseScore > 0, "the sample point has shelters nearby");
+  assert.equal(r.score, r.hazards.baseScore * 0.25);
+});
@@ -0,0 +1,70 @@
+// test/merge.test.ts
+// Name similarity and the MERGE_RULES thresholds: a similar name within 150 m is the
+// same POI, an unnamed one only within 30 m, and anything else is added as new.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergePois, nameSimilarity, MERGE_RULES } from "../src/lib/merge.ts";
+import { R_EARTH } from "../src/lib/geo.ts";
+
+type P = { name: string; lon: number; lat: number; source?: string; id?: string; openingHours?: string | null };
+
+const BASE = { lon: 139.6195, lat: 35.4671 };
+// A point the given number of meters north of BASE
+const north = (m: number) => ({ lon: BASE.lon, lat: BASE.lat + (m / R_EARTH) * (180 / Math.PI) });
+const mlit = (name: string): P => ({ name, ...BASE, source: "MLIT", id: "m1" });
+const osm = (name: string, m: number, extra: Partial<P> = {}): P => ({ name, ...north(m), source: "OSM", id: `n${m}`, ...extra });
+
+test("MERGE_RULES: 0.6 similarity, 150 m, 30 m without a name", () => {
+  assert.deepEqual(MERGE_RULES, { nameSimilarity: 0.6, maxMeters: 150, nearMeters: 30 });
+});
+
+test("nameSimilarity: normalized equality and containment are 1, else bigram Dice", () => {
+  assert.equal(nameSimilarity("井土ヶ谷 小学校", "井土ケ谷小学校"), 1);
+  assert.equal(nameSimilarity("中央小学校", "横浜市立中央小学校"), 1);
+  // 5 of 7 bigrams shared: 10 / 14
+  assert.equal(nameSimilarity("港南台第一小学校", "港南台第1小学校"), 10 / 14);
+  // 2 of 4 shared: 0.5, below the threshold
+  assert.equal(nameSimilarity("中央小学校", "中央中学校"), 0.5);
+  assert.equal(nameSimilarity("", "中央小学校"), 0);
+});
+
+test("mergePois: the same name nearby counts once, with both sources", () => {
+  const { merged, added, matched } = mergePois([mlit("中央小学校")], [osm("中央小学校", 100, { openingHours: "Mo-Fr 08:00-17:00" })]);
+  assert.deepEqual([merged.length, added, matched], [1, 0, 1]);
+  assert.deepEqual(merged[0].sources, [
+    { source: "MLIT", name: "中央小学校", id: "m1" },
+    { source: "OSM", name: "中央小学校", id: "n100", offset_m: 100 },
+  ]);
+  assert.equal(merged[0].lat, BASE.lat, "the primary record is kept");
+  assert.equal(merged[0].openingHours, "Mo-Fr 08:00-17:00", "opening hours are filled in from the match");
+  // a similar name (0.71) is the same POI too
+  assert.equal(mergePois([mlit("港南台第一小学校")], [osm("港南台第1小学校", 50)]).matched, 1);
+});
+
+test("mergePois: a near-duplicate name beyond 150 m is a separate POI", () => {
+  assert.equal(mergePois([mlit("中央小学校")], [osm("中央小学校", 140)]).matched, 1);
+  const far = mergePois([mlit("中央小学校")], [osm("中央小学校", 160)]);
+  assert.deepEqual([far.merged.length, far.added, far.matched], [2, 1, 0]);
+  assert.deepEqual(far.merged[1].sources, [{ source: "OSM", name: "中央小学校", id: "n160" }]);
+});
+
+test("mergePois: a different name is a separate POI however close", () => {
+  const r = mergePois([mlit("中央小学校")], [osm("中央中学校", 5)]);
+  assert.deepEqual([r.merged.length, r.added, r.matched], [2, 1, 0]);
+});
+
+test("mergePois: an unnamed POI matches only within 30 m", () => {
+  assert.equal(mergePois([mlit("中央小学校")], [osm("", 25)]).matched, 1);
+  assert.equal(mergePois([mlit("中央小学校")], [osm("(unnamed)", 40)]).added, 1);
+});
+
+test("mergePois: supplemental duplicates fold into each other, the closest match wins", () => {
+  const r = mergePois([mlit("中央小学校"), { ...mlit("中央小学校"), ...north(120), id: "m2" }], [
+    osm("中央小学校", 100),
+    osm("みなと公園", 300),
+    osm("みなと公園", 320),
+  ]);
+  assert.deepEqual([r.merged.length, r.added, r.matched], [3, 1, 2]);
+  assert.deepEqual(r.merged[1].sources.map((s) => s.id), ["m2", "n100"], "20 m from m2, 100 m from m1");
+  assert.deepEqual(r.merged[2].sources.map((s) => [s.id, s.offset_m]), [["n300", undefined], ["n320", 20]]);
+});
@@ -0,0 +1,102 @@
+// test/opening-hours.test.ts
+// The opening_hours subset: overnight ranges, day ranges that wrap past Sunday,
+// holiday rules, what makes a value unknown, and the time-zone handling of datetimes.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+// resolveWhen converts datetimes with an offset into this zone; read at import time
+process.env.OPENING_HOURS_TZ = "Asia/Tokyo";
+const { parseOpeningHours, openAt, resolveWhen } = await import("../src/lib/opening-hours.ts");
+const { isArgumentError } = await import("../src/lib/errors.ts");
+
+type Weekday = "Mo" | "Tu" | "We" | "Th" | "Fr" | "Sa" | "Su";
+const at = (weekday: Weekday, time: string) => ({ weekday, time, scenario: null, datetime: null });
+const h = (hhmm: string) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3));
+
+test("parseOpeningHours: days, several ranges, later rules override", () => {
+  const week = parseOpeningHours("Mo-Fr 08:30-12:00,13:00-17:00; Sa 09:00-12:00; We off")!;
+  assert.deepEqual(week[0], [[h("08:30"), h("12:00")], [h("13:00"), h("17:00")]]);
+  assert.deepEqual(week[2], [], "We off replaces Mo-Fr for Wednesday");
+  assert.deepEqual(week[5], [[h("09:00"), h("12:00")]]);
+  assert.deepEqual(week[6], []);
+  assert.deepEqual(parseOpeningHours("24/7"), Array.from({ length: 7 }, () => [[0, 1440]]));
+  assert.deepEqual(parseOpeningHours("Mo - Fr 08:00 - 17:00")![4], [[h("08:00"), h("17:00")]]);
+  assert.deepEqual(parseOpeningHours('Sa 10:00-12:00 "by appointment"')![5], [[h("10:00"), h("12:00")]]);
+  assert.deepEqual(parseOpeningHours("Su 18:00+")![6], [[h("18:00"), 1440]]);
+});
+
+test("parseOpeningHours: 22:00-06:00 runs past midnight", () => {
+  const week = parseOpeningHours("22:00-06:00")!;
+  assert.ok(week.every((d) => d.length === 1 && d[0][0] === h("22:00") && d[0][1] === 1440 + h("06:00")));
+});
+
+test("parseOpeningHours: Fr-Mo wraps over the weekend", () => {
+  const week = parseOpeningHours("Fr-Mo 10:00-16:00")!;
+  assert.deepEqual(week.map((d) => d.length), [1, 0, 0, 0, 1, 1, 1]);
+});
+
+test("parseOpeningHours: holiday rules are skipped", () => {
+  assert.deepEqual(parseOpeningHours("Mo-Su 09:00-18:00; PH off"), parseOpeningHours("Mo-Su 09:00-18:00"));
+  assert.deepEqual(parseOpeningHours("Mo-Fr,PH 09:00-18:00")![0], [[h("09:00"), h("18:00")]]);
+  assert.equal(parseOpeningHours("PH 10:00-12:00"), null, "nothing but holidays");
+});
+
+test("parseOpeningHours: unsupported syntax is unknown (null)", () => {
+  assert.equal(parseOpeningHours("Mo-Fr 08:00-17:00, Sa 09:00-12:00"), null, "rules separated by ,");
+  assert.equal(parseOpeningHours("Jan-Mar Mo 10:00-12:00"), null);
+  assert.equal(parseOpeningHours("Mo 25:00-26:00"), null);
+  assert.equal(parseOpeningHours("sunrise-sunset"), null);
+  assert.equal(parseOpeningHours(""), null);
+  assert.equal(parseOpeningHours(null), null);
+});
+
+test("openAt: ranges, end exclusive, closed days", () => {
+  const hours = "Mo-Fr 09:00-17:00";
+  assert.equal(openAt(hours, at("Mo", "09:00")), true);
+  assert.equal(openAt(hours, at("Mo", "16:59")), true);
+  assert.equal(openAt(hours, at("Mo", "17:00")), false);
+  assert.equal(openAt(hours, at("Sa", "12:00")), false);
+  assert.equal(openAt("Mo-Su 09:00-18:00; PH off", at("Su", "10:00")), true);
+});
+
+test("openAt: overnight ranges carry into the next day, also from Sunday to Monday", () => {
+  assert.equal(openAt("22:00-06:00", at("We", "03:00")), true);
+  assert.equal(openAt("22:00-06:00", at("We", "22:30")), true);
+  assert.equal(openAt("22:00-06:00", at("We", "12:00")), false);
+  assert.equal(openAt("Fr 22:00-02:00", at("Sa", "01:00")), true);
+  assert.equal(openAt("Fr 22:00-02:00", at("Sa", "02:00")), false);
+  assert.equal(openAt("Fr 22:00-02:00", at("Su", "01:00")), false);
+  assert.equal(openAt("Su 22:00-02:00", at("Mo", "01:00")), true);
+});
+
+test("openAt: missing or unknown hours are null", () => {
+  assert.equal(openAt(undefined, at("Mo", "10:00")), null);
+  assert.equal(openAt("Mo-Fr 08:00-17:00, Sa 09:00-12:00", at("Mo", "10:00")), null);
+});
+
+test("resolveWhen: wall-clock datetimes and offsets converted to Japan time", () => {
+  assert.deepEqual(resolveWhen("2024-04-01T03:00"), { weekday: "Mo", time: "03:00", scenario: null, datetime: "2024-04-01T03:00" });
+  assert.equal(resolveWhen("2024-03-31T18:30Z")!.weekday, "Mo");
+  assert.equal(resolveWhen("2024-03-31T18:30Z")!.time, "03:30");
+  // 15:00 at -05:00 = Saturday 20:00 UTC = Sunday 05:00 in Tokyo
+  assert.deepEqual([resolveWhen("2024-04-06T15:00:00-05:00")!.weekday, resolveWhen("2024-04-06T15:00:00-05:00")!.time], ["Su", "05:00"]);
+  assert.equal(resolveWhen("2024-04-01 03:00+09:00")!.time, "03:00");
+  assert.equal(resolveWhen("2024-02-29T12:00Z")!.weekday, "Th");
+});
+
+test("resolveWhen: scenarios, and datetime winning over them", () => {
+  assert.deepEqual(resolveWhen(null, "night"), { weekday: "We", time: "03:00", scenario: "night", datetime: null });
+  assert.deepEqual(resolveWhen(null, "weekend"), { weekday: "Su", time: "12:00", scenario: "weekend", datetime: null });
+  assert.equal(resolveWhen("2024-04-01T15:00", "night")!.time, "15:00");
+  assert.equal(resolveWhen(), null);
+});
+
+test("resolveWhen: impossible dates and times are argument errors, with or without an offset", () => {
+  for (const bad of [
+    "2024-02-30T03:00Z", "2024-02-30T03:00+09:00", "2024-02-30T03:00", "2023-02-29T03:00",
+    "2024-13-01T00:00", "2024-00-10T03:00Z", "2024-04-01T24:00Z", "2024-04-01T03:60", "yesterday",
+  ]) {
+    assert.throws(() => resolveWhen(bad), (e) => isArgumentError(e), bad);
+  }
+  assert.throws(() => resolveWhen(null, "lunch"), /unknown scenario "lunch"/);
+});
@@ -0,0 +1,110 @@
+// test/population.test.ts
+// Mesh code boxes, the share of a straddling cell inside a radius, and residents
+// per box, on a scratch grid: the four 500 m quadrants of the 1 km mesh 5339-45-22.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// 5339-45-22: lon 139.65–139.6625, lat 35.68333–35.69167; quadrants 1..4 = SW, SE, NW, NE
+const KM = [139.65, 35.68 + 1 / 300, 139.6625, 35.69 + 1 / 600] as const;
+const CENTER = [(KM[0] + KM[2]) / 2, (KM[1] + KM[3]) / 2] as const;
+const CELLS = [
+  { properties: { mesh: "533945221", population: 100 } },
+  { properties: { mesh: "533945222", population: 200 } },
+  { properties: { mesh: "533945223", population: 300 } },
+  // e-Stat column names
+  { properties: { KEY_CODE: "533945224", T001101001: "400" } },
+  // secret (秘匿) cells carry no number and are skipped
+  { properties: { mesh: "53394523", population: "*" } },
+];
+
+let dir = "";
+const cwd = process.cwd();
+let population: typeof import("../src/lib/population.ts");
+
+const near = (actual: readonly number[] | null, expected: readonly number[], eps = 1e-9) => {
+  assert.ok(actual, "a box");
+  actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < eps, `[${i}] ${v} != ${expected[i]}`));
+};
+// Residents are not rounded; the degree arithmetic leaves a few 1e-9
+const about = (actual: number | null, expected: number) => near([actual!], [expected], 1e-6);
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "population-test-"));
+  fs.mkdirSync(path.join(dir, "data"));
+  fs.writeFileSync(path.join(dir, "data", "population.geojson"), JSON.stringify({
+    type: "FeatureCollection",
+    source: "test grid",
+    features: CELLS.map((c) => ({ type: "Feature", geometry: null, ...c })),
+  }));
+  // population.ts resolves data/ from the working directory at import time
+  process.chdir(dir);
+  population = await import("../src/lib/population.ts");
+});
+
+after(() => {
+  process.chdir(cwd);
+  if (dir) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("meshBBox: 1st to 3rd mesh and the 500 m / 250 m quadrants", () => {
+  near(population.meshBBox("5339"), [139, 53 / 1.5, 140, 53 / 1.5 + 2 / 3]);
+  near(population.meshBBox("533945"), [139.625, 35 + 2 / 3, 139.75, 35.75]);
+  near(population.meshBBox("5339-45-22"), KM);
+  near(population.meshBBox("533945221"), [KM[0], KM[1], CENTER[0], CENTER[1]]);
+  near(population.meshBBox("533945224"), [CENTER[0], CENTER[1], KM[2], KM[3]]);
+  // NE quarter of the NE quadrant
+  near(population.meshBBox("5339452244"), [(CENTER[0] + KM[2]) / 2, (CENTER[1] + KM[3]) / 2, KM[2], KM[3]]);
+});
+
+test("meshBBox: malformed codes are null", () => {
+  assert.equal(population.meshBBox("53394"), null, "5 digits");
+  assert.equal(population.meshBBox("533985"), null, "2nd mesh digit above 7");
+  assert.equal(population.meshBBox("533945225"), null, "quadrant 5");
+  assert.equal(population.meshBBox("533945220"), null, "quadrant 0");
+});
+
+test("residentsWithin: whole cells count fully, cells out of reach not at all", () => {
+  assert.equal(population.residentsWithin(CENTER[0], CENTER[1], 2000), 1000);
+  // 400 m from the SW quadrant's center covers its corners (about 365 m away)
+  const sw = population.meshBBox("533945221")!;
+  const inSw = population.residentsWithin((sw[0] + sw[2]) / 2, (sw[1] + sw[3]) / 2, 400)!;
+  assert.ok(inSw > 100 && inSw < 1000, `SW whole, the others in part: ${inSw}`);
+  assert.equal(population.residentsWithin(139.8, 35.8, 1000), 0);
+});
+
+test("residentsWithin: a straddling cell counts with the share of its 4 x 4 sample lattice inside", () => {
+  // From the shared corner, each quadrant's nearest sample (1/8 of a cell in, about 91 m)
+  // is within 150 m and the next ones (over 210 m) are not: 1/16 of 1000
+  assert.equal(population.residentsWithin(CENTER[0], CENTER[1], 150), 63);
+  assert.equal(population.residentsWithin(CENTER[0], CENTER[1], 50), 0);
+});
+
+test("residentsInBox: overlap share of each cell", () => {
+  about(population.residentsInBox([...KM]), 1000);
+  about(population.residentsInBox(population.meshBBox("533945223")!), 300);
+  // the west half of the SW quadrant
+  about(population.residentsInBox([KM[0], KM[1], (KM[0] + CENTER[0]) / 2, CENTER[1]]), 50);
+  assert.equal(population.residentsInBox([139.8, 35.8, 139.81, 35.81]), 0);
+});
+
+test("residentsInBox: the boxes of a grid add up to the total", () => {
+  // 7 x 5 boxes over a frame wider than the mesh, so edges split cells unevenly
+  const [x0, y0, x1, y1] = [KM[0] - 0.001, KM[1] - 0.0007, KM[2] + 0.0013, KM[3] + 0.0005];
+  let sum = 0;
+  for (let i = 0; i < 7; i++) {
+    for (let j = 0; j < 5; j++) {
+      const bx = x0 + ((x1 - x0) * i) / 7, by = y0 + ((y1 - y0) * j) / 5;
+      sum += population.residentsInBox([bx, by, bx + (x1 - x0) / 7, by + (y1 - y0) / 5])!;
+    }
+  }
+  about(sum, 1000);
+});
+
+test("populationStatus: cells read and the source label", () => {
+  const status = population.populationStatus();
+  assert.equal(status.cells, 4);
+  assert.equal(status.source, "test grid");
+});
@@ -0,0 +1,107 @@
+// test/spatial-index.test.ts
+// The grid index must answer exactly like a full scan: radius and k-nearest
+// queries at cell edges, across the antimeridian and around the poles.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildPointIndex, type Hit } from "../src/lib/spatial-index.ts";
+import { haversineMeters } from "../src/lib/geo.ts";
+
+type P = { id: number; lon: number; lat: number };
+
+// Deterministic points (mulberry32), so a failure reproduces
+function rng(seed: number) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function scan(points: P[], lon: number, lat: number): { id: number; d: number }[] {
+  return points
+    .map((p) => ({ id: p.id, d: haversineMeters(lon, lat, p.lon, p.lat) }))
+    .sort((a, b) => a.d - b.d || a.id - b.id);
+}
+
+const ids = (hits: Hit<P>[]) => hits.map((h) => h.item.id);
+
+function assertSame(points: P[], cellDeg: number, queries: [number, number][], radii: number[], ks: number[]) {
+  const index = buildPointIndex(points, cellDeg);
+  for (const [lon, lat] of queries) {
+    const all = scan(points, lon, lat);
+    for (const r of radii) {
+      const expected = all.filter((h) => h.d <= r).map((h) => h.id);
+      assert.deepEqual(ids(index.within(lon, lat, r)), expected, `within ${r} m of ${lon},${lat}`);
+    }
+    for (const k of ks) {
+      const got = index.nearest(lon, lat, k);
+      assert.deepEqual(got.map((h) => h.distance_m), all.slice(0, k).map((h) => h.d), `nearest ${k} to ${lon},${lat}`);
+    }
+  }
+}
+
+// n points around a center, within spread degrees
+function cluster(rand: () => number, n: number, lon: number, lat: number, spread: number, from = 0): P[] {
+  return Array.from({ length: n }, (_, i) => {
+    const x = lon + (rand() - 0.5) * 2 * spread;
+    return { id: from + i, lon: x > 180 ? x - 360 : x < -180 ? x + 360 : x, lat: Math.max(-90, Math.min(90, lat + (rand() - 0.5) * 2 * spread)) };
+  });
+}
+
+test("matches a full scan for random points and queries", () => {
+  const rand = rng(1);
+  const points = cluster(rand, 2000, 139.6, 35.45, 0.3);
+  const queries = Array.from({ length: 40 }, () => [139.6 + (rand() - 0.5) * 0.7, 35.45 + (rand() - 0.5) * 0.7] as [number, number]);
+  assertSame(points, 0.02, queries, [0, 100, 1500, 5000, 40000], [1, 5, 25, 3000]);
+});
+
+test("points and queries on cell edges", () => {
+  const cellDeg = 0.02;
+  const points: P[] = [];
+  for (let x = -3; x <= 3; x++) {
+    for (let y = -3; y <= 3; y++) points.push({ id: points.length, lon: 139.6 + x * cellDeg, lat: 35.44 + y * cellDeg });
+  }
+  const queries: [number, number][] = [[139.6, 35.44], [139.61, 35.45], [139.6 + 1e-12, 35.44 - 1e-12], [139.66, 35.5]];
+  // Radii right at a neighbour's distance: 1 cell N-S and E-W, and the diagonal
+  const radii = [2223.9, 2223.9 * 0.8136, 1810, 2224, 2850, 3200];
+  assertSame(points, cellDeg, queries, radii, [1, 4, 9, 49]);
+});
+
+test("radius reaching just past the box edge (straight north and east)", () => {
+  // A point 999 m north must be found with r = 1000 whatever the cell layout
+  const points: P[] = [];
+  for (let i = 0; i < 200; i++) {
+    const lat = 35 + i * 0.0001;
+    points.push({ id: i, lon: 139.6, lat: lat + 999 / 111194.93 });
+    points.push({ id: 1000 + i, lon: 139.6 + 999 / (111194.93 * Math.cos((lat * Math.PI) / 180)), lat });
+  }
+  const queries: [number, number][] = Array.from({ length: 200 }, (_, i) => [139.6, 35 + i * 0.0001]);
+  assertSame(points, 0.02, queries, [1000], [1]);
+});
+
+test("across the antimeridian", () => {
+  const rand = rng(2);
+  const points = [...cluster(rand, 500, 180, 0, 0.2), ...cluster(rand, 500, -180, 60, 0.2, 500)];
+  const queries: [number, number][] = [[179.99, 0], [-179.99, 0.01], [180, 0], [-180, 60], [179.95, 59.95], [-179.9, 60.1]];
+  assertSame(points, 0.02, queries, [500, 3000, 15000], [1, 10, 200]);
+});
+
+test("around the poles", () => {
+  const rand = rng(3);
+  const points = [
+    ...Array.from({ length: 400 }, (_, i) => ({ id: i, lon: rand() * 360 - 180, lat: 89.5 + rand() * 0.5 })),
+    ...Array.from({ length: 400 }, (_, i) => ({ id: 400 + i, lon: rand() * 360 - 180, lat: -89.5 - rand() * 0.5 })),
+  ];
+  const queries: [number, number][] = [[0, 90], [45, 89.9], [-170, 89.7], [120, -89.95], [10, -89.5]];
+  assertSame(points, 0.02, queries, [1000, 10000, 60000], [1, 20]);
+});
+
+test("empty index and non-positive k", () => {
+  const empty = buildPointIndex<P>([]);
+  assert.deepEqual(empty.within(139.6, 35.4, 1000), []);
+  assert.deepEqual(empty.nearest(139.6, 35.4, 3), []);
+  const one = buildPointIndex<P>([{ id: 0, lon: 139.6, lat: 35.4 }]);
+  assert.deepEqual(one.nearest(139.6, 35.4, 0), []);
+  assert.deepEqual(one.within(139.6, 35.4, -1), []);
+});